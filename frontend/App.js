@@ -3,27 +3,152 @@
  *
  * Main application with bottom tab navigation between:
  * - Food Scanner: AI-powered freshness analysis
- * - My Pantry: Inventory tracking and management
+ * - My Pantry: Inventory tracking and management, with stacked screens
+ *   for viewing and editing each item and for adding items by hand
  * - Recipes: AI-powered recipe generation
+ * - Insights: Waste and savings analytics
+ *
+ * Users must sign in (or continue as a guest) before the tabs are shown,
+ * since every pantry is private to its account.
  */
 
-import React from "react";
+import React, { useState, useEffect } from "react";
+import { View, ActivityIndicator, StyleSheet, Alert } from "react-native";
 import { NavigationContainer } from "@react-navigation/native";
 import { createBottomTabNavigator } from "@react-navigation/bottom-tabs";
+import { createStackNavigator } from "@react-navigation/stack";
 import { StatusBar } from "expo-status-bar";
 import { Ionicons } from "@expo/vector-icons";
 
 // Import screens
 import FoodScannerScreen from "./screens/FoodScannerScreen";
 import PantryScreen from "./screens/PantryScreen";
+import ItemDetailScreen from "./screens/ItemDetailScreen";
+import AddItemScreen from "./screens/AddItemScreen";
+import TrashScreen from "./screens/TrashScreen";
+import SettingsScreen from "./screens/SettingsScreen";
 import RecipesScreen from "./screens/RecipesScreen";
+import AnalyticsScreen from "./screens/AnalyticsScreen";
+import AuthScreen from "./screens/AuthScreen";
+
+import { authService } from "./services/authService";
+import { householdService } from "./services/householdService";
+import { imageStorageService } from "./services/imageStorageService";
+import { syncService } from "./services/syncService";
 
 // Import colors for consistent theming
 import { colors } from "./styles/colors";
 
 const Tab = createBottomTabNavigator();
+const PantryStack = createStackNavigator();
+
+// Header look shared by the tabs and the pantry stack
+const headerOptions = {
+  headerStyle: {
+    backgroundColor: colors.primary,
+    elevation: 0,
+    shadowOpacity: 0,
+  },
+  headerTintColor: colors.surface,
+  headerTitleStyle: {
+    fontWeight: "bold",
+    fontSize: 18,
+  },
+};
+
+/**
+ * Pantry tab: the item list, with item details, manual entry, the trash
+ * and settings pushed on top
+ */
+function PantryStackScreen() {
+  return (
+    <PantryStack.Navigator screenOptions={headerOptions}>
+      <PantryStack.Screen
+        name="PantryList"
+        component={PantryScreen}
+        options={{ headerTitle: "FreshB4 Pantry" }}
+      />
+      <PantryStack.Screen
+        name="ItemDetail"
+        component={ItemDetailScreen}
+        options={{ title: "Item Details" }}
+      />
+      <PantryStack.Screen
+        name="AddItem"
+        component={AddItemScreen}
+        options={{ title: "Add Item" }}
+      />
+      <PantryStack.Screen
+        name="Trash"
+        component={TrashScreen}
+        options={{ title: "Trash" }}
+      />
+      <PantryStack.Screen
+        name="Settings"
+        component={SettingsScreen}
+        options={{ title: "Settings" }}
+      />
+    </PantryStack.Navigator>
+  );
+}
 
 export default function App() {
+  const [user, setUser] = useState(null);
+  const [initializing, setInitializing] = useState(true);
+
+  // Track the signed-in user; persisted sessions restore automatically
+  useEffect(() => {
+    const unsubscribe = authService.subscribeToAuthState((currentUser) => {
+      setUser(currentUser);
+      setInitializing(false);
+
+      // Load the user's households so the pantry knows where to read from,
+      // and resume any writes and photo uploads queued while offline
+      if (currentUser) {
+        syncService.start(currentUser.uid);
+        imageStorageService.start(currentUser.uid);
+        householdService
+          .initialize()
+          .catch((error) => console.error("Household setup failed:", error));
+      } else {
+        syncService.stop();
+        imageStorageService.stop();
+        householdService.reset();
+      }
+    });
+    return unsubscribe;
+  }, []);
+
+  // Explain the switch when an owner removes this user from a household
+  useEffect(
+    () =>
+      householdService.subscribeToRemoval((household) =>
+        Alert.alert(
+          "Removed from household",
+          `You no longer have access to ${household?.name || "it"}, so ` +
+            "your personal pantry is shown instead."
+        )
+      ),
+    []
+  );
+
+  if (initializing) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color={colors.primary} />
+      </View>
+    );
+  }
+
+  if (!user) {
+    return (
+      <>
+        <StatusBar style="auto" />
+        <AuthScreen />
+      </>
+    );
+  }
+
   return (
     <NavigationContainer>
       <StatusBar style="auto" />
@@ -38,6 +163,8 @@ export default function App() {
               iconName = focused ? "restaurant" : "restaurant-outline";
             } else if (route.name === "Recipes") {
               iconName = focused ? "book" : "book-outline";
+            } else if (route.name === "Insights") {
+              iconName = focused ? "stats-chart" : "stats-chart-outline";
             }
 
             return <Ionicons name={iconName} size={size} color={color} />;
@@ -55,16 +182,7 @@ export default function App() {
             fontSize: 12,
             fontWeight: "600",
           },
-          headerStyle: {
-            backgroundColor: colors.primary,
-            elevation: 0,
-            shadowOpacity: 0,
-          },
-          headerTintColor: colors.surface,
-          headerTitleStyle: {
-            fontWeight: "bold",
-            fontSize: 18,
-          },
+          ...headerOptions,
         })}
       >
         <Tab.Screen
@@ -77,10 +195,10 @@ export default function App() {
         />
         <Tab.Screen
           name="Pantry"
-          component={PantryScreen}
+          component={PantryStackScreen}
           options={{
             title: "My Pantry",
-            headerTitle: "FreshB4 Pantry",
+            headerShown: false,
           }}
         />
         <Tab.Screen
@@ -91,7 +209,24 @@ export default function App() {
             headerTitle: "FreshB4 Recipes",
           }}
         />
+        <Tab.Screen
+          name="Insights"
+          component={AnalyticsScreen}
+          options={{
+            title: "Insights",
+            headerTitle: "FreshB4 Insights",
+          }}
+        />
       </Tab.Navigator>
     </NavigationContainer>
   );
 }
+
+const styles = StyleSheet.create({
+  loadingContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    backgroundColor: colors.background,
+  },
+});
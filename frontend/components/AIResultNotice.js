@@ -0,0 +1,194 @@
+/**
+ * AIResultNotice Component
+ * Explains an AI result that isn't a fresh answer from Gemini: an error
+ * card with a retry button, a banner marking sample data from demo mode, or
+ * a note that a saved answer was reused, with a refresh button
+ */
+
+import React from "react";
+import { View, Text, StyleSheet, TouchableOpacity } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { AI_SOURCES } from "../services/geminiService";
+import { colors, spacing, borderRadius, typography } from "../styles/colors";
+
+/**
+ * How long ago a timestamp was, e.g. "5 min ago"
+ */
+const formatAge = (timestamp) => {
+  const minutes = Math.round((Date.now() - timestamp) / 60000);
+  if (minutes < 1) return "just now";
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return `${hours} h ago`;
+  return `on ${new Date(timestamp).toLocaleDateString()}`;
+};
+
+/**
+ * @param {Object|null} result - AI result from geminiService (source, error
+ *   and cachedAt are read); nothing is shown for real answers
+ * @param {string} title - Heading for the error card, e.g. "Analysis failed"
+ * @param {Function} onRetry - Sends the request again (errors that can't be
+ *   fixed by retrying don't show the button)
+ * @param {Function} onDismiss - Optional; hides the error card
+ * @param {Function} onRefresh - Optional; asks Gemini again, skipping the
+ *   saved answer
+ */
+export default function AIResultNotice({
+  result,
+  title,
+  onRetry,
+  onDismiss,
+  onRefresh,
+}) {
+  if (result?.source === AI_SOURCES.CACHED) {
+    return (
+      <View style={[styles.banner, styles.cachedBanner]}>
+        <Ionicons name="time-outline" size={18} color={colors.info} />
+        <View style={styles.bannerText}>
+          <Text style={styles.bannerTitle}>Saved result</Text>
+          <Text style={styles.bannerMessage}>
+            From {formatAge(result.cachedAt)}, so no new request was made
+          </Text>
+        </View>
+        {onRefresh ? (
+          <TouchableOpacity style={styles.refreshButton} onPress={onRefresh}>
+            <Text style={styles.refreshText}>Refresh</Text>
+          </TouchableOpacity>
+        ) : null}
+      </View>
+    );
+  }
+
+  if (result?.source === AI_SOURCES.FALLBACK) {
+    return (
+      <View style={styles.banner}>
+        <Ionicons name="flask" size={18} color={colors.overripe} />
+        <View style={styles.bannerText}>
+          <Text style={styles.bannerTitle}>
+            Sample result - demo mode is on
+          </Text>
+          {result.error ? (
+            <Text style={styles.bannerMessage}>{result.error.message}</Text>
+          ) : null}
+        </View>
+      </View>
+    );
+  }
+
+  if (result?.source !== AI_SOURCES.ERROR) return null;
+
+  return (
+    <View style={styles.card}>
+      <View style={styles.cardHeader}>
+        <Ionicons name="cloud-offline" size={24} color={colors.error} />
+        <Text style={styles.cardTitle}>{title}</Text>
+      </View>
+      <Text style={styles.cardMessage}>{result.error.message}</Text>
+      <View style={styles.actions}>
+        {onDismiss ? (
+          <TouchableOpacity style={styles.dismissButton} onPress={onDismiss}>
+            <Text style={styles.dismissText}>Dismiss</Text>
+          </TouchableOpacity>
+        ) : null}
+        {result.error.retryable && onRetry ? (
+          <TouchableOpacity style={styles.retryButton} onPress={onRetry}>
+            <Ionicons name="refresh" size={16} color={colors.surface} />
+            <Text style={styles.retryText}>Retry</Text>
+          </TouchableOpacity>
+        ) : null}
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  banner: {
+    flexDirection: "row",
+    alignItems: "flex-start",
+    backgroundColor: colors.overripeBg,
+    borderRadius: borderRadius.md,
+    padding: spacing.sm,
+    marginHorizontal: spacing.lg,
+    marginBottom: spacing.md,
+  },
+  cachedBanner: {
+    alignItems: "center",
+    backgroundColor: colors.surface,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  bannerText: {
+    flex: 1,
+    marginLeft: spacing.sm,
+  },
+  bannerTitle: {
+    ...typography.caption,
+    color: colors.textPrimary,
+    fontWeight: "600",
+  },
+  bannerMessage: {
+    ...typography.small,
+    color: colors.textSecondary,
+    marginTop: 2,
+  },
+  refreshButton: {
+    paddingHorizontal: spacing.sm,
+    paddingVertical: spacing.xs,
+  },
+  refreshText: {
+    ...typography.caption,
+    color: colors.info,
+    fontWeight: "600",
+  },
+  card: {
+    backgroundColor: colors.spoiledBg,
+    borderRadius: borderRadius.lg,
+    padding: spacing.md,
+    marginHorizontal: spacing.lg,
+    marginBottom: spacing.md,
+  },
+  cardHeader: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginBottom: spacing.xs,
+  },
+  cardTitle: {
+    ...typography.body,
+    fontWeight: "600",
+    color: colors.error,
+    marginLeft: spacing.sm,
+  },
+  cardMessage: {
+    ...typography.body,
+    color: colors.textPrimary,
+  },
+  actions: {
+    flexDirection: "row",
+    justifyContent: "flex-end",
+    marginTop: spacing.sm,
+  },
+  dismissButton: {
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.xs,
+  },
+  dismissText: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    fontWeight: "600",
+  },
+  retryButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.xs,
+    marginLeft: spacing.sm,
+    borderRadius: borderRadius.md,
+    backgroundColor: colors.error,
+  },
+  retryText: {
+    ...typography.caption,
+    color: colors.surface,
+    fontWeight: "600",
+    marginLeft: spacing.xs,
+  },
+});
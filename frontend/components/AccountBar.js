@@ -0,0 +1,140 @@
+/**
+ * AccountBar Component
+ * Shows who is signed in, with settings, sign-out and guest-upgrade actions
+ */
+
+import React, { useState } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  Alert,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useNavigation } from "@react-navigation/native";
+import AuthScreen from "../screens/AuthScreen";
+import { authService } from "../services/authService";
+import {
+  colors,
+  spacing,
+  borderRadius,
+  shadows,
+  typography,
+} from "../styles/colors";
+
+export default function AccountBar() {
+  const navigation = useNavigation();
+  const [showUpgrade, setShowUpgrade] = useState(false);
+  const isGuest = authService.isGuest();
+
+  /**
+   * Sign out, warning guests that their data can't be recovered
+   */
+  const handleSignOut = () => {
+    Alert.alert(
+      "Sign Out",
+      isGuest
+        ? "Guest pantries can't be recovered after signing out. Create an account first to keep your items."
+        : "Are you sure you want to sign out?",
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Sign Out",
+          style: "destructive",
+          onPress: () =>
+            authService.signOut().catch((error) => {
+              Alert.alert("Error", authService.getErrorMessage(error));
+            }),
+        },
+      ]
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <Ionicons
+        name={isGuest ? "person-outline" : "person-circle"}
+        size={20}
+        color={colors.textSecondary}
+      />
+      <Text style={styles.userText} numberOfLines={1}>
+        {authService.getDisplayName()}
+      </Text>
+
+      {isGuest && (
+        <TouchableOpacity
+          style={styles.upgradeButton}
+          onPress={() => setShowUpgrade(true)}
+        >
+          <Text style={styles.upgradeButtonText}>Create Account</Text>
+        </TouchableOpacity>
+      )}
+
+      <TouchableOpacity
+        style={styles.iconButton}
+        onPress={() => navigation.navigate("Settings")}
+        accessibilityLabel="Settings"
+      >
+        <Ionicons
+          name="settings-outline"
+          size={20}
+          color={colors.textSecondary}
+        />
+      </TouchableOpacity>
+
+      <TouchableOpacity style={styles.iconButton} onPress={handleSignOut}>
+        <Ionicons name="log-out-outline" size={20} color={colors.textSecondary} />
+      </TouchableOpacity>
+
+      <Modal
+        visible={showUpgrade}
+        animationType="slide"
+        onRequestClose={() => setShowUpgrade(false)}
+      >
+        <AuthScreen
+          initialMode="upgrade"
+          onClose={() => setShowUpgrade(false)}
+        />
+      </Modal>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginHorizontal: spacing.lg,
+    marginBottom: spacing.md,
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.md,
+    ...shadows.small,
+  },
+  userText: {
+    ...typography.caption,
+    color: colors.textPrimary,
+    fontWeight: "600",
+    flex: 1,
+    marginLeft: spacing.xs,
+  },
+  upgradeButton: {
+    backgroundColor: colors.primary,
+    paddingHorizontal: spacing.sm,
+    paddingVertical: spacing.xs,
+    borderRadius: borderRadius.md,
+    marginRight: spacing.sm,
+  },
+  upgradeButtonText: {
+    ...typography.small,
+    color: colors.surface,
+    fontWeight: "600",
+  },
+  iconButton: {
+    padding: spacing.xs,
+    marginLeft: spacing.xs,
+  },
+});
@@ -0,0 +1,79 @@
+/**
+ * BarChart Component
+ * Lightweight stacked bar chart drawn with plain Views
+ */
+
+import React from "react";
+import { View, Text, StyleSheet } from "react-native";
+import { colors, spacing, borderRadius, typography } from "../styles/colors";
+
+/**
+ * @param {Array} data - [{ label, values: [{ value, color }] }]
+ * @param {number} height - Height of the tallest bar
+ * @param {Function} formatValue - Formats the total shown above each bar
+ */
+export default function BarChart({ data, height = 140, formatValue }) {
+  const totals = data.map((bar) =>
+    bar.values.reduce((sum, segment) => sum + segment.value, 0)
+  );
+  const max = Math.max(...totals, 0);
+
+  return (
+    <View style={styles.container}>
+      {data.map((bar, index) => (
+        <View key={`${bar.label}-${index}`} style={styles.column}>
+          <Text style={styles.total} numberOfLines={1}>
+            {totals[index] > 0 && formatValue
+              ? formatValue(totals[index])
+              : ""}
+          </Text>
+          <View style={[styles.track, { height }]}>
+            {/* Segments stack from the bottom up */}
+            {[...bar.values].reverse().map((segment, segmentIndex) => (
+              <View
+                key={segmentIndex}
+                style={{
+                  height: max > 0 ? (segment.value / max) * height : 0,
+                  backgroundColor: segment.color,
+                }}
+              />
+            ))}
+          </View>
+          <Text style={styles.label} numberOfLines={1}>
+            {bar.label}
+          </Text>
+        </View>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: "row",
+    alignItems: "flex-end",
+  },
+  column: {
+    flex: 1,
+    alignItems: "center",
+    marginHorizontal: spacing.xs / 2,
+  },
+  total: {
+    ...typography.small,
+    color: colors.textSecondary,
+    marginBottom: spacing.xs / 2,
+  },
+  track: {
+    width: "70%",
+    justifyContent: "flex-end",
+    borderTopLeftRadius: borderRadius.sm,
+    borderTopRightRadius: borderRadius.sm,
+    overflow: "hidden",
+    backgroundColor: colors.surfaceLight,
+  },
+  label: {
+    ...typography.small,
+    color: colors.textSecondary,
+    marginTop: spacing.xs,
+  },
+});
@@ -0,0 +1,693 @@
+/**
+ * BatchScanner Component
+ * Scan many photos in one session: shoot them back to back or multi-select
+ * from the gallery, analyze several at once, then accept, edit or reject
+ * each result from a list
+ */
+
+import React, { useState, useEffect, useRef } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Image,
+  Modal,
+  TextInput,
+  ActivityIndicator,
+  Alert,
+} from "react-native";
+import { CameraView } from "expo-camera";
+import * as ImagePicker from "expo-image-picker";
+import { Ionicons } from "@expo/vector-icons";
+import { geminiService, AI_SOURCES } from "../services/geminiService";
+import { pantryService } from "../services/pantryService";
+import useCancellableRequests from "../hooks/useCancellableRequests";
+import {
+  colors,
+  spacing,
+  borderRadius,
+  shadows,
+  typography,
+} from "../styles/colors";
+
+// How many photos are sent for analysis at the same time
+const MAX_CONCURRENT_ANALYSES = 3;
+
+let nextEntryId = 0;
+
+const FRESHNESS_COLORS = {
+  fresh: colors.fresh,
+  ripe: colors.ripe,
+  overripe: colors.overripe,
+  spoiled: colors.spoiled,
+};
+
+/**
+ * Pantry item for an analyzed photo, using the user's edits if any
+ */
+const toPantryItem = (entry) => ({
+  name: entry.draft.name.trim() || entry.result.food_type,
+  category: entry.result.category || "Other",
+  storageLocation: entry.result.storage_location,
+  days_left: entry.draft.days_left,
+  notes: entry.result.recommendation || "",
+  aiAnalysis: entry.result,
+  imageUri: entry.uri,
+});
+
+export default function BatchScanner() {
+  const [entries, setEntries] = useState([]);
+  const [capturing, setCapturing] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [isAddingAll, setIsAddingAll] = useState(false);
+  const cameraRef = useRef(null);
+  const mountedRef = useRef(true);
+  // IDs being analyzed right now, so a photo is never sent twice
+  const inFlightRef = useRef(new Set());
+  // Analyses are cancelled when the batch closes, but keep going while the
+  // user looks at another tab
+  const { runRequest } = useCancellableRequests({ cancelOnBlur: false });
+
+  useEffect(
+    () => () => {
+      mountedRef.current = false;
+    },
+    []
+  );
+
+  const updateEntry = (id, changes) => {
+    if (!mountedRef.current) return;
+    setEntries((current) =>
+      current.map((entry) =>
+        entry.id === id ? { ...entry, ...changes } : entry
+      )
+    );
+  };
+
+  /**
+   * Queue photos for analysis
+   * @param {Array} photos - { uri, base64 } pairs
+   */
+  const enqueuePhotos = (photos) => {
+    setEntries((current) => [
+      ...current,
+      ...photos.map((photo) => ({
+        id: `batch-${nextEntryId++}`,
+        uri: photo.uri,
+        base64: photo.base64,
+        status: "queued",
+        result: null,
+        error: null,
+        sample: false,
+        draft: null,
+        added: false,
+      })),
+    ]);
+  };
+
+  /**
+   * Analyze one photo. The image data is dropped afterwards to keep memory
+   * down during long sessions.
+   */
+  const analyzeEntry = async (entry) => {
+    inFlightRef.current.add(entry.id);
+    updateEntry(entry.id, { status: "analyzing" });
+    try {
+      const { source, data, error } = await runRequest((signal) =>
+        geminiService.analyzeFood(entry.base64, [], { signal })
+      );
+      if (error?.code === "cancelled") return;
+      if (!data) {
+        updateEntry(entry.id, { status: "error", error });
+        return;
+      }
+      updateEntry(entry.id, {
+        status: "done",
+        base64: null,
+        result: data,
+        sample: source === AI_SOURCES.FALLBACK,
+        draft: { name: data.food_type, days_left: data.days_left },
+      });
+    } finally {
+      inFlightRef.current.delete(entry.id);
+    }
+  };
+
+  // Keep up to MAX_CONCURRENT_ANALYSES photos in flight
+  useEffect(() => {
+    const running = inFlightRef.current.size;
+    entries
+      .filter(
+        (entry) =>
+          entry.status === "queued" && !inFlightRef.current.has(entry.id)
+      )
+      .slice(0, Math.max(0, MAX_CONCURRENT_ANALYSES - running))
+      .forEach(analyzeEntry);
+  }, [entries]);
+
+  /**
+   * Take a photo and stay in the camera for the next one
+   */
+  const takePicture = async () => {
+    if (!cameraRef.current) return;
+    try {
+      const photo = await cameraRef.current.takePictureAsync({
+        quality: 0.6,
+        base64: true,
+      });
+      enqueuePhotos([photo]);
+    } catch (error) {
+      Alert.alert("Error", "Failed to take picture");
+    }
+  };
+
+  /**
+   * Pick several photos from the gallery at once
+   */
+  const pickImages = async () => {
+    const { status } = await ImagePicker.requestMediaLibraryPermissionsAsync();
+    if (status !== "granted") {
+      Alert.alert("Permission needed", "Please grant photo library access");
+      return;
+    }
+
+    const result = await ImagePicker.launchImageLibraryAsync({
+      mediaTypes: ImagePicker.MediaTypeOptions.Images,
+      allowsMultipleSelection: true,
+      selectionLimit: 20,
+      quality: 0.6,
+      base64: true,
+    });
+
+    if (!result.canceled) {
+      enqueuePhotos(result.assets);
+    }
+  };
+
+  /**
+   * Add one reviewed result to the pantry
+   */
+  const acceptEntry = async (entry) => {
+    try {
+      await pantryService.addItem(toPantryItem(entry));
+      updateEntry(entry.id, { added: true });
+      setEditingId(null);
+    } catch (error) {
+      console.error("Error adding batch item:", error);
+      Alert.alert("Error", error.message);
+    }
+  };
+
+  /**
+   * Add every analyzed result that hasn't been handled yet, in one batch
+   */
+  const acceptAll = async () => {
+    const ready = entries.filter(
+      (entry) => entry.status === "done" && !entry.added
+    );
+    setIsAddingAll(true);
+    try {
+      await pantryService.addItems(ready.map(toPantryItem));
+      const addedIds = ready.map((entry) => entry.id);
+      setEntries((current) =>
+        current.map((entry) =>
+          addedIds.includes(entry.id) ? { ...entry, added: true } : entry
+        )
+      );
+      setEditingId(null);
+    } catch (error) {
+      console.error("Error adding batch items:", error);
+      Alert.alert("Error", error.message);
+    } finally {
+      setIsAddingAll(false);
+    }
+  };
+
+  const rejectEntry = (entry) => {
+    setEntries((current) => current.filter((e) => e.id !== entry.id));
+  };
+
+  const retryEntry = (entry) => {
+    updateEntry(entry.id, { status: "queued", error: null });
+  };
+
+  const clearFinished = () => {
+    setEntries((current) => current.filter((entry) => !entry.added));
+  };
+
+  const analyzedCount = entries.filter(
+    (entry) => entry.status === "done" || entry.status === "error"
+  ).length;
+  const readyCount = entries.filter(
+    (entry) => entry.status === "done" && !entry.added
+  ).length;
+  const addedCount = entries.filter((entry) => entry.added).length;
+  const inProgress = analyzedCount < entries.length;
+
+  /**
+   * Render one photo and its result
+   */
+  const renderEntry = (entry) => {
+    const isEditing = editingId === entry.id;
+    return (
+      <View
+        key={entry.id}
+        style={[styles.entry, entry.added && styles.entryAdded]}
+      >
+        <View style={styles.entryRow}>
+          <Image source={{ uri: entry.uri }} style={styles.thumbnail} />
+
+          <View style={styles.entryText}>
+            {entry.status === "done" ? (
+              <>
+                <Text style={styles.entryName}>{entry.draft.name}</Text>
+                <Text
+                  style={[
+                    styles.entryMeta,
+                    { color: FRESHNESS_COLORS[entry.result.freshness] },
+                  ]}
+                >
+                  {entry.result.freshness} • {entry.draft.days_left} day(s)
+                  left{entry.sample ? " • sample" : ""}
+                </Text>
+              </>
+            ) : entry.status === "error" ? (
+              <Text style={styles.entryError} numberOfLines={2}>
+                {entry.error?.message || "Analysis failed"}
+              </Text>
+            ) : (
+              <Text style={styles.entryMeta}>
+                {entry.status === "analyzing" ? "Analyzing..." : "Waiting..."}
+              </Text>
+            )}
+          </View>
+
+          {entry.added ? (
+            <View style={styles.addedBadge}>
+              <Ionicons name="checkmark" size={16} color={colors.fresh} />
+              <Text style={styles.addedText}>Added</Text>
+            </View>
+          ) : entry.status === "done" ? (
+            <View style={styles.entryActions}>
+              <TouchableOpacity
+                style={styles.iconButton}
+                onPress={() => rejectEntry(entry)}
+              >
+                <Ionicons name="close" size={20} color={colors.error} />
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.iconButton}
+                onPress={() => setEditingId(isEditing ? null : entry.id)}
+              >
+                <Ionicons name="create-outline" size={20} color={colors.info} />
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.iconButton}
+                onPress={() => acceptEntry(entry)}
+              >
+                <Ionicons name="checkmark" size={22} color={colors.fresh} />
+              </TouchableOpacity>
+            </View>
+          ) : entry.status === "error" ? (
+            <View style={styles.entryActions}>
+              <TouchableOpacity
+                style={styles.iconButton}
+                onPress={() => rejectEntry(entry)}
+              >
+                <Ionicons name="close" size={20} color={colors.error} />
+              </TouchableOpacity>
+              {entry.error?.retryable && (
+                <TouchableOpacity
+                  style={styles.iconButton}
+                  onPress={() => retryEntry(entry)}
+                >
+                  <Ionicons name="refresh" size={20} color={colors.info} />
+                </TouchableOpacity>
+              )}
+            </View>
+          ) : (
+            <ActivityIndicator
+              size="small"
+              color={
+                entry.status === "analyzing" ? colors.primary : colors.textHint
+              }
+            />
+          )}
+        </View>
+
+        {isEditing && !entry.added && (
+          <View style={styles.editor}>
+            <TextInput
+              style={[styles.input, styles.nameInput]}
+              value={entry.draft.name}
+              onChangeText={(name) =>
+                updateEntry(entry.id, { draft: { ...entry.draft, name } })
+              }
+              placeholder="Item name"
+              placeholderTextColor={colors.textHint}
+            />
+            <TextInput
+              style={[styles.input, styles.daysInput]}
+              value={String(entry.draft.days_left)}
+              onChangeText={(text) =>
+                updateEntry(entry.id, {
+                  draft: {
+                    ...entry.draft,
+                    days_left: Math.max(0, parseInt(text, 10) || 0),
+                  },
+                })
+              }
+              keyboardType="number-pad"
+              selectTextOnFocus
+            />
+            <Text style={styles.daysLabel}>days</Text>
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      {/* Capture buttons */}
+      <View style={styles.captureRow}>
+        <TouchableOpacity
+          style={[styles.captureOption, { backgroundColor: colors.primary }]}
+          onPress={() => setCapturing(true)}
+        >
+          <Ionicons name="camera" size={24} color={colors.surface} />
+          <Text style={styles.captureOptionText}>Take Photos</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.captureOption, { backgroundColor: colors.info }]}
+          onPress={pickImages}
+        >
+          <Ionicons name="images" size={24} color={colors.surface} />
+          <Text style={styles.captureOptionText}>Pick Several</Text>
+        </TouchableOpacity>
+      </View>
+
+      {entries.length === 0 ? (
+        <Text style={styles.hint}>
+          Shoot each item as you unpack, or pick a set of photos from your
+          gallery. They are analyzed in the background while you keep going.
+        </Text>
+      ) : (
+        <View style={styles.card}>
+          {/* Progress */}
+          <View style={styles.progressHeader}>
+            <Text style={styles.progressText}>
+              {inProgress
+                ? `Analyzing ${analyzedCount} of ${entries.length}...`
+                : `${entries.length} photo(s) analyzed`}
+              {addedCount > 0 ? ` • ${addedCount} added` : ""}
+            </Text>
+            {addedCount > 0 && (
+              <TouchableOpacity onPress={clearFinished}>
+                <Text style={styles.linkText}>Clear added</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+          <View style={styles.progressTrack}>
+            <View
+              style={[
+                styles.progressFill,
+                { width: `${(analyzedCount / entries.length) * 100}%` },
+              ]}
+            />
+          </View>
+
+          {entries.map(renderEntry)}
+
+          <TouchableOpacity
+            style={[
+              styles.acceptAllButton,
+              (readyCount === 0 || isAddingAll) && styles.disabled,
+            ]}
+            onPress={acceptAll}
+            disabled={readyCount === 0 || isAddingAll}
+          >
+            {isAddingAll ? (
+              <ActivityIndicator size="small" color={colors.surface} />
+            ) : (
+              <Ionicons
+                name="checkmark-done"
+                size={20}
+                color={colors.surface}
+              />
+            )}
+            <Text style={styles.acceptAllText}>
+              Accept All ({readyCount})
+            </Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
+      {/* Rapid-fire camera */}
+      <Modal
+        visible={capturing}
+        animationType="slide"
+        onRequestClose={() => setCapturing(false)}
+      >
+        <View style={styles.cameraContainer}>
+          <CameraView style={styles.camera} facing="back" ref={cameraRef} />
+          <View style={styles.cameraControls}>
+            <TouchableOpacity
+              style={styles.doneButton}
+              onPress={() => setCapturing(false)}
+            >
+              <Text style={styles.doneButtonText}>Done</Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity style={styles.shutter} onPress={takePicture}>
+              <View style={styles.shutterInner} />
+            </TouchableOpacity>
+
+            <View style={styles.counter}>
+              <Text style={styles.counterText}>{entries.length}</Text>
+              <Text style={styles.counterLabel}>photos</Text>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    paddingHorizontal: spacing.lg,
+  },
+  captureRow: {
+    flexDirection: "row",
+    gap: spacing.md,
+    marginBottom: spacing.md,
+  },
+  captureOption: {
+    flex: 1,
+    alignItems: "center",
+    paddingVertical: spacing.lg,
+    borderRadius: borderRadius.lg,
+    ...shadows.medium,
+  },
+  captureOptionText: {
+    ...typography.body,
+    color: colors.surface,
+    fontWeight: "600",
+    marginTop: spacing.xs,
+  },
+  hint: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    textAlign: "center",
+  },
+  card: {
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.lg,
+    padding: spacing.md,
+    marginBottom: spacing.lg,
+    ...shadows.medium,
+  },
+  progressHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginBottom: spacing.xs,
+  },
+  progressText: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    fontWeight: "600",
+  },
+  linkText: {
+    ...typography.caption,
+    color: colors.primary,
+    fontWeight: "600",
+  },
+  progressTrack: {
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: colors.surfaceLight,
+    overflow: "hidden",
+    marginBottom: spacing.sm,
+  },
+  progressFill: {
+    height: "100%",
+    backgroundColor: colors.primary,
+  },
+  entry: {
+    paddingVertical: spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  entryAdded: {
+    opacity: 0.6,
+  },
+  entryRow: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  thumbnail: {
+    width: 52,
+    height: 52,
+    borderRadius: borderRadius.md,
+    marginRight: spacing.sm,
+    backgroundColor: colors.surfaceLight,
+  },
+  entryText: {
+    flex: 1,
+  },
+  entryName: {
+    ...typography.body,
+    fontWeight: "600",
+  },
+  entryMeta: {
+    ...typography.small,
+    color: colors.textSecondary,
+  },
+  entryError: {
+    ...typography.small,
+    color: colors.error,
+    fontWeight: "600",
+  },
+  entryActions: {
+    flexDirection: "row",
+  },
+  iconButton: {
+    padding: spacing.xs,
+    marginLeft: spacing.xs,
+  },
+  addedBadge: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  addedText: {
+    ...typography.small,
+    color: colors.fresh,
+    fontWeight: "600",
+    marginLeft: 2,
+  },
+  editor: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginTop: spacing.sm,
+    marginLeft: 52 + spacing.sm,
+  },
+  input: {
+    ...typography.body,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: borderRadius.md,
+    paddingHorizontal: spacing.sm,
+    paddingVertical: spacing.xs,
+  },
+  nameInput: {
+    flex: 1,
+  },
+  daysInput: {
+    width: 56,
+    textAlign: "right",
+    marginLeft: spacing.sm,
+  },
+  daysLabel: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginLeft: spacing.xs,
+  },
+  acceptAllButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    backgroundColor: colors.success,
+    paddingVertical: spacing.md,
+    borderRadius: borderRadius.md,
+    marginTop: spacing.md,
+  },
+  acceptAllText: {
+    ...typography.body,
+    color: colors.surface,
+    fontWeight: "600",
+    marginLeft: spacing.xs,
+  },
+  disabled: {
+    opacity: 0.5,
+  },
+  cameraContainer: {
+    flex: 1,
+    backgroundColor: "black",
+  },
+  camera: {
+    flex: 1,
+  },
+  cameraControls: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    position: "absolute",
+    bottom: 50,
+    left: 0,
+    right: 0,
+    paddingHorizontal: spacing.xl,
+  },
+  doneButton: {
+    width: 64,
+    height: 50,
+    borderRadius: 25,
+    backgroundColor: "rgba(0,0,0,0.5)",
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  doneButtonText: {
+    ...typography.body,
+    color: colors.surface,
+    fontWeight: "600",
+  },
+  shutter: {
+    width: 80,
+    height: 80,
+    borderRadius: 40,
+    backgroundColor: colors.surface,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  shutterInner: {
+    width: 70,
+    height: 70,
+    borderRadius: 35,
+    backgroundColor: colors.primary,
+  },
+  counter: {
+    width: 64,
+    alignItems: "center",
+  },
+  counterText: {
+    ...typography.h2,
+    color: colors.surface,
+    fontWeight: "bold",
+  },
+  counterLabel: {
+    ...typography.small,
+    color: colors.surface,
+  },
+});
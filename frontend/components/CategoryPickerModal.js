@@ -0,0 +1,131 @@
+/**
+ * CategoryPickerModal Component
+ * Asks which category one or more items should be filed under
+ */
+
+import React from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+} from "react-native";
+import { CATEGORIES } from "../config/pantryOptions";
+import {
+  colors,
+  spacing,
+  borderRadius,
+  shadows,
+  typography,
+} from "../styles/colors";
+
+/**
+ * @param {Array|null} items - Items being recategorized (hidden when null)
+ * @param {Function} onSelect - Called with the chosen category
+ * @param {Function} onCancel - Called when dismissed
+ */
+export default function CategoryPickerModal({ items, onSelect, onCancel }) {
+  if (!items || items.length === 0) return null;
+
+  // Highlight the current category when every item shares it
+  const categories = new Set(items.map((item) => item.category));
+  const current = categories.size === 1 ? [...categories][0] : null;
+
+  const title =
+    items.length === 1
+      ? `Change category of ${items[0].name}`
+      : `Change category of ${items.length} items`;
+
+  return (
+    <Modal visible transparent animationType="fade" onRequestClose={onCancel}>
+      <View style={styles.overlay}>
+        <View style={styles.dialog}>
+          <Text style={styles.title}>{title}</Text>
+
+          <View style={styles.optionsGrid}>
+            {CATEGORIES.map((category) => {
+              const isCurrent = category === current;
+              return (
+                <TouchableOpacity
+                  key={category}
+                  style={[styles.option, isCurrent && styles.optionCurrent]}
+                  onPress={() => onSelect(category)}
+                  disabled={isCurrent}
+                >
+                  <Text
+                    style={[
+                      styles.optionText,
+                      isCurrent && styles.optionTextCurrent,
+                    ]}
+                  >
+                    {category}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+
+          <TouchableOpacity style={styles.cancelButton} onPress={onCancel}>
+            <Text style={styles.cancelButtonText}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: "rgba(0,0,0,0.4)",
+    justifyContent: "center",
+    padding: spacing.lg,
+  },
+  dialog: {
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.lg,
+    padding: spacing.lg,
+    ...shadows.large,
+  },
+  title: {
+    ...typography.h3,
+    marginBottom: spacing.sm,
+  },
+  optionsGrid: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    justifyContent: "space-between",
+  },
+  option: {
+    width: "48%",
+    alignItems: "center",
+    paddingVertical: spacing.sm,
+    marginBottom: spacing.sm,
+    borderWidth: 2,
+    borderColor: colors.primary,
+    borderRadius: borderRadius.md,
+  },
+  optionCurrent: {
+    borderColor: colors.border,
+    backgroundColor: colors.surfaceLight,
+  },
+  optionText: {
+    ...typography.caption,
+    color: colors.primary,
+    fontWeight: "600",
+  },
+  optionTextCurrent: {
+    color: colors.textHint,
+  },
+  cancelButton: {
+    alignSelf: "flex-end",
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+    marginTop: spacing.sm,
+  },
+  cancelButtonText: {
+    ...typography.body,
+    color: colors.textSecondary,
+  },
+});
@@ -0,0 +1,313 @@
+/**
+ * DetectionReview Component
+ * Shows the foods found in one photo: numbered boxes over the image and a
+ * checklist below. Tap a box or a row to tick it, then add the ticked
+ * items to the pantry together.
+ */
+
+import React, { useState, useEffect } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Image,
+  ActivityIndicator,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import {
+  colors,
+  spacing,
+  borderRadius,
+  shadows,
+  typography,
+} from "../styles/colors";
+
+const FRESHNESS_COLORS = {
+  fresh: colors.fresh,
+  ripe: colors.ripe,
+  overripe: colors.overripe,
+  spoiled: colors.spoiled,
+};
+
+/**
+ * @param {string} imageUri - Photo the detections came from
+ * @param {Array} detections - Analysis results, each with a `box`
+ * @param {boolean} submitting - Disables the review while items are added
+ * @param {Function} onSubmit - Called with the ticked detections
+ * @param {Function} onCancel - Called to discard
+ */
+export default function DetectionReview({
+  imageUri,
+  detections,
+  submitting,
+  onSubmit,
+  onCancel,
+}) {
+  const [selected, setSelected] = useState([]);
+  const [aspectRatio, setAspectRatio] = useState(4 / 3);
+
+  // Tick everything that is still safe to eat by default
+  useEffect(() => {
+    setSelected(
+      (detections || [])
+        .map((detection, index) => (detection.safe_to_consume ? index : null))
+        .filter((index) => index !== null)
+    );
+  }, [detections]);
+
+  // Match the preview to the photo's shape so boxes line up exactly
+  useEffect(() => {
+    if (!imageUri) return;
+    Image.getSize(
+      imageUri,
+      (width, height) => height > 0 && setAspectRatio(width / height),
+      () => setAspectRatio(4 / 3)
+    );
+  }, [imageUri]);
+
+  if (!detections) return null;
+
+  const toggle = (index) => {
+    setSelected((current) =>
+      current.includes(index)
+        ? current.filter((value) => value !== index)
+        : [...current, index]
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      {/* Photo with bounding boxes */}
+      <View style={[styles.imageFrame, { aspectRatio }]}>
+        <Image source={{ uri: imageUri }} style={styles.image} />
+        {detections.map((detection, index) =>
+          detection.box ? (
+            <TouchableOpacity
+              key={index}
+              style={[
+                styles.box,
+                {
+                  left: `${detection.box.x * 100}%`,
+                  top: `${detection.box.y * 100}%`,
+                  width: `${detection.box.width * 100}%`,
+                  height: `${detection.box.height * 100}%`,
+                  borderColor: FRESHNESS_COLORS[detection.freshness],
+                  borderStyle: selected.includes(index) ? "solid" : "dashed",
+                },
+              ]}
+              onPress={() => toggle(index)}
+              activeOpacity={0.6}
+            >
+              <View
+                style={[
+                  styles.boxLabel,
+                  {
+                    backgroundColor: FRESHNESS_COLORS[detection.freshness],
+                  },
+                ]}
+              >
+                <Text style={styles.boxLabelText}>{index + 1}</Text>
+              </View>
+            </TouchableOpacity>
+          ) : null
+        )}
+      </View>
+
+      {/* Checklist */}
+      <View style={styles.card}>
+        <Text style={styles.title}>Found {detections.length} item(s)</Text>
+        {detections.length === 0 && (
+          <Text style={styles.emptyText}>
+            No food was recognized. Try a closer or brighter photo.
+          </Text>
+        )}
+        {detections.map((detection, index) => (
+          <TouchableOpacity
+            key={index}
+            style={styles.row}
+            onPress={() => toggle(index)}
+          >
+            <Ionicons
+              name={selected.includes(index) ? "checkbox" : "square-outline"}
+              size={22}
+              color={
+                selected.includes(index) ? colors.primary : colors.textHint
+              }
+            />
+            <View
+              style={[
+                styles.rowNumber,
+                { backgroundColor: FRESHNESS_COLORS[detection.freshness] },
+              ]}
+            >
+              <Text style={styles.rowNumberText}>{index + 1}</Text>
+            </View>
+            <View style={styles.rowText}>
+              <Text style={styles.rowName}>{detection.food_type}</Text>
+              <Text style={styles.rowMeta}>
+                {detection.freshness} • {detection.days_left} day(s) left •{" "}
+                {detection.confidence}% confident
+              </Text>
+              {!detection.safe_to_consume && (
+                <Text style={styles.rowWarning}>Not safe - discard</Text>
+              )}
+            </View>
+          </TouchableOpacity>
+        ))}
+
+        <View style={styles.buttonRow}>
+          <TouchableOpacity
+            style={styles.cancelButton}
+            onPress={onCancel}
+            disabled={submitting}
+          >
+            <Text style={styles.cancelButtonText}>Discard</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[
+              styles.submitButton,
+              (selected.length === 0 || submitting) && styles.disabled,
+            ]}
+            onPress={() =>
+              onSubmit(
+                [...selected].sort((a, b) => a - b).map((i) => detections[i])
+              )
+            }
+            disabled={selected.length === 0 || submitting}
+          >
+            {submitting ? (
+              <ActivityIndicator size="small" color={colors.surface} />
+            ) : (
+              <Ionicons name="add-circle" size={20} color={colors.surface} />
+            )}
+            <Text style={styles.submitButtonText}>
+              Add {selected.length} to Pantry
+            </Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginHorizontal: spacing.lg,
+    marginTop: spacing.lg,
+  },
+  imageFrame: {
+    width: "100%",
+    borderRadius: borderRadius.lg,
+    overflow: "hidden",
+    marginBottom: spacing.md,
+  },
+  image: {
+    width: "100%",
+    height: "100%",
+  },
+  box: {
+    position: "absolute",
+    borderWidth: 2,
+    borderRadius: borderRadius.sm,
+  },
+  boxLabel: {
+    position: "absolute",
+    top: -1,
+    left: -1,
+    minWidth: 20,
+    paddingHorizontal: spacing.xs / 2,
+    borderBottomRightRadius: borderRadius.sm,
+    alignItems: "center",
+  },
+  boxLabelText: {
+    ...typography.small,
+    color: colors.surface,
+    fontWeight: "bold",
+  },
+  card: {
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.lg,
+    padding: spacing.md,
+    marginBottom: spacing.lg,
+    ...shadows.medium,
+  },
+  title: {
+    ...typography.h3,
+    marginBottom: spacing.sm,
+  },
+  emptyText: {
+    ...typography.body,
+    color: colors.textSecondary,
+    textAlign: "center",
+    marginVertical: spacing.md,
+  },
+  row: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  rowNumber: {
+    width: 22,
+    height: 22,
+    borderRadius: 11,
+    justifyContent: "center",
+    alignItems: "center",
+    marginHorizontal: spacing.sm,
+  },
+  rowNumberText: {
+    ...typography.small,
+    color: colors.surface,
+    fontWeight: "bold",
+  },
+  rowText: {
+    flex: 1,
+  },
+  rowName: {
+    ...typography.body,
+    fontWeight: "600",
+  },
+  rowMeta: {
+    ...typography.small,
+    color: colors.textSecondary,
+  },
+  rowWarning: {
+    ...typography.small,
+    color: colors.error,
+    fontWeight: "600",
+  },
+  buttonRow: {
+    flexDirection: "row",
+    justifyContent: "flex-end",
+    alignItems: "center",
+    marginTop: spacing.md,
+    gap: spacing.sm,
+  },
+  cancelButton: {
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+  },
+  cancelButtonText: {
+    ...typography.body,
+    color: colors.textSecondary,
+  },
+  submitButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: colors.primary,
+    paddingHorizontal: spacing.lg,
+    paddingVertical: spacing.sm,
+    borderRadius: borderRadius.md,
+  },
+  submitButtonText: {
+    ...typography.body,
+    color: colors.surface,
+    fontWeight: "600",
+    marginLeft: spacing.xs,
+  },
+  disabled: {
+    opacity: 0.5,
+  },
+});
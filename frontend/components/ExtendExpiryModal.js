@@ -0,0 +1,123 @@
+/**
+ * ExtendExpiryModal Component
+ * Asks how many days to push back the expiry of one or more items
+ */
+
+import React from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+} from "react-native";
+import {
+  colors,
+  spacing,
+  borderRadius,
+  shadows,
+  typography,
+} from "../styles/colors";
+
+const EXTENSIONS = [1, 2, 3, 7];
+
+/**
+ * @param {Array|null} items - Items being extended (hidden when null)
+ * @param {Function} onSelect - Called with the number of days to add
+ * @param {Function} onCancel - Called when dismissed
+ */
+export default function ExtendExpiryModal({ items, onSelect, onCancel }) {
+  if (!items || items.length === 0) return null;
+
+  const title =
+    items.length === 1
+      ? `Extend ${items[0].name} by...`
+      : `Extend ${items.length} items by...`;
+
+  return (
+    <Modal visible transparent animationType="fade" onRequestClose={onCancel}>
+      <View style={styles.overlay}>
+        <View style={styles.dialog}>
+          <Text style={styles.title}>{title}</Text>
+          <Text style={styles.hint}>
+            Each item's expiry date moves back by the same number of days.
+          </Text>
+
+          <View style={styles.optionsRow}>
+            {EXTENSIONS.map((days) => (
+              <TouchableOpacity
+                key={days}
+                style={styles.option}
+                onPress={() => onSelect(days)}
+              >
+                <Text style={styles.optionNumber}>+{days}</Text>
+                <Text style={styles.optionText}>
+                  {days === 1 ? "day" : "days"}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <TouchableOpacity style={styles.cancelButton} onPress={onCancel}>
+            <Text style={styles.cancelButtonText}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: "rgba(0,0,0,0.4)",
+    justifyContent: "center",
+    padding: spacing.lg,
+  },
+  dialog: {
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.lg,
+    padding: spacing.lg,
+    ...shadows.large,
+  },
+  title: {
+    ...typography.h3,
+    marginBottom: spacing.xs,
+  },
+  hint: {
+    ...typography.caption,
+    marginBottom: spacing.sm,
+  },
+  optionsRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    marginTop: spacing.sm,
+  },
+  option: {
+    width: "23%",
+    alignItems: "center",
+    paddingVertical: spacing.md,
+    borderWidth: 2,
+    borderColor: colors.primary,
+    borderRadius: borderRadius.md,
+  },
+  optionNumber: {
+    ...typography.h3,
+    color: colors.primary,
+  },
+  optionText: {
+    ...typography.small,
+    color: colors.primary,
+    fontWeight: "600",
+  },
+  cancelButton: {
+    alignSelf: "flex-end",
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+    marginTop: spacing.sm,
+  },
+  cancelButtonText: {
+    ...typography.body,
+    color: colors.textSecondary,
+  },
+});
@@ -4,7 +4,13 @@
  */
 
 import React from "react";
-import { View, Text, StyleSheet, TouchableOpacity } from "react-native";
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Image,
+} from "react-native";
 import { Ionicons } from "@expo/vector-icons";
 import {
   colors,
@@ -13,8 +19,20 @@ import {
   shadows,
   typography,
 } from "../styles/colors";
+import { pantryService } from "../services/pantryService";
+import { imageStorageService } from "../services/imageStorageService";
+import { STORAGE_LOCATIONS } from "../config/pantryOptions";
 
-export default function FoodCard({ item, onPress }) {
+export default function FoodCard({
+  item,
+  onPress,
+  onUseSome,
+  onFinish,
+  onMove,
+  onOpen,
+  onLongPress,
+  selected,
+}) {
   /**
    * Get status styling based on freshness level
    */
@@ -57,6 +75,11 @@ export default function FoodCard({ item, onPress }) {
   };
 
   const statusStyle = getStatusStyle();
+  const thumbnailUri = imageStorageService.getImageUri(item, "thumbnail");
+  const openedAgo = pantryService.formatOpenedAgo(item);
+  const location = STORAGE_LOCATIONS.find(
+    (option) => option.key === pantryService.getLocation(item)
+  );
 
   /**
    * Format date for display
@@ -69,15 +92,46 @@ export default function FoodCard({ item, onPress }) {
 
   return (
     <TouchableOpacity
-      style={[styles.card, { borderLeftColor: statusStyle.color }]}
+      style={[
+        styles.card,
+        { borderLeftColor: statusStyle.color },
+        selected && styles.cardSelected,
+      ]}
       onPress={() => onPress && onPress(item)}
+      onLongPress={onLongPress ? () => onLongPress(item) : undefined}
       activeOpacity={0.7}
     >
-      {/* Header with name and status icon */}
+      {/* Header with photo, name and status icon */}
       <View style={styles.header}>
+        {selected !== undefined && (
+          <Ionicons
+            name={selected ? "checkbox" : "square-outline"}
+            size={22}
+            color={selected ? colors.primary : colors.textHint}
+            style={styles.checkbox}
+          />
+        )}
+        {thumbnailUri && (
+          <Image source={{ uri: thumbnailUri }} style={styles.thumbnail} />
+        )}
         <View style={styles.titleContainer}>
-          <Text style={styles.itemName}>{item.name}</Text>
-          <Text style={styles.category}>{item.category}</Text>
+          <View style={styles.nameRow}>
+            <Text style={styles.itemName}>{item.name}</Text>
+            {location && (
+              <View style={styles.locationChip}>
+                <Ionicons
+                  name={location.icon}
+                  size={12}
+                  color={colors.textSecondary}
+                />
+                <Text style={styles.locationText}>{location.label}</Text>
+              </View>
+            )}
+          </View>
+          <Text style={styles.category}>
+            {item.category} • {pantryService.formatQuantity(item)}
+            {pantryService.isLowStock(item) ? " • Running low" : ""}
+          </Text>
         </View>
         <View
           style={[
@@ -103,6 +157,13 @@ export default function FoodCard({ item, onPress }) {
             Expires {formatDate(item.expiryDate)}
           </Text>
         )}
+        {openedAgo && <Text style={styles.openedNote}>{openedAgo}</Text>}
+        {item.pausedDaysLeft != null && (
+          <Text style={styles.frozenNote}>
+            Frozen {formatDate(item.frozenDate)} • {item.pausedDaysLeft} days
+            left when thawed
+          </Text>
+        )}
       </View>
 
       {/* Additional info */}
@@ -112,8 +173,49 @@ export default function FoodCard({ item, onPress }) {
         </Text>
       )}
 
-      {/* Added date */}
-      <Text style={styles.addedDate}>Added {formatDate(item.addedDate)}</Text>
+      {/* Added date, who added it, and quick actions */}
+      <Text style={styles.addedDate}>
+        Added {formatDate(item.addedDate)}
+        {item.addedBy?.name ? ` by ${item.addedBy.name}` : ""}
+      </Text>
+      <View style={styles.footer}>
+        {onOpen && !item.openedDate && (
+          <TouchableOpacity
+            style={styles.actionButton}
+            onPress={() => onOpen(item)}
+          >
+            <Ionicons name="open-outline" size={16} color={colors.primary} />
+            <Text style={styles.actionText}>Opened</Text>
+          </TouchableOpacity>
+        )}
+        {onMove && (
+          <TouchableOpacity
+            style={styles.actionButton}
+            onPress={() => onMove(item)}
+          >
+            <Ionicons name="swap-horizontal" size={16} color={colors.primary} />
+            <Text style={styles.actionText}>Move</Text>
+          </TouchableOpacity>
+        )}
+        {onUseSome && (
+          <TouchableOpacity
+            style={styles.actionButton}
+            onPress={() => onUseSome(item)}
+          >
+            <Ionicons name="remove-circle-outline" size={16} color={colors.primary} />
+            <Text style={styles.actionText}>Use some</Text>
+          </TouchableOpacity>
+        )}
+        {onFinish && (
+          <TouchableOpacity
+            style={styles.actionButton}
+            onPress={() => onFinish(item)}
+          >
+            <Ionicons name="checkmark-done" size={16} color={colors.primary} />
+            <Text style={styles.actionText}>Done</Text>
+          </TouchableOpacity>
+        )}
+      </View>
     </TouchableOpacity>
   );
 }
@@ -128,19 +230,51 @@ const styles = StyleSheet.create({
     borderLeftWidth: 4,
     ...shadows.medium,
   },
+  cardSelected: {
+    backgroundColor: colors.freshBg,
+  },
+  checkbox: {
+    marginRight: spacing.sm,
+  },
   header: {
     flexDirection: "row",
     justifyContent: "space-between",
     alignItems: "flex-start",
     marginBottom: spacing.sm,
   },
+  thumbnail: {
+    width: 48,
+    height: 48,
+    borderRadius: borderRadius.md,
+    marginRight: spacing.sm,
+    backgroundColor: colors.surfaceLight,
+  },
   titleContainer: {
     flex: 1,
     marginRight: spacing.sm,
   },
+  nameRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    flexWrap: "wrap",
+    marginBottom: spacing.xs / 2,
+  },
   itemName: {
     ...typography.h3,
-    marginBottom: spacing.xs / 2,
+    marginRight: spacing.sm,
+  },
+  locationChip: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingHorizontal: spacing.xs,
+    paddingVertical: 2,
+    borderRadius: borderRadius.sm,
+    backgroundColor: colors.surfaceLight,
+  },
+  locationText: {
+    ...typography.small,
+    color: colors.textSecondary,
+    marginLeft: 2,
   },
   category: {
     ...typography.caption,
@@ -167,6 +301,16 @@ const styles = StyleSheet.create({
     ...typography.caption,
     color: colors.textSecondary,
   },
+  openedNote: {
+    ...typography.caption,
+    color: colors.overripe,
+    marginTop: spacing.xs / 2,
+  },
+  frozenNote: {
+    ...typography.caption,
+    color: colors.info,
+    marginTop: spacing.xs / 2,
+  },
   notes: {
     ...typography.caption,
     color: colors.textSecondary,
@@ -174,8 +318,30 @@ const styles = StyleSheet.create({
     marginBottom: spacing.sm,
     lineHeight: 18,
   },
+  footer: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    justifyContent: "flex-end",
+  },
   addedDate: {
     ...typography.small,
     color: colors.textHint,
+    marginBottom: spacing.xs,
+  },
+  actionButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingHorizontal: spacing.sm,
+    paddingVertical: spacing.xs,
+    borderRadius: borderRadius.md,
+    backgroundColor: colors.freshBg,
+    marginLeft: spacing.xs,
+    marginTop: spacing.xs / 2,
+  },
+  actionText: {
+    ...typography.small,
+    color: colors.primaryDark,
+    fontWeight: "600",
+    marginLeft: spacing.xs / 2,
   },
 });
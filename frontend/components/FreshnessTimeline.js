@@ -0,0 +1,132 @@
+/**
+ * FreshnessTimeline Component
+ * Every scan of a pantry item, newest first, with how each one moved the
+ * expected expiry date
+ */
+
+import React from "react";
+import { View, Text, StyleSheet, Image } from "react-native";
+import { imageStorageService } from "../services/imageStorageService";
+import { pantryService } from "../services/pantryService";
+import {
+  colors,
+  spacing,
+  borderRadius,
+  shadows,
+  typography,
+} from "../styles/colors";
+
+const FRESHNESS_COLORS = {
+  fresh: colors.fresh,
+  ripe: colors.ripe,
+  overripe: colors.overripe,
+  spoiled: colors.spoiled,
+};
+
+/**
+ * How a scan moved the expected expiry compared with the one before
+ */
+const describeShift = (shiftDays) => {
+  if (shiftDays === null) return "First scan";
+  if (shiftDays === 0) return "On track with the last scan";
+  const days = Math.abs(shiftDays);
+  return shiftDays > 0
+    ? `Keeping ${days} day(s) longer than expected`
+    : `Going off ${days} day(s) sooner than expected`;
+};
+
+/**
+ * @param {Object} item - Pantry item
+ */
+export default function FreshnessTimeline({ item }) {
+  const timeline = pantryService.getFreshnessTimeline(item).reverse();
+  if (timeline.length === 0) return null;
+
+  return (
+    <View style={styles.card}>
+      <Text style={styles.title}>Freshness Timeline</Text>
+      {timeline.map((scan) => {
+        const thumbnailUri = imageStorageService.getImageUri(scan, "thumbnail");
+        return (
+          <View key={scan.id} style={styles.row}>
+            <View
+              style={[
+                styles.dot,
+                { backgroundColor: FRESHNESS_COLORS[scan.freshness] },
+              ]}
+            />
+            {thumbnailUri && (
+              <Image source={{ uri: thumbnailUri }} style={styles.thumbnail} />
+            )}
+            <View style={styles.rowText}>
+              <Text style={styles.rowTitle}>
+                {scan.scannedAt.toLocaleDateString()} • {scan.freshness}
+              </Text>
+              <Text style={styles.rowMeta}>
+                {scan.days_left} day(s) left • {scan.confidence}% confident
+              </Text>
+              <Text
+                style={[styles.shift, scan.shiftDays < 0 && styles.shiftWorse]}
+              >
+                {describeShift(scan.shiftDays)}
+              </Text>
+            </View>
+          </View>
+        );
+      })}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  card: {
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.lg,
+    padding: spacing.md,
+    marginBottom: spacing.md,
+    ...shadows.small,
+  },
+  title: {
+    ...typography.h3,
+    marginBottom: spacing.xs,
+  },
+  row: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  dot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    marginRight: spacing.sm,
+  },
+  thumbnail: {
+    width: 40,
+    height: 40,
+    borderRadius: borderRadius.sm,
+    marginRight: spacing.sm,
+  },
+  rowText: {
+    flex: 1,
+  },
+  rowTitle: {
+    ...typography.body,
+    fontWeight: "600",
+    textTransform: "capitalize",
+  },
+  rowMeta: {
+    ...typography.caption,
+    color: colors.textSecondary,
+  },
+  shift: {
+    ...typography.small,
+    color: colors.fresh,
+    marginTop: spacing.xs / 2,
+  },
+  shiftWorse: {
+    color: colors.overripe,
+  },
+});
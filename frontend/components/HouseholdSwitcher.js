@@ -0,0 +1,442 @@
+/**
+ * HouseholdSwitcher Component
+ * Shows the active household and opens a sheet to switch, create, join,
+ * share the invite code and manage member roles
+ */
+
+import React, { useState, useEffect } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  ScrollView,
+  TextInput,
+  Alert,
+  Share,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { householdService } from "../services/householdService";
+import { authService } from "../services/authService";
+import {
+  colors,
+  spacing,
+  borderRadius,
+  shadows,
+  typography,
+} from "../styles/colors";
+
+const ROLE_COLORS = {
+  owner: colors.primary,
+  editor: colors.info,
+  viewer: colors.textSecondary,
+};
+
+export default function HouseholdSwitcher({ household }) {
+  const [visible, setVisible] = useState(false);
+  const [households, setHouseholds] = useState([]);
+  const [newName, setNewName] = useState("");
+  const [inviteCode, setInviteCode] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  // Only listen to the household list while the sheet is open
+  useEffect(() => {
+    if (!visible) return undefined;
+    return householdService.subscribeToHouseholds(setHouseholds);
+  }, [visible]);
+
+  /**
+   * Run a household action with a busy flag and error alert
+   */
+  const runAction = async (action) => {
+    setBusy(true);
+    try {
+      await action();
+    } catch (error) {
+      Alert.alert("Household Error", error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSwitch = (householdId) =>
+    runAction(async () => {
+      await householdService.setActiveHousehold(householdId);
+      setVisible(false);
+    });
+
+  const handleCreate = () => {
+    if (!newName.trim()) return;
+    runAction(async () => {
+      await householdService.createHousehold(newName);
+      setNewName("");
+      setVisible(false);
+    });
+  };
+
+  const handleJoin = () => {
+    if (!inviteCode.trim()) return;
+    runAction(async () => {
+      await householdService.joinHousehold(inviteCode);
+      setInviteCode("");
+      setVisible(false);
+    });
+  };
+
+  const handleShareCode = () => {
+    Share.share({
+      message: `Join our FreshB4 pantry "${household.name}" with invite code ${household.inviteCode}`,
+    });
+  };
+
+  const handleRegenerateCode = () =>
+    runAction(() => householdService.regenerateInviteCode(household.id));
+
+  const handleLeave = () => {
+    Alert.alert("Leave Household", `Leave "${household.name}"?`, [
+      { text: "Cancel", style: "cancel" },
+      {
+        text: "Leave",
+        style: "destructive",
+        onPress: () =>
+          runAction(async () => {
+            await householdService.leaveHousehold(household.id);
+            setVisible(false);
+          }),
+      },
+    ]);
+  };
+
+  /**
+   * Owner actions for another member: change role or remove
+   */
+  const handleMemberPress = (member) => {
+    if (!householdService.can("manage") || member.role === "owner") return;
+
+    const nextRole = member.role === "editor" ? "viewer" : "editor";
+    Alert.alert(member.name, `Current role: ${member.role}`, [
+      { text: "Cancel", style: "cancel" },
+      {
+        text: `Make ${nextRole}`,
+        onPress: () =>
+          runAction(() =>
+            householdService.setMemberRole(household.id, member.uid, nextRole)
+          ),
+      },
+      {
+        text: "Remove",
+        style: "destructive",
+        onPress: () =>
+          runAction(() =>
+            householdService.removeMember(household.id, member.uid)
+          ),
+      },
+    ]);
+  };
+
+  if (!household) return null;
+
+  const isOwner = household.role === "owner";
+  const currentUserId = authService.getCurrentUser()?.uid;
+
+  return (
+    <>
+      <TouchableOpacity style={styles.bar} onPress={() => setVisible(true)}>
+        <Ionicons name="home" size={18} color={colors.primary} />
+        <Text style={styles.barName} numberOfLines={1}>
+          {household.name}
+        </Text>
+        <View
+          style={[
+            styles.roleBadge,
+            { backgroundColor: ROLE_COLORS[household.role] },
+          ]}
+        >
+          <Text style={styles.roleBadgeText}>{household.role}</Text>
+        </View>
+        <Ionicons name="chevron-down" size={18} color={colors.textSecondary} />
+      </TouchableOpacity>
+
+      <Modal
+        visible={visible}
+        animationType="slide"
+        transparent
+        onRequestClose={() => setVisible(false)}
+      >
+        <View style={styles.overlay}>
+          <View style={styles.sheet}>
+            <View style={styles.sheetHeader}>
+              <Text style={styles.sheetTitle}>Households</Text>
+              <TouchableOpacity onPress={() => setVisible(false)}>
+                <Ionicons name="close" size={24} color={colors.textSecondary} />
+              </TouchableOpacity>
+            </View>
+
+            <ScrollView keyboardShouldPersistTaps="handled">
+              {/* Household list */}
+              {households.map((item) => (
+                <TouchableOpacity
+                  key={item.id}
+                  style={styles.householdRow}
+                  onPress={() => handleSwitch(item.id)}
+                  disabled={busy || item.id === household.id}
+                >
+                  <Ionicons
+                    name={
+                      item.id === household.id
+                        ? "radio-button-on"
+                        : "radio-button-off"
+                    }
+                    size={20}
+                    color={colors.primary}
+                  />
+                  <View style={styles.householdInfo}>
+                    <Text style={styles.householdName}>{item.name}</Text>
+                    <Text style={styles.householdMeta}>
+                      {item.members.length} member(s) • {item.role}
+                    </Text>
+                  </View>
+                </TouchableOpacity>
+              ))}
+
+              {/* Active household details */}
+              <Text style={styles.sectionLabel}>Invite Code</Text>
+              <View style={styles.inviteRow}>
+                <Text style={styles.inviteCode}>{household.inviteCode}</Text>
+                <TouchableOpacity
+                  style={styles.iconButton}
+                  onPress={handleShareCode}
+                >
+                  <Ionicons name="share-outline" size={20} color={colors.primary} />
+                </TouchableOpacity>
+                {isOwner && (
+                  <TouchableOpacity
+                    style={styles.iconButton}
+                    onPress={handleRegenerateCode}
+                    disabled={busy}
+                  >
+                    <Ionicons name="refresh" size={20} color={colors.primary} />
+                  </TouchableOpacity>
+                )}
+              </View>
+
+              <Text style={styles.sectionLabel}>Members</Text>
+              {household.members.map((member) => (
+                <TouchableOpacity
+                  key={member.uid}
+                  style={styles.memberRow}
+                  onPress={() => handleMemberPress(member)}
+                  disabled={!isOwner || member.uid === currentUserId}
+                >
+                  <Text style={styles.memberName}>
+                    {member.name}
+                    {member.uid === currentUserId ? " (you)" : ""}
+                  </Text>
+                  <Text
+                    style={[styles.memberRole, { color: ROLE_COLORS[member.role] }]}
+                  >
+                    {member.role}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+
+              {!isOwner && (
+                <TouchableOpacity style={styles.leaveButton} onPress={handleLeave}>
+                  <Ionicons name="exit-outline" size={18} color={colors.error} />
+                  <Text style={styles.leaveButtonText}>Leave Household</Text>
+                </TouchableOpacity>
+              )}
+
+              {/* Create / join */}
+              <Text style={styles.sectionLabel}>Create a Household</Text>
+              <View style={styles.inputRow}>
+                <TextInput
+                  style={styles.input}
+                  placeholder="e.g. Apartment 4B"
+                  placeholderTextColor={colors.textHint}
+                  value={newName}
+                  onChangeText={setNewName}
+                />
+                <TouchableOpacity
+                  style={styles.inputButton}
+                  onPress={handleCreate}
+                  disabled={busy}
+                >
+                  <Text style={styles.inputButtonText}>Create</Text>
+                </TouchableOpacity>
+              </View>
+
+              <Text style={styles.sectionLabel}>Join with Invite Code</Text>
+              <View style={styles.inputRow}>
+                <TextInput
+                  style={styles.input}
+                  placeholder="ABC123"
+                  placeholderTextColor={colors.textHint}
+                  value={inviteCode}
+                  onChangeText={setInviteCode}
+                  autoCapitalize="characters"
+                />
+                <TouchableOpacity
+                  style={styles.inputButton}
+                  onPress={handleJoin}
+                  disabled={busy}
+                >
+                  <Text style={styles.inputButtonText}>Join</Text>
+                </TouchableOpacity>
+              </View>
+            </ScrollView>
+          </View>
+        </View>
+      </Modal>
+    </>
+  );
+}
+
+const styles = StyleSheet.create({
+  bar: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginHorizontal: spacing.lg,
+    marginBottom: spacing.md,
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.md,
+    ...shadows.small,
+  },
+  barName: {
+    ...typography.body,
+    fontWeight: "600",
+    flex: 1,
+    marginLeft: spacing.xs,
+  },
+  roleBadge: {
+    paddingHorizontal: spacing.sm,
+    paddingVertical: 2,
+    borderRadius: borderRadius.md,
+    marginRight: spacing.xs,
+  },
+  roleBadgeText: {
+    ...typography.small,
+    color: colors.surface,
+    fontWeight: "600",
+    textTransform: "uppercase",
+  },
+  overlay: {
+    flex: 1,
+    backgroundColor: "rgba(0,0,0,0.4)",
+    justifyContent: "flex-end",
+  },
+  sheet: {
+    backgroundColor: colors.background,
+    borderTopLeftRadius: borderRadius.xl,
+    borderTopRightRadius: borderRadius.xl,
+    padding: spacing.lg,
+    maxHeight: "85%",
+  },
+  sheetHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginBottom: spacing.md,
+  },
+  sheetTitle: {
+    ...typography.h2,
+  },
+  householdRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.borderLight,
+  },
+  householdInfo: {
+    marginLeft: spacing.sm,
+    flex: 1,
+  },
+  householdName: {
+    ...typography.body,
+    fontWeight: "600",
+  },
+  householdMeta: {
+    ...typography.small,
+    color: colors.textSecondary,
+  },
+  sectionLabel: {
+    ...typography.caption,
+    fontWeight: "600",
+    textTransform: "uppercase",
+    letterSpacing: 0.5,
+    marginTop: spacing.lg,
+    marginBottom: spacing.sm,
+  },
+  inviteRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.md,
+    padding: spacing.sm,
+  },
+  inviteCode: {
+    ...typography.h3,
+    letterSpacing: 4,
+    flex: 1,
+  },
+  iconButton: {
+    padding: spacing.xs,
+    marginLeft: spacing.xs,
+  },
+  memberRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    paddingVertical: spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.borderLight,
+  },
+  memberName: {
+    ...typography.body,
+  },
+  memberRole: {
+    ...typography.caption,
+    fontWeight: "600",
+    textTransform: "uppercase",
+  },
+  leaveButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginTop: spacing.md,
+    gap: spacing.xs,
+  },
+  leaveButtonText: {
+    ...typography.body,
+    color: colors.error,
+    fontWeight: "600",
+  },
+  inputRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: spacing.sm,
+  },
+  input: {
+    ...typography.body,
+    flex: 1,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: borderRadius.md,
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+    backgroundColor: colors.surface,
+  },
+  inputButton: {
+    backgroundColor: colors.primary,
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+    borderRadius: borderRadius.md,
+  },
+  inputButtonText: {
+    ...typography.body,
+    color: colors.surface,
+    fontWeight: "600",
+  },
+});
@@ -0,0 +1,352 @@
+/**
+ * ItemEditForm Component
+ * Correct what the scanner guessed about a pantry item: name, category,
+ * expiry date, notes, quantity and where it is kept.
+ */
+
+import React, { useState, useEffect } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+  ScrollView,
+  Platform,
+  ActivityIndicator,
+} from "react-native";
+import DateTimePicker from "@react-native-community/datetimepicker";
+import { Ionicons } from "@expo/vector-icons";
+import {
+  CATEGORIES,
+  UNITS,
+  DEFAULT_UNIT,
+  STORAGE_LOCATIONS,
+} from "../config/pantryOptions";
+import { pantryService } from "../services/pantryService";
+import {
+  colors,
+  spacing,
+  borderRadius,
+  shadows,
+  typography,
+} from "../styles/colors";
+
+/**
+ * @param {Object} item - Pantry item being edited
+ * @param {boolean} submitting - Disables the form while saving
+ * @param {Function} onSubmit - Called with { name, category, expiryDate,
+ *   notes, quantity, unit, storageLocation }
+ * @param {Function} onCancel - Called to discard the changes
+ */
+export default function ItemEditForm({ item, submitting, onSubmit, onCancel }) {
+  const [name, setName] = useState("");
+  const [category, setCategory] = useState("Other");
+  const [expiryDate, setExpiryDate] = useState(new Date());
+  const [showDatePicker, setShowDatePicker] = useState(false);
+  const [notes, setNotes] = useState("");
+  const [quantity, setQuantity] = useState("1");
+  const [unit, setUnit] = useState(DEFAULT_UNIT);
+  const [location, setLocation] = useState("fridge");
+
+  // Start from the item's current values
+  useEffect(() => {
+    setName(item.name || "");
+    setCategory(item.category || "Other");
+    setExpiryDate(new Date(item.expiryDate));
+    setNotes(item.notes || "");
+    setQuantity(String(item.quantity ?? 1));
+    setUnit(item.unit || DEFAULT_UNIT);
+    setLocation(pantryService.getLocation(item));
+  }, [item.id]); // only when a different item is opened, not on every sync
+
+  const parsedQuantity = parseFloat(quantity.replace(",", "."));
+  // Finished items go through Done so the outcome is recorded
+  const isValid = name.trim().length > 0 && parsedQuantity > 0;
+  const daysLeft = pantryService.calculateDaysLeft(expiryDate);
+
+  const handleDateChange = (event, date) => {
+    // Android shows a one-off dialog; iOS keeps the picker open inline
+    setShowDatePicker(Platform.OS === "ios");
+    if (event.type === "set" && date) setExpiryDate(date);
+  };
+
+  const handleSubmit = () => {
+    onSubmit({
+      name: name.trim(),
+      category,
+      expiryDate,
+      notes: notes.trim(),
+      quantity: parsedQuantity,
+      unit,
+      storageLocation: location,
+    });
+  };
+
+  /**
+   * Render a row of selectable chips
+   */
+  const renderChips = (options, selected, onSelect) => (
+    <ScrollView
+      horizontal
+      showsHorizontalScrollIndicator={false}
+      contentContainerStyle={styles.chipRow}
+    >
+      {options.map((option) => (
+        <TouchableOpacity
+          key={option.key}
+          style={[styles.chip, selected === option.key && styles.chipActive]}
+          onPress={() => onSelect(option.key)}
+        >
+          <Text
+            style={[
+              styles.chipText,
+              selected === option.key && styles.chipTextActive,
+            ]}
+          >
+            {option.label}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </ScrollView>
+  );
+
+  return (
+    <View style={styles.card}>
+      <Text style={styles.title}>Edit Item</Text>
+
+      <Text style={styles.label}>Name</Text>
+      <TextInput
+        style={styles.input}
+        value={name}
+        onChangeText={setName}
+        placeholder="Item name"
+        placeholderTextColor={colors.textHint}
+      />
+
+      <Text style={styles.label}>Category</Text>
+      {renderChips(
+        CATEGORIES.map((value) => ({ key: value, label: value })),
+        category,
+        setCategory
+      )}
+
+      <Text style={styles.label}>Storage</Text>
+      {renderChips(STORAGE_LOCATIONS, location, setLocation)}
+      {location !== pantryService.getLocation(item) && (
+        <Text style={styles.hint}>
+          The expiry date will be adjusted for the new spot unless you pick
+          one below.
+        </Text>
+      )}
+
+      <Text style={styles.label}>Expires</Text>
+      <TouchableOpacity
+        style={styles.dateButton}
+        onPress={() => setShowDatePicker(true)}
+      >
+        <Ionicons name="calendar" size={18} color={colors.primary} />
+        <Text style={styles.dateText}>{expiryDate.toLocaleDateString()}</Text>
+        <Text style={styles.dateHint}>
+          {daysLeft > 0 ? `${daysLeft} day(s) left` : "expired"}
+        </Text>
+      </TouchableOpacity>
+      {showDatePicker && (
+        <DateTimePicker
+          value={expiryDate}
+          mode="date"
+          display={Platform.OS === "ios" ? "inline" : "default"}
+          onChange={handleDateChange}
+        />
+      )}
+
+      <Text style={styles.label}>Quantity</Text>
+      <View style={styles.quantityRow}>
+        <TextInput
+          style={[styles.input, styles.quantityInput]}
+          value={quantity}
+          onChangeText={setQuantity}
+          keyboardType="decimal-pad"
+          selectTextOnFocus
+        />
+        <TouchableOpacity
+          style={styles.unitButton}
+          onPress={() =>
+            setUnit(UNITS[(UNITS.indexOf(unit) + 1) % UNITS.length])
+          }
+        >
+          <Text style={styles.unitText}>{unit}</Text>
+        </TouchableOpacity>
+      </View>
+      {parsedQuantity === 0 && (
+        <Text style={styles.hint}>
+          Nothing left? Use Done on the pantry list to record it as used up.
+        </Text>
+      )}
+
+      <Text style={styles.label}>Notes</Text>
+      <TextInput
+        style={[styles.input, styles.notesInput]}
+        value={notes}
+        onChangeText={setNotes}
+        placeholder="Anything worth remembering"
+        placeholderTextColor={colors.textHint}
+        multiline
+      />
+
+      <View style={styles.buttonRow}>
+        <TouchableOpacity
+          style={styles.cancelButton}
+          onPress={onCancel}
+          disabled={submitting}
+        >
+          <Text style={styles.cancelButtonText}>Cancel</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[
+            styles.submitButton,
+            (!isValid || submitting) && styles.disabled,
+          ]}
+          onPress={handleSubmit}
+          disabled={!isValid || submitting}
+        >
+          {submitting ? (
+            <ActivityIndicator size="small" color={colors.surface} />
+          ) : (
+            <Ionicons name="checkmark" size={20} color={colors.surface} />
+          )}
+          <Text style={styles.submitButtonText}>Save</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  card: {
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.lg,
+    padding: spacing.lg,
+    marginBottom: spacing.md,
+    ...shadows.medium,
+  },
+  title: {
+    ...typography.h3,
+  },
+  hint: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginTop: spacing.xs,
+  },
+  label: {
+    ...typography.caption,
+    fontWeight: "600",
+    color: colors.textPrimary,
+    marginTop: spacing.md,
+    marginBottom: spacing.xs,
+  },
+  input: {
+    ...typography.body,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: borderRadius.md,
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+  },
+  notesInput: {
+    minHeight: 72,
+    textAlignVertical: "top",
+  },
+  chipRow: {
+    gap: spacing.xs,
+  },
+  chip: {
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.xs,
+    borderRadius: borderRadius.round,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  chipActive: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  chipText: {
+    ...typography.caption,
+    color: colors.textPrimary,
+  },
+  chipTextActive: {
+    color: colors.surface,
+    fontWeight: "600",
+  },
+  dateButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: borderRadius.md,
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+  },
+  dateText: {
+    ...typography.body,
+    marginLeft: spacing.sm,
+    flex: 1,
+  },
+  dateHint: {
+    ...typography.caption,
+    color: colors.textSecondary,
+  },
+  quantityRow: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  quantityInput: {
+    width: 96,
+    textAlign: "right",
+  },
+  unitButton: {
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+    marginLeft: spacing.sm,
+    borderRadius: borderRadius.md,
+    backgroundColor: colors.freshBg,
+  },
+  unitText: {
+    ...typography.body,
+    color: colors.primaryDark,
+    fontWeight: "600",
+  },
+  buttonRow: {
+    flexDirection: "row",
+    justifyContent: "flex-end",
+    alignItems: "center",
+    marginTop: spacing.lg,
+    gap: spacing.sm,
+  },
+  cancelButton: {
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+  },
+  cancelButtonText: {
+    ...typography.body,
+    color: colors.textSecondary,
+  },
+  submitButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: colors.primary,
+    paddingHorizontal: spacing.lg,
+    paddingVertical: spacing.sm,
+    borderRadius: borderRadius.md,
+  },
+  submitButtonText: {
+    ...typography.body,
+    color: colors.surface,
+    fontWeight: "600",
+    marginLeft: spacing.xs,
+  },
+  disabled: {
+    opacity: 0.5,
+  },
+});
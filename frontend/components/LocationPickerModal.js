@@ -0,0 +1,150 @@
+/**
+ * LocationPickerModal Component
+ * Asks where one or more items should be moved: fridge, freezer, pantry
+ * or counter
+ */
+
+import React from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { STORAGE_LOCATIONS } from "../config/pantryOptions";
+import { pantryService } from "../services/pantryService";
+import {
+  colors,
+  spacing,
+  borderRadius,
+  shadows,
+  typography,
+} from "../styles/colors";
+
+/**
+ * @param {Array|null} items - Items being moved (hidden when null)
+ * @param {Function} onSelect - Called with the chosen location key
+ * @param {Function} onCancel - Called when dismissed
+ */
+export default function LocationPickerModal({ items, onSelect, onCancel }) {
+  if (!items || items.length === 0) return null;
+
+  // Highlight the current location when every item shares it
+  const locations = new Set(items.map((item) => pantryService.getLocation(item)));
+  const current = locations.size === 1 ? [...locations][0] : null;
+
+  const title =
+    items.length === 1
+      ? `Move ${items[0].name} to...`
+      : `Move ${items.length} items to...`;
+
+  return (
+    <Modal visible transparent animationType="fade" onRequestClose={onCancel}>
+      <View style={styles.overlay}>
+        <View style={styles.dialog}>
+          <Text style={styles.title}>{title}</Text>
+          <Text style={styles.hint}>
+            Expiry dates are adjusted for the new spot. Freezing pauses the
+            countdown until the item comes back out.
+          </Text>
+
+          <View style={styles.optionsGrid}>
+            {STORAGE_LOCATIONS.map((option) => {
+              const isCurrent = option.key === current;
+              return (
+                <TouchableOpacity
+                  key={option.key}
+                  style={[styles.option, isCurrent && styles.optionCurrent]}
+                  onPress={() => onSelect(option.key)}
+                  disabled={isCurrent}
+                >
+                  <Ionicons
+                    name={option.icon}
+                    size={28}
+                    color={isCurrent ? colors.textHint : colors.primary}
+                  />
+                  <Text
+                    style={[
+                      styles.optionText,
+                      isCurrent && styles.optionTextCurrent,
+                    ]}
+                  >
+                    {option.label}
+                    {isCurrent ? " (here)" : ""}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+
+          <TouchableOpacity style={styles.cancelButton} onPress={onCancel}>
+            <Text style={styles.cancelButtonText}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: "rgba(0,0,0,0.4)",
+    justifyContent: "center",
+    padding: spacing.lg,
+  },
+  dialog: {
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.lg,
+    padding: spacing.lg,
+    ...shadows.large,
+  },
+  title: {
+    ...typography.h3,
+    marginBottom: spacing.xs,
+  },
+  hint: {
+    ...typography.caption,
+    marginBottom: spacing.sm,
+  },
+  optionsGrid: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    justifyContent: "space-between",
+    marginTop: spacing.sm,
+  },
+  option: {
+    width: "48%",
+    alignItems: "center",
+    paddingVertical: spacing.md,
+    marginBottom: spacing.sm,
+    borderWidth: 2,
+    borderColor: colors.primary,
+    borderRadius: borderRadius.md,
+  },
+  optionCurrent: {
+    borderColor: colors.border,
+    backgroundColor: colors.surfaceLight,
+  },
+  optionText: {
+    ...typography.caption,
+    color: colors.primary,
+    fontWeight: "600",
+    marginTop: spacing.xs,
+  },
+  optionTextCurrent: {
+    color: colors.textHint,
+  },
+  cancelButton: {
+    alignSelf: "flex-end",
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+    marginTop: spacing.sm,
+  },
+  cancelButtonText: {
+    ...typography.body,
+    color: colors.textSecondary,
+  },
+});
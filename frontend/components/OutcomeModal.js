@@ -0,0 +1,147 @@
+/**
+ * OutcomeModal Component
+ * Asks what happened to one or more items: eaten, thrown away, composted
+ * or donated
+ */
+
+import React from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { OUTCOMES } from "../config/pantryOptions";
+import {
+  colors,
+  spacing,
+  borderRadius,
+  shadows,
+  typography,
+} from "../styles/colors";
+
+const OUTCOME_COLORS = {
+  eaten: colors.fresh,
+  thrown_away: colors.spoiled,
+  composted: colors.primaryDark,
+  donated: colors.info,
+};
+
+/**
+ * @param {Array|null} items - Items the outcome applies to (hidden when null)
+ * @param {Array} outcomeKeys - Optional subset of outcomes to offer
+ * @param {Function} onSelect - Called with the chosen outcome key
+ * @param {Function} onCancel - Called when dismissed
+ */
+export default function OutcomeModal({ items, outcomeKeys, onSelect, onCancel }) {
+  if (!items || items.length === 0) return null;
+
+  const options = outcomeKeys
+    ? OUTCOMES.filter((option) => outcomeKeys.includes(option.key))
+    : OUTCOMES;
+
+  const title =
+    items.length === 1
+      ? `What happened to ${items[0].name}?`
+      : `What happened to these ${items.length} items?`;
+
+  return (
+    <Modal visible transparent animationType="fade" onRequestClose={onCancel}>
+      <View style={styles.overlay}>
+        <View style={styles.dialog}>
+          <Text style={styles.title}>{title}</Text>
+          {items.length > 1 && (
+            <Text style={styles.itemsList} numberOfLines={2}>
+              {items.map((item) => item.name).join(", ")}
+            </Text>
+          )}
+
+          <View style={styles.optionsGrid}>
+            {options.map((option) => (
+              <TouchableOpacity
+                key={option.key}
+                style={[
+                  styles.option,
+                  { borderColor: OUTCOME_COLORS[option.key] },
+                ]}
+                onPress={() => onSelect(option.key)}
+              >
+                <Ionicons
+                  name={option.icon}
+                  size={28}
+                  color={OUTCOME_COLORS[option.key]}
+                />
+                <Text
+                  style={[
+                    styles.optionText,
+                    { color: OUTCOME_COLORS[option.key] },
+                  ]}
+                >
+                  {option.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <TouchableOpacity style={styles.cancelButton} onPress={onCancel}>
+            <Text style={styles.cancelButtonText}>Cancel</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: "rgba(0,0,0,0.4)",
+    justifyContent: "center",
+    padding: spacing.lg,
+  },
+  dialog: {
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.lg,
+    padding: spacing.lg,
+    ...shadows.large,
+  },
+  title: {
+    ...typography.h3,
+    marginBottom: spacing.sm,
+  },
+  itemsList: {
+    ...typography.caption,
+    marginBottom: spacing.sm,
+  },
+  optionsGrid: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    justifyContent: "space-between",
+    marginTop: spacing.sm,
+  },
+  option: {
+    width: "48%",
+    alignItems: "center",
+    paddingVertical: spacing.md,
+    marginBottom: spacing.sm,
+    borderWidth: 2,
+    borderRadius: borderRadius.md,
+  },
+  optionText: {
+    ...typography.caption,
+    fontWeight: "600",
+    marginTop: spacing.xs,
+  },
+  cancelButton: {
+    alignSelf: "flex-end",
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+    marginTop: spacing.sm,
+  },
+  cancelButtonText: {
+    ...typography.body,
+    color: colors.textSecondary,
+  },
+});
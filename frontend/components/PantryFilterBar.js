@@ -0,0 +1,293 @@
+/**
+ * PantryFilterBar Component
+ * Search box plus an expandable panel for filtering the pantry list by
+ * freshness, category and location, and choosing how it is sorted and
+ * grouped
+ */
+
+import React, { useState } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+  ScrollView,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import {
+  CATEGORIES,
+  STORAGE_LOCATIONS,
+  FRESHNESS_LEVELS,
+  SORT_OPTIONS,
+  GROUP_OPTIONS,
+} from "../config/pantryOptions";
+import {
+  pantryFilterService,
+  DEFAULT_FILTERS,
+} from "../services/pantryFilterService";
+import { colors, spacing, borderRadius, typography } from "../styles/colors";
+
+/**
+ * @param {Object} filters - Current filters (see DEFAULT_FILTERS)
+ * @param {Function} onChange - Called with the updated filters
+ * @param {number} shownCount - Items left after filtering
+ * @param {number} totalCount - Items in the pantry
+ */
+export default function PantryFilterBar({
+  filters,
+  onChange,
+  shownCount,
+  totalCount,
+}) {
+  const [expanded, setExpanded] = useState(false);
+  const activeCount = pantryFilterService.countActiveFilters(filters);
+
+  const update = (changes) => onChange({ ...filters, ...changes });
+
+  /**
+   * Add or remove a value from one of the multi-select filters
+   */
+  const toggle = (field, value) => {
+    const values = filters[field];
+    update({
+      [field]: values.includes(value)
+        ? values.filter((current) => current !== value)
+        : [...values, value],
+    });
+  };
+
+  /**
+   * Render a labelled row of chips
+   */
+  const renderChips = (label, options, isActive, onPress) => (
+    <View style={styles.chipSection}>
+      <Text style={styles.chipLabel}>{label}</Text>
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        contentContainerStyle={styles.chipRow}
+      >
+        {options.map((option) => (
+          <TouchableOpacity
+            key={option.key}
+            style={[styles.chip, isActive(option.key) && styles.chipActive]}
+            onPress={() => onPress(option.key)}
+          >
+            <Text
+              style={[
+                styles.chipText,
+                isActive(option.key) && styles.chipTextActive,
+              ]}
+            >
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.searchRow}>
+        <View style={styles.searchBox}>
+          <Ionicons name="search" size={18} color={colors.textHint} />
+          <TextInput
+            style={styles.searchInput}
+            value={filters.query}
+            onChangeText={(query) => update({ query })}
+            placeholder="Search pantry"
+            placeholderTextColor={colors.textHint}
+            returnKeyType="search"
+            autoCorrect={false}
+          />
+          {filters.query.length > 0 && (
+            <TouchableOpacity onPress={() => update({ query: "" })}>
+              <Ionicons name="close-circle" size={18} color={colors.textHint} />
+            </TouchableOpacity>
+          )}
+        </View>
+        <TouchableOpacity
+          style={[styles.filterButton, expanded && styles.filterButtonActive]}
+          onPress={() => setExpanded(!expanded)}
+        >
+          <Ionicons
+            name="options-outline"
+            size={20}
+            color={expanded ? colors.surface : colors.primary}
+          />
+          {activeCount > 0 && (
+            <View style={styles.badge}>
+              <Text style={styles.badgeText}>{activeCount}</Text>
+            </View>
+          )}
+        </TouchableOpacity>
+      </View>
+
+      {expanded && (
+        <View style={styles.panel}>
+          {renderChips(
+            "Sort by",
+            SORT_OPTIONS,
+            (key) => filters.sort === key,
+            (sort) => update({ sort })
+          )}
+          {renderChips(
+            "Group by",
+            GROUP_OPTIONS,
+            (key) => filters.group === key,
+            (group) => update({ group })
+          )}
+          {renderChips(
+            "Freshness",
+            FRESHNESS_LEVELS,
+            (key) => filters.freshness.includes(key),
+            (key) => toggle("freshness", key)
+          )}
+          {renderChips(
+            "Category",
+            CATEGORIES.map((category) => ({ key: category, label: category })),
+            (key) => filters.categories.includes(key),
+            (key) => toggle("categories", key)
+          )}
+          {renderChips(
+            "Location",
+            STORAGE_LOCATIONS,
+            (key) => filters.locations.includes(key),
+            (key) => toggle("locations", key)
+          )}
+          {activeCount > 0 && (
+            <TouchableOpacity
+              style={styles.clearButton}
+              onPress={() =>
+                update({
+                  freshness: DEFAULT_FILTERS.freshness,
+                  categories: DEFAULT_FILTERS.categories,
+                  locations: DEFAULT_FILTERS.locations,
+                })
+              }
+            >
+              <Text style={styles.clearButtonText}>Clear filters</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+
+      {(activeCount > 0 || filters.query.trim().length > 0) && (
+        <Text style={styles.resultCount}>
+          Showing {shownCount} of {totalCount} items
+        </Text>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginHorizontal: spacing.lg,
+    marginBottom: spacing.sm,
+  },
+  searchRow: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  searchBox: {
+    flex: 1,
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.md,
+    borderWidth: 1,
+    borderColor: colors.border,
+    paddingHorizontal: spacing.sm,
+  },
+  searchInput: {
+    ...typography.body,
+    flex: 1,
+    paddingVertical: spacing.sm,
+    marginHorizontal: spacing.xs,
+  },
+  filterButton: {
+    width: 42,
+    height: 42,
+    marginLeft: spacing.sm,
+    borderRadius: borderRadius.md,
+    borderWidth: 1,
+    borderColor: colors.primary,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  filterButtonActive: {
+    backgroundColor: colors.primary,
+  },
+  badge: {
+    position: "absolute",
+    top: -6,
+    right: -6,
+    minWidth: 18,
+    height: 18,
+    borderRadius: 9,
+    paddingHorizontal: 4,
+    backgroundColor: colors.error,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  badgeText: {
+    ...typography.small,
+    color: colors.surface,
+    fontWeight: "bold",
+  },
+  panel: {
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.md,
+    padding: spacing.sm,
+    marginTop: spacing.sm,
+  },
+  chipSection: {
+    marginBottom: spacing.sm,
+  },
+  chipLabel: {
+    ...typography.small,
+    color: colors.textSecondary,
+    fontWeight: "600",
+    marginBottom: spacing.xs,
+  },
+  chipRow: {
+    gap: spacing.xs,
+  },
+  chip: {
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.xs,
+    borderRadius: borderRadius.round,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  chipActive: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  chipText: {
+    ...typography.caption,
+    color: colors.textPrimary,
+  },
+  chipTextActive: {
+    color: colors.surface,
+    fontWeight: "600",
+  },
+  clearButton: {
+    alignSelf: "flex-end",
+    paddingHorizontal: spacing.sm,
+    paddingVertical: spacing.xs,
+  },
+  clearButtonText: {
+    ...typography.caption,
+    color: colors.primary,
+    fontWeight: "600",
+  },
+  resultCount: {
+    ...typography.small,
+    color: colors.textSecondary,
+    marginTop: spacing.xs,
+  },
+});
@@ -0,0 +1,258 @@
+/**
+ * ProductForm Component
+ * Review a barcode product before it goes into the pantry. Pre-filled from
+ * the product catalog or from a photo of the package; edits are saved back
+ * to the catalog for next time.
+ */
+
+import React, { useState, useEffect } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+  ScrollView,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { CATEGORIES, STORAGE_LOCATIONS } from "../config/pantryOptions";
+import {
+  colors,
+  spacing,
+  borderRadius,
+  shadows,
+  typography,
+} from "../styles/colors";
+
+/**
+ * @param {Object} product - { barcode, name, category, shelfLifeDays, storageLocation, source }
+ * @param {boolean} isNew - True when the code wasn't in the catalog yet
+ * @param {Function} onSubmit - Called with the edited product
+ * @param {Function} onCancel - Called to discard
+ */
+export default function ProductForm({ product, isNew, onSubmit, onCancel }) {
+  const [name, setName] = useState("");
+  const [category, setCategory] = useState("Other");
+  const [location, setLocation] = useState("pantry");
+  const [days, setDays] = useState("");
+
+  // Reset the fields whenever a different product is loaded
+  useEffect(() => {
+    if (product) {
+      setName(product.name || "");
+      setCategory(product.category || "Other");
+      setLocation(product.storageLocation || "pantry");
+      setDays(String(product.shelfLifeDays ?? ""));
+    }
+  }, [product]);
+
+  if (!product) return null;
+
+  const parsedDays = parseInt(days, 10);
+  const isValid = name.trim().length > 0 && parsedDays >= 0;
+
+  const handleSubmit = () => {
+    onSubmit({
+      ...product,
+      name: name.trim(),
+      category,
+      storageLocation: location,
+      shelfLifeDays: parsedDays,
+    });
+  };
+
+  /**
+   * Render a row of selectable chips
+   */
+  const renderChips = (options, selected, onSelect) => (
+    <ScrollView
+      horizontal
+      showsHorizontalScrollIndicator={false}
+      contentContainerStyle={styles.chipRow}
+    >
+      {options.map((option) => (
+        <TouchableOpacity
+          key={option.key}
+          style={[styles.chip, selected === option.key && styles.chipActive]}
+          onPress={() => onSelect(option.key)}
+        >
+          <Text
+            style={[
+              styles.chipText,
+              selected === option.key && styles.chipTextActive,
+            ]}
+          >
+            {option.label}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </ScrollView>
+  );
+
+  return (
+    <View style={styles.card}>
+      <View style={styles.header}>
+        <Ionicons
+          name={isNew ? "sparkles" : "barcode"}
+          size={22}
+          color={colors.primary}
+        />
+        <View style={styles.headerText}>
+          <Text style={styles.title}>
+            {isNew ? "New product" : "Product found"}
+          </Text>
+          <Text style={styles.barcode}>{product.barcode}</Text>
+        </View>
+      </View>
+      {isNew && (
+        <Text style={styles.hint}>
+          Identified from your photo. Check the details - they'll be remembered
+          next time you scan this code.
+        </Text>
+      )}
+
+      <Text style={styles.label}>Name</Text>
+      <TextInput
+        style={styles.input}
+        value={name}
+        onChangeText={setName}
+        placeholder="Product name"
+        placeholderTextColor={colors.textHint}
+      />
+
+      <Text style={styles.label}>Category</Text>
+      {renderChips(
+        CATEGORIES.map((value) => ({ key: value, label: value })),
+        category,
+        setCategory
+      )}
+
+      <Text style={styles.label}>Storage</Text>
+      {renderChips(STORAGE_LOCATIONS, location, setLocation)}
+
+      <Text style={styles.label}>Keeps for (days)</Text>
+      <TextInput
+        style={styles.input}
+        value={days}
+        onChangeText={setDays}
+        keyboardType="number-pad"
+        selectTextOnFocus
+      />
+
+      <View style={styles.buttonRow}>
+        <TouchableOpacity style={styles.cancelButton} onPress={onCancel}>
+          <Text style={styles.cancelButtonText}>Cancel</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.submitButton, !isValid && styles.disabled]}
+          onPress={handleSubmit}
+          disabled={!isValid}
+        >
+          <Ionicons name="add-circle" size={20} color={colors.surface} />
+          <Text style={styles.submitButtonText}>Add to Pantry</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  card: {
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.lg,
+    padding: spacing.lg,
+    marginHorizontal: spacing.lg,
+    marginBottom: spacing.lg,
+    ...shadows.medium,
+  },
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginBottom: spacing.sm,
+  },
+  headerText: {
+    marginLeft: spacing.sm,
+  },
+  title: {
+    ...typography.h3,
+  },
+  barcode: {
+    ...typography.small,
+    color: colors.textSecondary,
+    letterSpacing: 1,
+  },
+  hint: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginBottom: spacing.sm,
+  },
+  label: {
+    ...typography.caption,
+    fontWeight: "600",
+    color: colors.textPrimary,
+    marginTop: spacing.md,
+    marginBottom: spacing.xs,
+  },
+  input: {
+    ...typography.body,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: borderRadius.md,
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+  },
+  chipRow: {
+    gap: spacing.xs,
+  },
+  chip: {
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.xs,
+    borderRadius: borderRadius.round,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  chipActive: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  chipText: {
+    ...typography.caption,
+    color: colors.textPrimary,
+  },
+  chipTextActive: {
+    color: colors.surface,
+    fontWeight: "600",
+  },
+  buttonRow: {
+    flexDirection: "row",
+    justifyContent: "flex-end",
+    alignItems: "center",
+    marginTop: spacing.lg,
+    gap: spacing.sm,
+  },
+  cancelButton: {
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+  },
+  cancelButtonText: {
+    ...typography.body,
+    color: colors.textSecondary,
+  },
+  submitButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: colors.primary,
+    paddingHorizontal: spacing.lg,
+    paddingVertical: spacing.sm,
+    borderRadius: borderRadius.md,
+  },
+  submitButtonText: {
+    ...typography.body,
+    color: colors.surface,
+    fontWeight: "600",
+    marginLeft: spacing.xs,
+  },
+  disabled: {
+    opacity: 0.5,
+  },
+});
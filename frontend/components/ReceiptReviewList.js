@@ -0,0 +1,436 @@
+/**
+ * ReceiptReviewList Component
+ * Editable list of the lines read off a grocery receipt. The user can fix
+ * names, amounts, prices and categories, untick lines to skip, and add
+ * everything to the pantry at once.
+ */
+
+import React, { useState, useEffect } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+  ScrollView,
+  ActivityIndicator,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { CATEGORIES, UNITS, DEFAULT_UNIT } from "../config/pantryOptions";
+import {
+  colors,
+  spacing,
+  borderRadius,
+  shadows,
+  typography,
+} from "../styles/colors";
+
+let nextRowKey = 0;
+
+/**
+ * Editable copy of a receipt line. Numbers are kept as strings while editing.
+ */
+const toRow = (item) => ({
+  key: `row-${nextRowKey++}`,
+  included: true,
+  name: item.name || "",
+  quantity: String(item.quantity ?? 1),
+  unit: item.unit || DEFAULT_UNIT,
+  price: item.price != null ? String(item.price) : "",
+  category: item.category || "Other",
+});
+
+const parseNumber = (text) => parseFloat(String(text).replace(",", "."));
+
+/**
+ * @param {Object} receipt - { store, items } from GeminiService.parseReceipt
+ * @param {boolean} submitting - Disables the list while items are added
+ * @param {Function} onSubmit - Called with the ticked items, ready for
+ *   PantryService.addItems
+ * @param {Function} onCancel - Called to discard the receipt
+ */
+export default function ReceiptReviewList({
+  receipt,
+  submitting,
+  onSubmit,
+  onCancel,
+}) {
+  const [rows, setRows] = useState([]);
+  const [categoryRowKey, setCategoryRowKey] = useState(null);
+
+  // Start from the parsed lines whenever a new receipt comes in
+  useEffect(() => {
+    setRows((receipt?.items || []).map(toRow));
+    setCategoryRowKey(null);
+  }, [receipt]);
+
+  if (!receipt) return null;
+
+  const updateRow = (key, changes) => {
+    setRows((current) =>
+      current.map((row) => (row.key === key ? { ...row, ...changes } : row))
+    );
+  };
+
+  const cycleUnit = (row) => {
+    const next = UNITS[(UNITS.indexOf(row.unit) + 1) % UNITS.length];
+    updateRow(row.key, { unit: next });
+  };
+
+  const addRow = () => {
+    setRows((current) => [...current, toRow({ name: "", quantity: 1 })]);
+  };
+
+  const selectedRows = rows.filter(
+    (row) => row.included && row.name.trim().length > 0
+  );
+  const total = selectedRows.reduce(
+    (sum, row) => sum + (parseNumber(row.price) || 0),
+    0
+  );
+
+  const handleSubmit = () => {
+    onSubmit(
+      selectedRows.map((row) => {
+        const quantity = parseNumber(row.quantity);
+        const price = parseNumber(row.price);
+        return {
+          name: row.name.trim(),
+          quantity: quantity > 0 ? quantity : 1,
+          unit: row.unit,
+          price: price > 0 ? price : null,
+          category: row.category,
+        };
+      })
+    );
+  };
+
+  return (
+    <View style={styles.card}>
+      <View style={styles.header}>
+        <Ionicons name="receipt" size={22} color={colors.primary} />
+        <View style={styles.headerText}>
+          <Text style={styles.title}>Review Receipt</Text>
+          <Text style={styles.subtitle}>
+            {receipt.store ? `${receipt.store} • ` : ""}
+            {rows.length} line(s) found. Untick anything you don't want to add.
+          </Text>
+        </View>
+      </View>
+
+      {rows.length === 0 && (
+        <Text style={styles.emptyText}>
+          No food items were found on this receipt. Add lines by hand or try a
+          clearer photo.
+        </Text>
+      )}
+
+      {rows.map((row) => (
+        <View
+          key={row.key}
+          style={[styles.row, !row.included && styles.rowExcluded]}
+        >
+          <View style={styles.rowMain}>
+            <TouchableOpacity
+              onPress={() => updateRow(row.key, { included: !row.included })}
+              style={styles.checkbox}
+            >
+              <Ionicons
+                name={row.included ? "checkbox" : "square-outline"}
+                size={22}
+                color={row.included ? colors.primary : colors.textHint}
+              />
+            </TouchableOpacity>
+            <TextInput
+              style={[styles.input, styles.nameInput]}
+              value={row.name}
+              onChangeText={(name) => updateRow(row.key, { name })}
+              placeholder="Item name"
+              placeholderTextColor={colors.textHint}
+            />
+          </View>
+
+          <View style={styles.rowDetails}>
+            <TextInput
+              style={[styles.input, styles.numberInput]}
+              value={row.quantity}
+              onChangeText={(quantity) => updateRow(row.key, { quantity })}
+              keyboardType="decimal-pad"
+              selectTextOnFocus
+            />
+            <TouchableOpacity
+              style={styles.unitButton}
+              onPress={() => cycleUnit(row)}
+            >
+              <Text style={styles.unitText}>{row.unit}</Text>
+            </TouchableOpacity>
+            <Text style={styles.currency}>$</Text>
+            <TextInput
+              style={[styles.input, styles.numberInput]}
+              value={row.price}
+              onChangeText={(price) => updateRow(row.key, { price })}
+              keyboardType="decimal-pad"
+              placeholder="0.00"
+              placeholderTextColor={colors.textHint}
+              selectTextOnFocus
+            />
+            <TouchableOpacity
+              style={styles.categoryButton}
+              onPress={() =>
+                setCategoryRowKey(categoryRowKey === row.key ? null : row.key)
+              }
+            >
+              <Text style={styles.categoryText} numberOfLines={1}>
+                {row.category}
+              </Text>
+              <Ionicons
+                name={categoryRowKey === row.key ? "chevron-up" : "chevron-down"}
+                size={14}
+                color={colors.primary}
+              />
+            </TouchableOpacity>
+          </View>
+
+          {categoryRowKey === row.key && (
+            <ScrollView
+              horizontal
+              showsHorizontalScrollIndicator={false}
+              contentContainerStyle={styles.chipRow}
+            >
+              {CATEGORIES.map((category) => (
+                <TouchableOpacity
+                  key={category}
+                  style={[
+                    styles.chip,
+                    row.category === category && styles.chipActive,
+                  ]}
+                  onPress={() => {
+                    updateRow(row.key, { category });
+                    setCategoryRowKey(null);
+                  }}
+                >
+                  <Text
+                    style={[
+                      styles.chipText,
+                      row.category === category && styles.chipTextActive,
+                    ]}
+                  >
+                    {category}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </ScrollView>
+          )}
+        </View>
+      ))}
+
+      <TouchableOpacity style={styles.addRowButton} onPress={addRow}>
+        <Ionicons name="add" size={18} color={colors.primary} />
+        <Text style={styles.addRowText}>Add a line</Text>
+      </TouchableOpacity>
+
+      <Text style={styles.total}>
+        {selectedRows.length} item(s) • ${total.toFixed(2)}
+      </Text>
+
+      <View style={styles.buttonRow}>
+        <TouchableOpacity
+          style={styles.cancelButton}
+          onPress={onCancel}
+          disabled={submitting}
+        >
+          <Text style={styles.cancelButtonText}>Discard</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[
+            styles.submitButton,
+            (selectedRows.length === 0 || submitting) && styles.disabled,
+          ]}
+          onPress={handleSubmit}
+          disabled={selectedRows.length === 0 || submitting}
+        >
+          {submitting ? (
+            <ActivityIndicator size="small" color={colors.surface} />
+          ) : (
+            <Ionicons name="add-circle" size={20} color={colors.surface} />
+          )}
+          <Text style={styles.submitButtonText}>
+            Add {selectedRows.length} to Pantry
+          </Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  card: {
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.lg,
+    padding: spacing.md,
+    marginHorizontal: spacing.lg,
+    marginBottom: spacing.lg,
+    ...shadows.medium,
+  },
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginBottom: spacing.md,
+  },
+  headerText: {
+    flex: 1,
+    marginLeft: spacing.sm,
+  },
+  title: {
+    ...typography.h3,
+  },
+  subtitle: {
+    ...typography.caption,
+    color: colors.textSecondary,
+  },
+  emptyText: {
+    ...typography.body,
+    color: colors.textSecondary,
+    textAlign: "center",
+    marginVertical: spacing.md,
+  },
+  row: {
+    paddingVertical: spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  rowExcluded: {
+    opacity: 0.5,
+  },
+  rowMain: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  checkbox: {
+    marginRight: spacing.xs,
+  },
+  rowDetails: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginTop: spacing.xs,
+    marginLeft: 22 + spacing.xs,
+  },
+  input: {
+    ...typography.body,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: borderRadius.md,
+    paddingHorizontal: spacing.sm,
+    paddingVertical: spacing.xs,
+  },
+  nameInput: {
+    flex: 1,
+  },
+  numberInput: {
+    width: 64,
+    textAlign: "right",
+  },
+  unitButton: {
+    paddingHorizontal: spacing.sm,
+    paddingVertical: spacing.xs,
+    marginLeft: spacing.xs,
+    borderRadius: borderRadius.md,
+    backgroundColor: colors.freshBg,
+  },
+  unitText: {
+    ...typography.caption,
+    color: colors.primaryDark,
+    fontWeight: "600",
+  },
+  currency: {
+    ...typography.body,
+    color: colors.textSecondary,
+    marginLeft: spacing.sm,
+    marginRight: spacing.xs / 2,
+  },
+  categoryButton: {
+    flex: 1,
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "flex-end",
+    marginLeft: spacing.sm,
+  },
+  categoryText: {
+    ...typography.caption,
+    color: colors.primary,
+    fontWeight: "600",
+    marginRight: spacing.xs / 2,
+  },
+  chipRow: {
+    gap: spacing.xs,
+    marginTop: spacing.sm,
+  },
+  chip: {
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.xs,
+    borderRadius: borderRadius.round,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  chipActive: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  chipText: {
+    ...typography.caption,
+    color: colors.textPrimary,
+  },
+  chipTextActive: {
+    color: colors.surface,
+    fontWeight: "600",
+  },
+  addRowButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    alignSelf: "flex-start",
+    paddingVertical: spacing.sm,
+  },
+  addRowText: {
+    ...typography.caption,
+    color: colors.primary,
+    fontWeight: "600",
+    marginLeft: spacing.xs / 2,
+  },
+  total: {
+    ...typography.body,
+    fontWeight: "600",
+    textAlign: "right",
+  },
+  buttonRow: {
+    flexDirection: "row",
+    justifyContent: "flex-end",
+    alignItems: "center",
+    marginTop: spacing.md,
+    gap: spacing.sm,
+  },
+  cancelButton: {
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+  },
+  cancelButtonText: {
+    ...typography.body,
+    color: colors.textSecondary,
+  },
+  submitButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: colors.primary,
+    paddingHorizontal: spacing.lg,
+    paddingVertical: spacing.sm,
+    borderRadius: borderRadius.md,
+  },
+  submitButtonText: {
+    ...typography.body,
+    color: colors.surface,
+    fontWeight: "600",
+    marginLeft: spacing.xs,
+  },
+  disabled: {
+    opacity: 0.5,
+  },
+});
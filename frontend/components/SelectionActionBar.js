@@ -0,0 +1,170 @@
+/**
+ * SelectionActionBar Component
+ * Bottom bar shown while picking several pantry items, with the actions
+ * that can be applied to all of them at once
+ */
+
+import React from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { householdService } from "../services/householdService";
+import {
+  colors,
+  spacing,
+  borderRadius,
+  shadows,
+  typography,
+} from "../styles/colors";
+
+// Bulk actions and the permission each one needs
+const ACTIONS = [
+  { key: "eaten", label: "Eaten", icon: "restaurant", permission: "delete" },
+  { key: "dispose", label: "Disposed", icon: "trash", permission: "delete" },
+  { key: "freezer", label: "Freeze", icon: "snow", permission: "update" },
+  {
+    key: "category",
+    label: "Category",
+    icon: "pricetag-outline",
+    permission: "update",
+  },
+  {
+    key: "extend",
+    label: "Extend",
+    icon: "calendar-outline",
+    permission: "update",
+  },
+  {
+    key: "delete",
+    label: "Delete",
+    icon: "close-circle-outline",
+    permission: "delete",
+  },
+];
+
+/**
+ * @param {number} selectedCount - Number of items picked
+ * @param {boolean} allSelected - Whether every visible item is picked
+ * @param {Function} onToggleAll - Select or clear every visible item
+ * @param {Function} onClose - Leave selection mode
+ * @param {Function} onAction - Called with the chosen action key
+ */
+export default function SelectionActionBar({
+  selectedCount,
+  allSelected,
+  onToggleAll,
+  onClose,
+  onAction,
+}) {
+  const actions = ACTIONS.filter((action) =>
+    householdService.can(action.permission)
+  );
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.topRow}>
+        <TouchableOpacity onPress={onClose} accessibilityLabel="Cancel">
+          <Ionicons name="close" size={22} color={colors.textSecondary} />
+        </TouchableOpacity>
+        <Text style={styles.count}>{selectedCount} selected</Text>
+        <TouchableOpacity onPress={onToggleAll}>
+          <Text style={styles.toggleAllText}>
+            {allSelected ? "Clear all" : "Select all"}
+          </Text>
+        </TouchableOpacity>
+      </View>
+
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        contentContainerStyle={styles.actionsRow}
+      >
+        {actions.map((action) => (
+          <TouchableOpacity
+            key={action.key}
+            style={[
+              styles.actionButton,
+              selectedCount === 0 && styles.disabled,
+            ]}
+            onPress={() => onAction(action.key)}
+            disabled={selectedCount === 0}
+          >
+            <Ionicons
+              name={action.icon}
+              size={20}
+              color={action.key === "delete" ? colors.error : colors.primary}
+            />
+            <Text
+              style={[
+                styles.actionText,
+                action.key === "delete" && styles.deleteText,
+              ]}
+            >
+              {action.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    position: "absolute",
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: colors.surface,
+    borderTopLeftRadius: borderRadius.lg,
+    borderTopRightRadius: borderRadius.lg,
+    paddingTop: spacing.sm,
+    paddingBottom: spacing.md,
+    ...shadows.large,
+  },
+  topRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingHorizontal: spacing.lg,
+    marginBottom: spacing.sm,
+  },
+  count: {
+    ...typography.h3,
+    flex: 1,
+    marginLeft: spacing.sm,
+  },
+  toggleAllText: {
+    ...typography.body,
+    color: colors.primary,
+    fontWeight: "600",
+  },
+  actionsRow: {
+    paddingHorizontal: spacing.md,
+    gap: spacing.xs,
+  },
+  actionButton: {
+    alignItems: "center",
+    minWidth: 64,
+    paddingHorizontal: spacing.sm,
+    paddingVertical: spacing.xs,
+    borderRadius: borderRadius.md,
+    backgroundColor: colors.surfaceLight,
+  },
+  actionText: {
+    ...typography.small,
+    color: colors.primaryDark,
+    fontWeight: "600",
+    marginTop: 2,
+  },
+  deleteText: {
+    color: colors.error,
+  },
+  disabled: {
+    opacity: 0.4,
+  },
+});
@@ -0,0 +1,122 @@
+/**
+ * SyncStatusBar Component
+ * Shows whether local pantry changes have reached the cloud
+ */
+
+import React, { useState, useEffect } from "react";
+import { View, Text, StyleSheet, TouchableOpacity } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { syncService } from "../services/syncService";
+import {
+  colors,
+  spacing,
+  borderRadius,
+  typography,
+} from "../styles/colors";
+
+const STATUS_STYLES = {
+  synced: {
+    icon: "cloud-done-outline",
+    color: colors.success,
+    backgroundColor: colors.freshBg,
+  },
+  syncing: {
+    icon: "sync",
+    color: colors.info,
+    backgroundColor: colors.surfaceLight,
+  },
+  pending: {
+    icon: "cloud-upload-outline",
+    color: colors.info,
+    backgroundColor: colors.surfaceLight,
+  },
+  offline: {
+    icon: "cloud-offline-outline",
+    color: colors.overripe,
+    backgroundColor: colors.overripeBg,
+  },
+  error: {
+    icon: "alert-circle-outline",
+    color: colors.error,
+    backgroundColor: colors.spoiledBg,
+  },
+  dropped: {
+    icon: "warning-outline",
+    color: colors.error,
+    backgroundColor: colors.spoiledBg,
+  },
+};
+
+export default function SyncStatusBar() {
+  const [status, setStatus] = useState(syncService.getStatus());
+
+  useEffect(() => syncService.subscribeToStatus(setStatus), []);
+
+  /**
+   * Build the status message for the current sync state
+   */
+  const getMessage = () => {
+    const pending = `${status.pendingCount} change(s)`;
+    switch (status.state) {
+      case "offline":
+        return status.pendingCount > 0
+          ? `Offline • ${pending} will sync when you reconnect`
+          : "Offline • Showing saved pantry";
+      case "syncing":
+        return `Syncing ${pending}...`;
+      case "pending":
+        return `${pending} waiting to sync`;
+      case "error":
+        return `Sync failed • ${pending} waiting. Tap to retry`;
+      case "dropped":
+        return (
+          `${status.droppedCount} change(s) could not be saved and were ` +
+          "discarded. Tap to dismiss"
+        );
+      default:
+        return "All changes synced";
+    }
+  };
+
+  const statusStyle = STATUS_STYLES[status.state] || STATUS_STYLES.synced;
+
+  return (
+    <TouchableOpacity
+      style={[styles.container, { backgroundColor: statusStyle.backgroundColor }]}
+      onPress={() =>
+        status.state === "dropped"
+          ? syncService.dismissDropped()
+          : syncService.flush()
+      }
+      disabled={!["error", "pending", "dropped"].includes(status.state)}
+      activeOpacity={0.7}
+    >
+      <Ionicons name={statusStyle.icon} size={16} color={statusStyle.color} />
+      <View style={styles.textContainer}>
+        <Text style={[styles.text, { color: statusStyle.color }]}>
+          {getMessage()}
+        </Text>
+      </View>
+    </TouchableOpacity>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginHorizontal: spacing.lg,
+    marginBottom: spacing.md,
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.xs,
+    borderRadius: borderRadius.md,
+  },
+  textContainer: {
+    flex: 1,
+    marginLeft: spacing.xs,
+  },
+  text: {
+    ...typography.small,
+    fontWeight: "600",
+  },
+});
@@ -0,0 +1,77 @@
+/**
+ * UndoSnackbar Component
+ * Short message at the bottom of the screen with an Undo button, hidden
+ * again after a few seconds
+ */
+
+import React, { useEffect } from "react";
+import { View, Text, StyleSheet, TouchableOpacity } from "react-native";
+import {
+  colors,
+  spacing,
+  borderRadius,
+  shadows,
+  typography,
+} from "../styles/colors";
+
+const VISIBLE_MS = 6000;
+
+/**
+ * @param {Object|null} snackbar - { key, message } to show (hidden when null).
+ *   A new key restarts the timer.
+ * @param {Function} onUndo - Called when Undo is pressed
+ * @param {Function} onDismiss - Called when the snackbar times out
+ */
+export default function UndoSnackbar({ snackbar, onUndo, onDismiss }) {
+  const key = snackbar?.key;
+
+  useEffect(() => {
+    if (!key) return undefined;
+    const timer = setTimeout(onDismiss, VISIBLE_MS);
+    return () => clearTimeout(timer);
+  }, [key]);
+
+  if (!snackbar) return null;
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.message} numberOfLines={2}>
+        {snackbar.message}
+      </Text>
+      <TouchableOpacity style={styles.undoButton} onPress={onUndo}>
+        <Text style={styles.undoText}>UNDO</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    position: "absolute",
+    left: spacing.md,
+    // Stay clear of the floating add button
+    right: spacing.lg + 56 + spacing.sm,
+    bottom: spacing.lg,
+    flexDirection: "row",
+    alignItems: "center",
+    backgroundColor: colors.textPrimary,
+    borderRadius: borderRadius.md,
+    paddingLeft: spacing.md,
+    paddingVertical: spacing.xs,
+    ...shadows.large,
+  },
+  message: {
+    ...typography.body,
+    color: colors.textInverse,
+    flex: 1,
+  },
+  undoButton: {
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+  },
+  undoText: {
+    ...typography.body,
+    color: colors.primaryLight,
+    fontWeight: "bold",
+  },
+});
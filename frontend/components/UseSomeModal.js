@@ -0,0 +1,195 @@
+/**
+ * UseSomeModal Component
+ * Lets the user record how much of a pantry item they used
+ */
+
+import React, { useState, useEffect } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  TextInput,
+} from "react-native";
+import { pantryService } from "../services/pantryService";
+import {
+  colors,
+  spacing,
+  borderRadius,
+  shadows,
+  typography,
+} from "../styles/colors";
+
+export default function UseSomeModal({ item, onConfirm, onCancel }) {
+  const [amount, setAmount] = useState("1");
+
+  // Reset the amount whenever a different item is opened
+  useEffect(() => {
+    if (item) {
+      setAmount(String(Math.min(1, item.quantity ?? 1)));
+    }
+  }, [item]);
+
+  if (!item) return null;
+
+  const quantity = item.quantity ?? 1;
+  const unit = item.unit || "item";
+  const parsedAmount = parseFloat(amount.replace(",", "."));
+  const isValid = parsedAmount > 0;
+
+  // Quick picks: one unit (for countable items), half, and everything
+  const quickAmounts = [
+    unit === "item" || unit === "pack"
+      ? { label: `1 ${unit}`, value: Math.min(1, quantity) }
+      : null,
+    { label: "Half", value: Math.round((quantity / 2) * 100) / 100 },
+    { label: "All", value: quantity },
+  ].filter(Boolean);
+
+  return (
+    <Modal visible transparent animationType="fade" onRequestClose={onCancel}>
+      <View style={styles.overlay}>
+        <View style={styles.dialog}>
+          <Text style={styles.title}>Use {item.name}</Text>
+          <Text style={styles.subtitle}>
+            {pantryService.formatQuantity(item)} left
+          </Text>
+
+          <View style={styles.quickRow}>
+            {quickAmounts.map((quick) => (
+              <TouchableOpacity
+                key={quick.label}
+                style={styles.quickButton}
+                onPress={() => setAmount(String(quick.value))}
+              >
+                <Text style={styles.quickButtonText}>{quick.label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <View style={styles.inputRow}>
+            <TextInput
+              style={styles.input}
+              value={amount}
+              onChangeText={setAmount}
+              keyboardType="decimal-pad"
+              selectTextOnFocus
+            />
+            <Text style={styles.unitText}>{unit}</Text>
+          </View>
+
+          {isValid && parsedAmount >= quantity && (
+            <Text style={styles.hint}>
+              This uses everything - the item will leave your pantry.
+            </Text>
+          )}
+
+          <View style={styles.buttonRow}>
+            <TouchableOpacity style={styles.cancelButton} onPress={onCancel}>
+              <Text style={styles.cancelButtonText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.confirmButton, !isValid && styles.disabled]}
+              onPress={() => onConfirm(item, parsedAmount)}
+              disabled={!isValid}
+            >
+              <Text style={styles.confirmButtonText}>Use</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: "rgba(0,0,0,0.4)",
+    justifyContent: "center",
+    padding: spacing.lg,
+  },
+  dialog: {
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.lg,
+    padding: spacing.lg,
+    ...shadows.large,
+  },
+  title: {
+    ...typography.h3,
+    marginBottom: spacing.xs,
+  },
+  subtitle: {
+    ...typography.caption,
+    marginBottom: spacing.md,
+  },
+  quickRow: {
+    flexDirection: "row",
+    gap: spacing.sm,
+    marginBottom: spacing.md,
+  },
+  quickButton: {
+    flex: 1,
+    alignItems: "center",
+    paddingVertical: spacing.sm,
+    borderRadius: borderRadius.md,
+    backgroundColor: colors.freshBg,
+  },
+  quickButtonText: {
+    ...typography.caption,
+    color: colors.primaryDark,
+    fontWeight: "600",
+  },
+  inputRow: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  input: {
+    ...typography.h3,
+    flex: 1,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: borderRadius.md,
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+  },
+  unitText: {
+    ...typography.body,
+    marginLeft: spacing.sm,
+    color: colors.textSecondary,
+  },
+  hint: {
+    ...typography.small,
+    color: colors.overripe,
+    marginTop: spacing.sm,
+  },
+  buttonRow: {
+    flexDirection: "row",
+    justifyContent: "flex-end",
+    marginTop: spacing.lg,
+    gap: spacing.sm,
+  },
+  cancelButton: {
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+  },
+  cancelButtonText: {
+    ...typography.body,
+    color: colors.textSecondary,
+  },
+  confirmButton: {
+    backgroundColor: colors.primary,
+    paddingHorizontal: spacing.lg,
+    paddingVertical: spacing.sm,
+    borderRadius: borderRadius.md,
+  },
+  confirmButtonText: {
+    ...typography.body,
+    color: colors.surface,
+    fontWeight: "600",
+  },
+  disabled: {
+    opacity: 0.5,
+  },
+});
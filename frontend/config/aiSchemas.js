@@ -0,0 +1,192 @@
+/**
+ * AI Schemas - Response formats for Gemini structured output
+ * Each schema is sent with its request as the responseSchema, so the model
+ * answers with JSON of exactly that shape, and the same schema is used to
+ * check the answer before the app reads it.
+ */
+
+import { Type } from "@google/genai";
+import { CATEGORIES, UNITS } from "./pantryOptions";
+
+export const FRESHNESS_VALUES = ["fresh", "ripe", "overripe", "spoiled"];
+export const DIFFICULTY_VALUES = ["Easy", "Medium", "Hard"];
+export const PRIORITY_VALUES = ["high", "medium", "low"];
+
+/**
+ * Object schema with every property required, generated in the order the
+ * properties are declared
+ */
+function object(properties) {
+  const keys = Object.keys(properties);
+  return {
+    type: Type.OBJECT,
+    properties,
+    required: keys,
+    propertyOrdering: keys,
+  };
+}
+
+const text = (description) => ({ type: Type.STRING, description });
+
+const oneOf = (values) => ({ type: Type.STRING, enum: values });
+
+const listOf = (items, description) => ({
+  type: Type.ARRAY,
+  items,
+  description,
+});
+
+const FOOD_ANALYSIS_PROPERTIES = {
+  food_type: text("Specific food item identified"),
+  category: oneOf(CATEGORIES),
+  freshness: oneOf(FRESHNESS_VALUES),
+  safe_to_consume: { type: Type.BOOLEAN },
+  days_left: {
+    type: Type.INTEGER,
+    minimum: 0,
+    description: "Estimated days until spoilage, 0 if already spoiled",
+  },
+  confidence: {
+    type: Type.INTEGER,
+    minimum: 0,
+    maximum: 100,
+    description: "Confidence in this assessment, from 0 to 100",
+  },
+  recommendation: text("Recommendation for the person holding the food"),
+  storage_tip: text("Optimal storage advice"),
+  details: text("What was observed in the photo"),
+};
+
+// One food in one photo (analyzeFood)
+export const FOOD_ANALYSIS_SCHEMA = object(FOOD_ANALYSIS_PROPERTIES);
+
+// Every food in one photo, each with where it is (analyzeMultipleFoods)
+export const FOOD_DETECTION_SCHEMA = object({
+  items: listOf(
+    object({
+      ...FOOD_ANALYSIS_PROPERTIES,
+      box_2d: {
+        type: Type.ARRAY,
+        items: { type: Type.INTEGER, minimum: 0, maximum: 1000 },
+        minItems: "4",
+        maxItems: "4",
+        description:
+          "Bounding box as [ymin, xmin, ymax, xmax], each normalized to 0-1000",
+      },
+    }),
+    "Each distinct food item, listed once"
+  ),
+});
+
+// Food lines on a grocery receipt (parseReceipt)
+export const RECEIPT_SCHEMA = object({
+  store: text("Store name if visible, otherwise an empty string"),
+  items: listOf(
+    object({
+      name: text(
+        'Plain product name a person would use, e.g. "Greek Yogurt" ' +
+          'not "GRK YOG 500G"'
+      ),
+      quantity: {
+        type: Type.NUMBER,
+        minimum: 0,
+        description: "How many were bought, or the weight or volume",
+      },
+      unit: oneOf(UNITS),
+      price: {
+        type: Type.NUMBER,
+        minimum: 0,
+        nullable: true,
+        description: "Total paid for this line, in the receipt's currency",
+      },
+      category: oneOf(CATEGORIES),
+    })
+  ),
+});
+
+// Recipe suggestions for the pantry (getRecipes)
+export const RECIPES_SCHEMA = object({
+  recipes: listOf(
+    object({
+      name: text("Recipe name"),
+      description: text("Brief description"),
+      cookTime: text('Total time, e.g. "15 minutes"'),
+      difficulty: oneOf(DIFFICULTY_VALUES),
+      ingredients: listOf({ type: Type.STRING }),
+      instructions: listOf({ type: Type.STRING }),
+      priority: oneOf(PRIORITY_VALUES),
+    })
+  ),
+  urgent_items_used: {
+    type: Type.INTEGER,
+    minimum: 0,
+    description: "How many of the urgent items the recipes use",
+  },
+  message: text("Helpful message about how the ingredients were used"),
+});
+
+/**
+ * Check a parsed response against a schema
+ * @param {*} value - Parsed JSON
+ * @param {Object} schema - One of the schemas above
+ * @param {string} path - Where value sits in the response, for messages
+ * @returns {Array<string>} Problems found, empty when the value matches
+ */
+export function validateSchema(value, schema, path = "response") {
+  if (value === null || value === undefined) {
+    return schema.nullable ? [] : [`${path} is missing`];
+  }
+
+  switch (schema.type) {
+    case Type.OBJECT: {
+      if (typeof value !== "object" || Array.isArray(value)) {
+        return [`${path} should be an object`];
+      }
+      return Object.entries(schema.properties).flatMap(([key, property]) =>
+        value[key] === undefined && !schema.required.includes(key)
+          ? []
+          : validateSchema(value[key], property, `${path}.${key}`)
+      );
+    }
+    case Type.ARRAY: {
+      if (!Array.isArray(value)) return [`${path} should be a list`];
+      const issues = [];
+      if (schema.minItems && value.length < Number(schema.minItems)) {
+        issues.push(`${path} should have at least ${schema.minItems} entries`);
+      }
+      if (schema.maxItems && value.length > Number(schema.maxItems)) {
+        issues.push(`${path} should have at most ${schema.maxItems} entries`);
+      }
+      return [
+        ...issues,
+        ...value.flatMap((entry, index) =>
+          validateSchema(entry, schema.items, `${path}[${index}]`)
+        ),
+      ];
+    }
+    case Type.STRING:
+      if (typeof value !== "string") return [`${path} should be text`];
+      return schema.enum && !schema.enum.includes(value)
+        ? [`${path} has an unexpected value "${value}"`]
+        : [];
+    case Type.NUMBER:
+    case Type.INTEGER:
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        return [`${path} should be a number`];
+      }
+      if (schema.type === Type.INTEGER && !Number.isInteger(value)) {
+        return [`${path} should be a whole number`];
+      }
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        return [`${path} should be at least ${schema.minimum}`];
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        return [`${path} should be at most ${schema.maximum}`];
+      }
+      return [];
+    case Type.BOOLEAN:
+      return typeof value === "boolean" ? [] : [`${path} should be true/false`];
+    default:
+      return [];
+  }
+}
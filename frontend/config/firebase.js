@@ -1,10 +1,14 @@
 /**
  * Firebase Configuration for FreshB4
- * Simple setup for hackathon demo - no authentication needed
+ * Firestore for pantry data, Firebase Auth for per-user accounts and
+ * Firebase Storage for scan photos
  */
 
 import { initializeApp } from "firebase/app";
 import { getFirestore, connectFirestoreEmulator } from "firebase/firestore";
+import { initializeAuth, getReactNativePersistence } from "firebase/auth";
+import { getStorage } from "firebase/storage";
+import AsyncStorage from "@react-native-async-storage/async-storage";
 
 // Firebase config - Using environment variables
 const firebaseConfig = {
@@ -29,6 +33,14 @@ const app = initializeApp(firebaseConfig);
 // Initialize Firestore
 export const db = getFirestore(app);
 
+// Initialize Auth - persist the session so users stay signed in across restarts
+export const auth = initializeAuth(app, {
+  persistence: getReactNativePersistence(AsyncStorage),
+});
+
+// Initialize Storage for pantry item photos
+export const storage = getStorage(app);
+
 // For development: Use Firestore emulator if running locally
 // Uncomment the line below if you want to use the emulator for testing
 // connectFirestoreEmulator(db, 'localhost', 8080);
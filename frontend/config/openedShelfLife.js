@@ -0,0 +1,62 @@
+/**
+ * Opened Shelf Life - How long foods keep once the package is opened
+ *
+ * Days assume the opened item is kept in the fridge. Entries are matched
+ * against the item name by keyword; the longest matching keyword wins so
+ * "almond milk" beats "milk". Categories without a matching entry fall back
+ * to OPENED_CATEGORY_DAYS.
+ */
+
+export const OPENED_SHELF_LIFE = [
+  // Dairy
+  { keywords: ["milk"], days: 5 },
+  { keywords: ["almond milk", "oat milk", "soy milk"], days: 7 },
+  { keywords: ["cream", "half and half"], days: 5 },
+  { keywords: ["sour cream"], days: 10 },
+  // Kept frozen, so it lasts far longer than the "cream" entry suggests
+  { keywords: ["ice cream"], days: 60 },
+  { keywords: ["yogurt", "yoghurt"], days: 5 },
+  { keywords: ["cottage cheese", "ricotta"], days: 5 },
+  { keywords: ["mozzarella", "feta", "brie", "cream cheese"], days: 7 },
+  { keywords: ["cheese"], days: 21 },
+  { keywords: ["butter"], days: 30 },
+
+  // Meat and fish
+  { keywords: ["deli", "ham", "turkey slices", "salami", "lunch meat"], days: 4 },
+  { keywords: ["bacon", "sausage", "hot dog"], days: 7 },
+  { keywords: ["smoked salmon"], days: 3 },
+  { keywords: ["tuna", "canned fish", "sardines"], days: 3 },
+
+  // Sauces and condiments
+  { keywords: ["pasta sauce", "marinara", "tomato sauce", "pesto"], days: 5 },
+  { keywords: ["salsa", "hummus", "dip", "guacamole"], days: 5 },
+  { keywords: ["ketchup", "mustard", "soy sauce", "hot sauce"], days: 180 },
+  { keywords: ["mayonnaise", "mayo"], days: 60 },
+  { keywords: ["jam", "jelly", "preserves"], days: 180 },
+  { keywords: ["salad dressing", "dressing"], days: 60 },
+  { keywords: ["coconut milk", "broth", "stock"], days: 4 },
+
+  // Drinks and other
+  { keywords: ["juice"], days: 7 },
+  { keywords: ["wine"], days: 4 },
+  { keywords: ["tofu"], days: 4 },
+  { keywords: ["bread", "tortilla"], days: 7 },
+  { keywords: ["chips", "crackers", "cereal"], days: 14 },
+  { keywords: ["canned", "beans"], days: 4 },
+];
+
+// Fallback when no keyword matches
+export const OPENED_CATEGORY_DAYS = {
+  Fruits: 3,
+  Vegetables: 4,
+  Dairy: 5,
+  Meat: 3,
+  Seafood: 2,
+  Bakery: 5,
+  Grains: 60,
+  Beverages: 7,
+  Condiments: 30,
+  Frozen: 3,
+  Snacks: 14,
+  Other: 7,
+};
@@ -0,0 +1,81 @@
+/**
+ * Pantry Options - Shared choices for pantry item fields
+ */
+
+// Units a quantity can be recorded in. "item" is used for countable things
+// like eggs or apples.
+export const UNITS = ["item", "g", "kg", "ml", "L", "oz", "lb", "pack"];
+
+export const DEFAULT_UNIT = "item";
+
+export const CATEGORIES = [
+  "Fruits",
+  "Vegetables",
+  "Dairy",
+  "Meat",
+  "Seafood",
+  "Bakery",
+  "Grains",
+  "Beverages",
+  "Condiments",
+  "Frozen",
+  "Snacks",
+  "Other",
+];
+
+// How an item leaves the pantry. Wasted outcomes count against the
+// household in waste analytics.
+export const OUTCOMES = [
+  { key: "eaten", label: "Eaten", icon: "restaurant", wasted: false },
+  { key: "thrown_away", label: "Thrown Away", icon: "trash", wasted: true },
+  { key: "composted", label: "Composted", icon: "leaf", wasted: true },
+  { key: "donated", label: "Donated", icon: "heart", wasted: false },
+];
+
+// Where an item is kept. Shelf life depends heavily on it.
+export const STORAGE_LOCATIONS = [
+  { key: "fridge", label: "Fridge", icon: "thermometer-outline" },
+  { key: "freezer", label: "Freezer", icon: "snow" },
+  { key: "pantry", label: "Pantry", icon: "file-tray-stacked-outline" },
+  { key: "counter", label: "Counter", icon: "nutrition-outline" },
+];
+
+// Where each category usually lives when it comes home from the store
+export const DEFAULT_LOCATIONS = {
+  Fruits: "counter",
+  Vegetables: "fridge",
+  Dairy: "fridge",
+  Meat: "fridge",
+  Seafood: "fridge",
+  Bakery: "counter",
+  Grains: "pantry",
+  Beverages: "pantry",
+  Condiments: "pantry",
+  Frozen: "freezer",
+  Snacks: "pantry",
+  Other: "pantry",
+};
+
+// Freshness levels for filtering, from PantryService.getFreshnessLevel
+export const FRESHNESS_LEVELS = [
+  { key: "spoiled", label: "Spoiled", icon: "warning" },
+  { key: "urgent", label: "Use today", icon: "time" },
+  { key: "soon", label: "Expiring soon", icon: "alert-circle" },
+  { key: "fresh", label: "Fresh", icon: "checkmark-circle" },
+];
+
+// Ways to order the pantry list
+export const SORT_OPTIONS = [
+  { key: "expiry", label: "Expiry" },
+  { key: "name", label: "Name" },
+  { key: "added", label: "Date added" },
+  { key: "category", label: "Category" },
+];
+
+// Ways to split the pantry list into collapsible sections
+export const GROUP_OPTIONS = [
+  { key: "none", label: "No groups" },
+  { key: "location", label: "Location" },
+  { key: "category", label: "Category" },
+  { key: "freshness", label: "Freshness" },
+];
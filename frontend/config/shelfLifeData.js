@@ -0,0 +1,115 @@
+/**
+ * Shelf Life Data - Bundled guide to how long common foods keep
+ *
+ * Each food lists typical days of good quality in the places it is normally
+ * stored, starting from when it is bought fresh. Locations left out are
+ * derived from the fridge value with LOCATION_MULTIPLIERS, or from
+ * FREEZER_DAYS for the freezer (see shelfLifeFactors.js).
+ *
+ * Values are conservative home-storage guidelines, not safety guarantees.
+ */
+
+export const FOOD_SHELF_LIFE = [
+  // Fruits
+  { name: "apple", aliases: ["apples"], category: "Fruits", location: "fridge", days: { fridge: 30, counter: 7 } },
+  { name: "banana", aliases: ["bananas"], category: "Fruits", location: "counter", days: { counter: 5, fridge: 7 } },
+  { name: "orange", aliases: ["mandarin", "clementine", "tangerine"], category: "Fruits", location: "fridge", days: { fridge: 21, counter: 7 } },
+  { name: "lemon", aliases: ["lime"], category: "Fruits", location: "fridge", days: { fridge: 28, counter: 7 } },
+  { name: "grapes", aliases: ["grape"], category: "Fruits", location: "fridge", days: { fridge: 7, counter: 2 } },
+  { name: "strawberries", aliases: ["strawberry"], category: "Fruits", location: "fridge", days: { fridge: 4, counter: 1 } },
+  { name: "blueberries", aliases: ["blueberry", "berries", "raspberries", "blackberries"], category: "Fruits", location: "fridge", days: { fridge: 7, counter: 1 } },
+  { name: "avocado", aliases: ["avocados"], category: "Fruits", location: "counter", days: { counter: 4, fridge: 7 } },
+  { name: "pear", aliases: ["pears"], category: "Fruits", location: "counter", days: { counter: 4, fridge: 10 } },
+  { name: "peach", aliases: ["nectarine", "plum", "apricot"], category: "Fruits", location: "counter", days: { counter: 3, fridge: 5 } },
+  { name: "mango", aliases: ["mangoes"], category: "Fruits", location: "counter", days: { counter: 5, fridge: 7 } },
+  { name: "pineapple", aliases: [], category: "Fruits", location: "counter", days: { counter: 3, fridge: 5 } },
+  { name: "watermelon", aliases: ["melon", "cantaloupe", "honeydew"], category: "Fruits", location: "counter", days: { counter: 7, fridge: 14 } },
+  { name: "kiwi", aliases: ["kiwifruit"], category: "Fruits", location: "fridge", days: { fridge: 21, counter: 5 } },
+
+  // Vegetables
+  { name: "tomato", aliases: ["tomatoes", "cherry tomatoes"], category: "Vegetables", location: "counter", days: { counter: 5, fridge: 7 } },
+  { name: "lettuce", aliases: ["salad", "romaine", "mixed greens"], category: "Vegetables", location: "fridge", days: { fridge: 7 } },
+  { name: "spinach", aliases: ["baby spinach", "kale", "arugula"], category: "Vegetables", location: "fridge", days: { fridge: 5 } },
+  { name: "carrot", aliases: ["carrots"], category: "Vegetables", location: "fridge", days: { fridge: 28, counter: 5 } },
+  { name: "broccoli", aliases: ["cauliflower"], category: "Vegetables", location: "fridge", days: { fridge: 5 } },
+  { name: "bell pepper", aliases: ["pepper", "peppers", "capsicum"], category: "Vegetables", location: "fridge", days: { fridge: 10, counter: 3 } },
+  { name: "cucumber", aliases: ["cucumbers", "zucchini", "courgette"], category: "Vegetables", location: "fridge", days: { fridge: 7, counter: 3 } },
+  { name: "onion", aliases: ["onions", "shallot"], category: "Vegetables", location: "pantry", days: { pantry: 30, fridge: 60 } },
+  { name: "garlic", aliases: [], category: "Vegetables", location: "pantry", days: { pantry: 90, counter: 60 } },
+  { name: "potato", aliases: ["potatoes", "sweet potato"], category: "Vegetables", location: "pantry", days: { pantry: 30, counter: 14 } },
+  { name: "mushrooms", aliases: ["mushroom"], category: "Vegetables", location: "fridge", days: { fridge: 5 } },
+  { name: "celery", aliases: [], category: "Vegetables", location: "fridge", days: { fridge: 14 } },
+  { name: "corn", aliases: ["corn on the cob"], category: "Vegetables", location: "fridge", days: { fridge: 3, counter: 1 } },
+  { name: "green beans", aliases: ["beans", "snap peas", "asparagus"], category: "Vegetables", location: "fridge", days: { fridge: 5 } },
+  { name: "herbs", aliases: ["cilantro", "parsley", "basil", "mint"], category: "Vegetables", location: "fridge", days: { fridge: 7, counter: 2 } },
+
+  // Dairy and eggs
+  { name: "milk", aliases: ["whole milk", "skim milk"], category: "Dairy", location: "fridge", days: { fridge: 7 } },
+  { name: "yogurt", aliases: ["yoghurt", "greek yogurt"], category: "Dairy", location: "fridge", days: { fridge: 14 } },
+  { name: "cheddar", aliases: ["hard cheese", "parmesan", "cheese"], category: "Dairy", location: "fridge", days: { fridge: 30 } },
+  { name: "mozzarella", aliases: ["soft cheese", "brie", "feta", "cream cheese"], category: "Dairy", location: "fridge", days: { fridge: 10 } },
+  { name: "butter", aliases: [], category: "Dairy", location: "fridge", days: { fridge: 60, counter: 2 } },
+  { name: "eggs", aliases: ["egg"], category: "Dairy", location: "fridge", days: { fridge: 28 } },
+  { name: "cream", aliases: ["heavy cream", "sour cream", "half and half"], category: "Dairy", location: "fridge", days: { fridge: 10 } },
+
+  // Meat and seafood
+  { name: "chicken", aliases: ["chicken breast", "chicken thighs", "poultry", "turkey"], category: "Meat", location: "fridge", days: { fridge: 2 } },
+  { name: "ground beef", aliases: ["mince", "minced beef", "ground meat"], category: "Meat", location: "fridge", days: { fridge: 2 } },
+  { name: "steak", aliases: ["beef", "pork", "pork chops", "lamb"], category: "Meat", location: "fridge", days: { fridge: 4 } },
+  { name: "bacon", aliases: ["sausage", "sausages", "hot dogs"], category: "Meat", location: "fridge", days: { fridge: 7 } },
+  { name: "deli meat", aliases: ["ham", "salami", "lunch meat"], category: "Meat", location: "fridge", days: { fridge: 5 } },
+  { name: "salmon", aliases: ["fish", "cod", "tuna steak", "tilapia"], category: "Seafood", location: "fridge", days: { fridge: 2 } },
+  { name: "shrimp", aliases: ["prawns", "scallops"], category: "Seafood", location: "fridge", days: { fridge: 2 } },
+
+  // Bakery
+  { name: "bread", aliases: ["loaf", "sourdough", "baguette"], category: "Bakery", location: "counter", days: { counter: 4, fridge: 7 } },
+  { name: "bagels", aliases: ["bagel", "rolls", "buns"], category: "Bakery", location: "counter", days: { counter: 4 } },
+  { name: "tortillas", aliases: ["tortilla", "wraps", "pita"], category: "Bakery", location: "pantry", days: { pantry: 7, fridge: 21 } },
+  { name: "muffins", aliases: ["muffin", "croissant", "pastries"], category: "Bakery", location: "counter", days: { counter: 3 } },
+
+  // Grains and dry goods
+  { name: "rice", aliases: ["white rice", "brown rice"], category: "Grains", location: "pantry", days: { pantry: 365 } },
+  { name: "pasta", aliases: ["spaghetti", "noodles", "macaroni"], category: "Grains", location: "pantry", days: { pantry: 365 } },
+  { name: "flour", aliases: ["oats", "oatmeal"], category: "Grains", location: "pantry", days: { pantry: 180 } },
+  { name: "cereal", aliases: ["granola", "muesli"], category: "Grains", location: "pantry", days: { pantry: 180 } },
+  { name: "cooked rice", aliases: ["leftover rice", "cooked pasta"], category: "Grains", location: "fridge", days: { fridge: 4 } },
+
+  // Beverages
+  { name: "orange juice", aliases: ["juice", "apple juice"], category: "Beverages", location: "fridge", days: { fridge: 10 } },
+  { name: "soda", aliases: ["soft drink", "sparkling water"], category: "Beverages", location: "pantry", days: { pantry: 180 } },
+  { name: "almond milk", aliases: ["oat milk", "soy milk", "plant milk"], category: "Beverages", location: "fridge", days: { fridge: 10, pantry: 180 } },
+
+  // Condiments and sauces
+  { name: "ketchup", aliases: ["mustard", "hot sauce", "soy sauce"], category: "Condiments", location: "pantry", days: { pantry: 365, fridge: 180 } },
+  { name: "mayonnaise", aliases: ["mayo"], category: "Condiments", location: "fridge", days: { fridge: 60, pantry: 180 } },
+  { name: "pasta sauce", aliases: ["marinara", "tomato sauce"], category: "Condiments", location: "pantry", days: { pantry: 365 } },
+  { name: "jam", aliases: ["jelly", "preserves", "peanut butter", "honey"], category: "Condiments", location: "pantry", days: { pantry: 365 } },
+  { name: "salsa", aliases: ["hummus", "guacamole", "dip"], category: "Condiments", location: "fridge", days: { fridge: 7 } },
+
+  // Frozen and snacks
+  { name: "frozen vegetables", aliases: ["frozen peas", "frozen corn"], category: "Frozen", location: "freezer", days: { freezer: 240 } },
+  { name: "ice cream", aliases: ["frozen yogurt"], category: "Frozen", location: "freezer", days: { freezer: 60 } },
+  { name: "frozen pizza", aliases: ["frozen meal", "frozen dinner"], category: "Frozen", location: "freezer", days: { freezer: 180 } },
+  { name: "chips", aliases: ["crisps", "crackers", "pretzels"], category: "Snacks", location: "pantry", days: { pantry: 60 } },
+  { name: "cookies", aliases: ["biscuits"], category: "Snacks", location: "pantry", days: { pantry: 30 } },
+  { name: "nuts", aliases: ["almonds", "peanuts", "trail mix"], category: "Snacks", location: "pantry", days: { pantry: 120 } },
+  { name: "chocolate", aliases: ["candy"], category: "Snacks", location: "pantry", days: { pantry: 180 } },
+  { name: "tofu", aliases: ["tempeh"], category: "Other", location: "fridge", days: { fridge: 7 } },
+  { name: "leftovers", aliases: ["leftover", "cooked meal"], category: "Other", location: "fridge", days: { fridge: 3 } },
+];
+
+// Typical fridge shelf life for each category, used when no food matches
+export const CATEGORY_SHELF_LIFE = {
+  Fruits: 7,
+  Vegetables: 7,
+  Dairy: 10,
+  Meat: 3,
+  Seafood: 2,
+  Bakery: 5,
+  Grains: 180,
+  Beverages: 30,
+  Condiments: 90,
+  Frozen: 3,
+  Snacks: 60,
+  Other: 7,
+};
@@ -0,0 +1,42 @@
+/**
+ * Shelf Life Factors - How storage location changes shelf life
+ *
+ * LOCATION_MULTIPLIERS gives each category's shelf life in a location
+ * relative to the fridge (1 = same as the fridge). Moving an item scales its
+ * remaining days by new / old multiplier.
+ *
+ * The freezer is handled separately: freezing pauses spoilage, so the
+ * remaining days are set aside and the item instead gets a freezer quality
+ * limit from FREEZER_DAYS.
+ */
+
+export const LOCATION_MULTIPLIERS = {
+  Fruits: { fridge: 1, pantry: 0.5, counter: 0.5 },
+  Vegetables: { fridge: 1, pantry: 0.4, counter: 0.35 },
+  Dairy: { fridge: 1, pantry: 0.1, counter: 0.1 },
+  Meat: { fridge: 1, pantry: 0.05, counter: 0.05 },
+  Seafood: { fridge: 1, pantry: 0.05, counter: 0.05 },
+  Bakery: { fridge: 1, pantry: 0.7, counter: 0.7 },
+  Grains: { fridge: 1, pantry: 1, counter: 0.9 },
+  Beverages: { fridge: 1, pantry: 0.8, counter: 0.8 },
+  Condiments: { fridge: 1, pantry: 0.6, counter: 0.6 },
+  Frozen: { fridge: 1, pantry: 0.1, counter: 0.1 },
+  Snacks: { fridge: 1, pantry: 1, counter: 1 },
+  Other: { fridge: 1, pantry: 0.7, counter: 0.7 },
+};
+
+// Days an item keeps good quality once frozen
+export const FREEZER_DAYS = {
+  Fruits: 240,
+  Vegetables: 240,
+  Dairy: 90,
+  Meat: 120,
+  Seafood: 90,
+  Bakery: 90,
+  Grains: 180,
+  Beverages: 180,
+  Condiments: 180,
+  Frozen: 180,
+  Snacks: 120,
+  Other: 90,
+};
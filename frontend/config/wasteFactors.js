@@ -0,0 +1,41 @@
+/**
+ * Waste Factors - Rough per-category figures for waste analytics
+ * Used to turn pantry outcomes into pounds, dollars and CO2e when an item
+ * doesn't carry its own weight or price. Values are US averages and are
+ * meant for trends, not accounting.
+ *
+ *   itemWeightLb - typical weight of one "item" (and one "pack")
+ *   pricePerLb   - typical retail price in USD per pound
+ *   co2ePerKg    - kg CO2e emitted producing one kg of the food
+ */
+
+export const CATEGORY_FACTORS = {
+  Fruits: { itemWeightLb: 0.35, pricePerLb: 1.8, co2ePerKg: 1.1 },
+  Vegetables: { itemWeightLb: 0.4, pricePerLb: 1.9, co2ePerKg: 0.9 },
+  Dairy: { itemWeightLb: 2.0, pricePerLb: 2.5, co2ePerKg: 3.2 },
+  Meat: { itemWeightLb: 1.0, pricePerLb: 5.5, co2ePerKg: 27.0 },
+  Seafood: { itemWeightLb: 0.75, pricePerLb: 9.0, co2ePerKg: 12.0 },
+  Bakery: { itemWeightLb: 1.0, pricePerLb: 3.0, co2ePerKg: 1.6 },
+  Grains: { itemWeightLb: 2.0, pricePerLb: 1.5, co2ePerKg: 2.7 },
+  Beverages: { itemWeightLb: 2.2, pricePerLb: 1.2, co2ePerKg: 1.0 },
+  Condiments: { itemWeightLb: 0.75, pricePerLb: 4.0, co2ePerKg: 2.0 },
+  Frozen: { itemWeightLb: 1.0, pricePerLb: 3.5, co2ePerKg: 4.0 },
+  Snacks: { itemWeightLb: 0.5, pricePerLb: 4.5, co2ePerKg: 2.5 },
+  Other: { itemWeightLb: 1.0, pricePerLb: 3.0, co2ePerKg: 2.5 },
+};
+
+// Pounds per unit for measured quantities (liquids assume water density)
+export const UNIT_TO_LB = {
+  g: 0.00220462,
+  kg: 2.20462,
+  ml: 0.00220462,
+  L: 2.20462,
+  oz: 0.0625,
+  lb: 1,
+};
+
+// Extra methane from rotting in landfill, in kg CO2e per kg of food.
+// Composting avoids most of it.
+export const LANDFILL_CO2E_PER_KG = 0.6;
+
+export const KG_PER_LB = 0.453592;
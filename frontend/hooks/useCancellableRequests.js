@@ -0,0 +1,44 @@
+/**
+ * useCancellableRequests Hook
+ * Runs AI requests with an AbortSignal tied to the screen: they are
+ * cancelled when the screen unmounts and, unless turned off, when it loses
+ * focus, so a late answer never lands on a screen the user has left
+ */
+
+import { useRef, useEffect, useCallback } from "react";
+import { useFocusEffect } from "@react-navigation/native";
+
+/**
+ * @param {Object} options - { cancelOnBlur } (default true)
+ * @returns {Object} { runRequest, cancelAll } where runRequest(request)
+ *   calls request(signal) and returns its promise
+ */
+export default function useCancellableRequests({ cancelOnBlur = true } = {}) {
+  const controllersRef = useRef(new Set());
+
+  const cancelAll = useCallback(() => {
+    controllersRef.current.forEach((controller) => controller.abort());
+    controllersRef.current.clear();
+  }, []);
+
+  useEffect(() => cancelAll, [cancelAll]);
+
+  useFocusEffect(
+    useCallback(() => {
+      if (!cancelOnBlur) return undefined;
+      return cancelAll;
+    }, [cancelOnBlur, cancelAll])
+  );
+
+  const runRequest = useCallback(async (request) => {
+    const controller = new AbortController();
+    controllersRef.current.add(controller);
+    try {
+      return await request(controller.signal);
+    } finally {
+      controllersRef.current.delete(controller);
+    }
+  }, []);
+
+  return { runRequest, cancelAll };
+}
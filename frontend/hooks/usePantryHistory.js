@@ -0,0 +1,33 @@
+/**
+ * usePantryHistory Hook
+ * Live outcome history (eaten, thrown away, ...) for the active household
+ */
+
+import { useState, useEffect } from "react";
+import { pantryService } from "../services/pantryService";
+import { householdService } from "../services/householdService";
+
+export default function usePantryHistory() {
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [household, setHousehold] = useState(householdService.activeHousehold);
+
+  useEffect(() => {
+    return householdService.subscribeToActiveHousehold(setHousehold);
+  }, []);
+
+  const householdId = household?.id;
+
+  useEffect(() => {
+    if (!householdId) return undefined;
+
+    setLoading(true);
+    const unsubscribe = pantryService.subscribeToHistory((records) => {
+      setHistory(records);
+      setLoading(false);
+    });
+    return unsubscribe;
+  }, [householdId]);
+
+  return { history, loading };
+}
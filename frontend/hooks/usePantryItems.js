@@ -0,0 +1,52 @@
+/**
+ * usePantryItems Hook
+ * Live pantry items for the active household, with days_left recalculated
+ * from each item's expiry date
+ */
+
+import { useState, useEffect } from "react";
+import { pantryService } from "../services/pantryService";
+import { householdService } from "../services/householdService";
+
+export default function usePantryItems() {
+  const [pantryItems, setPantryItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [household, setHousehold] = useState(householdService.activeHousehold);
+
+  // Track the active household (and the user's role in it)
+  useEffect(() => {
+    return householdService.subscribeToActiveHousehold(setHousehold);
+  }, []);
+
+  const householdId = household?.id;
+
+  // Initialize Firebase real-time listener for the active household
+  useEffect(() => {
+    if (!householdId) return undefined;
+
+    console.log("Setting up Firebase listener for pantry items...");
+    setLoading(true);
+
+    // Subscribe to cached + real-time updates from Firebase
+    const unsubscribe = pantryService.subscribeToItems((items) => {
+      console.log("Received pantry items from Firebase:", items.length);
+
+      // Calculate days_left for each item based on expiry date
+      const itemsWithDaysLeft = items.map((item) => ({
+        ...item,
+        days_left: pantryService.calculateDaysLeft(item.expiryDate),
+      }));
+
+      setPantryItems(itemsWithDaysLeft);
+      setLoading(false);
+    });
+
+    // Cleanup listener on unmount
+    return () => {
+      console.log("Cleaning up Firebase listener");
+      unsubscribe();
+    };
+  }, [householdId]);
+
+  return { pantryItems, loading, household };
+}
@@ -0,0 +1,33 @@
+/**
+ * useTrashItems Hook
+ * Live list of deleted items still in the active household's trash
+ */
+
+import { useState, useEffect } from "react";
+import { pantryService } from "../services/pantryService";
+import { householdService } from "../services/householdService";
+
+export default function useTrashItems() {
+  const [trashItems, setTrashItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [household, setHousehold] = useState(householdService.activeHousehold);
+
+  useEffect(() => {
+    return householdService.subscribeToActiveHousehold(setHousehold);
+  }, []);
+
+  const householdId = household?.id;
+
+  useEffect(() => {
+    if (!householdId) return undefined;
+
+    setLoading(true);
+    const unsubscribe = pantryService.subscribeToTrash((items) => {
+      setTrashItems(items);
+      setLoading(false);
+    });
+    return unsubscribe;
+  }, [householdId]);
+
+  return { trashItems, loading };
+}
@@ -0,0 +1,517 @@
+/**
+ * AddItemScreen - Manual Entry
+ * Add an item without scanning it: leftovers, gifts, anything the camera
+ * can't help with. Names autocomplete from what the household has tracked
+ * before, and the expiry is suggested from past entries of the same food.
+ */
+
+import React, { useState, useMemo } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  TextInput,
+  Platform,
+  ActivityIndicator,
+  Alert,
+} from "react-native";
+import DateTimePicker from "@react-native-community/datetimepicker";
+import { Ionicons } from "@expo/vector-icons";
+import { useNavigation } from "@react-navigation/native";
+import { pantryService } from "../services/pantryService";
+import { itemSuggestionService } from "../services/itemSuggestionService";
+import usePantryItems from "../hooks/usePantryItems";
+import usePantryHistory from "../hooks/usePantryHistory";
+import {
+  CATEGORIES,
+  UNITS,
+  DEFAULT_UNIT,
+  STORAGE_LOCATIONS,
+} from "../config/pantryOptions";
+import {
+  colors,
+  spacing,
+  borderRadius,
+  shadows,
+  typography,
+} from "../styles/colors";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export default function AddItemScreen() {
+  const navigation = useNavigation();
+  const { pantryItems } = usePantryItems();
+  const { history } = usePantryHistory();
+
+  const [name, setName] = useState("");
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  const [category, setCategory] = useState("Other");
+  const [location, setLocation] = useState(null);
+  const [expiryMode, setExpiryMode] = useState("days");
+  const [days, setDays] = useState("");
+  const [expiryDate, setExpiryDate] = useState(
+    new Date(Date.now() + 7 * DAY_MS)
+  );
+  const [showDatePicker, setShowDatePicker] = useState(false);
+  const [quantity, setQuantity] = useState("1");
+  const [unit, setUnit] = useState(DEFAULT_UNIT);
+  const [notes, setNotes] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const entries = useMemo(
+    () => itemSuggestionService.buildEntries(pantryItems, history),
+    [pantryItems, history]
+  );
+  const suggestions = showSuggestions
+    ? itemSuggestionService.search(entries, name)
+    : [];
+  const storageLocation =
+    location || pantryService.getDefaultLocation(category);
+  const expirySuggestion = itemSuggestionService.suggestExpiry(
+    entries,
+    name,
+    category,
+    storageLocation
+  );
+
+  // An empty days field means "use the suggestion shown as its placeholder"
+  const parsedDays = parseInt(days, 10);
+  const daysLeft = parsedDays >= 0 ? parsedDays : expirySuggestion?.days;
+  const parsedQuantity = parseFloat(quantity.replace(",", "."));
+  const hasExpiry = expiryMode === "date" || daysLeft >= 0;
+  const isValid = name.trim().length > 0 && parsedQuantity > 0 && hasExpiry;
+
+  /**
+   * Fill the form from a previously tracked food
+   */
+  const applySuggestion = (entry) => {
+    setName(entry.name);
+    setShowSuggestions(false);
+    if (entry.category) setCategory(entry.category);
+    if (entry.unit) setUnit(entry.unit);
+    setLocation(entry.storageLocation || null);
+
+    const suggestion = itemSuggestionService.suggestExpiry(
+      entries,
+      entry.name,
+      entry.category,
+      entry.storageLocation
+    );
+    if (suggestion) applyExpirySuggestion(suggestion.days);
+  };
+
+  const applyExpirySuggestion = (suggestedDays) => {
+    setDays(String(suggestedDays));
+    setExpiryDate(new Date(Date.now() + suggestedDays * DAY_MS));
+  };
+
+  const handleDateChange = (event, date) => {
+    // Android shows a one-off dialog; iOS keeps the picker open inline
+    setShowDatePicker(Platform.OS === "ios");
+    if (event.type === "set" && date) setExpiryDate(date);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const item = {
+        name: name.trim(),
+        category,
+        storageLocation,
+        quantity: parsedQuantity,
+        unit,
+        notes: notes.trim(),
+      };
+      if (expiryMode === "date") {
+        item.expiryDate = expiryDate;
+        item.days_left = pantryService.calculateDaysLeft(expiryDate);
+      } else {
+        item.days_left = daysLeft;
+      }
+
+      await pantryService.addItem(item);
+      navigation.goBack();
+    } catch (error) {
+      console.error("Error adding item:", error);
+      Alert.alert(
+        "Error",
+        error.code === "permission-denied"
+          ? error.message
+          : "Failed to add item to pantry. Please try again."
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Render a row of selectable chips
+   */
+  const renderChips = (options, selected, onSelect) => (
+    <ScrollView
+      horizontal
+      showsHorizontalScrollIndicator={false}
+      contentContainerStyle={styles.chipRow}
+    >
+      {options.map((option) => (
+        <TouchableOpacity
+          key={option.key}
+          style={[styles.chip, selected === option.key && styles.chipActive]}
+          onPress={() => onSelect(option.key)}
+        >
+          <Text
+            style={[
+              styles.chipText,
+              selected === option.key && styles.chipTextActive,
+            ]}
+          >
+            {option.label}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </ScrollView>
+  );
+
+  return (
+    <ScrollView
+      style={styles.container}
+      contentContainerStyle={styles.content}
+      keyboardShouldPersistTaps="handled"
+    >
+      <View style={styles.card}>
+        <Text style={styles.label}>Name</Text>
+        <TextInput
+          style={styles.input}
+          value={name}
+          onChangeText={(text) => {
+            setName(text);
+            setShowSuggestions(true);
+          }}
+          onBlur={() => setShowSuggestions(false)}
+          placeholder="e.g. Leftover pasta"
+          placeholderTextColor={colors.textHint}
+          autoFocus
+        />
+        {suggestions.length > 0 && (
+          <View style={styles.suggestions}>
+            {suggestions.map((entry) => (
+              <TouchableOpacity
+                key={entry.key}
+                style={styles.suggestion}
+                onPress={() => applySuggestion(entry)}
+              >
+                <Ionicons
+                  name="time-outline"
+                  size={16}
+                  color={colors.textHint}
+                />
+                <Text style={styles.suggestionName}>{entry.name}</Text>
+                <Text style={styles.suggestionMeta}>{entry.category}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
+
+        <Text style={styles.label}>Category</Text>
+        {renderChips(
+          CATEGORIES.map((value) => ({ key: value, label: value })),
+          category,
+          setCategory
+        )}
+
+        <Text style={styles.label}>Storage</Text>
+        {renderChips(STORAGE_LOCATIONS, storageLocation, setLocation)}
+
+        <View style={styles.labelRow}>
+          <Text style={styles.label}>Expiry</Text>
+          <View style={styles.modeToggle}>
+            {[
+              { key: "days", label: "Days left" },
+              { key: "date", label: "Date" },
+            ].map((option) => (
+              <TouchableOpacity
+                key={option.key}
+                style={[
+                  styles.modeButton,
+                  expiryMode === option.key && styles.modeButtonActive,
+                ]}
+                onPress={() => setExpiryMode(option.key)}
+              >
+                <Text
+                  style={[
+                    styles.modeButtonText,
+                    expiryMode === option.key && styles.modeButtonTextActive,
+                  ]}
+                >
+                  {option.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+        {expiryMode === "days" ? (
+          <TextInput
+            style={styles.input}
+            value={days}
+            onChangeText={setDays}
+            keyboardType="number-pad"
+            placeholder={
+              expirySuggestion ? String(expirySuggestion.days) : "Days"
+            }
+            placeholderTextColor={colors.textHint}
+            selectTextOnFocus
+          />
+        ) : (
+          <TouchableOpacity
+            style={styles.dateButton}
+            onPress={() => setShowDatePicker(true)}
+          >
+            <Ionicons name="calendar" size={18} color={colors.primary} />
+            <Text style={styles.dateText}>
+              {expiryDate.toLocaleDateString()}
+            </Text>
+          </TouchableOpacity>
+        )}
+        {expiryMode === "date" && showDatePicker && (
+          <DateTimePicker
+            value={expiryDate}
+            mode="date"
+            minimumDate={new Date()}
+            display={Platform.OS === "ios" ? "inline" : "default"}
+            onChange={handleDateChange}
+          />
+        )}
+        {expirySuggestion && (
+          <TouchableOpacity
+            style={styles.expirySuggestion}
+            onPress={() => applyExpirySuggestion(expirySuggestion.days)}
+          >
+            <Ionicons
+              name={
+                expirySuggestion.source === "history" ? "time" : "book-outline"
+              }
+              size={14}
+              color={colors.primary}
+            />
+            <Text style={styles.expirySuggestionText}>
+              {expirySuggestion.label} - tap to use
+            </Text>
+          </TouchableOpacity>
+        )}
+
+        <Text style={styles.label}>Quantity</Text>
+        <View style={styles.quantityRow}>
+          <TextInput
+            style={[styles.input, styles.quantityInput]}
+            value={quantity}
+            onChangeText={setQuantity}
+            keyboardType="decimal-pad"
+            selectTextOnFocus
+          />
+          <TouchableOpacity
+            style={styles.unitButton}
+            onPress={() =>
+              setUnit(UNITS[(UNITS.indexOf(unit) + 1) % UNITS.length])
+            }
+          >
+            <Text style={styles.unitText}>{unit}</Text>
+          </TouchableOpacity>
+        </View>
+
+        <Text style={styles.label}>Notes</Text>
+        <TextInput
+          style={[styles.input, styles.notesInput]}
+          value={notes}
+          onChangeText={setNotes}
+          placeholder="e.g. From Sunday dinner"
+          placeholderTextColor={colors.textHint}
+          multiline
+        />
+      </View>
+
+      <TouchableOpacity
+        style={[styles.saveButton, (!isValid || saving) && styles.disabled]}
+        onPress={handleSave}
+        disabled={!isValid || saving}
+      >
+        {saving ? (
+          <ActivityIndicator size="small" color={colors.surface} />
+        ) : (
+          <Ionicons name="add-circle" size={20} color={colors.surface} />
+        )}
+        <Text style={styles.saveButtonText}>Add to Pantry</Text>
+      </TouchableOpacity>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  content: {
+    padding: spacing.lg,
+    paddingBottom: spacing.xl,
+  },
+  card: {
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.lg,
+    padding: spacing.lg,
+    marginBottom: spacing.md,
+    ...shadows.medium,
+  },
+  label: {
+    ...typography.caption,
+    fontWeight: "600",
+    color: colors.textPrimary,
+    marginTop: spacing.md,
+    marginBottom: spacing.xs,
+  },
+  labelRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "flex-end",
+  },
+  input: {
+    ...typography.body,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: borderRadius.md,
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+  },
+  notesInput: {
+    minHeight: 72,
+    textAlignVertical: "top",
+  },
+  suggestions: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: borderRadius.md,
+    marginTop: spacing.xs,
+  },
+  suggestion: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  suggestionName: {
+    ...typography.body,
+    flex: 1,
+    marginLeft: spacing.sm,
+  },
+  suggestionMeta: {
+    ...typography.small,
+    color: colors.textSecondary,
+  },
+  chipRow: {
+    gap: spacing.xs,
+  },
+  chip: {
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.xs,
+    borderRadius: borderRadius.round,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  chipActive: {
+    backgroundColor: colors.primary,
+    borderColor: colors.primary,
+  },
+  chipText: {
+    ...typography.caption,
+    color: colors.textPrimary,
+  },
+  chipTextActive: {
+    color: colors.surface,
+    fontWeight: "600",
+  },
+  modeToggle: {
+    flexDirection: "row",
+    marginBottom: spacing.xs,
+    borderRadius: borderRadius.round,
+    backgroundColor: colors.surfaceLight,
+  },
+  modeButton: {
+    paddingHorizontal: spacing.sm,
+    paddingVertical: spacing.xs / 2,
+    borderRadius: borderRadius.round,
+  },
+  modeButtonActive: {
+    backgroundColor: colors.primary,
+  },
+  modeButtonText: {
+    ...typography.small,
+    color: colors.textSecondary,
+  },
+  modeButtonTextActive: {
+    color: colors.surface,
+    fontWeight: "600",
+  },
+  dateButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: borderRadius.md,
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+  },
+  dateText: {
+    ...typography.body,
+    marginLeft: spacing.sm,
+  },
+  expirySuggestion: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginTop: spacing.xs,
+  },
+  expirySuggestionText: {
+    ...typography.small,
+    color: colors.primary,
+    marginLeft: spacing.xs / 2,
+  },
+  quantityRow: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  quantityInput: {
+    width: 96,
+    textAlign: "right",
+  },
+  unitButton: {
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+    marginLeft: spacing.sm,
+    borderRadius: borderRadius.md,
+    backgroundColor: colors.freshBg,
+  },
+  unitText: {
+    ...typography.body,
+    color: colors.primaryDark,
+    fontWeight: "600",
+  },
+  saveButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    backgroundColor: colors.primary,
+    paddingVertical: spacing.md,
+    borderRadius: borderRadius.md,
+  },
+  saveButtonText: {
+    ...typography.body,
+    color: colors.surface,
+    fontWeight: "600",
+    marginLeft: spacing.sm,
+  },
+  disabled: {
+    opacity: 0.5,
+  },
+});
@@ -0,0 +1,436 @@
+/**
+ * AnalyticsScreen - Waste and Savings Insights
+ * Charts food used versus wasted, money lost or saved and estimated CO2e,
+ * calculated locally from the household's pantry history
+ */
+
+import React, { useState, useMemo } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import BarChart from "../components/BarChart";
+import usePantryHistory from "../hooks/usePantryHistory";
+import { analyticsService } from "../services/analyticsService";
+import { OUTCOMES } from "../config/pantryOptions";
+import {
+  colors,
+  spacing,
+  borderRadius,
+  shadows,
+  typography,
+} from "../styles/colors";
+
+const PERIODS = [
+  { key: "week", label: "Weekly", buckets: 6 },
+  { key: "month", label: "Monthly", buckets: 6 },
+];
+
+export default function AnalyticsScreen() {
+  const { history, loading } = usePantryHistory();
+  const [period, setPeriod] = useState("week");
+
+  const summary = useMemo(() => {
+    const selected = PERIODS.find((option) => option.key === period);
+    return analyticsService.summarize(history, period, selected.buckets);
+  }, [history, period]);
+
+  const { totals } = summary;
+  const formatMoney = (value) => `$${value.toFixed(2)}`;
+  const formatLb = (value) => `${value.toFixed(1)} lb`;
+
+  /**
+   * Render one headline number
+   */
+  const renderStat = (icon, color, value, label) => (
+    <View style={styles.statCard}>
+      <Ionicons name={icon} size={22} color={color} />
+      <Text style={styles.statValue}>{value}</Text>
+      <Text style={styles.statLabel}>{label}</Text>
+    </View>
+  );
+
+  if (loading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color={colors.primary} />
+      </View>
+    );
+  }
+
+  const maxCategoryLb = Math.max(
+    ...summary.categories.map((c) => c.usedLb + c.wastedLb),
+    0
+  );
+
+  return (
+    <ScrollView
+      style={styles.container}
+      contentContainerStyle={styles.scrollContent}
+    >
+      {/* Header */}
+      <View style={styles.header}>
+        <Text style={styles.title}>Your Impact</Text>
+        <Text style={styles.subtitle}>
+          How much food you're using versus wasting
+        </Text>
+      </View>
+
+      {/* Period toggle */}
+      <View style={styles.periodToggle}>
+        {PERIODS.map((option) => (
+          <TouchableOpacity
+            key={option.key}
+            style={[
+              styles.periodButton,
+              period === option.key && styles.periodButtonActive,
+            ]}
+            onPress={() => setPeriod(option.key)}
+          >
+            <Text
+              style={[
+                styles.periodButtonText,
+                period === option.key && styles.periodButtonTextActive,
+              ]}
+            >
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {history.length === 0 ? (
+        <View style={styles.emptyState}>
+          <Ionicons name="stats-chart-outline" size={64} color={colors.textHint} />
+          <Text style={styles.emptyStateTitle}>No History Yet</Text>
+          <Text style={styles.emptyStateText}>
+            Mark pantry items as eaten, thrown away, composted or donated to
+            start tracking your impact.
+          </Text>
+        </View>
+      ) : (
+        <>
+          {/* Headline numbers */}
+          <View style={styles.statsGrid}>
+            {renderStat(
+              "restaurant",
+              colors.fresh,
+              formatLb(totals.usedLb),
+              `Used • ${totals.usedItems} items`
+            )}
+            {renderStat(
+              "trash",
+              colors.spoiled,
+              formatLb(totals.wastedLb),
+              `Wasted • ${totals.wastedItems} items`
+            )}
+            {renderStat(
+              "wallet",
+              colors.fresh,
+              formatMoney(totals.moneySaved),
+              "Food value used"
+            )}
+            {renderStat(
+              "cash-outline",
+              colors.spoiled,
+              formatMoney(totals.moneyLost),
+              "Money lost to waste"
+            )}
+            {renderStat(
+              "cloud-outline",
+              colors.overripe,
+              `${totals.co2eWastedKg.toFixed(1)} kg`,
+              "CO2e from waste"
+            )}
+            {renderStat(
+              "pie-chart",
+              colors.info,
+              `${Math.round(totals.wasteRate * 100)}%`,
+              "Waste rate"
+            )}
+          </View>
+
+          {/* Used vs wasted chart */}
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>Used vs Wasted (lb)</Text>
+            <BarChart
+              data={summary.buckets.map((bucket) => ({
+                label: bucket.label,
+                values: [
+                  { value: bucket.usedLb, color: colors.fresh },
+                  { value: bucket.wastedLb, color: colors.spoiled },
+                ],
+              }))}
+              formatValue={(value) => value.toFixed(1)}
+            />
+            <View style={styles.legend}>
+              <View style={[styles.legendDot, { backgroundColor: colors.fresh }]} />
+              <Text style={styles.legendText}>Used</Text>
+              <View
+                style={[styles.legendDot, { backgroundColor: colors.spoiled }]}
+              />
+              <Text style={styles.legendText}>Wasted</Text>
+            </View>
+          </View>
+
+          {/* Money lost chart */}
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>Money Lost to Waste</Text>
+            <BarChart
+              data={summary.buckets.map((bucket) => ({
+                label: bucket.label,
+                values: [{ value: bucket.moneyLost, color: colors.overripe }],
+              }))}
+              height={100}
+              formatValue={(value) => `$${Math.round(value)}`}
+            />
+          </View>
+
+          {/* Category breakdown */}
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>By Category</Text>
+            {summary.categories.map((category) => (
+              <View key={category.category} style={styles.categoryRow}>
+                <View style={styles.categoryHeader}>
+                  <Text style={styles.categoryName}>{category.category}</Text>
+                  <Text style={styles.categoryMeta}>
+                    {formatLb(category.wastedLb)} wasted •{" "}
+                    {formatMoney(category.moneyLost)}
+                  </Text>
+                </View>
+                <View style={styles.categoryTrack}>
+                  <View
+                    style={{
+                      flex: maxCategoryLb > 0 ? category.usedLb / maxCategoryLb : 0,
+                      backgroundColor: colors.fresh,
+                    }}
+                  />
+                  <View
+                    style={{
+                      flex:
+                        maxCategoryLb > 0 ? category.wastedLb / maxCategoryLb : 0,
+                      backgroundColor: colors.spoiled,
+                    }}
+                  />
+                  <View
+                    style={{
+                      flex:
+                        maxCategoryLb > 0
+                          ? 1 -
+                            (category.usedLb + category.wastedLb) / maxCategoryLb
+                          : 1,
+                    }}
+                  />
+                </View>
+              </View>
+            ))}
+          </View>
+
+          {/* Outcome counts */}
+          <View style={styles.card}>
+            <Text style={styles.cardTitle}>Outcomes</Text>
+            <View style={styles.outcomesRow}>
+              {OUTCOMES.map((option) => (
+                <View key={option.key} style={styles.outcomeItem}>
+                  <Ionicons
+                    name={option.icon}
+                    size={20}
+                    color={option.wasted ? colors.spoiled : colors.fresh}
+                  />
+                  <Text style={styles.outcomeCount}>
+                    {summary.outcomes[option.key]}
+                  </Text>
+                  <Text style={styles.outcomeLabel}>{option.label}</Text>
+                </View>
+              ))}
+            </View>
+          </View>
+
+          <Text style={styles.footnote}>
+            Weights, prices and CO2e are estimates from typical values for each
+            category unless an item was logged with its own price.
+          </Text>
+        </>
+      )}
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  scrollContent: {
+    paddingBottom: spacing.xl,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    backgroundColor: colors.background,
+  },
+  header: {
+    padding: spacing.lg,
+    alignItems: "center",
+  },
+  title: {
+    ...typography.h1,
+    color: colors.primary,
+    marginBottom: spacing.xs,
+  },
+  subtitle: {
+    ...typography.body,
+    color: colors.textSecondary,
+    textAlign: "center",
+  },
+  periodToggle: {
+    flexDirection: "row",
+    marginHorizontal: spacing.lg,
+    marginBottom: spacing.lg,
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.md,
+    padding: spacing.xs / 2,
+    ...shadows.small,
+  },
+  periodButton: {
+    flex: 1,
+    alignItems: "center",
+    paddingVertical: spacing.sm,
+    borderRadius: borderRadius.md,
+  },
+  periodButtonActive: {
+    backgroundColor: colors.primary,
+  },
+  periodButtonText: {
+    ...typography.caption,
+    fontWeight: "600",
+  },
+  periodButtonTextActive: {
+    color: colors.surface,
+  },
+  statsGrid: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    justifyContent: "space-between",
+    paddingHorizontal: spacing.lg,
+  },
+  statCard: {
+    width: "48%",
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.lg,
+    padding: spacing.md,
+    marginBottom: spacing.md,
+    alignItems: "center",
+    ...shadows.small,
+  },
+  statValue: {
+    ...typography.h3,
+    fontWeight: "bold",
+    marginTop: spacing.xs,
+  },
+  statLabel: {
+    ...typography.small,
+    color: colors.textSecondary,
+    textAlign: "center",
+  },
+  card: {
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.lg,
+    padding: spacing.md,
+    marginHorizontal: spacing.lg,
+    marginBottom: spacing.md,
+    ...shadows.medium,
+  },
+  cardTitle: {
+    ...typography.h3,
+    marginBottom: spacing.md,
+  },
+  legend: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    marginTop: spacing.sm,
+  },
+  legendDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    marginRight: spacing.xs,
+  },
+  legendText: {
+    ...typography.small,
+    color: colors.textSecondary,
+    marginRight: spacing.md,
+  },
+  categoryRow: {
+    marginBottom: spacing.md,
+  },
+  categoryHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    marginBottom: spacing.xs,
+  },
+  categoryName: {
+    ...typography.caption,
+    color: colors.textPrimary,
+    fontWeight: "600",
+  },
+  categoryMeta: {
+    ...typography.small,
+    color: colors.textSecondary,
+  },
+  categoryTrack: {
+    flexDirection: "row",
+    height: 10,
+    borderRadius: 5,
+    overflow: "hidden",
+    backgroundColor: colors.surfaceLight,
+  },
+  outcomesRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+  },
+  outcomeItem: {
+    alignItems: "center",
+    flex: 1,
+  },
+  outcomeCount: {
+    ...typography.h3,
+    fontWeight: "bold",
+    marginTop: spacing.xs,
+  },
+  outcomeLabel: {
+    ...typography.small,
+    color: colors.textSecondary,
+    textAlign: "center",
+  },
+  emptyState: {
+    alignItems: "center",
+    paddingHorizontal: spacing.lg,
+    paddingVertical: spacing.xl,
+  },
+  emptyStateTitle: {
+    ...typography.h3,
+    color: colors.textSecondary,
+    marginTop: spacing.lg,
+    marginBottom: spacing.sm,
+  },
+  emptyStateText: {
+    ...typography.body,
+    color: colors.textHint,
+    textAlign: "center",
+    lineHeight: 22,
+  },
+  footnote: {
+    ...typography.small,
+    color: colors.textHint,
+    textAlign: "center",
+    marginHorizontal: spacing.lg,
+  },
+});
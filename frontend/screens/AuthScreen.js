@@ -0,0 +1,310 @@
+/**
+ * AuthScreen - Sign In / Create Account
+ * Email/password sign-in, guest sessions, and upgrading a guest to an account
+ */
+
+import React, { useState } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  TextInput,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  KeyboardAvoidingView,
+  Platform,
+  ScrollView,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { authService } from "../services/authService";
+import {
+  colors,
+  spacing,
+  borderRadius,
+  shadows,
+  typography,
+} from "../styles/colors";
+
+/**
+ * @param {string} initialMode - "signIn", "signUp" or "upgrade"
+ * @param {Function} onClose - Shown as a close button when provided (upgrade flow)
+ */
+export default function AuthScreen({ initialMode = "signIn", onClose }) {
+  const [mode, setMode] = useState(initialMode);
+  const [displayName, setDisplayName] = useState("");
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const isUpgrade = mode === "upgrade";
+  const needsName = mode === "signUp" || isUpgrade;
+
+  /**
+   * Submit the email/password form for the current mode
+   */
+  const handleSubmit = async () => {
+    if (!email.trim() || !password) {
+      Alert.alert("Missing details", "Please enter your email and password.");
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      if (mode === "signIn") {
+        await authService.signInWithEmail(email, password);
+      } else if (mode === "signUp") {
+        await authService.signUpWithEmail(email, password, displayName);
+      } else {
+        await authService.upgradeGuestAccount(email, password, displayName);
+        Alert.alert(
+          "Account Created!",
+          "Your pantry is now saved to your account."
+        );
+        onClose && onClose();
+      }
+    } catch (error) {
+      Alert.alert("Error", authService.getErrorMessage(error));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  /**
+   * Start a guest session
+   */
+  const handleGuest = async () => {
+    setIsSubmitting(true);
+    try {
+      await authService.signInAsGuest();
+    } catch (error) {
+      Alert.alert("Error", authService.getErrorMessage(error));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const titles = {
+    signIn: "Welcome Back",
+    signUp: "Create Account",
+    upgrade: "Save Your Pantry",
+  };
+
+  const subtitles = {
+    signIn: "Sign in to see your pantry",
+    signUp: "Your pantry is private to your account",
+    upgrade: "Create an account to keep your guest pantry safe",
+  };
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === "ios" ? "padding" : undefined}
+    >
+      <ScrollView
+        contentContainerStyle={styles.scrollContent}
+        keyboardShouldPersistTaps="handled"
+      >
+        {onClose && (
+          <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+            <Ionicons name="close" size={24} color={colors.textSecondary} />
+          </TouchableOpacity>
+        )}
+
+        {/* Header */}
+        <View style={styles.header}>
+          <Ionicons name="leaf" size={48} color={colors.primary} />
+          <Text style={styles.title}>{titles[mode]}</Text>
+          <Text style={styles.subtitle}>{subtitles[mode]}</Text>
+        </View>
+
+        {/* Form */}
+        <View style={styles.formCard}>
+          {needsName && (
+            <TextInput
+              style={styles.input}
+              placeholder="Name (optional)"
+              placeholderTextColor={colors.textHint}
+              value={displayName}
+              onChangeText={setDisplayName}
+              autoCapitalize="words"
+            />
+          )}
+          <TextInput
+            style={styles.input}
+            placeholder="Email"
+            placeholderTextColor={colors.textHint}
+            value={email}
+            onChangeText={setEmail}
+            autoCapitalize="none"
+            autoComplete="email"
+            keyboardType="email-address"
+          />
+          <TextInput
+            style={styles.input}
+            placeholder="Password"
+            placeholderTextColor={colors.textHint}
+            value={password}
+            onChangeText={setPassword}
+            secureTextEntry
+          />
+
+          <TouchableOpacity
+            style={styles.submitButton}
+            onPress={handleSubmit}
+            disabled={isSubmitting}
+          >
+            {isSubmitting ? (
+              <ActivityIndicator size="small" color={colors.surface} />
+            ) : (
+              <Text style={styles.submitButtonText}>
+                {mode === "signIn" ? "Sign In" : "Create Account"}
+              </Text>
+            )}
+          </TouchableOpacity>
+        </View>
+
+        {/* Mode switches */}
+        {!isUpgrade && (
+          <View style={styles.footer}>
+            <TouchableOpacity
+              onPress={() => setMode(mode === "signIn" ? "signUp" : "signIn")}
+            >
+              <Text style={styles.linkText}>
+                {mode === "signIn"
+                  ? "New to FreshB4? Create an account"
+                  : "Already have an account? Sign in"}
+              </Text>
+            </TouchableOpacity>
+
+            <View style={styles.dividerRow}>
+              <View style={styles.divider} />
+              <Text style={styles.dividerText}>or</Text>
+              <View style={styles.divider} />
+            </View>
+
+            <TouchableOpacity
+              style={styles.guestButton}
+              onPress={handleGuest}
+              disabled={isSubmitting}
+            >
+              <Ionicons
+                name="person-outline"
+                size={20}
+                color={colors.primary}
+              />
+              <Text style={styles.guestButtonText}>Continue as Guest</Text>
+            </TouchableOpacity>
+            <Text style={styles.guestHint}>
+              You can create an account later without losing your pantry.
+            </Text>
+          </View>
+        )}
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  scrollContent: {
+    flexGrow: 1,
+    justifyContent: "center",
+    padding: spacing.lg,
+  },
+  closeButton: {
+    alignSelf: "flex-end",
+    padding: spacing.xs,
+  },
+  header: {
+    alignItems: "center",
+    marginBottom: spacing.lg,
+  },
+  title: {
+    ...typography.h1,
+    color: colors.primary,
+    marginTop: spacing.sm,
+    marginBottom: spacing.xs,
+  },
+  subtitle: {
+    ...typography.body,
+    color: colors.textSecondary,
+    textAlign: "center",
+  },
+  formCard: {
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.lg,
+    padding: spacing.md,
+    ...shadows.medium,
+  },
+  input: {
+    ...typography.body,
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: borderRadius.md,
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+    marginBottom: spacing.md,
+    backgroundColor: colors.surfaceLight,
+  },
+  submitButton: {
+    backgroundColor: colors.primary,
+    paddingVertical: spacing.md,
+    borderRadius: borderRadius.md,
+    alignItems: "center",
+  },
+  submitButtonText: {
+    ...typography.body,
+    color: colors.surface,
+    fontWeight: "600",
+  },
+  footer: {
+    alignItems: "center",
+    marginTop: spacing.lg,
+  },
+  linkText: {
+    ...typography.body,
+    color: colors.primary,
+    fontWeight: "600",
+  },
+  dividerRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginVertical: spacing.lg,
+    alignSelf: "stretch",
+  },
+  divider: {
+    flex: 1,
+    height: 1,
+    backgroundColor: colors.border,
+  },
+  dividerText: {
+    ...typography.caption,
+    marginHorizontal: spacing.sm,
+  },
+  guestButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingHorizontal: spacing.lg,
+    paddingVertical: spacing.sm,
+    borderRadius: borderRadius.md,
+    borderWidth: 2,
+    borderColor: colors.primary,
+    backgroundColor: colors.surface,
+    gap: spacing.sm,
+  },
+  guestButtonText: {
+    ...typography.body,
+    color: colors.primary,
+    fontWeight: "600",
+  },
+  guestHint: {
+    ...typography.small,
+    color: colors.textSecondary,
+    marginTop: spacing.sm,
+    textAlign: "center",
+  },
+});
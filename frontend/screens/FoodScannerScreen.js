@@ -1,6 +1,8 @@
 /**
  * FoodScannerScreen - AI-Powered Food Analysis
- * Allows users to capture/select photos and get AI freshness analysis
+ * Allows users to capture/select photos and get AI freshness analysis, scan
+ * a product barcode and add it from the local product catalog, or import a
+ * whole grocery receipt at once
  */
 
 import React, { useState, useRef } from "react";
@@ -14,12 +16,22 @@ import {
   Alert,
   ActivityIndicator,
 } from "react-native";
-import { Camera } from "expo-camera";
+import { Camera, CameraView } from "expo-camera";
 import * as ImagePicker from "expo-image-picker";
 import { Ionicons } from "@expo/vector-icons";
 import { useNavigation } from "@react-navigation/native";
 import { geminiService } from "../services/geminiService";
 import { pantryService } from "../services/pantryService";
+import {
+  productCatalogService,
+  PRODUCT_BARCODE_TYPES,
+} from "../services/productCatalogService";
+import ProductForm from "../components/ProductForm";
+import ReceiptReviewList from "../components/ReceiptReviewList";
+import DetectionReview from "../components/DetectionReview";
+import BatchScanner from "../components/BatchScanner";
+import AIResultNotice from "../components/AIResultNotice";
+import useCancellableRequests from "../hooks/useCancellableRequests";
 import {
   colors,
   spacing,
@@ -34,8 +46,24 @@ export default function FoodScannerScreen() {
   const [capturedImage, setCapturedImage] = useState(null);
   const [analysisResult, setAnalysisResult] = useState(null);
   const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const [mode, setMode] = useState("photo");
+  const [showBarcodeScanner, setShowBarcodeScanner] = useState(false);
+  const [product, setProduct] = useState(null);
+  const [receipt, setReceipt] = useState(null);
+  const [isReadingReceipt, setIsReadingReceipt] = useState(false);
+  const [isAddingReceipt, setIsAddingReceipt] = useState(false);
+  const [detections, setDetections] = useState(null);
+  const [isAddingDetections, setIsAddingDetections] = useState(false);
+  // Last AI result that needs explaining: { result, title, retry, refresh }
+  const [aiNotice, setAiNotice] = useState(null);
+  const [demoMode, setDemoMode] = useState(false);
   const cameraRef = useRef(null);
+  const barcodeHandledRef = useRef(false);
+  // A ref so analysis started from the "new product" alert sees the code
+  const scannedBarcodeRef = useRef(null);
   const navigation = useNavigation();
+  // Analysis stops when the user leaves the scanner or starts over
+  const { runRequest, cancelAll } = useCancellableRequests();
 
   // Request camera permissions on mount and list available models
   React.useEffect(() => {
@@ -53,6 +81,8 @@ export default function FoodScannerScreen() {
     })();
   }, []);
 
+  React.useEffect(() => geminiService.subscribeToDemoMode(setDemoMode), []);
+
   /**
    * Take a picture with the camera
    */
@@ -97,32 +127,296 @@ export default function FoodScannerScreen() {
   };
 
   /**
-   * Analyze captured image
+   * Analyze captured image. A saved analysis of the same photo is reused
+   * unless refresh is set.
    */
-  const analyzeImage = async (base64Image) => {
+  const analyzeImage = async (base64Image, { refresh = false } = {}) => {
     setIsAnalyzing(true);
     setAnalysisResult(null);
+    setAiNotice(null);
 
     try {
-      const result = await geminiService.analyzeFood(base64Image);
-      setAnalysisResult(result);
-    } catch (error) {
-      Alert.alert(
-        "Analysis Error",
-        "Failed to analyze the image. Please try again."
+      const result = await runRequest((signal) =>
+        mode === "multi"
+          ? geminiService.analyzeMultipleFoods(base64Image, { signal })
+          : geminiService.analyzeFood(base64Image, [], { signal, refresh })
       );
+      if (result.error?.code === "cancelled") return;
+      setAiNotice({
+        result,
+        title: "Analysis failed",
+        retry: () => analyzeImage(base64Image),
+        refresh: () => analyzeImage(base64Image, { refresh: true }),
+      });
+      if (!result.data) return;
+
+      if (mode === "multi") {
+        setDetections(result.data.items);
+      } else if (scannedBarcodeRef.current) {
+        // Identifying an unknown barcode: review it as a product instead
+        setProduct(
+          productCatalogService.productFromAnalysis(
+            scannedBarcodeRef.current,
+            result.data
+          )
+        );
+      } else {
+        setAnalysisResult(result.data);
+      }
     } finally {
       setIsAnalyzing(false);
     }
   };
 
+  /**
+   * Read the lines of a receipt photo
+   */
+  const readReceipt = async (base64Image) => {
+    setIsReadingReceipt(true);
+    setAiNotice(null);
+
+    try {
+      const result = await runRequest((signal) =>
+        geminiService.parseReceipt(base64Image, { signal })
+      );
+      if (result.error?.code === "cancelled") return;
+      setAiNotice({
+        result,
+        title: "Couldn't read the receipt",
+        retry: () => readReceipt(base64Image),
+      });
+      if (result.data) setReceipt(result.data);
+    } finally {
+      setIsReadingReceipt(false);
+    }
+  };
+
   /**
    * Reset the scanner
    */
   const resetScanner = () => {
+    cancelAll();
     setCapturedImage(null);
     setAnalysisResult(null);
     setShowCamera(false);
+    setShowBarcodeScanner(false);
+    setProduct(null);
+    setReceipt(null);
+    setDetections(null);
+    setAiNotice(null);
+    scannedBarcodeRef.current = null;
+  };
+
+  /**
+   * Add the ticked items from a multi-item photo to the pantry
+   */
+  const addDetectedItems = async (items) => {
+    setIsAddingDetections(true);
+    try {
+      await pantryService.addItems(
+        items.map((detection) => ({
+          name: detection.food_type,
+          category: detection.category || "Other",
+          storageLocation: detection.storage_location,
+          days_left: detection.days_left,
+          notes: detection.recommendation || "",
+          aiAnalysis: detection,
+          imageUri: capturedImage,
+          imageCrop: detection.box,
+        }))
+      );
+      Alert.alert(
+        "Added to Pantry!",
+        `${items.length} item(s) have been added to your pantry.`,
+        [
+          { text: "Scan Another", onPress: resetScanner },
+          {
+            text: "View Pantry",
+            onPress: () => {
+              resetScanner();
+              navigation.navigate("Pantry");
+            },
+          },
+        ]
+      );
+    } catch (error) {
+      console.error("Error adding detected items:", error);
+      Alert.alert(
+        "Error",
+        error.code === "permission-denied"
+          ? error.message
+          : "Failed to add items to pantry. Please try again."
+      );
+    } finally {
+      setIsAddingDetections(false);
+    }
+  };
+
+  /**
+   * Photograph or pick a grocery receipt and read its lines
+   */
+  const scanReceipt = () => {
+    const options = {
+      mediaTypes: ImagePicker.MediaTypeOptions.Images,
+      quality: 0.8,
+      base64: true,
+    };
+
+    const readFrom = async (source) => {
+      const permission =
+        source === "camera"
+          ? await ImagePicker.requestCameraPermissionsAsync()
+          : await ImagePicker.requestMediaLibraryPermissionsAsync();
+      if (permission.status !== "granted") {
+        Alert.alert("Permission needed", "Please grant access to continue");
+        return;
+      }
+
+      const result =
+        source === "camera"
+          ? await ImagePicker.launchCameraAsync(options)
+          : await ImagePicker.launchImageLibraryAsync(options);
+      if (result.canceled) return;
+
+      setCapturedImage(result.assets[0].uri);
+      await readReceipt(result.assets[0].base64);
+    };
+
+    Alert.alert(
+      "Scan Receipt",
+      "Photograph the whole receipt, top to bottom.",
+      [
+        { text: "Cancel", style: "cancel" },
+        { text: "Choose from Gallery", onPress: () => readFrom("library") },
+        { text: "Take Photo", onPress: () => readFrom("camera") },
+      ]
+    );
+  };
+
+  /**
+   * Add every reviewed receipt line to the pantry in one batch
+   */
+  const addReceiptItems = async (items) => {
+    setIsAddingReceipt(true);
+    try {
+      await pantryService.addItems(items);
+      Alert.alert(
+        "Added to Pantry!",
+        `${items.length} item(s) from your receipt have been added.`,
+        [
+          { text: "Scan Another", onPress: resetScanner },
+          {
+            text: "View Pantry",
+            onPress: () => {
+              resetScanner();
+              navigation.navigate("Pantry");
+            },
+          },
+        ]
+      );
+    } catch (error) {
+      console.error("Error adding receipt items:", error);
+      Alert.alert(
+        "Error",
+        error.code === "permission-denied"
+          ? error.message
+          : "Failed to add items to pantry. Please try again."
+      );
+    } finally {
+      setIsAddingReceipt(false);
+    }
+  };
+
+  /**
+   * Switch between photo analysis and barcode scanning
+   */
+  const changeMode = (newMode) => {
+    resetScanner();
+    setMode(newMode);
+  };
+
+  /**
+   * Open the camera in barcode mode
+   */
+  const startBarcodeScan = () => {
+    barcodeHandledRef.current = false;
+    setShowBarcodeScanner(true);
+  };
+
+  /**
+   * Look a scanned code up in the catalog. Unknown products are identified
+   * from a photo of the package instead.
+   */
+  const handleBarcodeScanned = async ({ type, data }) => {
+    // The camera reports the same code many times a second
+    if (barcodeHandledRef.current) return;
+    if (!productCatalogService.isValidBarcode(data, type)) return;
+    barcodeHandledRef.current = true;
+    setShowBarcodeScanner(false);
+
+    const code = productCatalogService.normalizeBarcode(data, type);
+    scannedBarcodeRef.current = code;
+    const known = await productCatalogService.lookup(code);
+    if (known) {
+      setProduct(known);
+      return;
+    }
+
+    Alert.alert(
+      "New Product",
+      "This barcode isn't in your catalog yet. Take a photo of the package to identify it.",
+      [
+        { text: "Cancel", style: "cancel", onPress: resetScanner },
+        { text: "Choose from Gallery", onPress: pickImage },
+        { text: "Take Photo", onPress: () => setShowCamera(true) },
+      ]
+    );
+  };
+
+  /**
+   * Save the reviewed product to the catalog and add it to the pantry
+   */
+  const addProductToPantry = async (reviewed) => {
+    try {
+      await productCatalogService.saveProduct(reviewed.barcode, reviewed);
+      await pantryService.addItem({
+        name: reviewed.name,
+        category: reviewed.category,
+        storageLocation: reviewed.storageLocation,
+        days_left: reviewed.shelfLifeDays,
+        barcode: reviewed.barcode,
+        imageUri: capturedImage,
+      });
+
+      Alert.alert(
+        "Added to Pantry!",
+        `${reviewed.name} has been added to your pantry.`,
+        [
+          {
+            text: "Scan Another",
+            onPress: () => {
+              resetScanner();
+              startBarcodeScan();
+            },
+          },
+          {
+            text: "View Pantry",
+            onPress: () => {
+              resetScanner();
+              navigation.navigate("Pantry");
+            },
+          },
+        ]
+      );
+    } catch (error) {
+      console.error("Error adding product to pantry:", error);
+      Alert.alert(
+        "Error",
+        error.code === "permission-denied"
+          ? error.message
+          : "Failed to add item to pantry. Please try again."
+      );
+    }
   };
 
   /**
@@ -150,11 +444,12 @@ export default function FoodScannerScreen() {
       const pantryItem = {
         name: analysisResult.food_type || "Unknown Food",
         category: analysisResult.category || "Other",
+        storageLocation: analysisResult.storage_location,
         days_left: daysLeft,
         expiryDate: expiryDate,
         notes: analysisResult.recommendation || "",
         aiAnalysis: analysisResult,
-        imageUrl: capturedImage || null,
+        imageUri: capturedImage,
       };
 
       console.log("Adding item to pantry:", {
@@ -186,7 +481,12 @@ export default function FoodScannerScreen() {
       );
     } catch (error) {
       console.error("Error adding to pantry:", error);
-      Alert.alert("Error", "Failed to add item to pantry. Please try again.");
+      Alert.alert(
+        "Error",
+        error.code === "permission-denied"
+          ? error.message
+          : "Failed to add item to pantry. Please try again."
+      );
     }
   };
 
@@ -243,6 +543,33 @@ export default function FoodScannerScreen() {
     );
   }
 
+  if (showBarcodeScanner) {
+    return (
+      <View style={styles.container}>
+        <CameraView
+          style={styles.camera}
+          facing="back"
+          barcodeScannerSettings={{ barcodeTypes: PRODUCT_BARCODE_TYPES }}
+          onBarcodeScanned={handleBarcodeScanned}
+        />
+        <View style={styles.barcodeGuide} pointerEvents="none">
+          <View style={styles.barcodeFrame} />
+          <Text style={styles.barcodeGuideText}>
+            Line the barcode up inside the frame
+          </Text>
+        </View>
+        <View style={styles.cameraControls}>
+          <TouchableOpacity
+            style={styles.cancelButton}
+            onPress={() => setShowBarcodeScanner(false)}
+          >
+            <Ionicons name="close" size={24} color={colors.surface} />
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  }
+
   if (showCamera) {
     return (
       <View style={styles.container}>
@@ -285,20 +612,83 @@ export default function FoodScannerScreen() {
               {
                 backgroundColor: geminiService.isConfigured
                   ? colors.success
-                  : colors.warning,
+                  : demoMode
+                  ? colors.warning
+                  : colors.error,
               },
             ]}
           />
           <Text style={styles.apiStatusText}>
             {geminiService.isConfigured
               ? "AI Analysis Active"
-              : "Demo Mode (Mock Data)"}
+              : demoMode
+              ? "Demo Mode (Sample Data)"
+              : "AI Not Set Up"}
           </Text>
         </View>
       </View>
 
+      {/* Mode toggle */}
+      <View style={styles.modeToggle}>
+        {[
+          { key: "photo", label: "Single", icon: "camera" },
+          { key: "multi", label: "Shelf", icon: "grid" },
+          { key: "batch", label: "Batch", icon: "layers" },
+          { key: "barcode", label: "Barcode", icon: "barcode" },
+        ].map((option) => (
+          <TouchableOpacity
+            key={option.key}
+            style={[
+              styles.modeButton,
+              mode === option.key && styles.modeButtonActive,
+            ]}
+            onPress={() => changeMode(option.key)}
+          >
+            <Ionicons
+              name={option.icon}
+              size={16}
+              color={mode === option.key ? colors.surface : colors.primary}
+            />
+            <Text
+              style={[
+                styles.modeButtonText,
+                mode === option.key && styles.modeButtonTextActive,
+              ]}
+            >
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {/* Barcode mode */}
+      {mode === "barcode" && !product && !capturedImage && (
+        <View style={styles.actionButtons}>
+          <TouchableOpacity
+            style={[styles.actionButton, styles.cameraButton]}
+            onPress={startBarcodeScan}
+          >
+            <Ionicons name="barcode" size={32} color={colors.surface} />
+            <Text style={styles.actionButtonText}>Scan Barcode</Text>
+          </TouchableOpacity>
+          <Text style={styles.modeHint}>
+            Best for packaged goods. Products you've scanned before are filled
+            in automatically.
+          </Text>
+        </View>
+      )}
+
       {/* Action Buttons */}
-      {!capturedImage && (
+      {mode === "multi" && !capturedImage && (
+        <Text style={styles.modeHint}>
+          Photograph an open fridge, a shelf or your shopping on the counter.
+          Every food found can be added in one go.
+        </Text>
+      )}
+      {/* Batch mode manages its own photos and results */}
+      {mode === "batch" && <BatchScanner />}
+
+      {(mode === "photo" || mode === "multi") && !capturedImage && (
         <View style={styles.actionButtons}>
           <TouchableOpacity
             style={[styles.actionButton, styles.cameraButton]}
@@ -315,11 +705,19 @@ export default function FoodScannerScreen() {
             <Ionicons name="images" size={32} color={colors.surface} />
             <Text style={styles.actionButtonText}>Choose from Gallery</Text>
           </TouchableOpacity>
+
+          <TouchableOpacity
+            style={[styles.actionButton, styles.receiptButton]}
+            onPress={scanReceipt}
+          >
+            <Ionicons name="receipt" size={32} color={colors.surface} />
+            <Text style={styles.actionButtonText}>Scan Receipt</Text>
+          </TouchableOpacity>
         </View>
       )}
 
       {/* Captured Image Preview */}
-      {capturedImage && (
+      {capturedImage && !detections && (
         <View style={styles.imageContainer}>
           <Image source={{ uri: capturedImage }} style={styles.previewImage} />
           <TouchableOpacity style={styles.retakeButton} onPress={resetScanner}>
@@ -330,13 +728,60 @@ export default function FoodScannerScreen() {
       )}
 
       {/* Analysis Loading */}
-      {isAnalyzing && (
+      {(isAnalyzing || isReadingReceipt) && (
         <View style={styles.loadingContainer}>
           <ActivityIndicator size="large" color={colors.primary} />
-          <Text style={styles.loadingText}>Analyzing food freshness...</Text>
+          <Text style={styles.loadingText}>
+            {isReadingReceipt
+              ? "Reading receipt..."
+              : mode === "multi"
+              ? "Finding every item in the photo..."
+              : "Analyzing food freshness..."}
+          </Text>
         </View>
       )}
 
+      {/* AI errors with retry, or a note that the result is sample data */}
+      {aiNotice && !isAnalyzing && !isReadingReceipt && (
+        <AIResultNotice
+          result={aiNotice.result}
+          title={aiNotice.title}
+          onRetry={aiNotice.retry}
+          onRefresh={aiNotice.refresh}
+        />
+      )}
+
+      {/* Multi-item review */}
+      {detections && !isAnalyzing && (
+        <DetectionReview
+          imageUri={capturedImage}
+          detections={detections}
+          submitting={isAddingDetections}
+          onSubmit={addDetectedItems}
+          onCancel={resetScanner}
+        />
+      )}
+
+      {/* Receipt review */}
+      {receipt && !isReadingReceipt && (
+        <ReceiptReviewList
+          receipt={receipt}
+          submitting={isAddingReceipt}
+          onSubmit={addReceiptItems}
+          onCancel={resetScanner}
+        />
+      )}
+
+      {/* Barcode product review */}
+      {product && !isAnalyzing && (
+        <ProductForm
+          product={product}
+          isNew={!product.updatedAt}
+          onSubmit={addProductToPantry}
+          onCancel={resetScanner}
+        />
+      )}
+
       {/* Analysis Results */}
       {analysisResult && !isAnalyzing && (
         <View style={styles.resultsContainer}>
@@ -411,6 +856,11 @@ export default function FoodScannerScreen() {
                 Estimated shelf life: {analysisResult.days_left} day(s)
               </Text>
             )}
+            {analysisResult.shelf_life_check?.note && (
+              <Text style={styles.shelfLifeNote}>
+                {analysisResult.shelf_life_check.note}
+              </Text>
+            )}
           </View>
 
           {/* Recommendation */}
@@ -510,6 +960,41 @@ const styles = StyleSheet.create({
     color: colors.textSecondary,
     fontWeight: "600",
   },
+  modeToggle: {
+    flexDirection: "row",
+    marginHorizontal: spacing.lg,
+    marginBottom: spacing.lg,
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.md,
+    padding: spacing.xs / 2,
+    ...shadows.small,
+  },
+  modeButton: {
+    flex: 1,
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    paddingVertical: spacing.sm,
+    borderRadius: borderRadius.md,
+  },
+  modeButtonActive: {
+    backgroundColor: colors.primary,
+  },
+  modeButtonText: {
+    ...typography.caption,
+    color: colors.primary,
+    fontWeight: "600",
+    marginLeft: spacing.xs,
+  },
+  modeButtonTextActive: {
+    color: colors.surface,
+  },
+  modeHint: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    textAlign: "center",
+    marginHorizontal: spacing.md,
+  },
   actionButtons: {
     paddingHorizontal: spacing.md,
     flexDirection: "column",
@@ -529,6 +1014,9 @@ const styles = StyleSheet.create({
   galleryButton: {
     backgroundColor: colors.info,
   },
+  receiptButton: {
+    backgroundColor: colors.primaryDark,
+  },
   actionButtonText: {
     ...typography.body,
     color: colors.surface,
@@ -636,6 +1124,11 @@ const styles = StyleSheet.create({
     ...typography.caption,
     color: colors.textSecondary,
   },
+  shelfLifeNote: {
+    ...typography.small,
+    color: colors.overripe,
+    marginTop: spacing.xs,
+  },
   recommendationCard: {
     backgroundColor: colors.surface,
     padding: spacing.md,
@@ -683,6 +1176,25 @@ const styles = StyleSheet.create({
   camera: {
     flex: 1,
   },
+  barcodeGuide: {
+    ...StyleSheet.absoluteFillObject,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  barcodeFrame: {
+    width: "80%",
+    height: 140,
+    borderWidth: 3,
+    borderColor: colors.surface,
+    borderRadius: borderRadius.lg,
+  },
+  barcodeGuideText: {
+    ...typography.body,
+    color: colors.surface,
+    marginTop: spacing.md,
+    textShadowColor: "rgba(0,0,0,0.6)",
+    textShadowRadius: 4,
+  },
   cameraControls: {
     flexDirection: "row",
     justifyContent: "space-between",
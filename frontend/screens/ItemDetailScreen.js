@@ -0,0 +1,465 @@
+/**
+ * ItemDetailScreen - One Pantry Item
+ * Shows everything known about an item (photo, dates, the full AI
+ * analysis and its freshness timeline) and lets the user correct it,
+ * re-scan it or delete it
+ */
+
+import React, { useState, useLayoutEffect } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  Image,
+  ActivityIndicator,
+  Alert,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useNavigation, useRoute } from "@react-navigation/native";
+import * as ImagePicker from "expo-image-picker";
+import ItemEditForm from "../components/ItemEditForm";
+import FreshnessTimeline from "../components/FreshnessTimeline";
+import { pantryService } from "../services/pantryService";
+import { geminiService } from "../services/geminiService";
+import { householdService } from "../services/householdService";
+import { imageStorageService } from "../services/imageStorageService";
+import usePantryItems from "../hooks/usePantryItems";
+import useCancellableRequests from "../hooks/useCancellableRequests";
+import { STORAGE_LOCATIONS } from "../config/pantryOptions";
+import {
+  colors,
+  spacing,
+  borderRadius,
+  shadows,
+  typography,
+} from "../styles/colors";
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : "");
+
+export default function ItemDetailScreen() {
+  const navigation = useNavigation();
+  const route = useRoute();
+  const { pantryItems, loading } = usePantryItems();
+  const { runRequest } = useCancellableRequests();
+  const [editing, setEditing] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [rescanning, setRescanning] = useState(false);
+
+  const item = pantryItems.find(
+    (candidate) => candidate.id === route.params?.itemId
+  );
+
+  // Title the header with the item's name, kept current after edits
+  useLayoutEffect(() => {
+    if (item) navigation.setOptions({ title: item.name });
+  }, [navigation, item?.name]);
+
+  /**
+   * Save the edited fields
+   */
+  const handleSave = async (values) => {
+    setSaving(true);
+    try {
+      await pantryService.editItem(item, values);
+      setEditing(false);
+    } catch (error) {
+      console.error("Error saving item:", error);
+      Alert.alert("Error", error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Confirm, then move the item to the trash and go back to the list, which
+   * offers undo
+   */
+  const handleDelete = () => {
+    Alert.alert(
+      `Delete ${item.name}?`,
+      "This moves it to the trash without recording it as eaten or " +
+        "wasted. Use Done on the pantry list for food that was finished.",
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Delete",
+          style: "destructive",
+          onPress: async () => {
+            try {
+              await pantryService.deleteItem(item.id);
+              navigation.navigate({
+                name: "PantryList",
+                params: { deletedItems: [{ id: item.id, name: item.name }] },
+                merge: true,
+              });
+            } catch (error) {
+              Alert.alert("Error", error.message);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  /**
+   * Photograph the item again and add the new analysis to its timeline
+   */
+  const handleRescan = () => {
+    const options = {
+      mediaTypes: ImagePicker.MediaTypeOptions.Images,
+      quality: 0.8,
+      base64: true,
+    };
+
+    const scanFrom = async (source) => {
+      const permission =
+        source === "camera"
+          ? await ImagePicker.requestCameraPermissionsAsync()
+          : await ImagePicker.requestMediaLibraryPermissionsAsync();
+      if (permission.status !== "granted") {
+        Alert.alert("Permission needed", "Please grant access to continue");
+        return;
+      }
+
+      const result =
+        source === "camera"
+          ? await ImagePicker.launchCameraAsync(options)
+          : await ImagePicker.launchImageLibraryAsync(options);
+      if (result.canceled) return;
+
+      await analyzePhoto(result.assets[0]);
+    };
+
+    const analyzePhoto = async (photo) => {
+      setRescanning(true);
+      try {
+        const { data, error } = await runRequest((signal) =>
+          geminiService.analyzeFood(
+            photo.base64,
+            pantryService.getScanHistory(item),
+            { signal }
+          )
+        );
+        if (error?.code === "cancelled") return;
+        if (!data) {
+          Alert.alert(
+            "Re-scan failed",
+            error.message,
+            error.retryable
+              ? [
+                  { text: "Cancel", style: "cancel" },
+                  { text: "Retry", onPress: () => analyzePhoto(photo) },
+                ]
+              : undefined
+          );
+          return;
+        }
+        await pantryService.rescanItem(item, data, photo.uri);
+      } catch (error) {
+        console.error("Error re-scanning item:", error);
+        Alert.alert("Error", error.message);
+      } finally {
+        setRescanning(false);
+      }
+    };
+
+    Alert.alert(`Re-scan ${item.name}`, "Take a new photo of this item.", [
+      { text: "Cancel", style: "cancel" },
+      { text: "Choose from Gallery", onPress: () => scanFrom("library") },
+      { text: "Take Photo", onPress: () => scanFrom("camera") },
+    ]);
+  };
+
+  if (!item) {
+    return (
+      <View style={styles.centered}>
+        {loading ? (
+          <ActivityIndicator size="large" color={colors.primary} />
+        ) : (
+          <Text style={styles.emptyText}>
+            This item is no longer in the pantry.
+          </Text>
+        )}
+      </View>
+    );
+  }
+
+  const imageUri = imageStorageService.getImageUri(item, "full");
+  const analysis = item.aiAnalysis;
+  const location = STORAGE_LOCATIONS.find(
+    (option) => option.key === pantryService.getLocation(item)
+  );
+  const canUpdate = householdService.can("update");
+  const canDelete = householdService.can("delete");
+
+  /**
+   * One label/value line in a details card
+   */
+  const renderRow = (label, value) =>
+    value ? (
+      <View style={styles.row}>
+        <Text style={styles.rowLabel}>{label}</Text>
+        <Text style={styles.rowValue}>{value}</Text>
+      </View>
+    ) : null;
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      {imageUri ? (
+        <Image
+          source={{ uri: imageUri }}
+          style={styles.image}
+          resizeMode="contain"
+        />
+      ) : (
+        <View style={[styles.image, styles.noImage]}>
+          <Ionicons name="image-outline" size={48} color={colors.textHint} />
+          <Text style={styles.noImageText}>No photo</Text>
+        </View>
+      )}
+
+      {editing ? (
+        <ItemEditForm
+          item={item}
+          submitting={saving}
+          onSubmit={handleSave}
+          onCancel={() => setEditing(false)}
+        />
+      ) : (
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Details</Text>
+          {renderRow("Category", item.category)}
+          {renderRow("Quantity", pantryService.formatQuantity(item))}
+          {renderRow("Stored in", location?.label)}
+          {renderRow(
+            "Status",
+            item.days_left > 0 ? `${item.days_left} day(s) left` : "Expired"
+          )}
+          {item.notes ? <Text style={styles.notes}>{item.notes}</Text> : null}
+          {canUpdate && (
+            <TouchableOpacity
+              style={styles.editButton}
+              onPress={() => setEditing(true)}
+            >
+              <Ionicons
+                name="create-outline"
+                size={18}
+                color={colors.primary}
+              />
+              <Text style={styles.editButtonText}>Edit</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>Dates</Text>
+        {renderRow(
+          "Added",
+          `${formatDate(item.addedDate)}${
+            item.addedBy?.name ? ` by ${item.addedBy.name}` : ""
+          }`
+        )}
+        {renderRow("Expires", formatDate(item.expiryDate))}
+        {renderRow("Opened", formatDate(item.openedDate))}
+        {renderRow("Frozen", formatDate(item.frozenDate))}
+        {renderRow("Last edited", formatDate(item.updatedDate))}
+      </View>
+
+      {analysis && (
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>AI Analysis</Text>
+          {renderRow(
+            "Freshness",
+            `${analysis.freshness} • ${analysis.confidence}% confident`
+          )}
+          {renderRow(
+            "Safe to eat",
+            analysis.safe_to_consume ? "Yes" : "No - discard"
+          )}
+          {analysis.recommendation ? (
+            <>
+              <Text style={styles.sectionLabel}>Recommendation</Text>
+              <Text style={styles.bodyText}>{analysis.recommendation}</Text>
+            </>
+          ) : null}
+          {analysis.storage_tip ? (
+            <>
+              <Text style={styles.sectionLabel}>Storage tip</Text>
+              <Text style={styles.bodyText}>{analysis.storage_tip}</Text>
+            </>
+          ) : null}
+          {analysis.details ? (
+            <>
+              <Text style={styles.sectionLabel}>What the scan saw</Text>
+              <Text style={styles.bodyText}>{analysis.details}</Text>
+            </>
+          ) : null}
+          {analysis.shelf_life_check?.note ? (
+            <Text style={styles.notes}>{analysis.shelf_life_check.note}</Text>
+          ) : null}
+        </View>
+      )}
+
+      {canUpdate && (
+        <TouchableOpacity
+          style={[styles.primaryButton, rescanning && styles.disabled]}
+          onPress={handleRescan}
+          disabled={rescanning}
+        >
+          {rescanning ? (
+            <ActivityIndicator size="small" color={colors.surface} />
+          ) : (
+            <Ionicons name="camera" size={20} color={colors.surface} />
+          )}
+          <Text style={styles.primaryButtonText}>
+            {rescanning ? "Analyzing..." : "Re-scan Freshness"}
+          </Text>
+        </TouchableOpacity>
+      )}
+
+      <FreshnessTimeline item={item} />
+
+      {canDelete && (
+        <TouchableOpacity style={styles.deleteButton} onPress={handleDelete}>
+          <Ionicons name="trash-outline" size={18} color={colors.error} />
+          <Text style={styles.deleteButtonText}>Move to Trash</Text>
+        </TouchableOpacity>
+      )}
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  content: {
+    padding: spacing.lg,
+    paddingBottom: spacing.xl,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    backgroundColor: colors.background,
+    padding: spacing.lg,
+  },
+  emptyText: {
+    ...typography.body,
+    color: colors.textSecondary,
+    textAlign: "center",
+  },
+  image: {
+    width: "100%",
+    aspectRatio: 4 / 3,
+    borderRadius: borderRadius.lg,
+    backgroundColor: colors.surfaceLight,
+    marginBottom: spacing.md,
+  },
+  noImage: {
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  noImageText: {
+    ...typography.caption,
+    color: colors.textHint,
+    marginTop: spacing.xs,
+  },
+  card: {
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.lg,
+    padding: spacing.md,
+    marginBottom: spacing.md,
+    ...shadows.small,
+  },
+  cardTitle: {
+    ...typography.h3,
+    marginBottom: spacing.sm,
+  },
+  row: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    paddingVertical: spacing.xs,
+  },
+  rowLabel: {
+    ...typography.body,
+    color: colors.textSecondary,
+  },
+  rowValue: {
+    ...typography.body,
+    fontWeight: "600",
+    flexShrink: 1,
+    textAlign: "right",
+    marginLeft: spacing.md,
+  },
+  sectionLabel: {
+    ...typography.caption,
+    fontWeight: "600",
+    color: colors.textPrimary,
+    marginTop: spacing.sm,
+  },
+  bodyText: {
+    ...typography.body,
+    color: colors.textSecondary,
+    marginTop: spacing.xs / 2,
+  },
+  notes: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    fontStyle: "italic",
+    marginTop: spacing.sm,
+  },
+  editButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    alignSelf: "flex-end",
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.xs,
+    marginTop: spacing.sm,
+    borderRadius: borderRadius.md,
+    backgroundColor: colors.freshBg,
+  },
+  editButtonText: {
+    ...typography.body,
+    color: colors.primaryDark,
+    fontWeight: "600",
+    marginLeft: spacing.xs,
+  },
+  primaryButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    backgroundColor: colors.primary,
+    paddingVertical: spacing.md,
+    borderRadius: borderRadius.md,
+    marginBottom: spacing.md,
+  },
+  primaryButtonText: {
+    ...typography.body,
+    color: colors.surface,
+    fontWeight: "600",
+    marginLeft: spacing.sm,
+  },
+  deleteButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    paddingVertical: spacing.md,
+    borderRadius: borderRadius.md,
+    borderWidth: 1,
+    borderColor: colors.error,
+  },
+  deleteButtonText: {
+    ...typography.body,
+    color: colors.error,
+    fontWeight: "600",
+    marginLeft: spacing.xs,
+  },
+  disabled: {
+    opacity: 0.5,
+  },
+});
@@ -13,56 +13,53 @@ import {
   RefreshControl,
   TouchableOpacity,
   ActivityIndicator,
+  Alert,
 } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useNavigation, useRoute } from "@react-navigation/native";
 import FoodCard from "../components/FoodCard";
+import UseSomeModal from "../components/UseSomeModal";
+import OutcomeModal from "../components/OutcomeModal";
+import LocationPickerModal from "../components/LocationPickerModal";
+import CategoryPickerModal from "../components/CategoryPickerModal";
+import ExtendExpiryModal from "../components/ExtendExpiryModal";
+import SelectionActionBar from "../components/SelectionActionBar";
+import UndoSnackbar from "../components/UndoSnackbar";
+import PantryFilterBar from "../components/PantryFilterBar";
+import AccountBar from "../components/AccountBar";
+import HouseholdSwitcher from "../components/HouseholdSwitcher";
+import SyncStatusBar from "../components/SyncStatusBar";
 import NotificationBanner from "../components/NotificationBanner";
 import { notificationService } from "../services/notificationService";
 import { pantryService } from "../services/pantryService";
-import { colors, spacing, typography } from "../styles/colors";
+import { householdService } from "../services/householdService";
+import { syncService } from "../services/syncService";
+import {
+  pantryFilterService,
+  DEFAULT_FILTERS,
+} from "../services/pantryFilterService";
+import usePantryItems from "../hooks/usePantryItems";
+import { colors, spacing, shadows, typography } from "../styles/colors";
 
 export default function PantryScreen() {
-  const [pantryItems, setPantryItems] = useState([]);
+  const navigation = useNavigation();
+  const route = useRoute();
+  const { pantryItems, loading, household } = usePantryItems();
   const [notificationData, setNotificationData] = useState(null);
   const [refreshing, setRefreshing] = useState(false);
-  const [loading, setLoading] = useState(true);
-
-  // Initialize Firebase real-time listener on mount
-  useEffect(() => {
-    console.log("Setting up Firebase listener for pantry items...");
-    setLoading(true);
-
-    // Subscribe to real-time updates from Firebase
-    const unsubscribe = pantryService.subscribeToItems((items) => {
-      console.log("Received pantry items from Firebase:", items.length);
-
-      // Calculate days_left for each item based on expiry date
-      const itemsWithDaysLeft = items.map((item) => {
-        const daysLeft = Math.ceil(
-          (item.expiryDate - new Date()) / (1000 * 60 * 60 * 24)
-        );
-
-        // Log for debugging
-        console.log(
-          `Item ${item.name}: days_left=${daysLeft}, expiry=${item.expiryDate}`
-        );
-
-        return {
-          ...item,
-          days_left: daysLeft,
-        };
-      });
-
-      setPantryItems(itemsWithDaysLeft);
-      setLoading(false);
-      setRefreshing(false);
-    });
-
-    // Cleanup listener on unmount
-    return () => {
-      console.log("Cleaning up Firebase listener");
-      unsubscribe();
-    };
-  }, []);
+  const [usingItem, setUsingItem] = useState(null);
+  const [finishing, setFinishing] = useState(null);
+  const [moving, setMoving] = useState(null);
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [collapsed, setCollapsed] = useState([]);
+  // IDs of the items picked in selection mode, null when not selecting
+  const [selectedIds, setSelectedIds] = useState(null);
+  const [recategorizing, setRecategorizing] = useState(null);
+  const [extending, setExtending] = useState(null);
+  // Last delete that can still be undone: { key, message, itemIds }
+  const [undo, setUndo] = useState(null);
+  const canSelect =
+    householdService.can("update") || householdService.can("delete");
 
   // Update notifications when pantry changes
   useEffect(() => {
@@ -74,13 +71,50 @@ export default function PantryScreen() {
     }
   }, [pantryItems]);
 
+  // Offer undo for an item deleted from its detail screen
+  const deletedItems = route.params?.deletedItems;
+  useEffect(() => {
+    if (!deletedItems) return;
+    showUndo(deletedItems);
+    navigation.setParams({ deletedItems: undefined });
+  }, [deletedItems]);
+
+  /**
+   * Show the undo snackbar for items that were just moved to the trash
+   */
+  const showUndo = (items) => {
+    setUndo({
+      key: Date.now(),
+      message:
+        items.length === 1
+          ? `${items[0].name} moved to trash`
+          : `${items.length} items moved to trash`,
+      itemIds: items.map((item) => item.id),
+    });
+  };
+
+  /**
+   * Restore the items from the last delete
+   */
+  const handleUndo = async () => {
+    const { itemIds } = undo;
+    setUndo(null);
+    try {
+      await pantryService.restoreItems(itemIds);
+    } catch (error) {
+      console.error("Error restoring items:", error);
+      Alert.alert("Error", error.message);
+    }
+  };
+
   /**
    * Handle pull to refresh
    */
   const onRefresh = () => {
     setRefreshing(true);
-    // Firebase listener will automatically update the data
-    // Just show the refresh indicator briefly
+    // Firebase listener will automatically update the data; retry any
+    // queued offline writes and show the refresh indicator briefly
+    syncService.flush();
     setTimeout(() => {
       setRefreshing(false);
     }, 1000);
@@ -104,8 +138,11 @@ export default function PantryScreen() {
   const handleNotificationAction = (action) => {
     switch (action) {
       case "dispose":
-        // In real app, would mark items as disposed
-        console.log("Mark spoiled items as disposed");
+        // Spoiled items can only have been thrown away or composted
+        setFinishing({
+          items: pantryItems.filter((item) => item.days_left <= 0),
+          outcomeKeys: ["thrown_away", "composted"],
+        });
         break;
       case "recipes":
         // Recipe generation is now handled by RecipesScreen
@@ -117,39 +154,240 @@ export default function PantryScreen() {
   };
 
   /**
-   * Handle food card press
+   * Open the detail screen for a tapped item, or pick it while selecting
    */
   const handleFoodCardPress = (item) => {
-    console.log("Food card pressed:", item.name);
-    // In real app, could show detailed view or edit options
+    if (selectedIds) {
+      toggleSelected(item);
+      return;
+    }
+    navigation.navigate("ItemDetail", { itemId: item.id });
   };
 
   /**
-   * Render individual pantry item
+   * Add an item to the selection or take it out again
    */
-  const renderPantryItem = ({ item }) => (
-    <FoodCard item={item} onPress={handleFoodCardPress} />
-  );
+  const toggleSelected = (item) => {
+    setSelectedIds((current) =>
+      current.includes(item.id)
+        ? current.filter((id) => id !== item.id)
+        : [...current, item.id]
+    );
+  };
+
+  /**
+   * Run a bulk action and leave selection mode once it has been queued
+   */
+  const runBulkAction = async (action) => {
+    try {
+      await action();
+      setSelectedIds(null);
+    } catch (error) {
+      console.error("Error updating selected items:", error);
+      Alert.alert("Error", error.message);
+    }
+  };
+
+  /**
+   * Apply an action from the selection bar to every selected item
+   */
+  const handleBulkAction = (action) => {
+    const items = selectedItems;
+    switch (action) {
+      case "eaten":
+        runBulkAction(() => pantryService.recordOutcomes(items, "eaten"));
+        break;
+      case "dispose":
+        setFinishing({ items, outcomeKeys: ["thrown_away", "composted"] });
+        break;
+      case "freezer":
+        runBulkAction(() => pantryService.moveItems(items, "freezer"));
+        break;
+      case "category":
+        setRecategorizing(items);
+        break;
+      case "extend":
+        setExtending(items);
+        break;
+      case "delete":
+        runBulkAction(async () => {
+          await pantryService.deleteItems(items.map((item) => item.id));
+          showUndo(items);
+        });
+        break;
+      default:
+        break;
+    }
+  };
+
+  /**
+   * File the selected items under the chosen category
+   */
+  const handleCategory = (category) => {
+    const items = recategorizing;
+    setRecategorizing(null);
+    runBulkAction(() => pantryService.setCategory(items, category));
+  };
+
+  /**
+   * Push back the expiry of the selected items
+   */
+  const handleExtend = (days) => {
+    const items = extending;
+    setExtending(null);
+    runBulkAction(() => pantryService.extendExpiry(items, days));
+  };
+
+  /**
+   * Record partial use of an item from the "use some" dialog
+   */
+  const handleUseSome = async (item, amount) => {
+    setUsingItem(null);
+    try {
+      await pantryService.consumeItem(item, amount);
+    } catch (error) {
+      console.error("Error using item:", error);
+      Alert.alert("Error", error.message);
+    }
+  };
+
+  /**
+   * Record the chosen outcome for the items being finished
+   */
+  const handleOutcome = async (outcome) => {
+    const { items } = finishing;
+    setFinishing(null);
+    try {
+      await pantryService.recordOutcomes(items, outcome);
+      setSelectedIds(null);
+    } catch (error) {
+      console.error("Error recording outcome:", error);
+      Alert.alert("Error", error.message);
+    }
+  };
+
+  /**
+   * Move the selected items to the chosen storage location
+   */
+  const handleMove = async (location) => {
+    const items = moving;
+    setMoving(null);
+    try {
+      await pantryService.moveItems(items, location);
+    } catch (error) {
+      console.error("Error moving item:", error);
+      Alert.alert("Error", error.message);
+    }
+  };
+
+  /**
+   * Mark an item as opened, shortening its shelf life
+   */
+  const handleOpen = async (item) => {
+    try {
+      await pantryService.openItem(item);
+    } catch (error) {
+      console.error("Error opening item:", error);
+      Alert.alert("Error", error.message);
+    }
+  };
+
+  /**
+   * Render individual pantry item. Quick actions are hidden while
+   * selecting, and a long press starts selecting from that item.
+   */
+  const renderPantryItem = ({ item }) => {
+    if (selectedIds) {
+      return (
+        <FoodCard
+          item={item}
+          onPress={handleFoodCardPress}
+          selected={selectedIds.includes(item.id)}
+        />
+      );
+    }
+    return (
+      <FoodCard
+        item={item}
+        onPress={handleFoodCardPress}
+        onLongPress={
+          canSelect ? (pressed) => setSelectedIds([pressed.id]) : null
+        }
+        onUseSome={householdService.can("update") ? setUsingItem : null}
+        onMove={
+          householdService.can("update")
+            ? (movedItem) => setMoving([movedItem])
+            : null
+        }
+        onOpen={householdService.can("update") ? handleOpen : null}
+        onFinish={
+          householdService.can("delete")
+            ? (finishedItem) => setFinishing({ items: [finishedItem] })
+            : null
+        }
+      />
+    );
+  };
 
   /**
-   * Get pantry statistics
+   * Get pantry statistics. Items with nothing left don't count, and
+   * items down to a quarter of what was bought count as running low.
    */
   const getPantryStats = () => {
-    const urgent = pantryItems.filter((item) => item.days_left <= 1).length;
-    const expiringSoon = pantryItems.filter(
+    const inStock = pantryItems.filter((item) => (item.quantity ?? 1) > 0);
+    const urgent = inStock.filter((item) => item.days_left <= 1).length;
+    const expiringSoon = inStock.filter(
       (item) => item.days_left > 1 && item.days_left <= 3
     ).length;
-    const fresh = pantryItems.filter((item) => item.days_left > 3).length;
+    const fresh = inStock.filter((item) => item.days_left > 3).length;
+    const lowStock = inStock.filter((item) =>
+      pantryService.isLowStock(item)
+    ).length;
 
-    return { urgent, expiringSoon, fresh, total: pantryItems.length };
+    return { urgent, expiringSoon, fresh, lowStock, total: inStock.length };
   };
 
   const stats = getPantryStats();
 
+  const view = pantryFilterService.getView(pantryItems, filters);
+
+  // Bulk actions only apply to selected items the filters still show
+  const visibleItems = view.sections.flatMap((section) => section.items);
+  const selectedItems = selectedIds
+    ? visibleItems.filter((item) => selectedIds.includes(item.id))
+    : [];
+  const allSelected =
+    visibleItems.length > 0 && selectedItems.length === visibleItems.length;
+
+  /**
+   * Show or hide one group's items
+   */
+  const toggleSection = (key) => {
+    const sectionKey = `${filters.group}:${key}`;
+    setCollapsed((current) =>
+      current.includes(sectionKey)
+        ? current.filter((value) => value !== sectionKey)
+        : [...current, sectionKey]
+    );
+  };
+
+  const renderItemList = (items) => (
+    <FlatList
+      data={items}
+      renderItem={renderPantryItem}
+      keyExtractor={(item) => item.id}
+      scrollEnabled={false}
+      showsVerticalScrollIndicator={false}
+    />
+  );
+
   return (
     <View style={styles.container}>
       <ScrollView
-        contentContainerStyle={styles.scrollContent}
+        contentContainerStyle={[
+          styles.scrollContent,
+          selectedIds && styles.scrollContentSelecting,
+        ]}
         refreshControl={
           <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
         }
@@ -162,6 +400,11 @@ export default function PantryScreen() {
           </Text>
         </View>
 
+        {/* Signed-in account and active household */}
+        <AccountBar />
+        <HouseholdSwitcher household={household} />
+        <SyncStatusBar />
+
         {/* Pantry Statistics */}
         <View style={styles.statsContainer}>
           <View style={styles.statCard}>
@@ -182,6 +425,12 @@ export default function PantryScreen() {
               Fresh
             </Text>
           </View>
+          <View style={styles.statCard}>
+            <Text style={styles.statNumber}>{stats.lowStock}</Text>
+            <Text style={[styles.statLabel, { color: colors.info }]}>
+              Low
+            </Text>
+          </View>
         </View>
 
         {/* Notification Banner */}
@@ -195,44 +444,171 @@ export default function PantryScreen() {
 
         {/* Pantry Items */}
         <View style={styles.pantrySection}>
-          <Text style={styles.sectionTitle}>Pantry Items</Text>
+          <View style={styles.sectionHeader}>
+            <Text style={styles.sectionTitle}>Pantry Items</Text>
+            <View style={styles.sectionActions}>
+              {canSelect && pantryItems.length > 0 && !selectedIds && (
+                <TouchableOpacity onPress={() => setSelectedIds([])}>
+                  <Text style={styles.selectText}>Select</Text>
+                </TouchableOpacity>
+              )}
+              <TouchableOpacity
+                style={styles.trashButton}
+                onPress={() => navigation.navigate("Trash")}
+                accessibilityLabel="Trash"
+              >
+                <Ionicons
+                  name="trash-outline"
+                  size={20}
+                  color={colors.textSecondary}
+                />
+              </TouchableOpacity>
+            </View>
+          </View>
           <Text style={styles.sectionSubtitle}>
             {loading
               ? "Loading pantry data from Firebase..."
               : pantryItems.length > 0
               ? "Tap items for more details. Visit the Recipes tab for meal suggestions!"
               : "Your pantry is empty. Scan some food to get started!"}
+            {household?.role === "viewer" &&
+              " You have view-only access to this household."}
           </Text>
 
+          {pantryItems.length > 0 && (
+            <PantryFilterBar
+              filters={filters}
+              onChange={setFilters}
+              shownCount={view.count}
+              totalCount={pantryItems.length}
+            />
+          )}
+
           {loading ? (
             <View style={styles.loadingContainer}>
               <ActivityIndicator size="large" color={colors.primary} />
               <Text style={styles.loadingText}>Connecting to Firebase...</Text>
             </View>
+          ) : pantryItems.length > 0 && view.count === 0 ? (
+            <View style={styles.emptyContainer}>
+              <Text style={styles.emptyTitle}>No matching items</Text>
+              <TouchableOpacity onPress={() => setFilters(DEFAULT_FILTERS)}>
+                <Text style={styles.resetText}>Clear search and filters</Text>
+              </TouchableOpacity>
+            </View>
+          ) : pantryItems.length > 0 && filters.group !== "none" ? (
+            view.sections.map((section) => {
+              const isCollapsed = collapsed.includes(
+                `${filters.group}:${section.key}`
+              );
+              return (
+                <View key={section.key}>
+                  <TouchableOpacity
+                    style={styles.groupHeader}
+                    onPress={() => toggleSection(section.key)}
+                  >
+                    <Ionicons
+                      name={isCollapsed ? "chevron-forward" : "chevron-down"}
+                      size={16}
+                      color={colors.textSecondary}
+                    />
+                    {section.icon && (
+                      <Ionicons
+                        name={section.icon}
+                        size={18}
+                        color={colors.textSecondary}
+                        style={styles.groupIcon}
+                      />
+                    )}
+                    <Text style={styles.groupTitle}>{section.label}</Text>
+                    <Text style={styles.groupCount}>
+                      {section.items.length}
+                    </Text>
+                  </TouchableOpacity>
+                  {!isCollapsed && renderItemList(section.items)}
+                </View>
+              );
+            })
           ) : pantryItems.length > 0 ? (
-            <FlatList
-              data={pantryItems}
-              renderItem={renderPantryItem}
-              keyExtractor={(item) => item.id}
-              scrollEnabled={false}
-              showsVerticalScrollIndicator={false}
-            />
+            renderItemList(view.sections[0].items)
           ) : (
             <View style={styles.emptyContainer}>
               <Text style={styles.emptyTitle}>No items in pantry</Text>
               <Text style={styles.emptySubtitle}>
-                Scan food with the camera or add some demo data to get started!
+                Scan food with the camera, add items by hand with the + button,
+                or add some demo data to get started!
               </Text>
-              <TouchableOpacity
-                style={styles.seedButton}
-                onPress={seedDemoData}
-              >
-                <Text style={styles.seedButtonText}>Add Demo Data</Text>
-              </TouchableOpacity>
+              {householdService.can("add") && (
+                <TouchableOpacity
+                  style={styles.seedButton}
+                  onPress={seedDemoData}
+                >
+                  <Text style={styles.seedButtonText}>Add Demo Data</Text>
+                </TouchableOpacity>
+              )}
             </View>
           )}
         </View>
       </ScrollView>
+
+      {selectedIds ? (
+        <SelectionActionBar
+          selectedCount={selectedItems.length}
+          allSelected={allSelected}
+          onToggleAll={() =>
+            setSelectedIds(
+              allSelected ? [] : visibleItems.map((item) => item.id)
+            )
+          }
+          onClose={() => setSelectedIds(null)}
+          onAction={handleBulkAction}
+        />
+      ) : householdService.can("add") ? (
+        <TouchableOpacity
+          style={styles.addButton}
+          onPress={() => navigation.navigate("AddItem")}
+          accessibilityLabel="Add item by hand"
+        >
+          <Ionicons name="add" size={28} color={colors.surface} />
+        </TouchableOpacity>
+      ) : null}
+
+      <UndoSnackbar
+        snackbar={undo}
+        onUndo={handleUndo}
+        onDismiss={() => setUndo(null)}
+      />
+
+      <UseSomeModal
+        item={usingItem}
+        onConfirm={handleUseSome}
+        onCancel={() => setUsingItem(null)}
+      />
+
+      <OutcomeModal
+        items={finishing?.items}
+        outcomeKeys={finishing?.outcomeKeys}
+        onSelect={handleOutcome}
+        onCancel={() => setFinishing(null)}
+      />
+
+      <LocationPickerModal
+        items={moving}
+        onSelect={handleMove}
+        onCancel={() => setMoving(null)}
+      />
+
+      <CategoryPickerModal
+        items={recategorizing}
+        onSelect={handleCategory}
+        onCancel={() => setRecategorizing(null)}
+      />
+
+      <ExtendExpiryModal
+        items={extending}
+        onSelect={handleExtend}
+        onCancel={() => setExtending(null)}
+      />
     </View>
   );
 }
@@ -242,8 +618,25 @@ const styles = StyleSheet.create({
     flex: 1,
     backgroundColor: colors.background,
   },
+  addButton: {
+    position: "absolute",
+    right: spacing.lg,
+    bottom: spacing.lg,
+    width: 56,
+    height: 56,
+    borderRadius: 28,
+    backgroundColor: colors.primary,
+    justifyContent: "center",
+    alignItems: "center",
+    ...shadows.large,
+  },
   scrollContent: {
-    paddingBottom: spacing.xl,
+    // Leave room for the floating add button
+    paddingBottom: spacing.xl + 56,
+  },
+  scrollContentSelecting: {
+    // Leave room for the selection bar instead
+    paddingBottom: spacing.xl + 110,
   },
   header: {
     padding: spacing.lg,
@@ -283,11 +676,49 @@ const styles = StyleSheet.create({
   pantrySection: {
     marginBottom: spacing.lg,
   },
+  sectionHeader: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    marginHorizontal: spacing.lg,
+    marginBottom: spacing.xs,
+  },
   sectionTitle: {
     ...typography.h2,
+  },
+  sectionActions: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  trashButton: {
+    marginLeft: spacing.md,
+    padding: spacing.xs,
+  },
+  selectText: {
+    ...typography.body,
+    color: colors.primary,
+    fontWeight: "600",
+  },
+  groupHeader: {
+    flexDirection: "row",
+    alignItems: "center",
     marginHorizontal: spacing.lg,
+    marginTop: spacing.md,
     marginBottom: spacing.xs,
   },
+  groupIcon: {
+    marginLeft: spacing.xs,
+  },
+  groupTitle: {
+    ...typography.h3,
+    color: colors.textSecondary,
+    marginLeft: spacing.xs,
+    flex: 1,
+  },
+  groupCount: {
+    ...typography.caption,
+    color: colors.textHint,
+  },
   sectionSubtitle: {
     ...typography.caption,
     color: colors.textSecondary,
@@ -318,6 +749,11 @@ const styles = StyleSheet.create({
     textAlign: "center",
     marginBottom: spacing.lg,
   },
+  resetText: {
+    ...typography.body,
+    color: colors.primary,
+    fontWeight: "600",
+  },
   seedButton: {
     backgroundColor: colors.primary,
     paddingHorizontal: spacing.lg,
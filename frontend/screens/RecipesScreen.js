@@ -14,7 +14,10 @@ import {
   RefreshControl,
 } from "react-native";
 import { Ionicons } from "@expo/vector-icons";
-import { geminiService } from "../services/geminiService";
+import { geminiService, AI_SOURCES } from "../services/geminiService";
+import AIResultNotice from "../components/AIResultNotice";
+import useCancellableRequests from "../hooks/useCancellableRequests";
+import usePantryItems from "../hooks/usePantryItems";
 import {
   colors,
   spacing,
@@ -26,118 +29,43 @@ import {
 export default function RecipesScreen() {
   const [recipes, setRecipes] = useState([]);
   const [isGeneratingRecipes, setIsGeneratingRecipes] = useState(false);
+  // Outcome of the last request, kept to explain errors, sample data and
+  // saved recipes
+  const [recipeResult, setRecipeResult] = useState(null);
   const [refreshing, setRefreshing] = useState(false);
-  const [pantryItems, setPantryItems] = useState([]);
+  const { pantryItems: allPantryItems, loading } = usePantryItems();
+  const { runRequest } = useCancellableRequests();
 
-  // Hardcoded pantry data (same as PantryScreen for consistency)
-  const hardcodedPantryItems = [
-    {
-      id: "1",
-      name: "Bananas",
-      category: "Fruits",
-      days_left: 1,
-      expiryDate: new Date(Date.now() + 1 * 24 * 60 * 60 * 1000),
-      addedDate: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000),
-      notes: "Getting brown spots - perfect for smoothies or baking",
-    },
-    {
-      id: "2",
-      name: "Spinach",
-      category: "Vegetables",
-      days_left: 1,
-      expiryDate: new Date(Date.now() + 1 * 24 * 60 * 60 * 1000),
-      addedDate: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000),
-      notes: "Still crisp but use soon",
-    },
-    {
-      id: "3",
-      name: "Milk",
-      category: "Dairy",
-      days_left: 2,
-      expiryDate: new Date(Date.now() + 2 * 24 * 60 * 60 * 1000),
-      addedDate: new Date(Date.now() - 5 * 24 * 60 * 60 * 1000),
-      notes: "Organic whole milk",
-    },
-    {
-      id: "4",
-      name: "Bread",
-      category: "Bakery",
-      days_left: 0,
-      expiryDate: new Date(Date.now() - 1 * 24 * 60 * 60 * 1000),
-      addedDate: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000),
-      notes: "Whole wheat - showing mold spots",
-    },
-    {
-      id: "5",
-      name: "Tomatoes",
-      category: "Vegetables",
-      days_left: 3,
-      expiryDate: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000),
-      addedDate: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000),
-      notes: "Cherry tomatoes - nice and firm",
-    },
-    {
-      id: "6",
-      name: "Chicken Breast",
-      category: "Meat",
-      days_left: 2,
-      expiryDate: new Date(Date.now() + 2 * 24 * 60 * 60 * 1000),
-      addedDate: new Date(Date.now() - 1 * 24 * 60 * 60 * 1000),
-      notes: "Organic free-range",
-    },
-    {
-      id: "7",
-      name: "Bell Peppers",
-      category: "Vegetables",
-      days_left: 4,
-      expiryDate: new Date(Date.now() + 4 * 24 * 60 * 60 * 1000),
-      addedDate: new Date(Date.now() - 1 * 24 * 60 * 60 * 1000),
-      notes: "Red and yellow peppers",
-    },
-    {
-      id: "8",
-      name: "Greek Yogurt",
-      category: "Dairy",
-      days_left: 7,
-      expiryDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
-      addedDate: new Date(Date.now() - 1 * 24 * 60 * 60 * 1000),
-      notes: "Plain, unsweetened",
-    },
-    {
-      id: "9",
-      name: "Carrots",
-      category: "Vegetables",
-      days_left: 10,
-      expiryDate: new Date(Date.now() + 10 * 24 * 60 * 60 * 1000),
-      addedDate: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000),
-      notes: "Baby carrots - still crunchy",
-    },
-    {
-      id: "10",
-      name: "Rice",
-      category: "Grains",
-      days_left: 365,
-      expiryDate: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000),
-      addedDate: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),
-      notes: "Jasmine rice - pantry staple",
-    },
-  ];
+  // Only ingredients that still have something left can go into recipes
+  const pantryItems = allPantryItems.filter(
+    (item) => (item.quantity ?? 1) > 0
+  );
 
-  // Initialize pantry data on mount
+  // Show recipes saved for this exact pantry as soon as it has loaded
   useEffect(() => {
-    setPantryItems(hardcodedPantryItems);
-  }, []);
+    if (loading) return;
+    geminiService.getCachedRecipes(pantryItems).then((cached) => {
+      if (!cached) return;
+      setRecipeResult((current) => current ?? cached);
+      setRecipes((current) =>
+        current.length > 0 ? current : cached.data.recipes
+      );
+    });
+  }, [loading]);
 
   /**
-   * Generate recipes based on pantry items
+   * Generate recipes based on pantry items. Recipes saved for the same
+   * ingredients are reused unless refresh is set.
    */
-  const generateRecipes = async () => {
+  const generateRecipes = async ({ refresh = false } = {}) => {
     setIsGeneratingRecipes(true);
     try {
-      const recipeData = await geminiService.getRecipes(pantryItems);
-      setRecipes(recipeData.recipes || []);
-    } catch (error) {
-      console.error("Error generating recipes:", error);
+      const result = await runRequest((signal) =>
+        geminiService.getRecipes(pantryItems, { signal, refresh })
+      );
+      if (result.error?.code === "cancelled") return;
+      setRecipeResult(result);
+      if (result.data) setRecipes(result.data.recipes);
     } finally {
       setIsGeneratingRecipes(false);
     }
@@ -149,7 +77,7 @@ export default function RecipesScreen() {
   const onRefresh = () => {
     setRefreshing(true);
     setTimeout(() => {
-      generateRecipes();
+      generateRecipes({ refresh: true });
       setRefreshing(false);
     }, 1000);
   };
@@ -300,7 +228,7 @@ export default function RecipesScreen() {
         <View style={styles.actionContainer}>
           <TouchableOpacity
             style={styles.generateButton}
-            onPress={generateRecipes}
+            onPress={() => generateRecipes()}
             disabled={isGeneratingRecipes}
           >
             {isGeneratingRecipes ? (
@@ -316,6 +244,16 @@ export default function RecipesScreen() {
           </TouchableOpacity>
         </View>
 
+        {!isGeneratingRecipes && (
+          <AIResultNotice
+            result={recipeResult}
+            title="Couldn't generate recipes"
+            onRetry={() => generateRecipes()}
+            onDismiss={() => setRecipeResult(null)}
+            onRefresh={() => generateRecipes({ refresh: true })}
+          />
+        )}
+
         {/* Recipes Section */}
         {recipes.length > 0 && (
           <View style={styles.recipesSection}>
@@ -329,20 +267,22 @@ export default function RecipesScreen() {
         )}
 
         {/* Empty State */}
-        {recipes.length === 0 && !isGeneratingRecipes && (
-          <View style={styles.emptyState}>
-            <Ionicons
-              name="restaurant-outline"
-              size={64}
-              color={colors.textHint}
-            />
-            <Text style={styles.emptyStateTitle}>No Recipes Yet</Text>
-            <Text style={styles.emptyStateText}>
-              Tap "Generate New Recipes" to get AI-powered meal suggestions
-              based on your pantry items.
-            </Text>
-          </View>
-        )}
+        {recipes.length === 0 &&
+          !isGeneratingRecipes &&
+          recipeResult?.source !== AI_SOURCES.ERROR && (
+            <View style={styles.emptyState}>
+              <Ionicons
+                name="restaurant-outline"
+                size={64}
+                color={colors.textHint}
+              />
+              <Text style={styles.emptyStateTitle}>No Recipes Yet</Text>
+              <Text style={styles.emptyStateText}>
+                Tap "Generate New Recipes" to get AI-powered meal suggestions
+                based on your pantry items.
+              </Text>
+            </View>
+          )}
       </ScrollView>
     </View>
   );
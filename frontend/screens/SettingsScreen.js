@@ -0,0 +1,337 @@
+/**
+ * SettingsScreen - Pantry Settings
+ * Moves pantry data in and out of FreshB4: export to JSON or CSV through
+ * the share sheet, and import from a file (e.g. a spreadsheet of staples).
+ * Also turns demo mode, which stands in sample AI results, on and off, and
+ * clears the AI answers saved on this device.
+ */
+
+import React, { useState, useEffect } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  Switch,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useNavigation } from "@react-navigation/native";
+import * as DocumentPicker from "expo-document-picker";
+import { pantryService } from "../services/pantryService";
+import { householdService } from "../services/householdService";
+import { geminiService } from "../services/geminiService";
+import usePantryItems from "../hooks/usePantryItems";
+import usePantryHistory from "../hooks/usePantryHistory";
+import {
+  colors,
+  spacing,
+  borderRadius,
+  shadows,
+  typography,
+} from "../styles/colors";
+
+// How many invalid rows to list before summarizing the rest
+const MAX_LISTED_ERRORS = 5;
+
+export default function SettingsScreen() {
+  const navigation = useNavigation();
+  const { pantryItems, household } = usePantryItems();
+  const { history } = usePantryHistory();
+  // Which action is running: "json", "csv", "import" or "cache"
+  const [busy, setBusy] = useState(null);
+  const [demoMode, setDemoMode] = useState(false);
+
+  useEffect(() => geminiService.subscribeToDemoMode(setDemoMode), []);
+
+  /**
+   * Export the pantry and history and open the share sheet
+   */
+  const handleExport = async (format) => {
+    setBusy(format);
+    try {
+      await pantryService.exportPantry(pantryItems, history, format);
+    } catch (error) {
+      console.error("Error exporting pantry:", error);
+      Alert.alert(
+        "Export failed",
+        error.code === "sharing-unavailable"
+          ? error.message
+          : "The pantry could not be exported."
+      );
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  /**
+   * Pick a JSON or CSV file and show what importing it would add
+   */
+  const handleImport = async () => {
+    setBusy("import");
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        type: [
+          "application/json",
+          "text/csv",
+          "text/comma-separated-values",
+          "text/plain",
+        ],
+        copyToCacheDirectory: true,
+      });
+      if (result.canceled) return;
+
+      const plan = await pantryService.prepareImport(
+        result.assets[0].uri,
+        pantryItems,
+        history
+      );
+      confirmImport(plan);
+    } catch (error) {
+      console.error("Error reading import file:", error);
+      Alert.alert(
+        "Import failed",
+        error.code === "invalid-import"
+          ? error.message
+          : "The file could not be read."
+      );
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  /**
+   * Summarize an import plan and save it once confirmed
+   */
+  const confirmImport = (plan) => {
+    const lines = [];
+    if (plan.duplicates > 0) {
+      lines.push(`${plan.duplicates} duplicate(s) will be skipped.`);
+    }
+    if (plan.errors.length > 0) {
+      lines.push(
+        `${plan.errors.length} invalid row(s) will be skipped:`,
+        ...plan.errors.slice(0, MAX_LISTED_ERRORS)
+      );
+      if (plan.errors.length > MAX_LISTED_ERRORS) {
+        lines.push(`...and ${plan.errors.length - MAX_LISTED_ERRORS} more`);
+      }
+    }
+
+    if (plan.items.length === 0 && plan.history.length === 0) {
+      Alert.alert("Nothing to import", lines.join("\n") || undefined);
+      return;
+    }
+
+    Alert.alert(
+      `Import ${plan.items.length} item(s) and ${plan.history.length} ` +
+        "history record(s)?",
+      lines.join("\n") || undefined,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Import",
+          onPress: async () => {
+            try {
+              const counts = await pantryService.applyImport(plan);
+              Alert.alert(
+                "Import complete",
+                `Added ${counts.items} item(s) and ${counts.history} ` +
+                  "history record(s)."
+              );
+            } catch (error) {
+              Alert.alert(
+                "Error",
+                error.code === "permission-denied"
+                  ? error.message
+                  : "Failed to import the file."
+              );
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  /**
+   * Forget saved AI answers so the next scan or recipe request asks Gemini
+   */
+  const handleClearCache = async () => {
+    setBusy("cache");
+    try {
+      await geminiService.clearCache();
+      Alert.alert(
+        "Saved AI results cleared",
+        "Photos and recipes will be sent to Gemini again."
+      );
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  /**
+   * One tappable row with an icon, title and description
+   */
+  const renderAction = ({ key, icon, title, description, onPress }) => (
+    <TouchableOpacity
+      key={key}
+      style={[styles.action, busy && styles.disabled]}
+      onPress={onPress}
+      disabled={!!busy}
+    >
+      <Ionicons name={icon} size={24} color={colors.primary} />
+      <View style={styles.actionText}>
+        <Text style={styles.actionTitle}>{title}</Text>
+        <Text style={styles.actionDescription}>{description}</Text>
+      </View>
+      {busy === key ? (
+        <ActivityIndicator size="small" color={colors.primary} />
+      ) : (
+        <Ionicons name="chevron-forward" size={20} color={colors.textHint} />
+      )}
+    </TouchableOpacity>
+  );
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <Text style={styles.sectionTitle}>Pantry data</Text>
+      {household?.name ? (
+        <Text style={styles.sectionSubtitle}>{household.name}</Text>
+      ) : null}
+
+      <View style={styles.card}>
+        {renderAction({
+          key: "json",
+          icon: "document-text-outline",
+          title: "Export as JSON",
+          description:
+            "Everything: items, AI analysis, scan history and outcome history",
+          onPress: () => handleExport("json"),
+        })}
+        {renderAction({
+          key: "csv",
+          icon: "grid-outline",
+          title: "Export as CSV",
+          description: "One row per item or history record, for spreadsheets",
+          onPress: () => handleExport("csv"),
+        })}
+        {householdService.can("add") &&
+          renderAction({
+            key: "import",
+            icon: "download-outline",
+            title: "Import from file",
+            description:
+              "Add items from a FreshB4 export or your own spreadsheet",
+            onPress: handleImport,
+          })}
+      </View>
+
+      <Text style={styles.hint}>
+        CSV files need a name column. FreshB4 also reads category, quantity,
+        unit, storageLocation, expiryDate, notes and the other columns of its
+        own export. Items already in the pantry are skipped.
+      </Text>
+
+      <Text style={styles.sectionTitle}>AI</Text>
+      <View style={styles.card}>
+        <View style={styles.action}>
+          <Ionicons name="flask-outline" size={24} color={colors.primary} />
+          <View style={styles.actionText}>
+            <Text style={styles.actionTitle}>Demo mode</Text>
+            <Text style={styles.actionDescription}>
+              {geminiService.isConfigured
+                ? "Show sample results when Gemini can't be reached"
+                : "Show sample results, as no Gemini API key is set"}
+            </Text>
+          </View>
+          <Switch
+            value={demoMode}
+            onValueChange={(enabled) => geminiService.setDemoMode(enabled)}
+            trackColor={{ true: colors.primaryLight }}
+            thumbColor={demoMode ? colors.primary : colors.surfaceLight}
+          />
+        </View>
+        {renderAction({
+          key: "cache",
+          icon: "time-outline",
+          title: "Clear saved AI results",
+          description:
+            "Analyses and recipes are reused for a while to save quota",
+          onPress: handleClearCache,
+        })}
+      </View>
+
+      <Text style={styles.hint}>
+        Sample results are always labelled, and are never shown in place of a
+        failed request while demo mode is off.
+      </Text>
+
+      <Text style={styles.sectionTitle}>Deleted items</Text>
+      <View style={styles.card}>
+        {renderAction({
+          key: "trash",
+          icon: "trash-outline",
+          title: "Trash",
+          description: "Restore or permanently delete removed items",
+          onPress: () => navigation.navigate("Trash"),
+        })}
+      </View>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  content: {
+    padding: spacing.lg,
+  },
+  sectionTitle: {
+    ...typography.h3,
+    marginBottom: spacing.xs,
+  },
+  sectionSubtitle: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginBottom: spacing.xs,
+  },
+  card: {
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.lg,
+    marginTop: spacing.xs,
+    marginBottom: spacing.md,
+    ...shadows.small,
+  },
+  action: {
+    flexDirection: "row",
+    alignItems: "center",
+    padding: spacing.md,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.borderLight,
+  },
+  actionText: {
+    flex: 1,
+    marginHorizontal: spacing.md,
+  },
+  actionTitle: {
+    ...typography.body,
+    fontWeight: "600",
+  },
+  actionDescription: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginTop: 2,
+  },
+  hint: {
+    ...typography.caption,
+    color: colors.textSecondary,
+    marginBottom: spacing.lg,
+  },
+  disabled: {
+    opacity: 0.5,
+  },
+});
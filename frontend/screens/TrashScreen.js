@@ -0,0 +1,272 @@
+/**
+ * TrashScreen - Deleted Pantry Items
+ * Lists items deleted from the pantry in the last 30 days so they can be
+ * restored or removed for good
+ */
+
+import React from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  Image,
+  ActivityIndicator,
+  Alert,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import {
+  pantryService,
+  TRASH_RETENTION_DAYS,
+} from "../services/pantryService";
+import { householdService } from "../services/householdService";
+import { imageStorageService } from "../services/imageStorageService";
+import useTrashItems from "../hooks/useTrashItems";
+import {
+  colors,
+  spacing,
+  borderRadius,
+  shadows,
+  typography,
+} from "../styles/colors";
+
+export default function TrashScreen() {
+  const { trashItems, loading } = useTrashItems();
+  const canDelete = householdService.can("delete");
+
+  /**
+   * Put an item back in the pantry
+   */
+  const handleRestore = async (item) => {
+    try {
+      await pantryService.restoreItems([item.id]);
+    } catch (error) {
+      console.error("Error restoring item:", error);
+      Alert.alert("Error", error.message);
+    }
+  };
+
+  /**
+   * Delete items for good after confirmation
+   */
+  const confirmPermanentDelete = (items, title) => {
+    Alert.alert(
+      title,
+      "Their photos and AI analysis are removed too. This cannot be undone.",
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Delete Forever",
+          style: "destructive",
+          onPress: async () => {
+            try {
+              await pantryService.deleteItemsPermanently(items);
+            } catch (error) {
+              console.error("Error deleting items:", error);
+              Alert.alert("Error", error.message);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderTrashItem = ({ item }) => {
+    const thumbnailUri = imageStorageService.getImageUri(item, "thumbnail");
+    const daysLeft = pantryService.getDaysUntilPurge(item);
+
+    return (
+      <View style={styles.card}>
+        <View style={styles.cardHeader}>
+          {thumbnailUri ? (
+            <Image source={{ uri: thumbnailUri }} style={styles.thumbnail} />
+          ) : null}
+          <View style={styles.cardInfo}>
+            <Text style={styles.itemName}>{item.name}</Text>
+            <Text style={styles.meta}>
+              {item.category} • {pantryService.formatQuantity(item)}
+            </Text>
+            <Text style={styles.meta}>
+              Deleted {new Date(item.deletedAt).toLocaleDateString()}
+              {item.deletedBy?.name ? ` by ${item.deletedBy.name}` : ""}
+            </Text>
+            <Text style={styles.purgeNote}>
+              {daysLeft <= 1
+                ? "Removed for good within a day"
+                : `Removed for good in ${daysLeft} days`}
+            </Text>
+          </View>
+        </View>
+
+        {canDelete && (
+          <View style={styles.actions}>
+            <TouchableOpacity
+              style={styles.deleteButton}
+              onPress={() =>
+                confirmPermanentDelete([item], `Delete ${item.name} forever?`)
+              }
+            >
+              <Text style={styles.deleteButtonText}>Delete Forever</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.restoreButton}
+              onPress={() => handleRestore(item)}
+            >
+              <Ionicons name="arrow-undo" size={16} color={colors.surface} />
+              <Text style={styles.restoreButtonText}>Restore</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.centered}>
+        <ActivityIndicator size="large" color={colors.primary} />
+      </View>
+    );
+  }
+
+  return (
+    <FlatList
+      style={styles.container}
+      contentContainerStyle={styles.content}
+      data={trashItems}
+      renderItem={renderTrashItem}
+      keyExtractor={(item) => item.id}
+      ListHeaderComponent={
+        <View style={styles.header}>
+          <Text style={styles.headerText}>
+            Deleted items are kept here for {TRASH_RETENTION_DAYS} days before
+            they are removed for good.
+          </Text>
+          {canDelete && trashItems.length > 0 && (
+            <TouchableOpacity
+              onPress={() =>
+                confirmPermanentDelete(
+                  trashItems,
+                  `Empty the trash (${trashItems.length} items)?`
+                )
+              }
+            >
+              <Text style={styles.emptyTrashText}>Empty Trash</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      }
+      ListEmptyComponent={
+        <View style={styles.emptyContainer}>
+          <Ionicons name="trash-outline" size={48} color={colors.textHint} />
+          <Text style={styles.emptyText}>The trash is empty</Text>
+        </View>
+      }
+    />
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  content: {
+    padding: spacing.md,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    backgroundColor: colors.background,
+  },
+  header: {
+    marginBottom: spacing.sm,
+  },
+  headerText: {
+    ...typography.caption,
+    color: colors.textSecondary,
+  },
+  emptyTrashText: {
+    ...typography.body,
+    color: colors.error,
+    fontWeight: "600",
+    alignSelf: "flex-end",
+    marginTop: spacing.sm,
+  },
+  card: {
+    backgroundColor: colors.surface,
+    borderRadius: borderRadius.lg,
+    padding: spacing.md,
+    marginVertical: spacing.xs,
+    ...shadows.small,
+  },
+  cardHeader: {
+    flexDirection: "row",
+  },
+  thumbnail: {
+    width: 48,
+    height: 48,
+    borderRadius: borderRadius.md,
+    marginRight: spacing.sm,
+    backgroundColor: colors.surfaceLight,
+  },
+  cardInfo: {
+    flex: 1,
+  },
+  itemName: {
+    ...typography.h3,
+    marginBottom: spacing.xs / 2,
+  },
+  meta: {
+    ...typography.caption,
+    color: colors.textSecondary,
+  },
+  purgeNote: {
+    ...typography.small,
+    color: colors.textHint,
+    marginTop: spacing.xs / 2,
+  },
+  actions: {
+    flexDirection: "row",
+    justifyContent: "flex-end",
+    marginTop: spacing.sm,
+  },
+  deleteButton: {
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.xs,
+    borderRadius: borderRadius.md,
+    borderWidth: 1,
+    borderColor: colors.error,
+  },
+  deleteButtonText: {
+    ...typography.caption,
+    color: colors.error,
+    fontWeight: "600",
+  },
+  restoreButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.xs,
+    marginLeft: spacing.sm,
+    borderRadius: borderRadius.md,
+    backgroundColor: colors.primary,
+  },
+  restoreButtonText: {
+    ...typography.caption,
+    color: colors.surface,
+    fontWeight: "600",
+    marginLeft: spacing.xs,
+  },
+  emptyContainer: {
+    alignItems: "center",
+    padding: spacing.xl,
+  },
+  emptyText: {
+    ...typography.body,
+    color: colors.textSecondary,
+    marginTop: spacing.sm,
+  },
+});
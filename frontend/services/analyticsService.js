@@ -0,0 +1,195 @@
+/**
+ * AnalyticsService - Waste and savings analytics
+ * Aggregates pantry outcome history into pounds, dollars and CO2e, entirely
+ * on the device
+ */
+
+import { OUTCOMES } from "../config/pantryOptions";
+import {
+  CATEGORY_FACTORS,
+  UNIT_TO_LB,
+  LANDFILL_CO2E_PER_KG,
+  KG_PER_LB,
+} from "../config/wasteFactors";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WASTED_OUTCOMES = OUTCOMES.filter((option) => option.wasted).map(
+  (option) => option.key
+);
+
+class AnalyticsService {
+  /**
+   * Summarize outcome history for the dashboard
+   * @param {Array} history - Outcome records from PantryService
+   * @param {string} period - "week" or "month"
+   * @param {number} bucketCount - Number of periods to chart
+   * @returns {Object} { totals, buckets, categories, outcomes }
+   */
+  summarize(history, period = "week", bucketCount = 6) {
+    const buckets = this.createBuckets(period, bucketCount);
+    const rangeStart = buckets[0].start;
+    const inRange = history.filter(
+      (record) => record.outcomeDate && record.outcomeDate >= rangeStart
+    );
+
+    const totals = this.emptyTotals();
+    const categories = {};
+    const outcomes = Object.fromEntries(OUTCOMES.map((o) => [o.key, 0]));
+
+    inRange.forEach((record) => {
+      const measures = this.measureRecord(record);
+      const bucket = buckets.find(
+        (candidate) =>
+          record.outcomeDate >= candidate.start &&
+          record.outcomeDate < candidate.end
+      );
+
+      this.addMeasures(totals, measures);
+      if (bucket) this.addMeasures(bucket, measures);
+
+      const category = record.category || "Other";
+      categories[category] = categories[category] || {
+        category,
+        ...this.emptyTotals(),
+      };
+      this.addMeasures(categories[category], measures);
+
+      if (outcomes[record.outcome] !== undefined) outcomes[record.outcome]++;
+    });
+
+    const totalLb = totals.usedLb + totals.wastedLb;
+    totals.wasteRate = totalLb > 0 ? totals.wastedLb / totalLb : 0;
+
+    return {
+      totals: this.roundTotals(totals),
+      buckets: buckets.map((bucket) => this.roundTotals(bucket)),
+      categories: Object.values(categories)
+        .map((category) => this.roundTotals(category))
+        .sort((a, b) => b.wastedLb + b.usedLb - (a.wastedLb + a.usedLb)),
+      outcomes,
+    };
+  }
+
+  /**
+   * Work out how much of a record was used and how much was wasted
+   * @param {Object} record - Outcome record
+   * @returns {Object} Used/wasted pounds, dollars and CO2e
+   */
+  measureRecord(record) {
+    const factors = CATEGORY_FACTORS[record.category] || CATEGORY_FACTORS.Other;
+    const remaining = record.quantity ?? 1;
+    const initial = Math.max(record.initialQuantity ?? remaining, remaining);
+    const isWasted = WASTED_OUTCOMES.includes(record.outcome);
+
+    // Whatever was left when food was thrown out is waste; the rest was used
+    const wastedQuantity = isWasted ? remaining : 0;
+    const usedQuantity = initial - wastedQuantity;
+
+    const lbPerUnit = this.poundsPerUnit(record.unit, factors);
+    const wastedLb = wastedQuantity * lbPerUnit;
+    const usedLb = usedQuantity * lbPerUnit;
+
+    // Prefer the real price (e.g. from a receipt), spread over the quantity
+    const valueOf = (quantity, pounds) =>
+      record.price != null && initial > 0
+        ? (record.price * quantity) / initial
+        : pounds * factors.pricePerLb;
+
+    const wastedKg = wastedLb * KG_PER_LB;
+    const landfillCo2e =
+      record.outcome === "thrown_away" ? wastedKg * LANDFILL_CO2E_PER_KG : 0;
+
+    return {
+      usedItems: isWasted ? 0 : 1,
+      wastedItems: isWasted ? 1 : 0,
+      usedLb,
+      wastedLb,
+      moneySaved: valueOf(usedQuantity, usedLb),
+      moneyLost: valueOf(wastedQuantity, wastedLb),
+      co2eWastedKg: wastedKg * factors.co2ePerKg + landfillCo2e,
+    };
+  }
+
+  /**
+   * Pounds represented by one unit of a quantity
+   * @param {string} unit - Item unit
+   * @param {Object} factors - Category factors
+   * @returns {number} Pounds per unit
+   */
+  poundsPerUnit(unit, factors) {
+    if (UNIT_TO_LB[unit] !== undefined) return UNIT_TO_LB[unit];
+    return factors.itemWeightLb;
+  }
+
+  /**
+   * Consecutive week or month buckets ending with the current one
+   * @param {string} period - "week" or "month"
+   * @param {number} count - Number of buckets
+   * @returns {Array} Buckets with start, end and label
+   */
+  createBuckets(period, count) {
+    const buckets = [];
+    const now = new Date();
+
+    for (let i = count - 1; i >= 0; i--) {
+      let start;
+      let end;
+      let label;
+
+      if (period === "month") {
+        start = new Date(now.getFullYear(), now.getMonth() - i, 1);
+        end = new Date(now.getFullYear(), now.getMonth() - i + 1, 1);
+        label = start.toLocaleDateString(undefined, { month: "short" });
+      } else {
+        // Weeks start on Monday
+        const today = new Date(
+          now.getFullYear(),
+          now.getMonth(),
+          now.getDate()
+        );
+        const mondayOffset = (today.getDay() + 6) % 7;
+        start = new Date(today.getTime() - (mondayOffset + i * 7) * DAY_MS);
+        end = new Date(start.getTime() + 7 * DAY_MS);
+        label = `${start.getMonth() + 1}/${start.getDate()}`;
+      }
+
+      buckets.push({ start, end, label, ...this.emptyTotals() });
+    }
+
+    return buckets;
+  }
+
+  emptyTotals() {
+    return {
+      usedItems: 0,
+      wastedItems: 0,
+      usedLb: 0,
+      wastedLb: 0,
+      moneySaved: 0,
+      moneyLost: 0,
+      co2eWastedKg: 0,
+    };
+  }
+
+  addMeasures(target, measures) {
+    Object.keys(measures).forEach((key) => {
+      target[key] += measures[key];
+    });
+  }
+
+  roundTotals(totals) {
+    const round = (value) => Math.round(value * 100) / 100;
+    return {
+      ...totals,
+      usedLb: round(totals.usedLb),
+      wastedLb: round(totals.wastedLb),
+      moneySaved: round(totals.moneySaved),
+      moneyLost: round(totals.moneyLost),
+      co2eWastedKg: round(totals.co2eWastedKg),
+    };
+  }
+}
+
+export const analyticsService = new AnalyticsService();
+export default analyticsService;
@@ -0,0 +1,204 @@
+/**
+ * AuthService - Firebase Authentication for FreshB4
+ * Email/password accounts plus guest (anonymous) sessions that can be
+ * upgraded to a permanent account without losing pantry data
+ */
+
+import {
+  onAuthStateChanged,
+  signInWithEmailAndPassword,
+  createUserWithEmailAndPassword,
+  signInAnonymously,
+  linkWithCredential,
+  EmailAuthProvider,
+  updateProfile,
+  signOut,
+} from "firebase/auth";
+import { auth } from "../config/firebase";
+
+class AuthService {
+  /**
+   * Listen for sign-in / sign-out changes
+   * @param {Function} callback - Called with the current user (or null)
+   * @returns {Function} Unsubscribe function
+   */
+  subscribeToAuthState(callback) {
+    return onAuthStateChanged(auth, callback);
+  }
+
+  /**
+   * Get the signed-in user
+   * @returns {Object|null} Firebase user
+   */
+  getCurrentUser() {
+    return auth.currentUser;
+  }
+
+  /**
+   * Get the signed-in user's ID, failing loudly if nobody is signed in
+   * @returns {string} User ID
+   */
+  requireUserId() {
+    const user = auth.currentUser;
+    if (!user) {
+      const error = new Error("You need to be signed in to access a pantry.");
+      error.code = "auth/not-signed-in";
+      throw error;
+    }
+    return user.uid;
+  }
+
+  /**
+   * Whether the current session is a guest (anonymous) session
+   * @returns {boolean}
+   */
+  isGuest() {
+    return Boolean(auth.currentUser?.isAnonymous);
+  }
+
+  /**
+   * Sign in with email and password
+   * @param {string} email
+   * @param {string} password
+   * @returns {Promise<Object>} Firebase user
+   */
+  async signInWithEmail(email, password) {
+    try {
+      const credential = await signInWithEmailAndPassword(
+        auth,
+        email.trim(),
+        password
+      );
+      console.log("Signed in:", credential.user.uid);
+      return credential.user;
+    } catch (error) {
+      console.error("Error signing in:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a new email/password account
+   * @param {string} email
+   * @param {string} password
+   * @param {string} displayName - Optional name shown to household members
+   * @returns {Promise<Object>} Firebase user
+   */
+  async signUpWithEmail(email, password, displayName = "") {
+    try {
+      const credential = await createUserWithEmailAndPassword(
+        auth,
+        email.trim(),
+        password
+      );
+      if (displayName.trim()) {
+        await updateProfile(credential.user, {
+          displayName: displayName.trim(),
+        });
+      }
+      console.log("Created account:", credential.user.uid);
+      return credential.user;
+    } catch (error) {
+      console.error("Error creating account:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start a guest session - data is kept under an anonymous user ID
+   * @returns {Promise<Object>} Firebase user
+   */
+  async signInAsGuest() {
+    try {
+      const credential = await signInAnonymously(auth);
+      console.log("Signed in as guest:", credential.user.uid);
+      return credential.user;
+    } catch (error) {
+      console.error("Error signing in as guest:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Turn the current guest session into a permanent email/password account.
+   * The user ID stays the same, so the guest's pantry carries over.
+   * @param {string} email
+   * @param {string} password
+   * @param {string} displayName - Optional name shown to household members
+   * @returns {Promise<Object>} Firebase user
+   */
+  async upgradeGuestAccount(email, password, displayName = "") {
+    const user = auth.currentUser;
+    if (!user || !user.isAnonymous) {
+      throw new Error("Only guest sessions can be upgraded to an account.");
+    }
+
+    try {
+      const credential = EmailAuthProvider.credential(email.trim(), password);
+      const result = await linkWithCredential(user, credential);
+      if (displayName.trim()) {
+        await updateProfile(result.user, { displayName: displayName.trim() });
+      }
+      console.log("Upgraded guest account:", result.user.uid);
+      return result.user;
+    } catch (error) {
+      console.error("Error upgrading guest account:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Sign out of the current session
+   */
+  async signOut() {
+    try {
+      await signOut(auth);
+      console.log("Signed out");
+    } catch (error) {
+      console.error("Error signing out:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Human-readable label for a user
+   * @param {Object} user - Firebase user
+   * @returns {string} Display label
+   */
+  getDisplayName(user = auth.currentUser) {
+    if (!user) return "";
+    if (user.isAnonymous) return "Guest";
+    return user.displayName || user.email || "Member";
+  }
+
+  /**
+   * Convert Firebase Auth errors into messages suitable for alerts
+   * @param {Error} error - Error thrown by Firebase Auth
+   * @returns {string} User-facing message
+   */
+  getErrorMessage(error) {
+    switch (error?.code) {
+      case "auth/invalid-email":
+        return "That email address doesn't look right.";
+      case "auth/missing-password":
+      case "auth/weak-password":
+        return "Please choose a password with at least 6 characters.";
+      case "auth/email-already-in-use":
+      case "auth/credential-already-in-use":
+        return "An account with this email already exists. Try signing in instead.";
+      case "auth/invalid-credential":
+      case "auth/wrong-password":
+      case "auth/user-not-found":
+        return "Incorrect email or password.";
+      case "auth/too-many-requests":
+        return "Too many attempts. Please wait a moment and try again.";
+      case "auth/network-request-failed":
+        return "Network error. Check your connection and try again.";
+      default:
+        return error?.message || "Something went wrong. Please try again.";
+    }
+  }
+}
+
+export const authService = new AuthService();
+export default authService;
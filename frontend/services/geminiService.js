@@ -1,14 +1,218 @@
 /**
  * GeminiService - AI-Powered Food Analysis and Recipe Generation
- * Real implementation using Google Gemini API with new SDK structure
+ * Real implementation using Google Gemini API with new SDK structure.
+ * Every request uses structured output: the model answers with JSON in the
+ * shape of a schema from config/aiSchemas, and answers that don't match it
+ * are rejected with a GeminiError instead of being patched up.
+ *
+ * Public requests never throw. They resolve to an AI result:
+ *   { source, data, error, cachedAt }
+ * where source is one of AI_SOURCES:
+ *   "real"     - a fresh answer from Gemini
+ *   "cached"   - an earlier answer for the same input, saved at cachedAt
+ *   "fallback" - sample data; only returned when demo mode is on, with the
+ *                GeminiError that prevented a real answer (if any)
+ *   "error"    - no data; error is a GeminiError saying why
+ *
+ * Every call to Gemini goes through a small request layer: each attempt has
+ * a timeout, 429 and 5xx answers are retried with exponential backoff, at
+ * most a few requests run at once, and an AbortSignal passed in the options
+ * cancels the request wherever it is (waiting, running or backing off).
+ *
+ * Food analyses and recipes are saved on the device for a while, keyed by
+ * a hash of the photo or of the ingredient list, so asking again for the
+ * same thing is instant and costs no quota. Pass { refresh: true } to skip
+ * the saved answer.
  */
 
 import { GoogleGenAI } from "@google/genai";
+import { shelfLifeService } from "./shelfLifeService";
+import { localStore } from "./localStore";
+import {
+  FOOD_ANALYSIS_SCHEMA,
+  FOOD_DETECTION_SCHEMA,
+  RECEIPT_SCHEMA,
+  RECIPES_SCHEMA,
+  validateSchema,
+} from "../config/aiSchemas";
 
 // Get API key from environment variables
 const API_KEY =
   process.env.EXPO_PUBLIC_GEMINI_API_KEY || "YOUR_GEMINI_API_KEY_HERE";
 
+export const AI_SOURCES = {
+  REAL: "real",
+  CACHED: "cached",
+  FALLBACK: "fallback",
+  ERROR: "error",
+};
+
+// Request layer settings; change them with configureRequests()
+const DEFAULT_REQUEST_OPTIONS = {
+  // How long one attempt may take
+  timeoutMs: 45000,
+  // Extra attempts after a 429 or 5xx answer
+  maxRetries: 3,
+  // Pause before the first retry, doubled for each one after it
+  backoffMs: 1000,
+  maxBackoffMs: 16000,
+  // Requests sent to Gemini at the same time; the rest wait their turn
+  maxConcurrent: 3,
+};
+
+// Failures that may succeed if the same request is simply sent again
+const RETRYABLE_CODES = [
+  "network",
+  "timeout",
+  "quota",
+  "unavailable",
+  "empty-response",
+  "invalid-response",
+  "request-failed",
+];
+
+// Failures the request layer retries on its own, after a pause
+const BACKOFF_CODES = ["quota", "unavailable"];
+
+// How long a saved answer is reused before Gemini is asked again
+const CACHE_TTLS = {
+  food: 24 * 60 * 60 * 1000,
+  recipes: 6 * 60 * 60 * 1000,
+};
+
+// Saved answers kept on the device; the oldest are dropped first
+const MAX_CACHE_ENTRIES = 200;
+
+/**
+ * A Gemini request that failed in a known way. The code says how:
+ *   "not-configured"   - no API key is set and demo mode is off
+ *   "invalid-key"      - the API key was rejected
+ *   "quota"            - the rate limit or usage quota was hit
+ *   "network"          - Gemini couldn't be reached
+ *   "timeout"          - Gemini took too long to answer
+ *   "cancelled"        - the caller aborted the request
+ *   "unavailable"      - Gemini answered with a server error
+ *   "blocked"          - the prompt or answer was stopped by safety filters
+ *   "empty-response"   - the model returned no answer
+ *   "invalid-response" - the answer wasn't JSON matching the schema
+ *   "request-failed"   - any other failure
+ */
+export class GeminiError extends Error {
+  constructor(code, message, { issues = [], cause } = {}) {
+    super(message, { cause });
+    this.name = "GeminiError";
+    this.code = code;
+    this.issues = issues;
+    this.retryable = RETRYABLE_CODES.includes(code);
+  }
+}
+
+/**
+ * Turn whatever a request threw into a GeminiError with a message that can
+ * be shown to the user
+ * @param {Error} error - Error thrown by the SDK or fetch
+ * @returns {GeminiError} Classified error
+ */
+export function toGeminiError(error) {
+  if (error instanceof GeminiError) return error;
+
+  const status = Number(error?.status) || 0;
+  const message = String(error?.message || "");
+
+  if (status === 429 || /RESOURCE_EXHAUSTED|quota/i.test(message)) {
+    return new GeminiError(
+      "quota",
+      "The Gemini usage limit has been reached. Wait a minute and try again.",
+      { cause: error }
+    );
+  }
+  if (
+    status === 401 ||
+    status === 403 ||
+    /API_KEY_INVALID|API key not valid|PERMISSION_DENIED/i.test(message)
+  ) {
+    return new GeminiError(
+      "invalid-key",
+      "The Gemini API key was rejected. Check EXPO_PUBLIC_GEMINI_API_KEY.",
+      { cause: error }
+    );
+  }
+  if (status >= 500) {
+    return new GeminiError(
+      "unavailable",
+      "Gemini is temporarily unavailable. Try again in a moment.",
+      { cause: error }
+    );
+  }
+  if (!status && /network|fetch|connection|timed? ?out/i.test(message)) {
+    return new GeminiError(
+      "network",
+      "Couldn't reach Gemini. Check your internet connection and try again.",
+      { cause: error }
+    );
+  }
+  return new GeminiError(
+    "request-failed",
+    `The request to Gemini failed${message ? `: ${message}` : "."}`,
+    { cause: error }
+  );
+}
+
+const aiResult = (source, data, error = null, cachedAt = null) => ({
+  source,
+  data,
+  error,
+  cachedAt,
+});
+
+/**
+ * 53-bit content hash of a string (cyrb53) as hex, so answers can be keyed
+ * by a whole photo without storing the photo
+ * @param {string} text - Content to hash
+ * @returns {string} Hash
+ */
+function hashString(text) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const char = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ char, 2654435761);
+    h2 = Math.imul(h2 ^ char, 1597334677);
+  }
+  h1 =
+    Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^
+    Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 =
+    Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^
+    Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+}
+
+const cancelledError = () =>
+  new GeminiError("cancelled", "The request was cancelled.");
+
+/**
+ * Resolve after a delay, or reject as cancelled if the signal aborts first
+ * @param {number} ms - Delay
+ * @param {AbortSignal} signal - Optional caller signal
+ * @returns {Promise<void>}
+ */
+function wait(ms, signal) {
+  if (signal?.aborted) return Promise.reject(cancelledError());
+  return new Promise((resolve, reject) => {
+    let timer = null;
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(cancelledError());
+    };
+    timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
 class GeminiService {
   constructor() {
     // Initialize with new SDK structure
@@ -28,42 +232,138 @@ class GeminiService {
     this.isConfigured = API_KEY && API_KEY !== "YOUR_GEMINI_API_KEY_HERE";
 
     if (!this.isConfigured) {
-      console.warn("Gemini API key not configured. Using mock responses.");
+      console.warn("Gemini API key not configured.");
     } else {
       console.log("Gemini API configured successfully");
     }
+
+    // Demo mode lets sample data stand in for Gemini; off until turned on
+    this.demoMode = null;
+    this.demoModeListeners = new Set();
+
+    this.requestOptions = { ...DEFAULT_REQUEST_OPTIONS };
+    this.activeRequests = 0;
+    // Requests waiting for a free slot, oldest first
+    this.waitingRequests = [];
+
+    // Promise of the saved answers, loaded from the device once
+    this.cacheLoad = null;
   }
 
   /**
-   * Analyze food image for freshness and safety
-   * @param {string} imageBase64 - Base64 encoded image
-   * @param {Array} pantryItems - Current pantry items for context
-   * @returns {Object} Analysis results
+   * Change the request layer settings
+   * @param {Object} options - Any of timeoutMs, maxRetries, backoffMs,
+   *   maxBackoffMs and maxConcurrent
+   */
+  configureRequests(options) {
+    this.requestOptions = { ...this.requestOptions, ...options };
+  }
+
+  /**
+   * Whether demo mode is on, loaded from the device once
+   * @returns {Promise<boolean>} Demo mode setting
+   */
+  async getDemoMode() {
+    if (this.demoMode === null) {
+      const stored = await localStore.loadDemoMode();
+      // setDemoMode may have run while the stored value was loading
+      if (this.demoMode === null) this.demoMode = stored === true;
+    }
+    return this.demoMode;
+  }
+
+  /**
+   * Turn demo mode on or off and remember it on this device
+   * @param {boolean} enabled - New setting
    */
-  async analyzeFood(imageBase64, pantryItems = []) {
+  async setDemoMode(enabled) {
+    this.demoMode = !!enabled;
+    this.demoModeListeners.forEach((listener) => listener(this.demoMode));
+    await localStore.saveDemoMode(this.demoMode);
+  }
+
+  /**
+   * Listen for demo mode changes. The callback also receives the current
+   * setting once it has loaded.
+   * @param {Function} callback - Called with true/false
+   * @returns {Function} Unsubscribe function
+   */
+  subscribeToDemoMode(callback) {
+    this.demoModeListeners.add(callback);
+    this.getDemoMode().then(() => {
+      if (this.demoModeListeners.has(callback)) callback(this.demoMode);
+    });
+    return () => this.demoModeListeners.delete(callback);
+  }
+
+  /**
+   * Run a Gemini request and wrap the outcome in an AI result. Sample data
+   * is only used when demo mode is on.
+   * @param {string} task - What the request does, for logs
+   * @param {Function} request - Async function returning the answer
+   * @param {Function} getDemoData - Returns sample data for demo mode
+   * @param {Object} cache - Optional { key, ttlMs, refresh }: answers are
+   *   saved under key, and reused until they expire unless refresh is set
+   * @returns {Promise<Object>} AI result; cancelled requests are errors
+   *   with code "cancelled", even in demo mode
+   */
+  async runRequest(task, request, getDemoData, cache = {}) {
+    if (cache.key && !cache.refresh) {
+      const cached = await this.readCachedResult(cache.key);
+      if (cached) return cached;
+    }
+
+    const demoMode = await this.getDemoMode();
+
+    if (!this.isConfigured) {
+      if (demoMode) {
+        console.log(`Using demo data for ${task} - API key not configured`);
+        return aiResult(AI_SOURCES.FALLBACK, getDemoData());
+      }
+      return aiResult(
+        AI_SOURCES.ERROR,
+        null,
+        new GeminiError(
+          "not-configured",
+          "No Gemini API key is set. Add EXPO_PUBLIC_GEMINI_API_KEY, or " +
+            "turn on demo mode in Settings to try the app with sample results."
+        )
+      );
+    }
+
     try {
-      // If API is not configured, return mock data
-      if (!this.isConfigured) {
-        console.log("Using mock analysis - API key not configured");
-        return this.getMockAnalysis();
+      const data = await request();
+      if (cache.key) await this.writeCache(cache.key, data, cache.ttlMs);
+      return aiResult(AI_SOURCES.REAL, data);
+    } catch (caught) {
+      const error = toGeminiError(caught);
+      if (error.code === "cancelled") {
+        return aiResult(AI_SOURCES.ERROR, null, error);
       }
+      console.error(`Error ${task} with Gemini API:`, error);
+      return demoMode
+        ? aiResult(AI_SOURCES.FALLBACK, getDemoData(), error)
+        : aiResult(AI_SOURCES.ERROR, null, error);
+    }
+  }
 
-      // Create the prompt for food analysis
-      const prompt = `
+  /**
+   * Analyze food image for freshness and safety
+   * @param {string} imageBase64 - Base64 encoded image
+   * @param {Array} previousScans - Earlier scans of the same item, oldest
+   *   first (from PantryService.getScanHistory), when re-scanning
+   * @param {Object} options - { signal, timeoutMs } for the request layer,
+   *   and refresh to skip a saved analysis of the same photo
+   * @returns {Promise<Object>} AI result whose data is the analysis
+   */
+  analyzeFood(imageBase64, previousScans = [], options = {}) {
+    return this.runRequest(
+      "analyzing food",
+      async () => {
+        // Create the prompt for food analysis
+        const prompt = `
 You are an expert food safety and freshness analyst. Analyze this food image and provide a detailed assessment.
 
-Please respond with a JSON object containing:
-{
-  "freshness": "fresh" | "ripe" | "overripe" | "spoiled",
-  "safe_to_consume": boolean,
-  "days_left": number (estimated days until spoilage, 0 if already spoiled),
-  "confidence": number (0-100, your confidence in this assessment),
-  "recommendation": "detailed recommendation text",
-  "food_type": "specific food item identified",
-  "storage_tip": "optimal storage advice",
-  "details": "detailed analysis of what you observed"
-}
-
 Focus on:
 - Visual signs of spoilage (mold, discoloration, bruising, wilting)
 - Texture changes that indicate freshness level
@@ -72,102 +372,194 @@ Focus on:
 - Realistic shelf life estimates
 
 Be conservative with safety - when in doubt, err on the side of caution.
+${this.buildScanHistoryContext(previousScans)}`;
+
+        const analysis = await this.generateStructured(
+          [
+            {
+              inlineData: {
+                mimeType: "image/jpeg",
+                data: imageBase64,
+              },
+            },
+            { text: prompt },
+          ],
+          FOOD_ANALYSIS_SCHEMA,
+          options
+        );
+
+        // Check the shelf life against the offline guide
+        return shelfLifeService.sanityCheck(this.toAnalysisResult(analysis));
+      },
+      () => this.getMockAnalysis(imageBase64, previousScans),
+      {
+        key: this.getFoodCacheKey(imageBase64, previousScans),
+        ttlMs: CACHE_TTLS.food,
+        refresh: options.refresh,
+      }
+    );
+  }
+
+  /**
+   * Prompt section describing earlier scans of the item being re-scanned, so
+   * the new estimate follows on from them instead of starting over
+   * @param {Array} previousScans - Earlier scans, oldest first
+   * @returns {string} Prompt text, empty for a first scan
+   */
+  buildScanHistoryContext(previousScans = []) {
+    if (previousScans.length === 0) return "";
+
+    const now = Date.now();
+    const lines = previousScans.map((scan) => {
+      const daysAgo = Math.round(
+        (now - new Date(scan.scannedAt).getTime()) / (24 * 60 * 60 * 1000)
+      );
+      const when = daysAgo <= 0 ? "today" : `${daysAgo} day(s) ago`;
+      const note = scan.details ? ` - ${scan.details}` : "";
+      return `- ${when}: ${scan.freshness}, ${scan.days_left} day(s) left, ${scan.confidence}% confidence${note}`;
+    });
+
+    return `
+This is a re-scan of a ${previousScans[0].food_type || "food item"} already in the pantry. Earlier scans, oldest first:
+${lines.join("\n")}
+
+Compare this photo with those observations. Count "days_left" from today, and explain in "details" how the item has changed since the last scan.
 `;
+  }
 
-      // Use new API structure matching the official docs
-      const contents = [
-        {
-          inlineData: {
-            mimeType: "image/jpeg",
-            data: imageBase64,
-          },
-        },
-        { text: prompt },
-      ];
+  /**
+   * Find every food in a photo (an open fridge, a counter, a shopping bag)
+   * and assess each one separately
+   * @param {string} imageBase64 - Base64 encoded image
+   * @param {Object} options - { signal, timeoutMs } for the request layer
+   * @returns {Promise<Object>} AI result whose data is { items }, each an
+   *   analysis result plus a bounding box { x, y, width, height } as
+   *   fractions of the image size
+   */
+  analyzeMultipleFoods(imageBase64, options = {}) {
+    return this.runRequest(
+      "detecting foods",
+      async () => {
+        const prompt = `
+You are an expert food safety and freshness analyst. This photo may contain many different foods, for example the inside of a fridge. Find each distinct food item and assess it separately.
 
-      const response = await this.ai.models.generateContent({
-        model: this.modelName,
-        contents: contents,
-      });
+Guidelines:
+- List each kind of food once; several identical apples are one item
+- Skip containers whose contents you cannot identify
+- Skip non-food objects
+- Be conservative with safety - when in doubt, err on the side of caution
+`;
 
-      const text = response.text;
+        const detections = await this.generateStructured(
+          [
+            {
+              inlineData: {
+                mimeType: "image/jpeg",
+                data: imageBase64,
+              },
+            },
+            { text: prompt },
+          ],
+          FOOD_DETECTION_SCHEMA,
+          options
+        );
 
-      // Extract JSON from the response
-      let analysisResult;
-      try {
-        // Try to parse the entire response as JSON first
-        analysisResult = JSON.parse(text);
-      } catch (e) {
-        // If that fails, try to extract JSON from markdown code blocks
-        const jsonMatch = text.match(/```json\s*([\s\S]*?)\s*```/);
-        if (jsonMatch) {
-          analysisResult = JSON.parse(jsonMatch[1]);
-        } else {
-          // If no JSON found, create a structured response from the text
-          analysisResult = this.parseTextResponse(text);
-        }
-      }
+        return {
+          items: detections.items.map((item) => ({
+            ...shelfLifeService.sanityCheck(this.toAnalysisResult(item)),
+            box: this.toBoundingBox(item.box_2d),
+          })),
+        };
+      },
+      () => this.getMockDetections(imageBase64)
+    );
+  }
 
-      // Validate and sanitize the response
-      return this.validateAnalysisResult(analysisResult);
-    } catch (error) {
-      console.error("Error analyzing food with Gemini API:", error);
+  /**
+   * Read the food lines off a grocery receipt
+   * @param {string} imageBase64 - Base64 encoded receipt photo
+   * @param {Object} options - { signal, timeoutMs } for the request layer
+   * @returns {Promise<Object>} AI result whose data is { store, items }, each
+   *   item with name, quantity, unit, price and category
+   */
+  parseReceipt(imageBase64, options = {}) {
+    return this.runRequest(
+      "reading receipt",
+      async () => {
+        const prompt = `
+You are reading a grocery store receipt. Extract every food or drink line item.
 
-      // Return mock data as fallback
-      console.log("Falling back to mock analysis due to API error");
-      return this.getMockAnalysis();
-    }
+Guidelines:
+- Skip non-food lines (bags, cleaning products, toiletries), discounts, subtotals, tax and payment lines
+- Merge a product's discount into its price when it is clearly attached to that line
+- Expand abbreviations into readable names
+- Use "item" as the unit for counted products and when unsure
+- Use null as the price when it can't be read
+`;
+
+        const receipt = await this.generateStructured(
+          [
+            {
+              inlineData: {
+                mimeType: "image/jpeg",
+                data: imageBase64,
+              },
+            },
+            { text: prompt },
+          ],
+          RECEIPT_SCHEMA,
+          options
+        );
+
+        return {
+          store: receipt.store,
+          items: receipt.items
+            .filter((item) => item.name.trim())
+            .map((item) => ({
+              name: item.name.trim(),
+              quantity: item.quantity > 0 ? item.quantity : 1,
+              unit: item.unit,
+              price:
+                item.price > 0 ? Math.round(item.price * 100) / 100 : null,
+              category: item.category,
+            })),
+        };
+      },
+      () => this.getMockReceipt()
+    );
   }
 
   /**
    * Generate recipes based on available pantry items
    * @param {Array} pantryItems - Available ingredients
-   * @returns {Object} Recipe suggestions
+   * @param {Object} options - { signal, timeoutMs } for the request layer,
+   *   and refresh to skip recipes saved for the same ingredients
+   * @returns {Promise<Object>} AI result whose data is the recipe suggestions
    */
-  async getRecipes(pantryItems = []) {
-    try {
-      // If API is not configured, return mock data
-      if (!this.isConfigured) {
-        console.log("Using mock recipes - API key not configured");
-        return this.getMockRecipes(pantryItems);
-      }
-
-      // Create ingredient list and urgency context
-      const urgentItems = pantryItems.filter((item) => item.days_left <= 2);
-      const allIngredients = pantryItems
-        .map(
-          (item) =>
-            `${item.name} (${item.category}, expires in ${item.days_left} days)`
-        )
-        .join(", ");
+  getRecipes(pantryItems = [], options = {}) {
+    return this.runRequest(
+      "generating recipes",
+      async () => {
+        // Create ingredient list and urgency context
+        const urgentItems = pantryItems.filter((item) => item.days_left <= 2);
+        const allIngredients = pantryItems
+          .map((item) => {
+            const amount =
+              item.quantity !== undefined
+                ? `${item.quantity} ${item.unit || "item"}, `
+                : "";
+            return `${item.name} (${amount}${item.category}, expires in ${item.days_left} days)`;
+          })
+          .join(", ");
 
-      const prompt = `
+        const prompt = `
 You are a creative chef and nutritionist. Generate 3 recipes using the available ingredients, prioritizing items that expire soon.
 
 Available ingredients: ${allIngredients}
 
 Urgent items (expire in ≤2 days): ${urgentItems
-        .map((item) => item.name)
-        .join(", ")}
-
-Please respond with a JSON object:
-{
-  "recipes": [
-    {
-      "id": number,
-      "name": "recipe name",
-      "description": "brief description",
-      "cookTime": "15 minutes",
-      "difficulty": "Easy" | "Medium" | "Hard",
-      "ingredients": ["ingredient1", "ingredient2"],
-      "instructions": ["step 1", "step 2", "step 3"],
-      "priority": "high" | "medium" | "low"
-    }
-  ],
-  "total": number,
-  "urgent_items_used": number,
-  "message": "helpful message about ingredient usage"
-}
+          .map((item) => item.name)
+          .join(", ")}
 
 Guidelines:
 - Prioritize urgent items (set priority to "high" if using urgent ingredients)
@@ -175,96 +567,435 @@ Guidelines:
 - Keep instructions clear and concise
 - Use realistic cooking times
 - Only include ingredients from the available list
+- Respect the remaining amounts - don't call for more than is available
 - Make recipes practical and achievable
 `;
 
-      // Use new API structure
-      const response = await this.ai.models.generateContent({
-        model: this.modelName,
-        contents: prompt,
+        const result = await this.generateStructured(
+          prompt,
+          RECIPES_SCHEMA,
+          options
+        );
+
+        const recipes = result.recipes.map((recipe, index) => ({
+          id: index + 1,
+          ...recipe,
+        }));
+        return {
+          recipes,
+          total: recipes.length,
+          urgent_items_used: result.urgent_items_used,
+          message: result.message,
+        };
+      },
+      () => this.getMockRecipes(pantryItems),
+      {
+        key: this.getRecipesCacheKey(pantryItems),
+        ttlMs: CACHE_TTLS.recipes,
+        refresh: options.refresh,
+      }
+    );
+  }
+
+  /**
+   * Recipes saved earlier for exactly these ingredients, without asking
+   * Gemini
+   * @param {Array} pantryItems - Available ingredients
+   * @returns {Promise<Object|null>} Cached AI result, or null if none
+   */
+  getCachedRecipes(pantryItems = []) {
+    return this.readCachedResult(this.getRecipesCacheKey(pantryItems));
+  }
+
+  /**
+   * Cache key for a food analysis: the photo's content plus any re-scan
+   * context, since that changes the question
+   * @param {string} imageBase64 - Base64 encoded image
+   * @param {Array} previousScans - Earlier scans of the same item
+   * @returns {string} Cache key
+   */
+  getFoodCacheKey(imageBase64, previousScans = []) {
+    const context = this.buildScanHistoryContext(previousScans);
+    const hash = hashString(`${this.modelName}\n${context}\n${imageBase64}`);
+    return `food:${hash}`;
+  }
+
+  /**
+   * Cache key for recipes: the ingredient list, normalized so the order of
+   * items and the case of their names don't matter
+   * @param {Array} pantryItems - Available ingredients
+   * @returns {string} Cache key
+   */
+  getRecipesCacheKey(pantryItems = []) {
+    const ingredients = pantryItems
+      .map((item) =>
+        [
+          String(item.name || "").trim().toLowerCase(),
+          item.quantity ?? "",
+          item.unit || "",
+          item.category || "",
+          item.days_left,
+        ].join("|")
+      )
+      .sort();
+    const hash = hashString(`${this.modelName}\n${ingredients.join("\n")}`);
+    return `recipes:${hash}`;
+  }
+
+  /**
+   * Saved answers keyed by cache key, with expired ones dropped on load
+   * @returns {Promise<Object>} { [key]: { data, cachedAt, expiresAt } }
+   */
+  getCache() {
+    if (!this.cacheLoad) {
+      this.cacheLoad = localStore.loadAICache().then((stored) => {
+        const now = Date.now();
+        return Object.fromEntries(
+          Object.entries(stored).filter(([, entry]) => entry.expiresAt > now)
+        );
       });
+    }
+    return this.cacheLoad;
+  }
+
+  /**
+   * A saved answer as a cached AI result
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} AI result, or null if missing or expired
+   */
+  async readCachedResult(key) {
+    const cache = await this.getCache();
+    const entry = cache[key];
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      delete cache[key];
+      return null;
+    }
+    return aiResult(AI_SOURCES.CACHED, entry.data, null, entry.cachedAt);
+  }
 
-      const text = response.text;
+  /**
+   * Save an answer, dropping the oldest entries beyond MAX_CACHE_ENTRIES
+   * @param {string} key - Cache key
+   * @param {Object} data - Answer to save
+   * @param {number} ttlMs - How long it may be reused
+   */
+  async writeCache(key, data, ttlMs) {
+    const cache = await this.getCache();
+    const now = Date.now();
+    cache[key] = { data, cachedAt: now, expiresAt: now + ttlMs };
+
+    const keys = Object.keys(cache);
+    if (keys.length > MAX_CACHE_ENTRIES) {
+      keys
+        .sort((a, b) => cache[a].cachedAt - cache[b].cachedAt)
+        .slice(0, keys.length - MAX_CACHE_ENTRIES)
+        .forEach((oldKey) => delete cache[oldKey]);
+    }
+    await localStore.saveAICache(cache);
+  }
 
-      // Parse the JSON response
-      let recipesResult;
+  /**
+   * Forget every saved answer on this device
+   */
+  async clearCache() {
+    this.cacheLoad = Promise.resolve({});
+    await localStore.saveAICache({});
+  }
+
+  /**
+   * Ask Gemini for JSON matching a schema and check the answer against it
+   * @param {Array|string} contents - Prompt parts
+   * @param {Object} schema - Response schema from config/aiSchemas
+   * @param {Object} options - { signal, timeoutMs } for the request layer
+   * @returns {Promise<Object>} The parsed answer
+   * @throws {GeminiError} When the request fails or the answer is missing
+   *   or doesn't match
+   */
+  async generateStructured(contents, schema, options = {}) {
+    const response = await this.sendRequest(
+      {
+        model: this.modelName,
+        contents,
+        config: {
+          responseMimeType: "application/json",
+          responseSchema: schema,
+        },
+      },
+      options
+    );
+    return this.parseStructuredResponse(response, schema);
+  }
+
+  /**
+   * Send a generateContent request through the request layer: wait for a
+   * free slot, give up on an attempt after the timeout, and retry 429 and
+   * 5xx answers with exponential backoff
+   * @param {Object} params - generateContent parameters
+   * @param {Object} options - { signal, timeoutMs }
+   * @returns {Promise<Object>} generateContent response
+   * @throws {GeminiError} When every attempt failed or the signal aborted
+   */
+  async sendRequest(params, { signal, timeoutMs } = {}) {
+    const { maxRetries } = this.requestOptions;
+
+    for (let attempt = 0; ; attempt++) {
+      await this.acquireSlot(signal);
+
+      // Aborts this attempt on timeout or when the caller cancels
+      const controller = new AbortController();
+      let timedOut = false;
+      const timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeoutMs ?? this.requestOptions.timeoutMs);
+      const cancel = () => controller.abort();
+      signal?.addEventListener("abort", cancel, { once: true });
+
+      let error;
       try {
-        recipesResult = JSON.parse(text);
-      } catch (e) {
-        const jsonMatch = text.match(/```json\s*([\s\S]*?)\s*```/);
-        if (jsonMatch) {
-          recipesResult = JSON.parse(jsonMatch[1]);
-        } else {
-          throw new Error("Could not parse recipe response");
-        }
+        // Race the abort too, in case the transport ignores the signal
+        return await Promise.race([
+          this.ai.models.generateContent({
+            ...params,
+            config: { ...params.config, abortSignal: controller.signal },
+          }),
+          new Promise((resolve, reject) => {
+            controller.signal.addEventListener("abort", () =>
+              reject(new Error("Request aborted"))
+            );
+          }),
+        ]);
+      } catch (caught) {
+        if (signal?.aborted) throw cancelledError();
+        error = timedOut
+          ? new GeminiError(
+              "timeout",
+              "Gemini took too long to answer. Try again in a moment.",
+              { cause: caught }
+            )
+          : toGeminiError(caught);
+      } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener("abort", cancel);
+        this.releaseSlot();
+      }
+
+      if (attempt >= maxRetries || !BACKOFF_CODES.includes(error.code)) {
+        throw error;
       }
+      const delay = this.getBackoffDelay(attempt);
+      console.warn(
+        `Gemini request failed (${error.code}), retrying in ${delay}ms`
+      );
+      await wait(delay, signal);
+    }
+  }
 
-      return this.validateRecipesResult(recipesResult);
+  /**
+   * Pause before a retry: doubles with each attempt, with random jitter so
+   * requests that failed together don't all retry at the same moment
+   * @param {number} attempt - Attempts made so far, minus one
+   * @returns {number} Delay in milliseconds
+   */
+  getBackoffDelay(attempt) {
+    const { backoffMs, maxBackoffMs } = this.requestOptions;
+    const delay = Math.min(maxBackoffMs, backoffMs * 2 ** attempt);
+    return Math.round(delay / 2 + (Math.random() * delay) / 2);
+  }
+
+  /**
+   * Wait until fewer than maxConcurrent requests are running
+   * @param {AbortSignal} signal - Stops waiting when aborted
+   * @returns {Promise<void>}
+   * @throws {GeminiError} With code "cancelled" when the signal aborts
+   */
+  acquireSlot(signal) {
+    if (signal?.aborted) return Promise.reject(cancelledError());
+    if (this.activeRequests < this.requestOptions.maxConcurrent) {
+      this.activeRequests++;
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      let waiter = null;
+      const onAbort = () => {
+        this.waitingRequests = this.waitingRequests.filter(
+          (waiting) => waiting !== waiter
+        );
+        reject(cancelledError());
+      };
+      waiter = () => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve();
+      };
+      signal?.addEventListener("abort", onAbort, { once: true });
+      this.waitingRequests.push(waiter);
+    });
+  }
+
+  /**
+   * Free a slot, handing it straight to the longest-waiting request
+   */
+  releaseSlot() {
+    const next = this.waitingRequests.shift();
+    if (next) {
+      next();
+    } else {
+      this.activeRequests--;
+    }
+  }
+
+  /**
+   * Read and validate a structured-output response
+   * @param {Object} response - generateContent response
+   * @param {Object} schema - Schema the answer should match
+   * @returns {Object} The parsed answer
+   * @throws {GeminiError} When the answer is missing or doesn't match
+   */
+  parseStructuredResponse(response, schema) {
+    const blockReason = response.promptFeedback?.blockReason;
+    if (blockReason) {
+      throw new GeminiError(
+        "blocked",
+        `The request was blocked by Gemini (${blockReason})`
+      );
+    }
+
+    const text = response.text;
+    if (!text) {
+      const finishReason = response.candidates?.[0]?.finishReason;
+      throw finishReason === "SAFETY"
+        ? new GeminiError("blocked", "The answer was blocked by Gemini")
+        : new GeminiError(
+            "empty-response",
+            `Gemini returned no answer (${finishReason || "no candidates"})`
+          );
+    }
+
+    let result;
+    try {
+      result = JSON.parse(text);
     } catch (error) {
-      console.error("Error generating recipes with Gemini API:", error);
-      console.log("Falling back to mock recipes due to API error");
-      return this.getMockRecipes(pantryItems);
+      throw new GeminiError(
+        "invalid-response",
+        "Gemini's answer was not valid JSON",
+        { cause: error }
+      );
     }
+
+    const issues = validateSchema(result, schema);
+    if (issues.length > 0) {
+      throw new GeminiError(
+        "invalid-response",
+        `Gemini's answer did not match the expected format: ${issues[0]}`,
+        { issues }
+      );
+    }
+    return result;
   }
 
   /**
-   * Mock food analysis response
-   * @returns {Object} Mock analysis data
+   * Demo food analysis built from the offline shelf-life guide
+   * @param {string} imageBase64 - Image, used so the same photo gives the
+   *   same result
+   * @returns {Object} Demo analysis data
    */
-  getMockAnalysis() {
-    const mockResponses = [
-      {
-        freshness: "fresh",
-        safe_to_consume: true,
-        days_left: 5,
-        confidence: 92,
-        recommendation:
-          "This item looks fresh and safe to eat. Store in a cool, dry place.",
-        food_type: "Apple",
-        storage_tip: "Keep refrigerated for longer freshness",
-        details:
-          "The apple appears to be in excellent condition with no visible signs of browning or soft spots. The skin looks vibrant and the texture appears firm.",
-      },
-      {
-        freshness: "ripe",
-        safe_to_consume: true,
-        days_left: 2,
-        confidence: 88,
-        recommendation:
-          "Perfect for eating now! This item is at peak ripeness.",
-        food_type: "Banana",
-        storage_tip: "Eat within 2 days or use for baking",
-        details:
-          "The banana shows optimal yellow coloring with minimal brown spots, indicating perfect ripeness for consumption.",
-      },
-      {
-        freshness: "overripe",
-        safe_to_consume: true,
-        days_left: 1,
-        confidence: 85,
-        recommendation:
-          "Use soon for cooking or baking. Still safe but past prime eating quality.",
-        food_type: "Tomato",
-        storage_tip: "Use immediately for sauces or cooking",
-        details:
-          "The tomato shows some soft spots and deeper color, indicating it should be used quickly in cooked dishes.",
-      },
-      {
-        freshness: "spoiled",
-        safe_to_consume: false,
-        days_left: 0,
-        confidence: 95,
-        recommendation:
-          "DISCARD IMMEDIATELY - This item shows clear signs of spoilage and is unsafe to consume.",
-        food_type: "Bread",
-        storage_tip: "Dispose of safely",
-        details:
-          "Visible mold growth detected. This item poses health risks and should not be consumed.",
-      },
+  getMockAnalysis(imageBase64 = "", previousScans = []) {
+    if (previousScans.length > 0) {
+      return shelfLifeService.getDemoRescan(
+        previousScans[previousScans.length - 1]
+      );
+    }
+    return shelfLifeService.getDemoAnalysis(imageBase64);
+  }
+
+  /**
+   * Demo detections: a few foods from the shelf-life guide laid out in a
+   * grid, so the overlay and selection can be tried without an API key
+   * @param {string} imageBase64 - Image, used so the same photo gives the
+   *   same result
+   * @returns {Object} Mock detection data
+   */
+  getMockDetections(imageBase64 = "") {
+    const boxes = [
+      { x: 0.05, y: 0.08, width: 0.4, height: 0.38 },
+      { x: 0.55, y: 0.08, width: 0.4, height: 0.38 },
+      { x: 0.05, y: 0.54, width: 0.4, height: 0.38 },
+      { x: 0.55, y: 0.54, width: 0.4, height: 0.38 },
     ];
+    const items = [];
+    boxes.forEach((box, index) => {
+      const analysis = shelfLifeService.getDemoAnalysis(
+        `${imageBase64.slice(-2000)}${index}`
+      );
+      // Varying the seed can land on the same food twice; keep one of each
+      if (!items.some((item) => item.food_type === analysis.food_type)) {
+        items.push({ ...analysis, box });
+      }
+    });
+    return { items };
+  }
 
-    // Return random mock response
-    return mockResponses[Math.floor(Math.random() * mockResponses.length)];
+  /**
+   * Mock receipt for demo mode
+   * @returns {Object} Mock receipt data
+   */
+  getMockReceipt() {
+    return {
+      store: "Demo Grocery",
+      items: [
+        {
+          name: "Whole Milk",
+          quantity: 1,
+          unit: "L",
+          price: 1.49,
+          category: "Dairy",
+        },
+        {
+          name: "Bananas",
+          quantity: 6,
+          unit: "item",
+          price: 1.79,
+          category: "Fruits",
+        },
+        {
+          name: "Baby Spinach",
+          quantity: 1,
+          unit: "pack",
+          price: 2.99,
+          category: "Vegetables",
+        },
+        {
+          name: "Chicken Breast",
+          quantity: 500,
+          unit: "g",
+          price: 5.49,
+          category: "Meat",
+        },
+        {
+          name: "Sourdough Bread",
+          quantity: 1,
+          unit: "item",
+          price: 3.25,
+          category: "Bakery",
+        },
+        {
+          name: "Greek Yogurt",
+          quantity: 500,
+          unit: "g",
+          price: 2.79,
+          category: "Dairy",
+        },
+        {
+          name: "Pasta",
+          quantity: 500,
+          unit: "g",
+          price: 1.19,
+          category: "Grains",
+        },
+      ],
+    };
   }
 
   /**
@@ -346,130 +1077,38 @@ Guidelines:
   }
 
   /**
-   * Parse text response when JSON parsing fails
-   * @param {string} text - Raw text response
-   * @returns {Object} Structured analysis result
+   * Keep just the analysis fields of a validated answer (detections also
+   * carry a bounding box)
+   * @param {Object} result - Answer matching FOOD_ANALYSIS_SCHEMA
+   * @returns {Object} Analysis result
    */
-  parseTextResponse(text) {
-    // Extract key information from text response
-    const freshness = this.extractFreshness(text);
-    const safeToConsume =
-      !text.toLowerCase().includes("not safe") &&
-      !text.toLowerCase().includes("discard") &&
-      !text.toLowerCase().includes("spoiled");
-
+  toAnalysisResult(result) {
     return {
-      freshness: freshness,
-      safe_to_consume: safeToConsume,
-      days_left: this.extractDaysLeft(text, freshness),
-      confidence: this.extractConfidence(text),
-      recommendation: text.substring(0, 200) + "...",
-      food_type: "Unknown Food Item",
-      storage_tip: "Store in appropriate conditions",
-      details: text,
+      freshness: result.freshness,
+      safe_to_consume: result.safe_to_consume,
+      days_left: result.days_left,
+      confidence: result.confidence,
+      recommendation: result.recommendation,
+      food_type: result.food_type,
+      category: result.category,
+      storage_tip: result.storage_tip,
+      details: result.details,
     };
   }
 
   /**
-   * Extract freshness level from text
-   * @param {string} text - Response text
-   * @returns {string} Freshness level
+   * Convert Gemini's [ymin, xmin, ymax, xmax] box on a 0-1000 scale into
+   * fractions of the image size
+   * @param {Array} box2d - Raw box
+   * @returns {Object|null} { x, y, width, height } or null if missing
    */
-  extractFreshness(text) {
-    const lowerText = text.toLowerCase();
-    if (lowerText.includes("spoiled") || lowerText.includes("moldy"))
-      return "spoiled";
-    if (lowerText.includes("overripe") || lowerText.includes("past prime"))
-      return "overripe";
-    if (lowerText.includes("ripe") || lowerText.includes("peak")) return "ripe";
-    return "fresh";
-  }
-
-  /**
-   * Extract days left from text
-   * @param {string} text - Response text
-   * @param {string} freshness - Freshness level
-   * @returns {number} Estimated days left
-   */
-  extractDaysLeft(text, freshness) {
-    const dayMatch = text.match(/(\d+)\s*days?/i);
-    if (dayMatch) return parseInt(dayMatch[1]);
-
-    // Default based on freshness
-    switch (freshness) {
-      case "spoiled":
-        return 0;
-      case "overripe":
-        return 1;
-      case "ripe":
-        return 3;
-      default:
-        return 5;
-    }
-  }
-
-  /**
-   * Extract confidence from text
-   * @param {string} text - Response text
-   * @returns {number} Confidence percentage
-   */
-  extractConfidence(text) {
-    const confMatch = text.match(/(\d+)%/);
-    if (confMatch) return parseInt(confMatch[1]);
-    return 85; // Default confidence
-  }
-
-  /**
-   * Validate and sanitize analysis result
-   * @param {Object} result - Raw analysis result
-   * @returns {Object} Validated result
-   */
-  validateAnalysisResult(result) {
-    const validFreshness = ["fresh", "ripe", "overripe", "spoiled"];
-
-    return {
-      freshness: validFreshness.includes(result.freshness)
-        ? result.freshness
-        : "fresh",
-      safe_to_consume: Boolean(result.safe_to_consume),
-      days_left: Math.max(0, parseInt(result.days_left) || 0),
-      confidence: Math.min(100, Math.max(0, parseInt(result.confidence) || 85)),
-      recommendation: result.recommendation || "No recommendation available",
-      food_type: result.food_type || "Unknown Food Item",
-      storage_tip: result.storage_tip || "Store in appropriate conditions",
-      details: result.details || "No detailed analysis available",
-    };
-  }
-
-  /**
-   * Validate and sanitize recipes result
-   * @param {Object} result - Raw recipes result
-   * @returns {Object} Validated result
-   */
-  validateRecipesResult(result) {
-    const validatedRecipes = (result.recipes || []).map((recipe, index) => ({
-      id: recipe.id || index + 1,
-      name: recipe.name || `Recipe ${index + 1}`,
-      description: recipe.description || "Delicious recipe",
-      cookTime: recipe.cookTime || "30 minutes",
-      difficulty: ["Easy", "Medium", "Hard"].includes(recipe.difficulty)
-        ? recipe.difficulty
-        : "Medium",
-      ingredients: Array.isArray(recipe.ingredients) ? recipe.ingredients : [],
-      instructions: Array.isArray(recipe.instructions)
-        ? recipe.instructions
-        : [],
-      priority: ["high", "medium", "low"].includes(recipe.priority)
-        ? recipe.priority
-        : "medium",
-    }));
-
-    return {
-      recipes: validatedRecipes,
-      total: validatedRecipes.length,
-      urgent_items_used: result.urgent_items_used || 0,
-      message: result.message || "Here are your personalized recipes!",
-    };
+  toBoundingBox(box2d) {
+    if (!Array.isArray(box2d) || box2d.length !== 4) return null;
+    const [ymin, xmin, ymax, xmax] = box2d.map((value) =>
+      Math.min(1, Math.max(0, Number(value) / 1000))
+    );
+    if (!(xmax > xmin && ymax > ymin)) return null;
+    return { x: xmin, y: ymin, width: xmax - xmin, height: ymax - ymin };
   }
 
   /**
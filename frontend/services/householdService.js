@@ -0,0 +1,592 @@
+/**
+ * HouseholdService - Shared household pantries
+ * A pantry belongs to a household; members join with an invite code and
+ * get an owner, editor or viewer role that limits what they can change.
+ *
+ * Data layout:
+ *   households/{householdId}              - name, ownerId, inviteCode, members, memberIds
+ *   households/{householdId}/pantryItems  - the shared pantry
+ *   inviteCodes/{code}                    - maps an invite code to its household
+ *   users/{userId}                        - activeHouseholdId preference
+ *
+ * Every user gets a personal household whose ID is their user ID, so a
+ * fresh account always has somewhere private to put items. Shared
+ * households get generated IDs starting with "shared_".
+ */
+
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  setDoc,
+  updateDoc,
+  onSnapshot,
+  query,
+  where,
+  writeBatch,
+  runTransaction,
+  arrayUnion,
+  arrayRemove,
+  deleteField,
+  serverTimestamp,
+} from "firebase/firestore";
+import { db } from "../config/firebase";
+import { authService } from "./authService";
+import { localStore } from "./localStore";
+
+export const ROLES = ["owner", "editor", "viewer"];
+
+// What each role may do with pantry items and the household itself
+const ROLE_PERMISSIONS = {
+  owner: ["add", "update", "delete", "manage"],
+  editor: ["add", "update", "delete"],
+  viewer: [],
+};
+
+const INVITE_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const INVITE_CODE_LENGTH = 6;
+// New codes to try before giving up when generated codes are already taken
+const MAX_INVITE_CODE_ATTEMPTS = 5;
+
+class HouseholdService {
+  constructor() {
+    this.activeHousehold = null;
+    this.activeListeners = new Set();
+    this.removalListeners = new Set();
+    this.unsubscribeActive = null;
+  }
+
+  /**
+   * Load the signed-in user's households and restore their last selection.
+   * Call once after sign-in.
+   */
+  async initialize() {
+    const userId = authService.requireUserId();
+
+    // Show the last household right away, even when starting offline
+    const cachedHousehold = await localStore.loadActiveHousehold(userId);
+    if (cachedHousehold && !this.activeHousehold) {
+      this.activeHousehold = cachedHousehold;
+      this.notifyActiveListeners();
+    }
+
+    try {
+      const personalId = await this.ensurePersonalHousehold();
+
+      const userSnap = await getDoc(doc(db, "users", userId));
+      const preferredId = userSnap.exists()
+        ? userSnap.data().activeHouseholdId
+        : null;
+
+      try {
+        await this.setActiveHousehold(preferredId || personalId);
+      } catch (error) {
+        // The saved household may have been left or deleted
+        console.warn("Falling back to personal household:", error.message);
+        await this.setActiveHousehold(personalId);
+      }
+    } catch (error) {
+      if (cachedHousehold) {
+        console.warn("Using cached household while offline:", error.message);
+        return;
+      }
+      console.error("Error initializing households:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Forget the active household (call on sign-out)
+   */
+  reset() {
+    if (this.unsubscribeActive) {
+      this.unsubscribeActive();
+      this.unsubscribeActive = null;
+    }
+    this.activeHousehold = null;
+    this.notifyActiveListeners();
+  }
+
+  /**
+   * Create the user's personal household if it doesn't exist yet
+   * @returns {Promise<string>} Personal household ID
+   */
+  async ensurePersonalHousehold() {
+    const user = authService.getCurrentUser();
+    const userId = authService.requireUserId();
+    const householdRef = doc(db, "households", userId);
+    const snapshot = await getDoc(householdRef);
+
+    if (!snapshot.exists()) {
+      const inviteCode = this.generateInviteCode();
+      await setDoc(householdRef, {
+        name: "My Pantry",
+        ownerId: userId,
+        inviteCode: inviteCode,
+        members: {
+          [userId]: {
+            role: "owner",
+            name: authService.getDisplayName(user),
+            joinedDate: serverTimestamp(),
+          },
+        },
+        memberIds: [userId],
+        createdDate: serverTimestamp(),
+      });
+      await this.claimInviteCode(householdRef, inviteCode);
+      await this.migrateLegacyItems(userId);
+      console.log("Created personal household for:", userId);
+    }
+
+    return userId;
+  }
+
+  /**
+   * Move items from the old per-user pantry (users/{uid}/pantryItems)
+   * into the user's personal household
+   * @param {string} userId - User ID (also the personal household ID)
+   */
+  async migrateLegacyItems(userId) {
+    const legacySnapshot = await getDocs(
+      collection(db, "users", userId, "pantryItems")
+    );
+    if (legacySnapshot.empty) return;
+
+    const batch = writeBatch(db);
+    legacySnapshot.forEach((legacyDoc) => {
+      batch.set(doc(db, "households", userId, "pantryItems", legacyDoc.id), {
+        ...legacyDoc.data(),
+        addedBy: { uid: userId, name: authService.getDisplayName() },
+      });
+      batch.delete(legacyDoc.ref);
+    });
+    await batch.commit();
+    console.log("Migrated legacy pantry items:", legacySnapshot.size);
+  }
+
+  /**
+   * Create a new shared household owned by the current user
+   * @param {string} name - Household name
+   * @returns {Promise<string>} Household ID
+   */
+  async createHousehold(name) {
+    try {
+      const userId = authService.requireUserId();
+      // The prefix keeps shared IDs apart from personal ones (user IDs)
+      const generatedId = doc(collection(db, "households")).id;
+      const householdRef = doc(db, "households", `shared_${generatedId}`);
+      const inviteCode = this.generateInviteCode();
+
+      await setDoc(householdRef, {
+        name: name.trim() || "Shared Pantry",
+        ownerId: userId,
+        inviteCode: inviteCode,
+        members: {
+          [userId]: {
+            role: "owner",
+            name: authService.getDisplayName(),
+            joinedDate: serverTimestamp(),
+          },
+        },
+        memberIds: [userId],
+        createdDate: serverTimestamp(),
+      });
+      await this.claimInviteCode(householdRef, inviteCode);
+
+      console.log("Created household:", householdRef.id);
+      await this.setActiveHousehold(householdRef.id);
+      return householdRef.id;
+    } catch (error) {
+      console.error("Error creating household:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Join a household using its invite code. New members start as editors.
+   * @param {string} inviteCode - Code shared by a household owner
+   * @returns {Promise<string>} Household ID
+   */
+  async joinHousehold(inviteCode) {
+    try {
+      const userId = authService.requireUserId();
+      const code = inviteCode.trim().toUpperCase();
+      const codeSnap = await getDoc(doc(db, "inviteCodes", code));
+
+      if (!codeSnap.exists()) {
+        const error = new Error("That invite code doesn't match any household.");
+        error.code = "not-found";
+        throw error;
+      }
+
+      const { householdId } = codeSnap.data();
+      const householdRef = doc(db, "households", householdId);
+
+      // Only members can read the household; the rules also refuse a second
+      // join, so existing members just switch to it
+      const existing = await getDoc(householdRef).catch(() => null);
+      if (existing?.data()?.memberIds?.includes(userId)) {
+        await this.setActiveHousehold(householdId);
+        return householdId;
+      }
+
+      await updateDoc(householdRef, {
+        [`members.${userId}`]: {
+          role: "editor",
+          name: authService.getDisplayName(),
+          joinedDate: serverTimestamp(),
+          inviteCode: code,
+        },
+        memberIds: arrayUnion(userId),
+      });
+
+      console.log("Joined household:", householdId);
+      await this.setActiveHousehold(householdId);
+      return householdId;
+    } catch (error) {
+      console.error("Error joining household:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Leave a household. Owners can't leave their own household.
+   * @param {string} householdId - Household ID
+   */
+  async leaveHousehold(householdId) {
+    try {
+      const userId = authService.requireUserId();
+      const snapshot = await getDoc(doc(db, "households", householdId));
+      if (snapshot.exists() && snapshot.data().ownerId === userId) {
+        throw new Error("Owners can't leave their own household.");
+      }
+
+      await this.removeMember(householdId, userId);
+      if (this.activeHousehold?.id === householdId) {
+        await this.setActiveHousehold(userId);
+      }
+    } catch (error) {
+      console.error("Error leaving household:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a member from a household
+   * @param {string} householdId - Household ID
+   * @param {string} memberId - User ID to remove
+   */
+  async removeMember(householdId, memberId) {
+    try {
+      // Anyone may remove themselves; removing others is for the owner
+      if (memberId !== authService.requireUserId()) {
+        this.assertCan("manage");
+      }
+
+      await updateDoc(doc(db, "households", householdId), {
+        [`members.${memberId}`]: deleteField(),
+        memberIds: arrayRemove(memberId),
+      });
+      console.log("Removed member", memberId, "from household", householdId);
+    } catch (error) {
+      console.error("Error removing member:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change a member's role (owner only)
+   * @param {string} householdId - Household ID
+   * @param {string} memberId - User ID to change
+   * @param {string} role - "editor" or "viewer"
+   */
+  async setMemberRole(householdId, memberId, role) {
+    try {
+      this.assertCan("manage");
+      if (!["editor", "viewer"].includes(role)) {
+        throw new Error(`Invalid role: ${role}`);
+      }
+      if (memberId === this.activeHousehold?.ownerId) {
+        throw new Error("The owner's role can't be changed.");
+      }
+
+      await updateDoc(doc(db, "households", householdId), {
+        [`members.${memberId}.role`]: role,
+      });
+      console.log("Set role", role, "for member", memberId);
+    } catch (error) {
+      console.error("Error setting member role:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace a household's invite code so old codes stop working (owner only)
+   * @param {string} householdId - Household ID
+   * @returns {Promise<string>} New invite code
+   */
+  async regenerateInviteCode(householdId) {
+    try {
+      this.assertCan("manage");
+      const householdRef = doc(db, "households", householdId);
+      const snapshot = await getDoc(householdRef);
+      const oldCode = snapshot.data()?.inviteCode;
+
+      return await this.claimInviteCode(householdRef, null, (transaction) => {
+        if (oldCode) transaction.delete(doc(db, "inviteCodes", oldCode));
+      });
+    } catch (error) {
+      console.error("Error regenerating invite code:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Subscribe to every household the current user belongs to
+   * @param {Function} callback - Called with an array of households
+   * @returns {Function} Unsubscribe function
+   */
+  subscribeToHouseholds(callback) {
+    let userId;
+    try {
+      userId = authService.requireUserId();
+    } catch (error) {
+      console.error("Cannot subscribe to households:", error);
+      callback([]);
+      return () => {};
+    }
+
+    const q = query(
+      collection(db, "households"),
+      where("memberIds", "array-contains", userId)
+    );
+
+    return onSnapshot(
+      q,
+      (snapshot) => {
+        const households = [];
+        snapshot.forEach((householdDoc) => {
+          households.push(this.toHousehold(householdDoc, userId));
+        });
+        callback(households);
+      },
+      (error) => {
+        console.error("Error fetching households:", error);
+        callback([]);
+      }
+    );
+  }
+
+  /**
+   * Switch the active household and remember the choice
+   * @param {string} householdId - Household ID
+   */
+  async setActiveHousehold(householdId) {
+    const userId = authService.requireUserId();
+    const householdRef = doc(db, "households", householdId);
+    const snapshot = await getDoc(householdRef);
+
+    if (!snapshot.exists() || !snapshot.data().memberIds?.includes(userId)) {
+      throw new Error("You're not a member of that household.");
+    }
+
+    if (this.unsubscribeActive) this.unsubscribeActive();
+    this.activeHousehold = this.toHousehold(snapshot, userId);
+    this.notifyActiveListeners();
+    localStore.saveActiveHousehold(userId, this.activeHousehold);
+
+    // Keep role and membership changes live
+    this.unsubscribeActive = onSnapshot(
+      householdRef,
+      (householdSnap) => {
+        if (
+          !householdSnap.exists() ||
+          !householdSnap.data().memberIds?.includes(userId)
+        ) {
+          this.leaveRemovedHousehold();
+          return;
+        }
+        this.activeHousehold = this.toHousehold(householdSnap, userId);
+        this.notifyActiveListeners();
+        localStore.saveActiveHousehold(userId, this.activeHousehold);
+      },
+      (error) => {
+        // Once removed, the rules no longer let the user read the household
+        if (error.code === "permission-denied" && householdId !== userId) {
+          this.leaveRemovedHousehold();
+          return;
+        }
+        console.error("Error watching household:", error);
+      }
+    );
+
+    await setDoc(
+      doc(db, "users", userId),
+      { activeHouseholdId: householdId },
+      { merge: true }
+    );
+    console.log("Active household:", householdId);
+  }
+
+  /**
+   * Switch back to the personal household after losing access to the active
+   * one, and tell removal listeners which household it was
+   */
+  leaveRemovedHousehold() {
+    const userId = authService.requireUserId();
+    const removed = this.activeHousehold;
+    if (this.unsubscribeActive) {
+      this.unsubscribeActive();
+      this.unsubscribeActive = null;
+    }
+
+    console.warn("Removed from active household, switching back");
+    this.removalListeners.forEach((listener) => listener(removed));
+    this.setActiveHousehold(userId).catch((error) =>
+      console.error("Error restoring personal household:", error)
+    );
+  }
+
+  /**
+   * Subscribe to being removed from the active household
+   * @param {Function} callback - Called with the household that was left
+   * @returns {Function} Unsubscribe function
+   */
+  subscribeToRemoval(callback) {
+    this.removalListeners.add(callback);
+    return () => this.removalListeners.delete(callback);
+  }
+
+  /**
+   * Subscribe to the active household (including the user's role)
+   * @param {Function} callback - Called with the household or null
+   * @returns {Function} Unsubscribe function
+   */
+  subscribeToActiveHousehold(callback) {
+    this.activeListeners.add(callback);
+    callback(this.activeHousehold);
+    return () => this.activeListeners.delete(callback);
+  }
+
+  notifyActiveListeners() {
+    this.activeListeners.forEach((listener) => listener(this.activeHousehold));
+  }
+
+  /**
+   * Get the active household ID, failing loudly if none is loaded yet
+   * @returns {string} Household ID
+   */
+  requireActiveHouseholdId() {
+    if (!this.activeHousehold) {
+      const error = new Error("No household selected yet.");
+      error.code = "household/not-selected";
+      throw error;
+    }
+    return this.activeHousehold.id;
+  }
+
+  /**
+   * Whether the current user's role allows an action in the active household
+   * @param {string} action - "add", "update", "delete" or "manage"
+   * @returns {boolean}
+   */
+  can(action) {
+    const role = this.activeHousehold?.role;
+    return Boolean(role && ROLE_PERMISSIONS[role]?.includes(action));
+  }
+
+  /**
+   * Throw a permission error unless the current role allows an action
+   * @param {string} action - "add", "update", "delete" or "manage"
+   */
+  assertCan(action) {
+    if (!this.can(action)) {
+      const role = this.activeHousehold?.role || "guest";
+      const error = new Error(
+        `Your role (${role}) doesn't allow you to ${action} in this household.`
+      );
+      error.code = "permission-denied";
+      throw error;
+    }
+  }
+
+  /**
+   * Convert a Firestore household snapshot into a plain object
+   * @param {Object} snapshot - Household document snapshot
+   * @param {string} userId - Current user ID
+   * @returns {Object} Household with the current user's role
+   */
+  toHousehold(snapshot, userId) {
+    const data = snapshot.data();
+    const members = Object.entries(data.members || {}).map(([uid, member]) => ({
+      uid,
+      name: member.name || "Member",
+      role: member.role,
+    }));
+
+    return {
+      id: snapshot.id,
+      name: data.name,
+      ownerId: data.ownerId,
+      inviteCode: data.inviteCode,
+      members,
+      role: data.members?.[userId]?.role || "viewer",
+      isPersonal: snapshot.id === userId,
+    };
+  }
+
+  /**
+   * Register an invite code for a household, switching to a fresh code if
+   * it is already taken: writing over an existing code would be an update,
+   * which the rules refuse. The household's inviteCode is kept in step.
+   * @param {Object} householdRef - Household document reference
+   * @param {string|null} code - Code the household already has, if any
+   * @param {Function} extraWrites - Optional; adds more writes to the
+   *   transaction, called with (transaction, code)
+   * @returns {Promise<string>} The code now in use
+   */
+  async claimInviteCode(householdRef, code, extraWrites = () => {}) {
+    for (let attempt = 0; attempt < MAX_INVITE_CODE_ATTEMPTS; attempt++) {
+      const candidate =
+        attempt === 0 && code ? code : this.generateInviteCode();
+      const codeRef = doc(db, "inviteCodes", candidate);
+
+      const claimed = await runTransaction(db, async (transaction) => {
+        if ((await transaction.get(codeRef)).exists()) return false;
+        transaction.set(codeRef, { householdId: householdRef.id });
+        if (candidate !== code) {
+          transaction.update(householdRef, { inviteCode: candidate });
+        }
+        extraWrites(transaction, candidate);
+        return true;
+      });
+      if (claimed) return candidate;
+      console.log("Invite code already taken, trying another");
+    }
+
+    const error = new Error(
+      "Couldn't create an invite code. Please try again."
+    );
+    error.code = "invite-code-unavailable";
+    throw error;
+  }
+
+  /**
+   * Generate a short, easy-to-read invite code
+   * @returns {string} Invite code
+   */
+  generateInviteCode() {
+    let code = "";
+    for (let i = 0; i < INVITE_CODE_LENGTH; i++) {
+      code +=
+        INVITE_CODE_ALPHABET[
+          Math.floor(Math.random() * INVITE_CODE_ALPHABET.length)
+        ];
+    }
+    return code;
+  }
+}
+
+export const householdService = new HouseholdService();
+export default householdService;
@@ -0,0 +1,306 @@
+/**
+ * ImageStorageService - Durable storage for scan photos
+ *
+ * Camera and picker URIs are temporary, so every photo attached to a pantry
+ * item is first copied into the app's document directory together with a
+ * small thumbnail. The copies are then uploaded to Firebase Storage (queued
+ * until online), and the item is updated with the download URLs so other
+ * household members see the photo too.
+ *
+ * Item fields:
+ *   localImageUri / localThumbnailUri - copies on the device that scanned it
+ *   imageUrl / thumbnailUrl           - Firebase Storage download URLs
+ *   imagePath                         - Storage path of the full image
+ *
+ * Entries in an item's scanHistory keep the local copies of the photo taken
+ * at that scan. Its uploaded URLs go in the item's scanImages map, keyed by
+ * scan ID, so an upload never rewrites the history array; the item itself
+ * shows the newest scan's photo.
+ */
+
+import * as FileSystem from "expo-file-system/legacy";
+import { manipulateAsync, SaveFormat } from "expo-image-manipulator";
+import {
+  ref,
+  uploadBytes,
+  getDownloadURL,
+  deleteObject,
+} from "firebase/storage";
+import { storage } from "../config/firebase";
+import { localStore } from "./localStore";
+import { syncService } from "./syncService";
+
+const SCAN_DIRECTORY = `${FileSystem.documentDirectory}scans/`;
+const FULL_IMAGE_WIDTH = 1280;
+const THUMBNAIL_WIDTH = 240;
+
+class ImageStorageService {
+  constructor() {
+    this.userId = null;
+    this.uploads = [];
+    this.isUploading = false;
+    this.unsubscribeStatus = null;
+  }
+
+  /**
+   * Load pending uploads and send them whenever the app is online
+   * @param {string} userId - Signed-in user ID
+   */
+  async start(userId) {
+    this.stop();
+    this.userId = userId;
+    this.uploads = await localStore.loadImageUploads(userId);
+    this.unsubscribeStatus = syncService.subscribeToStatus((status) => {
+      if (status.state !== "offline") this.flushUploads();
+    });
+  }
+
+  /**
+   * Stop uploading (call on sign-out)
+   */
+  stop() {
+    if (this.unsubscribeStatus) {
+      this.unsubscribeStatus();
+      this.unsubscribeStatus = null;
+    }
+    this.userId = null;
+    this.uploads = [];
+  }
+
+  /**
+   * Copy a temporary photo into app storage and make a thumbnail
+   * @param {string} sourceUri - Camera or picker URI
+   * @param {string} name - File name base, usually the item ID
+   * @param {Object} options - { crop } box as fractions of the image, used
+   *   for the thumbnail when one photo holds several items
+   * @returns {Promise<Object>} { localImageUri, localThumbnailUri }
+   */
+  async saveLocalCopy(sourceUri, name, { crop } = {}) {
+    await FileSystem.makeDirectoryAsync(SCAN_DIRECTORY, {
+      intermediates: true,
+    });
+
+    const full = await manipulateAsync(
+      sourceUri,
+      [{ resize: { width: FULL_IMAGE_WIDTH } }],
+      { compress: 0.8, format: SaveFormat.JPEG }
+    );
+
+    const thumbnailActions = [];
+    if (crop) {
+      thumbnailActions.push({
+        crop: {
+          originX: Math.round(crop.x * full.width),
+          originY: Math.round(crop.y * full.height),
+          width: Math.round(crop.width * full.width),
+          height: Math.round(crop.height * full.height),
+        },
+      });
+    }
+    thumbnailActions.push({ resize: { width: THUMBNAIL_WIDTH } });
+    const thumbnail = await manipulateAsync(full.uri, thumbnailActions, {
+      compress: 0.7,
+      format: SaveFormat.JPEG,
+    });
+
+    const localImageUri = `${SCAN_DIRECTORY}${name}.jpg`;
+    const localThumbnailUri = `${SCAN_DIRECTORY}${name}_thumb.jpg`;
+    await FileSystem.moveAsync({ from: full.uri, to: localImageUri });
+    await FileSystem.moveAsync({ from: thumbnail.uri, to: localThumbnailUri });
+
+    return { localImageUri, localThumbnailUri };
+  }
+
+  /**
+   * Queue a saved photo for upload and attach the URLs to its item once done
+   * @param {string} householdId - Household that owns the item
+   * @param {string} itemId - Pantry item ID
+   * @param {Object} images - Result of saveLocalCopy
+   * @param {string} scanId - Scan history entry the photo belongs to, if any
+   */
+  async queueUpload(householdId, itemId, images, scanId = null) {
+    this.uploads = [
+      ...this.uploads,
+      { householdId, itemId, scanId, ...images, attempts: 0 },
+    ];
+    await this.persistUploads();
+    this.flushUploads();
+  }
+
+  /**
+   * Upload queued photos, oldest first. Stops at the first network failure
+   * and tries again the next time the app is online.
+   */
+  async flushUploads() {
+    if (this.isUploading || !syncService.isOnline) return;
+    this.isUploading = true;
+
+    try {
+      while (this.uploads.length > 0 && syncService.isOnline) {
+        const upload = this.uploads[0];
+        try {
+          await this.upload(upload);
+        } catch (error) {
+          if (error.code === "local-file-missing") {
+            // The copy is gone (app data cleared); nothing left to send
+            console.warn("Dropping photo upload, file missing:", upload.itemId);
+          } else {
+            console.error("Photo upload failed, will retry:", error);
+            this.uploads[0] = { ...upload, attempts: upload.attempts + 1 };
+            await this.persistUploads();
+            break;
+          }
+        }
+        this.uploads = this.uploads.slice(1);
+        await this.persistUploads();
+      }
+    } finally {
+      this.isUploading = false;
+    }
+  }
+
+  /**
+   * Upload one item's photo and thumbnail and record the URLs on the item
+   */
+  async upload({
+    householdId,
+    itemId,
+    scanId,
+    localImageUri,
+    localThumbnailUri,
+  }) {
+    const basePath = `households/${householdId}/items/${itemId}`;
+    const fileName = scanId ? `scan_${scanId}` : "image";
+    const imagePath = `${basePath}/${fileName}.jpg`;
+    const imageUrl = await this.uploadFile(localImageUri, imagePath);
+    const thumbnailUrl = await this.uploadFile(
+      localThumbnailUri,
+      `${basePath}/${fileName}_thumb.jpg`
+    );
+    const urls = { imageUrl, thumbnailUrl, imagePath };
+
+    let data = urls;
+    if (scanId) {
+      data = await this.getScanImageUpdates(householdId, itemId, scanId, urls);
+      if (!data) return;
+    }
+
+    await syncService.enqueue(householdId, [
+      { type: "update", collection: "pantryItems", docId: itemId, data },
+    ]);
+  }
+
+  /**
+   * Updates that attach uploaded URLs to one scan. Only the fields for this
+   * scan are written, so scans added meanwhile here or by another member
+   * are kept. Only the newest scan's photo also becomes the item's photo.
+   * @returns {Promise<Object|null>} Item updates, or null if the item is gone
+   */
+  async getScanImageUpdates(householdId, itemId, scanId, urls) {
+    const cached = await localStore.loadCollection(householdId, "pantryItems");
+    const item = syncService
+      .applyPendingWrites(householdId, "pantryItems", cached)
+      .find((candidate) => candidate.id === itemId);
+    if (!item) return null;
+
+    const updates = { [`scanImages.${scanId}`]: urls };
+    const scanHistory = item.scanHistory || [];
+    const isNewest = scanHistory[scanHistory.length - 1]?.id === scanId;
+    return isNewest ? { ...urls, ...updates } : updates;
+  }
+
+  /**
+   * Upload a local file to Storage
+   * @returns {Promise<string>} Download URL
+   */
+  async uploadFile(localUri, path) {
+    const info = await FileSystem.getInfoAsync(localUri);
+    if (!info.exists) {
+      const error = new Error(`Local photo not found: ${localUri}`);
+      error.code = "local-file-missing";
+      throw error;
+    }
+
+    const blob = await (await fetch(localUri)).blob();
+    const fileRef = ref(storage, path);
+    await uploadBytes(fileRef, blob, { contentType: "image/jpeg" });
+    return getDownloadURL(fileRef);
+  }
+
+  /**
+   * Remove every photo of an item that is deleted for good: queued uploads,
+   * the copies on this device and the uploaded files. Best effort - a photo
+   * that cannot be removed is only logged.
+   * @param {string} householdId - Household that owns the item
+   * @param {Object} item - Pantry item
+   */
+  async deleteItemImages(householdId, item) {
+    // An upload already in progress is left to finish; flushUploads drops
+    // the first entry once it is done
+    this.uploads = this.uploads.filter(
+      (upload, index) =>
+        upload.itemId !== item.id || (this.isUploading && index === 0)
+    );
+    await this.persistUploads();
+
+    const entries = [
+      item,
+      ...(item.scanHistory || []),
+      ...Object.values(item.scanImages || {}),
+    ];
+    const localUris = entries.flatMap((entry) => [
+      entry.localImageUri,
+      entry.localThumbnailUri,
+    ]);
+    const remotePaths = entries.flatMap((entry) =>
+      entry.imagePath
+        ? [entry.imagePath, entry.imagePath.replace(/\.jpg$/, "_thumb.jpg")]
+        : []
+    );
+
+    await Promise.all([
+      ...[...new Set(localUris)].filter(Boolean).map((uri) =>
+        FileSystem.deleteAsync(uri, { idempotent: true }).catch((error) =>
+          console.warn("Could not delete local photo:", error)
+        )
+      ),
+      ...[...new Set(remotePaths)].map((path) =>
+        deleteObject(ref(storage, path)).catch((error) => {
+          if (error.code !== "storage/object-not-found") {
+            console.warn("Could not delete uploaded photo:", error);
+          }
+        })
+      ),
+    ]);
+  }
+
+  async persistUploads() {
+    if (this.userId) {
+      await localStore.saveImageUploads(this.userId, this.uploads);
+    }
+  }
+
+  /**
+   * Best URI to show for an item's photo. Uploaded copies work on every
+   * device; the local copy covers the time before the upload finishes.
+   * @param {Object} item - Pantry item
+   * @param {string} size - "thumbnail" or "full"
+   * @returns {string|null} Image URI
+   */
+  getImageUri(item, size = "full") {
+    if (!item) return null;
+    if (size === "thumbnail") {
+      return (
+        item.thumbnailUrl ||
+        item.localThumbnailUri ||
+        item.imageUrl ||
+        item.localImageUri ||
+        null
+      );
+    }
+    return item.imageUrl || item.localImageUri || null;
+  }
+}
+
+export const imageStorageService = new ImageStorageService();
+export default imageStorageService;
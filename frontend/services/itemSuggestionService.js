@@ -0,0 +1,149 @@
+/**
+ * ItemSuggestionService - Suggestions for adding items by hand
+ * Learns from what the household has tracked before (current pantry items
+ * and the outcome history) to autocomplete names and to suggest how long
+ * a food usually lasts. Falls back to the offline shelf-life guide for
+ * foods that were never tracked.
+ */
+
+import { shelfLifeService } from "./shelfLifeService";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Lowercase and collapse whitespace so "Leftover  Pasta" matches
+ * "leftover pasta"
+ */
+function normalize(text) {
+  return (text || "").toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Middle value of a list of numbers
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+class ItemSuggestionService {
+  /**
+   * Combine pantry items and history records into one entry per name
+   * @param {Array} pantryItems - Current pantry items
+   * @param {Array} history - Outcome history records
+   * @returns {Array} { key, name, category, unit, storageLocation,
+   *   shelfLifeDays[], count, lastAdded }, most used first
+   */
+  buildEntries(pantryItems = [], history = []) {
+    const entries = new Map();
+
+    [...pantryItems, ...history].forEach((record) => {
+      const key = normalize(record.name);
+      if (!key) return;
+
+      const addedDate = record.addedDate ? new Date(record.addedDate) : null;
+      const entry = entries.get(key) || {
+        key,
+        name: record.name.trim(),
+        category: record.category,
+        unit: record.unit,
+        storageLocation: record.storageLocation || null,
+        shelfLifeDays: [],
+        count: 0,
+        lastAdded: null,
+      };
+
+      entry.count += 1;
+      // The most recent entry decides how the name is written and filed
+      if (addedDate && (!entry.lastAdded || addedDate > entry.lastAdded)) {
+        entry.lastAdded = addedDate;
+        entry.name = record.name.trim();
+        entry.category = record.category;
+        entry.unit = record.unit;
+        entry.storageLocation =
+          record.storageLocation || entry.storageLocation;
+      }
+
+      // Frozen items' dates reflect the freezer, not how long the food keeps
+      const frozen = record.frozenDate || record.storageLocation === "freezer";
+      if (addedDate && record.expiryDate && !frozen) {
+        const days = Math.round(
+          (new Date(record.expiryDate) - addedDate) / DAY_MS
+        );
+        if (days > 0) entry.shelfLifeDays.push(days);
+      }
+
+      entries.set(key, entry);
+    });
+
+    return Array.from(entries.values()).sort(
+      (a, b) => b.count - a.count || (b.lastAdded || 0) - (a.lastAdded || 0)
+    );
+  }
+
+  /**
+   * Names matching what has been typed so far. Names starting with the text
+   * come first, then names containing it anywhere.
+   * @param {Array} entries - From buildEntries
+   * @param {string} query - Text typed so far
+   * @param {number} limit - Maximum suggestions
+   * @returns {Array} Matching entries
+   */
+  search(entries, query, limit = 5) {
+    const text = normalize(query);
+    if (!text) return [];
+
+    const startsWith = [];
+    const contains = [];
+    entries.forEach((entry) => {
+      if (entry.key === text) return;
+      if (entry.key.startsWith(text)) startsWith.push(entry);
+      else if (entry.key.includes(text)) contains.push(entry);
+    });
+    return [...startsWith, ...contains].slice(0, limit);
+  }
+
+  /**
+   * Suggested days until expiry for a food. Past entries for the same name
+   * win; otherwise the shelf-life guide is used.
+   * @param {Array} entries - From buildEntries
+   * @param {string} name - Food name
+   * @param {string} category - Category, for the guide fallback
+   * @param {string} location - Storage location, for the guide fallback
+   * @returns {Object|null} { days, source: "history"|"guide", count, label }
+   */
+  suggestExpiry(entries, name, category, location) {
+    const key = normalize(name);
+    if (!key) return null;
+
+    const entry = entries.find((candidate) => candidate.key === key);
+    if (entry?.shelfLifeDays.length) {
+      const count = entry.shelfLifeDays.length;
+      const days = median(entry.shelfLifeDays);
+      return {
+        days,
+        source: "history",
+        count,
+        label: `Usually lasts ${days} day(s) (from ${count} past ${
+          count === 1 ? "entry" : "entries"
+        })`,
+      };
+    }
+
+    const estimate = shelfLifeService.estimate(name, category, location);
+    return {
+      days: estimate.days,
+      source: "guide",
+      count: 0,
+      label: `Shelf-life guide: about ${estimate.days} day(s) for ${
+        estimate.food || "this category"
+      }`,
+    };
+  }
+}
+
+export const itemSuggestionService = new ItemSuggestionService();
+export default itemSuggestionService;
@@ -0,0 +1,171 @@
+/**
+ * LocalStore - On-device persistence with AsyncStorage
+ * Keeps the last known pantry and history, the active household, the
+ * offline write and photo upload queues, the barcode product catalog,
+ * saved AI answers and device settings so the app can render instantly and
+ * keep working without a connection
+ */
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+
+const KEY_PREFIX = "freshb4";
+
+/**
+ * JSON.stringify replacer that keeps Date objects recognizable.
+ * Uses `this[key]` because Date.toJSON runs before the replacer sees the value.
+ */
+function dateReplacer(key, value) {
+  const original = this[key];
+  if (original instanceof Date) {
+    return { __date: original.toISOString() };
+  }
+  return value;
+}
+
+/**
+ * JSON.parse reviver that turns tagged dates back into Date objects
+ */
+function dateReviver(key, value) {
+  if (value && typeof value === "object" && typeof value.__date === "string") {
+    return new Date(value.__date);
+  }
+  return value;
+}
+
+class LocalStore {
+  /**
+   * Read a JSON value
+   * @param {string} key - Storage key (without prefix)
+   * @param {*} fallback - Returned when missing or unreadable
+   * @returns {Promise<*>} Stored value
+   */
+  async get(key, fallback = null) {
+    try {
+      const raw = await AsyncStorage.getItem(`${KEY_PREFIX}:${key}`);
+      return raw ? JSON.parse(raw, dateReviver) : fallback;
+    } catch (error) {
+      console.error("Error reading local store:", key, error);
+      return fallback;
+    }
+  }
+
+  /**
+   * Write a JSON value
+   * @param {string} key - Storage key (without prefix)
+   * @param {*} value - Value to store (Dates are preserved)
+   */
+  async set(key, value) {
+    try {
+      await AsyncStorage.setItem(
+        `${KEY_PREFIX}:${key}`,
+        JSON.stringify(value, dateReplacer)
+      );
+    } catch (error) {
+      console.error("Error writing local store:", key, error);
+    }
+  }
+
+  /**
+   * Remove a value
+   * @param {string} key - Storage key (without prefix)
+   */
+  async remove(key) {
+    try {
+      await AsyncStorage.removeItem(`${KEY_PREFIX}:${key}`);
+    } catch (error) {
+      console.error("Error removing from local store:", key, error);
+    }
+  }
+
+  /**
+   * Last known documents of a household collection (pantry items, history)
+   * @param {string} householdId - Household ID
+   * @param {string} collectionName - Collection name
+   * @returns {Promise<Array>} Cached documents
+   */
+  loadCollection(householdId, collectionName) {
+    return this.get(`${collectionName}:${householdId}`, []);
+  }
+
+  saveCollection(householdId, collectionName, docs) {
+    return this.set(`${collectionName}:${householdId}`, docs);
+  }
+
+  /**
+   * Last active household for a user, used when starting offline
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Cached household
+   */
+  loadActiveHousehold(userId) {
+    return this.get(`activeHousehold:${userId}`, null);
+  }
+
+  saveActiveHousehold(userId, household) {
+    return this.set(`activeHousehold:${userId}`, household);
+  }
+
+  /**
+   * Writes waiting to be sent to Firestore
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Queued operations
+   */
+  loadQueue(userId) {
+    return this.get(`syncQueue:${userId}`, []);
+  }
+
+  saveQueue(userId, queue) {
+    return this.set(`syncQueue:${userId}`, queue);
+  }
+
+  /**
+   * Scan photos waiting to be uploaded to Firebase Storage
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Pending uploads
+   */
+  loadImageUploads(userId) {
+    return this.get(`imageUploads:${userId}`, []);
+  }
+
+  saveImageUploads(userId, uploads) {
+    return this.set(`imageUploads:${userId}`, uploads);
+  }
+
+  /**
+   * Products learned from barcode scans on this device, keyed by barcode
+   * @returns {Promise<Object>} Product catalog
+   */
+  loadProductCatalog() {
+    return this.get("productCatalog", {});
+  }
+
+  saveProductCatalog(catalog) {
+    return this.set("productCatalog", catalog);
+  }
+
+  /**
+   * Whether demo mode (sample AI results) is turned on for this device
+   * @returns {Promise<boolean>} Demo mode setting
+   */
+  loadDemoMode() {
+    return this.get("demoMode", false);
+  }
+
+  saveDemoMode(enabled) {
+    return this.set("demoMode", enabled);
+  }
+
+  /**
+   * AI answers saved on this device, keyed by a hash of the request
+   * @returns {Promise<Object>} Cache entries
+   */
+  loadAICache() {
+    return this.get("aiCache", {});
+  }
+
+  saveAICache(cache) {
+    return this.set("aiCache", cache);
+  }
+}
+
+export const localStore = new LocalStore();
+export default localStore;
@@ -0,0 +1,139 @@
+/**
+ * PantryFilterService - Search, filter, sort and group the pantry list
+ * Pure list logic for PantryScreen, kept apart from the screen so large
+ * pantries can be narrowed down the same way everywhere.
+ */
+
+import { pantryService } from "./pantryService";
+import {
+  CATEGORIES,
+  STORAGE_LOCATIONS,
+  FRESHNESS_LEVELS,
+} from "../config/pantryOptions";
+
+export const DEFAULT_FILTERS = {
+  query: "",
+  freshness: [],
+  categories: [],
+  locations: [],
+  sort: "added",
+  group: "none",
+};
+
+const byName = (a, b) =>
+  (a.name || "").localeCompare(b.name || "", undefined, {
+    sensitivity: "base",
+  });
+
+const SORTERS = {
+  expiry: (a, b) => a.days_left - b.days_left || byName(a, b),
+  name: byName,
+  added: (a, b) => new Date(b.addedDate) - new Date(a.addedDate),
+  category: (a, b) =>
+    (a.category || "Other").localeCompare(b.category || "Other") ||
+    byName(a, b),
+};
+
+class PantryFilterService {
+  /**
+   * Whether an item passes the search text and every active filter
+   * @param {Object} item - Pantry item with days_left
+   * @param {Object} filters - See DEFAULT_FILTERS
+   * @returns {boolean}
+   */
+  matches(item, filters) {
+    const query = filters.query.trim().toLowerCase();
+    if (query) {
+      const text = `${item.name || ""} ${item.notes || ""}`.toLowerCase();
+      if (!text.includes(query)) return false;
+    }
+    const freshness = pantryService.getFreshnessLevel(item.days_left);
+    if (
+      filters.freshness.length > 0 &&
+      !filters.freshness.includes(freshness)
+    ) {
+      return false;
+    }
+    if (
+      filters.categories.length > 0 &&
+      !filters.categories.includes(item.category || "Other")
+    ) {
+      return false;
+    }
+    if (
+      filters.locations.length > 0 &&
+      !filters.locations.includes(pantryService.getLocation(item))
+    ) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Number of filters narrowing the list (search text not included)
+   * @param {Object} filters - See DEFAULT_FILTERS
+   * @returns {number}
+   */
+  countActiveFilters(filters) {
+    return (
+      filters.freshness.length +
+      filters.categories.length +
+      filters.locations.length
+    );
+  }
+
+  /**
+   * Filter and sort items, then split them into sections
+   * @param {Array} items - Pantry items with days_left
+   * @param {Object} filters - See DEFAULT_FILTERS
+   * @returns {Object} { sections: [{ key, label, icon, items }], count }.
+   *   Ungrouped lists come back as a single section with key "all".
+   */
+  getView(items, filters) {
+    const visible = items
+      .filter((item) => this.matches(item, filters))
+      .sort(SORTERS[filters.sort] || SORTERS.added);
+
+    return {
+      sections: this.groupItems(visible, filters.group),
+      count: visible.length,
+    };
+  }
+
+  /**
+   * Split sorted items into sections in a fixed order, skipping empty ones
+   * @param {Array} items - Sorted pantry items
+   * @param {string} group - Key from GROUP_OPTIONS
+   * @returns {Array} Sections
+   */
+  groupItems(items, group) {
+    let groups;
+    let keyOf;
+    if (group === "location") {
+      groups = STORAGE_LOCATIONS;
+      keyOf = (item) => pantryService.getLocation(item);
+    } else if (group === "category") {
+      groups = CATEGORIES.map((category) => ({
+        key: category,
+        label: category,
+      }));
+      keyOf = (item) =>
+        CATEGORIES.includes(item.category) ? item.category : "Other";
+    } else if (group === "freshness") {
+      groups = FRESHNESS_LEVELS;
+      keyOf = (item) => pantryService.getFreshnessLevel(item.days_left);
+    } else {
+      return [{ key: "all", label: null, items }];
+    }
+
+    return groups
+      .map((section) => ({
+        ...section,
+        items: items.filter((item) => keyOf(item) === section.key),
+      }))
+      .filter((section) => section.items.length > 0);
+  }
+}
+
+export const pantryFilterService = new PantryFilterService();
+export default pantryFilterService;
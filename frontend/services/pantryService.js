@@ -1,62 +1,377 @@
 /**
  * PantryService - Firebase integration for pantry management
- * Simple shared database for hackathon demo
+ * Items live in the active household's pantry at
+ * households/{householdId}/pantryItems, and writes are checked against the
+ * member's role (owner, editor or viewer).
+ *
+ * Offline-first: items are cached on the device and every write goes through
+ * the sync queue, so the pantry keeps working without a connection.
  */
 
 import {
   collection,
   doc,
-  getDocs,
-  addDoc,
-  updateDoc,
-  deleteDoc,
   onSnapshot,
   query,
   orderBy,
-  serverTimestamp,
 } from "firebase/firestore";
-import { db } from "../config/firebase";
+import * as FileSystem from "expo-file-system/legacy";
+import * as Sharing from "expo-sharing";
+import { db, storage } from "../config/firebase";
+import { authService } from "./authService";
+import { householdService } from "./householdService";
+import { imageStorageService } from "./imageStorageService";
+import { localStore } from "./localStore";
+import { shelfLifeService } from "./shelfLifeService";
+import { syncService } from "./syncService";
+import {
+  CATEGORIES,
+  UNITS,
+  DEFAULT_UNIT,
+  OUTCOMES,
+  STORAGE_LOCATIONS,
+  DEFAULT_LOCATIONS,
+} from "../config/pantryOptions";
+import {
+  LOCATION_MULTIPLIERS,
+  FREEZER_DAYS,
+} from "../config/shelfLifeFactors";
+import {
+  OPENED_SHELF_LIFE,
+  OPENED_CATEGORY_DAYS,
+} from "../config/openedShelfLife";
+import {
+  FRESHNESS_VALUES,
+  FOOD_ANALYSIS_SCHEMA,
+  validateSchema,
+} from "../config/aiSchemas";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Deleted items stay in the trash this long before they are purged
+export const TRASH_RETENTION_DAYS = 30;
+
+// Version of the export file format, bumped when fields change meaning
+const EXPORT_VERSION = 1;
+
+// Firestore rejects batches with more writes than this
+const MAX_BATCH_WRITES = 500;
+
+// Columns of the flattened CSV export. Item and history rows share one
+// file and are told apart by the type column.
+export const CSV_COLUMNS = [
+  "type",
+  "id",
+  "name",
+  "category",
+  "quantity",
+  "initialQuantity",
+  "unit",
+  "price",
+  "storageLocation",
+  "addedDate",
+  "expiryDate",
+  "openedDate",
+  "frozenDate",
+  "barcode",
+  "notes",
+  "outcome",
+  "outcomeDate",
+  "aiFreshness",
+  "aiConfidence",
+  "aiSafeToConsume",
+  "aiDaysLeft",
+  "aiDetails",
+];
+
+/**
+ * Convert Firestore Timestamps (anything with toDate) into Date objects,
+ * including inside nested objects and arrays
+ * @param {*} value - Firestore data
+ * @returns {*} Data with plain Dates
+ */
+function toPlainDates(value) {
+  if (value && typeof value.toDate === "function") return value.toDate();
+  if (Array.isArray(value)) return value.map(toPlainDates);
+  if (value && typeof value === "object" && !(value instanceof Date)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, nested]) => [key, toPlainDates(nested)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Format one value for a CSV cell. Text a spreadsheet would run as a
+ * formula gets a leading apostrophe.
+ */
+function toCsvValue(value) {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Split CSV text into rows of cells. Handles quoted cells containing
+ * commas, doubled quotes and line breaks; blank lines are dropped.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ""));
+}
+
+/**
+ * Header or option text compared loosely: "Storage Location" matches
+ * "storageLocation" and "dairy" matches "Dairy"
+ */
+function looseKey(text) {
+  return String(text).toLowerCase().replace(/[\s_]/g, "");
+}
+
+/**
+ * Validated readers for imported fields. Empty values come back as null;
+ * anything unusable throws with a message naming the field.
+ */
+const readImport = {
+  text(value) {
+    if (value === null || value === undefined) return null;
+    const text = String(value).trim();
+    return text === "" ? null : text;
+  },
+  number(value, field) {
+    const text = readImport.text(value);
+    if (text === null) return null;
+    const number = Number(text);
+    if (!Number.isFinite(number) || number < 0) {
+      throw new Error(`invalid ${field} "${text}"`);
+    }
+    return number;
+  },
+  date(value, field) {
+    if (value instanceof Date) return value;
+    const text = readImport.text(value);
+    if (text === null) return null;
+    const date = new Date(text);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`invalid ${field} "${text}"`);
+    }
+    return date;
+  },
+  option(value, options, field) {
+    const text = readImport.text(value);
+    if (text === null) return null;
+    const match = options.find((option) => looseKey(option) === looseKey(text));
+    if (!match) throw new Error(`unknown ${field} "${text}"`);
+    return match;
+  },
+  // Only photos uploaded to this app's storage are kept, so a file can't
+  // make the app load images from any other server
+  imageUrl(value) {
+    const text = readImport.text(value);
+    const { storageBucket } = storage.app.options;
+    const prefix =
+      "https://firebasestorage.googleapis.com/v0/b/" + `${storageBucket}/o/`;
+    return text?.startsWith(prefix) ? text : null;
+  },
+};
 
 class PantryService {
   constructor() {
     this.collectionName = "pantryItems";
+    this.historyCollectionName = "history";
     this.listeners = [];
+    this.isPurging = false;
+  }
+
+  /**
+   * Get the active household's pantry collection
+   * @returns {Object} Firestore collection reference
+   */
+  getItemsCollection() {
+    const householdId = householdService.requireActiveHouseholdId();
+    return collection(db, "households", householdId, this.collectionName);
   }
 
   /**
-   * Get all pantry items (real-time)
+   * Get a document reference inside the active household's pantry
+   * @param {string} itemId - Document ID
+   * @returns {Object} Firestore document reference
+   */
+  getItemDoc(itemId) {
+    return doc(this.getItemsCollection(), itemId);
+  }
+
+  /**
+   * Get all pantry items (real-time). Cached items are delivered first, then
+   * live Firestore data, always with not-yet-synced local changes applied.
+   * Items in the trash are left out, and trash older than
+   * TRASH_RETENTION_DAYS is purged along the way.
    * @param {Function} callback - Called when data changes
    * @returns {Function} Unsubscribe function
    */
   subscribeToItems(callback) {
+    return this.subscribeToCollection(
+      this.collectionName,
+      "addedDate",
+      (items) => {
+        this.purgeExpiredTrash(items);
+        callback(
+          items
+            .filter((item) => !item.deletedAt)
+            .map((item) => ({
+              ...item,
+              addedDate: item.addedDate || new Date(),
+              expiryDate: item.expiryDate || new Date(),
+            }))
+        );
+      }
+    );
+  }
+
+  /**
+   * Get the items in the trash, most recently deleted first (real-time)
+   * @param {Function} callback - Called with trashed items
+   * @returns {Function} Unsubscribe function
+   */
+  subscribeToTrash(callback) {
+    return this.subscribeToCollection(
+      this.collectionName,
+      "addedDate",
+      (items) =>
+        callback(
+          items
+            .filter((item) => item.deletedAt)
+            .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt))
+        )
+    );
+  }
+
+  /**
+   * Get the household's outcome history, newest first (real-time)
+   * @param {Function} callback - Called with history records
+   * @returns {Function} Unsubscribe function
+   */
+  subscribeToHistory(callback) {
+    return this.subscribeToCollection(
+      this.historyCollectionName,
+      "outcomeDate",
+      callback
+    );
+  }
+
+  /**
+   * Subscribe to a collection of the active household with the local cache
+   * and pending offline writes layered in
+   * @param {string} collectionName - Collection inside the household
+   * @param {string} dateField - Field to sort by, newest first
+   * @param {Function} callback - Called with documents
+   * @returns {Function} Unsubscribe function
+   */
+  subscribeToCollection(collectionName, dateField, callback) {
+    let householdId;
+    try {
+      householdId = householdService.requireActiveHouseholdId();
+    } catch (error) {
+      console.error(`Cannot subscribe to ${collectionName}:`, error);
+      callback([]);
+      return () => {};
+    }
+
+    let serverDocs = null;
+    let active = true;
+
+    const emit = () => {
+      if (!active || serverDocs === null) return;
+      const docs = syncService
+        .applyPendingWrites(householdId, collectionName, serverDocs)
+        .sort(
+          (a, b) =>
+            (b[dateField] || new Date()) - (a[dateField] || new Date())
+        );
+      callback(docs);
+    };
+
+    // Render the last known data immediately
+    localStore
+      .loadCollection(householdId, collectionName)
+      .then((cachedDocs) => {
+        if (serverDocs === null) {
+          serverDocs = cachedDocs;
+          emit();
+        }
+      });
+
+    const unsubscribeQueue = syncService.subscribeToQueue(emit);
+
     const q = query(
-      collection(db, this.collectionName),
-      orderBy("addedDate", "desc")
+      collection(db, "households", householdId, collectionName),
+      orderBy(dateField, "desc")
     );
 
-    const unsubscribe = onSnapshot(
+    const unsubscribeSnapshot = onSnapshot(
       q,
       (snapshot) => {
-        const items = [];
+        const docs = [];
         snapshot.forEach((doc) => {
-          const data = doc.data();
-          items.push({
-            id: doc.id,
-            ...data,
-            // Convert Firestore timestamps to dates
-            addedDate: data.addedDate?.toDate() || new Date(),
-            expiryDate: data.expiryDate?.toDate() || new Date(),
-          });
+          // Convert Firestore timestamps to dates
+          docs.push({ id: doc.id, ...toPlainDates(doc.data()) });
         });
-        callback(items);
+        serverDocs = docs;
+        localStore.saveCollection(householdId, collectionName, docs);
+        emit();
       },
-      (error) => {
-        console.error("Error fetching pantry items:", error);
-        callback([]);
+      async (error) => {
+        // Keep showing the cached data rather than nothing
+        console.error(`Error fetching ${collectionName}, using cache:`, error);
+        if (serverDocs === null) {
+          serverDocs = await localStore.loadCollection(
+            householdId,
+            collectionName
+          );
+        }
+        emit();
       }
     );
 
-    return unsubscribe;
+    return () => {
+      active = false;
+      unsubscribeQueue();
+      unsubscribeSnapshot();
+    };
   }
 
   /**
@@ -65,61 +380,287 @@ class PantryService {
    * @returns {Promise<string>} Document ID
    */
   async addItem(item) {
+    const [id] = await this.addItems([item]);
+    return id;
+  }
+
+  /**
+   * Add several items in one batch, e.g. every line of a grocery receipt
+   * @param {Array} items - Item data
+   * @returns {Promise<Array<string>>} Document IDs, in the same order
+   */
+  async addItems(items) {
     try {
-      const itemData = {
-        name: item.name,
-        category: item.category || "Other",
-        days_left:
-          item.days_left !== undefined && item.days_left !== null
-            ? item.days_left
-            : 7,
-        notes: item.notes || "",
-        aiAnalysis: item.aiAnalysis || null,
-        imageUrl: item.imageUrl || null,
-        addedDate: serverTimestamp(),
-        expiryDate:
-          item.expiryDate ||
-          new Date(
-            Date.now() +
-              (item.days_left !== undefined && item.days_left !== null
-                ? item.days_left
-                : 7) *
-                24 *
-                60 *
-                60 *
-                1000
-          ),
-      };
+      householdService.assertCan("add");
+      const householdId = householdService.requireActiveHouseholdId();
+      const user = authService.getCurrentUser();
+      const images = [];
+      const writes = [];
+      for (const item of items) {
+        // Generate the ID locally so the item exists before it is synced
+        const docRef = doc(this.getItemsCollection());
+        const image = await this.saveItemImage(item, docRef.id);
+        images.push(image);
+        writes.push({
+          type: "set",
+          collection: this.collectionName,
+          docId: docRef.id,
+          data: this.buildItemData(item, user, image),
+        });
+      }
 
-      const docRef = await addDoc(
-        collection(db, this.collectionName),
-        itemData
-      );
-      console.log(
-        "Added item to pantry:",
-        docRef.id,
-        "with days_left:",
-        itemData.days_left
+      await syncService.enqueue(householdId, writes);
+      writes.forEach((write, index) => {
+        if (images[index]) {
+          imageStorageService.queueUpload(
+            householdId,
+            write.docId,
+            images[index],
+            write.data.scanHistory[0]?.id
+          );
+        }
+      });
+      writes.forEach((write) =>
+        console.log(
+          "Added item to pantry:",
+          write.docId,
+          "with days_left:",
+          write.data.days_left
+        )
       );
-      return docRef.id;
+      return writes.map((write) => write.docId);
     } catch (error) {
-      console.error("Error adding item to pantry:", error);
+      console.error("Error adding items to pantry:", error);
       throw error;
     }
   }
 
+  /**
+   * Keep a lasting copy of the photo an item was scanned from. Camera URIs
+   * are temporary, so `item.imageUri` is copied into app storage here and
+   * uploaded once the item is saved. `item.imageCrop` narrows the thumbnail
+   * to the item's box when one photo held several foods.
+   * @param {Object} item - Item data
+   * @param {string} itemId - Document ID, used as the file name
+   * @returns {Promise<Object|null>} Local image fields, or null
+   */
+  async saveItemImage(item, itemId) {
+    if (!item.imageUri) return null;
+    try {
+      return await imageStorageService.saveLocalCopy(item.imageUri, itemId, {
+        crop: item.imageCrop,
+      });
+    } catch (error) {
+      // A missing photo shouldn't stop the item from being added
+      console.error("Error saving item photo:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Build the stored document for a new item
+   * @param {Object} item - Item data from a scan, receipt or form
+   * @param {Object} user - Signed-in user adding it
+   * @param {Object} image - Local photo copies from saveItemImage, if any
+   * @returns {Object} Firestore document data
+   */
+  buildItemData(item, user, image = null) {
+    const addedDate = new Date();
+    const quantity = item.quantity > 0 ? Number(item.quantity) : 1;
+
+    // Without a date from the user or the AI, estimate from the bundled
+    // shelf-life guide instead of guessing a flat week
+    const hasDaysLeft = item.days_left !== undefined && item.days_left !== null;
+    const estimate = shelfLifeService.estimate(
+      item.name,
+      item.category,
+      item.storageLocation
+    );
+    const daysLeft = hasDaysLeft ? item.days_left : estimate.days;
+
+    return {
+      name: item.name,
+      category: item.category || "Other",
+      days_left: daysLeft,
+      quantity: quantity,
+      initialQuantity: quantity,
+      unit: item.unit || DEFAULT_UNIT,
+      price: item.price > 0 ? Number(item.price) : null,
+      storageLocation: item.storageLocation || estimate.location,
+      openedDate: item.openedDate || null,
+      notes: item.notes || "",
+      aiAnalysis: item.aiAnalysis || null,
+      scanHistory: item.aiAnalysis
+        ? [
+            this.buildScanRecord(item.aiAnalysis, addedDate, {
+              image,
+              daysLeft,
+            }),
+          ]
+        : [],
+      imageUrl: item.imageUrl || null,
+      thumbnailUrl: item.thumbnailUrl || null,
+      ...image,
+      barcode: item.barcode || null,
+      addedBy: {
+        uid: user?.uid || null,
+        name: authService.getDisplayName(user),
+      },
+      addedDate,
+      expiryDate:
+        item.expiryDate || new Date(addedDate.getTime() + daysLeft * DAY_MS),
+    };
+  }
+
+  /**
+   * One entry in an item's freshness timeline
+   * @param {Object} analysis - Data of a GeminiService.analyzeFood result
+   * @param {Date} scannedAt - When the photo was taken
+   * @param {Object} options - { image } local photo copies, if any, and
+   *   { daysLeft } for analyses saved without their own estimate
+   * @returns {Object} Scan record
+   */
+  buildScanRecord(analysis, scannedAt, { image = null, daysLeft = null } = {}) {
+    // Older or partial analyses can miss fields, and Firestore rejects
+    // undefined values
+    return {
+      id: scannedAt.getTime().toString(36),
+      scannedAt,
+      food_type: analysis.food_type || null,
+      category: analysis.category || null,
+      freshness: analysis.freshness ?? null,
+      days_left: analysis.days_left ?? daysLeft,
+      confidence: analysis.confidence ?? null,
+      safe_to_consume: analysis.safe_to_consume ?? null,
+      details: analysis.details || "",
+      imageUrl: null,
+      thumbnailUrl: null,
+      localImageUri: image?.localImageUri || null,
+      localThumbnailUri: image?.localThumbnailUri || null,
+    };
+  }
+
+  /**
+   * Every scan of an item, oldest first. Items scanned before the timeline
+   * existed get one entry rebuilt from their original analysis. Uploaded
+   * photo URLs are kept apart in item.scanImages and merged in here.
+   * @param {Object} item - Pantry item
+   * @returns {Array} Scan records
+   */
+  getScanHistory(item) {
+    if (item.scanHistory?.length) {
+      return item.scanHistory.map((scan) => ({
+        ...scan,
+        ...item.scanImages?.[scan.id],
+      }));
+    }
+    if (!item.aiAnalysis) return [];
+    const addedDate = new Date(item.addedDate);
+    // Without an estimate of its own, the scan predicted the saved expiry
+    const daysLeft = item.expiryDate
+      ? Math.max(
+          0,
+          Math.round((new Date(item.expiryDate) - addedDate) / DAY_MS)
+        )
+      : null;
+    return [
+      {
+        ...this.buildScanRecord(item.aiAnalysis, addedDate, { daysLeft }),
+        imageUrl: item.imageUrl || null,
+        thumbnailUrl: item.thumbnailUrl || null,
+        localImageUri: item.localImageUri || null,
+        localThumbnailUri: item.localThumbnailUri || null,
+      },
+    ];
+  }
+
+  /**
+   * Scan history with how each estimate moved the expected expiry date
+   * compared with the scan before it
+   * @param {Object} item - Pantry item
+   * @returns {Array} Scan records plus expectedExpiry and shiftDays
+   *   (positive when the item looked better than expected, null for the
+   *   first scan)
+   */
+  getFreshnessTimeline(item) {
+    let previousExpiry = null;
+    return this.getScanHistory(item).map((scan) => {
+      const scannedAt = new Date(scan.scannedAt);
+      const expectedExpiry = new Date(
+        scannedAt.getTime() + scan.days_left * DAY_MS
+      );
+      const shiftDays =
+        previousExpiry === null
+          ? null
+          : Math.round((expectedExpiry - previousExpiry) / DAY_MS);
+      previousExpiry = expectedExpiry;
+      return { ...scan, scannedAt, expectedExpiry, shiftDays };
+    });
+  }
+
+  /**
+   * Record a new photo of an item already in the pantry. The scan joins the
+   * item's timeline and its expiry date follows the newest estimate.
+   * @param {Object} item - Pantry item
+   * @param {Object} analysis - Data of a GeminiService.analyzeFood result,
+   *   called with getScanHistory(item)
+   * @param {string} imageUri - Temporary URI of the new photo
+   */
+  async rescanItem(item, analysis, imageUri) {
+    householdService.assertCan("update");
+    const householdId = householdService.requireActiveHouseholdId();
+    const scannedAt = new Date();
+    const record = this.buildScanRecord(analysis, scannedAt);
+    const image = await this.saveItemImage(
+      { imageUri },
+      `${item.id}_${record.id}`
+    );
+    Object.assign(record, image);
+
+    const updates = {
+      aiAnalysis: analysis,
+      scanHistory: [...this.getScanHistory(item), record],
+    };
+    if (image) {
+      // Show the local copy until the new photo is uploaded
+      Object.assign(updates, image, { imageUrl: null, thumbnailUrl: null });
+    }
+
+    // A frozen item keeps its freezer date; the scan sets the countdown it
+    // resumes with once thawed
+    if (this.getLocation(item) === "freezer" && item.pausedDaysLeft != null) {
+      updates.pausedDaysLeft = analysis.days_left;
+    } else {
+      updates.expiryDate = new Date(
+        scannedAt.getTime() + analysis.days_left * DAY_MS
+      );
+    }
+
+    await this.updateItem(item.id, updates);
+    if (image) {
+      imageStorageService.queueUpload(householdId, item.id, image, record.id);
+    }
+    console.log(
+      `Re-scanned ${item.name}: ${analysis.days_left} days left`
+    );
+  }
+
   /**
    * Update existing item
    * @param {string} itemId - Document ID
-   * @param {Object} updates - Updates to apply
+   * @param {Object} updates - Updates to apply (top-level fields only)
    */
   async updateItem(itemId, updates) {
     try {
-      const docRef = doc(db, this.collectionName, itemId);
-      await updateDoc(docRef, {
-        ...updates,
-        updatedDate: serverTimestamp(),
-      });
+      householdService.assertCan("update");
+      await syncService.enqueue(householdService.requireActiveHouseholdId(), [
+        {
+          type: "update",
+          collection: this.collectionName,
+          docId: itemId,
+          data: { ...updates, updatedDate: new Date() },
+        },
+      ]);
       console.log("Updated item:", itemId);
     } catch (error) {
       console.error("Error updating item:", error);
@@ -128,33 +669,1111 @@ class PantryService {
   }
 
   /**
-   * Delete item from pantry
+   * Apply different updates to several items in as few batches as
+   * Firestore allows. Items deleted on another device are skipped.
+   * @param {Array} changes - [{ id, updates }] (top-level fields only)
+   */
+  async updateItems(changes) {
+    try {
+      householdService.assertCan("update");
+      if (changes.length === 0) return;
+      const householdId = householdService.requireActiveHouseholdId();
+      const existingIds = await this.getExistingItemIds(
+        householdId,
+        changes.map(({ id }) => id)
+      );
+      const updatedDate = new Date();
+      await this.enqueueInBatches(
+        householdId,
+        changes
+          .filter(({ id }) => existingIds.includes(id))
+          .map(({ id, updates }) => ({
+            type: "update",
+            collection: this.collectionName,
+            docId: id,
+            data: { ...updates, updatedDate },
+          }))
+      );
+      console.log(`Updated ${existingIds.length} item(s)`);
+    } catch (error) {
+      console.error("Error updating items:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Put several items in the same category
+   * @param {Array} items - Pantry items
+   * @param {string} category - Category from CATEGORIES
+   */
+  async setCategory(items, category) {
+    if (!CATEGORIES.includes(category)) {
+      throw new Error(`Unknown category: ${category}`);
+    }
+    await this.updateItems(
+      items
+        .filter((item) => item.category !== category)
+        .map((item) => ({ id: item.id, updates: { category } }))
+    );
+  }
+
+  /**
+   * Push back the expiry of several items. Frozen items also keep the extra
+   * days for when they are thawed.
+   * @param {Array} items - Pantry items
+   * @param {number} days - Days to add
+   */
+  async extendExpiry(items, days) {
+    await this.updateItems(
+      items.map((item) => ({
+        id: item.id,
+        updates: {
+          expiryDate: new Date(
+            new Date(item.expiryDate).getTime() + days * DAY_MS
+          ),
+          ...(item.pausedDaysLeft != null && {
+            pausedDaysLeft: item.pausedDaysLeft + days,
+          }),
+        },
+      }))
+    );
+  }
+
+  /**
+   * Save corrections from the item detail screen. Moving the item adjusts
+   * its expiry like moveItem does, unless a new expiry date was also picked.
+   * @param {Object} item - Pantry item as it was before editing
+   * @param {Object} values - { name, category, expiryDate, notes, quantity,
+   *   unit, storageLocation }
+   */
+  async editItem(item, values) {
+    const updates = this.getEditUpdates(item, values);
+    if (Object.keys(updates).length === 0) return;
+    await this.updateItem(item.id, updates);
+  }
+
+  /**
+   * Field updates for the values that actually changed
+   * @param {Object} item - Pantry item
+   * @param {Object} values - Edited values
+   * @returns {Object} Updates for updateItem
+   */
+  getEditUpdates(item, values) {
+    const updates = {};
+    const name = values.name.trim();
+    if (!name) {
+      throw new Error("Item name can't be empty");
+    }
+    if (name !== item.name) updates.name = name;
+    if (values.category !== item.category) updates.category = values.category;
+    if (values.notes !== (item.notes || "")) updates.notes = values.notes;
+    if (values.unit !== (item.unit || DEFAULT_UNIT)) updates.unit = values.unit;
+
+    const quantity = Number(values.quantity);
+    if (!(quantity > 0)) {
+      // An empty item would stay in the list; Done records it instead
+      throw new Error(
+        "Quantity must be greater than zero. Use Done to record a " +
+          "finished item."
+      );
+    }
+    if (quantity !== (item.quantity ?? 1)) {
+      updates.quantity = quantity;
+      // Topping up counts as the new full amount for "running low"
+      const initial = item.initialQuantity ?? item.quantity ?? 1;
+      if (quantity > initial) updates.initialQuantity = quantity;
+    }
+
+    if (values.storageLocation !== this.getLocation(item)) {
+      Object.assign(
+        updates,
+        this.getRelocationUpdates(item, values.storageLocation)
+      );
+    }
+
+    const expiryDate = new Date(values.expiryDate);
+    const previousExpiry = new Date(item.expiryDate);
+    if (expiryDate.toDateString() !== previousExpiry.toDateString()) {
+      updates.expiryDate = expiryDate;
+    }
+
+    return updates;
+  }
+
+  /**
+   * Move an item to the trash without recording an outcome. Meant for
+   * mistakes - use recordOutcome for food that was eaten or discarded.
    * @param {string} itemId - Document ID
    */
   async deleteItem(itemId) {
+    await this.deleteItems([itemId]);
+  }
+
+  /**
+   * Move several items to the trash in one batch. They can be restored
+   * until they are purged after TRASH_RETENTION_DAYS.
+   * @param {Array} itemIds - Document IDs
+   */
+  async deleteItems(itemIds) {
     try {
-      const docRef = doc(db, this.collectionName, itemId);
-      await deleteDoc(docRef);
-      console.log("Deleted item:", itemId);
+      householdService.assertCan("delete");
+      const user = authService.getCurrentUser();
+      const deletedIds = await this.setDeleted(itemIds, {
+        deletedAt: new Date(),
+        deletedBy: {
+          uid: user?.uid || null,
+          name: authService.getDisplayName(user),
+        },
+      });
+      console.log(`Moved ${deletedIds.length} item(s) to the trash`);
     } catch (error) {
-      console.error("Error deleting item:", error);
+      console.error("Error deleting items:", error);
       throw error;
     }
   }
 
+  /**
+   * Take items back out of the trash
+   * @param {Array} itemIds - Document IDs
+   */
+  async restoreItems(itemIds) {
+    try {
+      householdService.assertCan("delete");
+      const restoredIds = await this.setDeleted(itemIds, {
+        deletedAt: null,
+        deletedBy: null,
+      });
+      console.log(`Restored ${restoredIds.length} item(s) from the trash`);
+    } catch (error) {
+      console.error("Error restoring items:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Write the trash fields of several items, skipping any that are gone
+   * @returns {Promise<Array>} IDs that were written
+   */
+  async setDeleted(itemIds, fields) {
+    const householdId = householdService.requireActiveHouseholdId();
+    const existingIds = await this.getExistingItemIds(householdId, itemIds);
+    await this.enqueueInBatches(
+      householdId,
+      existingIds.map((itemId) => ({
+        type: "update",
+        collection: this.collectionName,
+        docId: itemId,
+        data: fields,
+      }))
+    );
+    return existingIds;
+  }
+
+  /**
+   * Which of the given items still exist in the local copy of the pantry.
+   * An update to an item deleted on another device fails its whole batch,
+   * which the sync queue then drops.
+   * @param {string} householdId - Household ID
+   * @param {Array} itemIds - Document IDs
+   * @returns {Promise<Array>} IDs that can be written
+   */
+  async getExistingItemIds(householdId, itemIds) {
+    const cached = await localStore.loadCollection(
+      householdId,
+      this.collectionName
+    );
+    const existing = new Set(
+      syncService
+        .applyPendingWrites(householdId, this.collectionName, cached)
+        .map((item) => item.id)
+    );
+    return itemIds.filter((itemId) => existing.has(itemId));
+  }
+
+  /**
+   * Queue writes in chunks no larger than one Firestore batch allows
+   * @param {string} householdId - Household ID
+   * @param {Array} writes - Write descriptors for syncService
+   */
+  async enqueueInBatches(householdId, writes) {
+    for (let start = 0; start < writes.length; start += MAX_BATCH_WRITES) {
+      await syncService.enqueue(
+        householdId,
+        writes.slice(start, start + MAX_BATCH_WRITES)
+      );
+    }
+  }
+
+  /**
+   * Delete items for good, along with their photos. Cannot be undone.
+   * @param {Array} items - Items from the trash
+   */
+  async deleteItemsPermanently(items) {
+    try {
+      householdService.assertCan("delete");
+      const householdId = householdService.requireActiveHouseholdId();
+      await this.enqueueInBatches(
+        householdId,
+        items.map((item) => ({
+          type: "delete",
+          collection: this.collectionName,
+          docId: item.id,
+        }))
+      );
+      await Promise.all(
+        items.map((item) =>
+          imageStorageService.deleteItemImages(householdId, item)
+        )
+      );
+      console.log(`Permanently deleted ${items.length} item(s)`);
+    } catch (error) {
+      console.error("Error permanently deleting items:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Days until a trashed item is purged
+   * @param {Object} item - Item from the trash
+   * @returns {number} Whole days, at least 0
+   */
+  getDaysUntilPurge(item) {
+    const purgeDate =
+      new Date(item.deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS;
+    return Math.max(0, Math.ceil((purgeDate - Date.now()) / DAY_MS));
+  }
+
+  /**
+   * Permanently delete trashed items whose retention period has run out.
+   * Only members who can delete do this; for everyone else it is a no-op.
+   * @param {Array} items - Every item of the household, trashed or not
+   */
+  async purgeExpiredTrash(items) {
+    if (this.isPurging || !householdService.can("delete")) return;
+    const expired = items.filter(
+      (item) => item.deletedAt && this.getDaysUntilPurge(item) === 0
+    );
+    if (expired.length === 0) return;
+
+    this.isPurging = true;
+    try {
+      await this.deleteItemsPermanently(expired);
+    } catch (error) {
+      console.error("Error purging trash:", error);
+    } finally {
+      this.isPurging = false;
+    }
+  }
+
+  /**
+   * Close out an item with an outcome (eaten, thrown away, composted or
+   * donated). The item leaves the pantry and a record lands in history.
+   * @param {Object} item - Pantry item
+   * @param {string} outcome - Outcome key from OUTCOMES
+   * @param {Object} options - { amountUsed } when a last use emptied the
+   *   item (see buildHistoryRecord)
+   * @returns {Promise<string>} History record ID
+   */
+  async recordOutcome(item, outcome, options = {}) {
+    const [recordId] = await this.recordOutcomes([item], outcome, options);
+    return recordId;
+  }
+
+  /**
+   * Close out several items with the same outcome, in as few batches as
+   * Firestore allows. Items already gone from the pantry (closed out or
+   * deleted on another device) are skipped.
+   * @param {Array} items - Pantry items
+   * @param {string} outcome - Outcome key from OUTCOMES
+   * @param {Object} options - Passed on to buildHistoryRecord
+   * @returns {Promise<Array>} History record IDs
+   */
+  async recordOutcomes(items, outcome, options = {}) {
+    try {
+      householdService.assertCan("delete");
+      if (!OUTCOMES.some((option) => option.key === outcome)) {
+        throw new Error(`Unknown outcome: ${outcome}`);
+      }
+
+      const householdId = householdService.requireActiveHouseholdId();
+      const historyCollection = collection(
+        db,
+        "households",
+        householdId,
+        this.historyCollectionName
+      );
+      const existingIds = await this.getExistingItemIds(
+        householdId,
+        items.map((item) => item.id)
+      );
+      const closed = items.filter((item) => existingIds.includes(item.id));
+      const writes = [];
+      const recordIds = [];
+
+      // Each item's record and delete are a pair, and batches hold an even
+      // number of writes, so a pair never spans two batches
+      closed.forEach((item) => {
+        const recordRef = doc(historyCollection);
+        recordIds.push(recordRef.id);
+        writes.push(
+          {
+            type: "set",
+            collection: this.historyCollectionName,
+            docId: recordRef.id,
+            data: this.buildHistoryRecord(item, outcome, options),
+          },
+          {
+            type: "delete",
+            collection: this.collectionName,
+            docId: item.id,
+          }
+        );
+      });
+
+      await this.enqueueInBatches(householdId, writes);
+      await Promise.all(
+        closed.map((item) =>
+          imageStorageService.deleteItemImages(householdId, item)
+        )
+      );
+      console.log(`Recorded ${outcome} for ${closed.length} item(s)`);
+      return recordIds;
+    } catch (error) {
+      console.error("Error recording outcome:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Snapshot of an item at the moment it left the pantry
+   * @param {Object} item - Pantry item
+   * @param {string} outcome - Outcome key
+   * @param {Object} options - { amountUsed }: how much a last use took,
+   *   leaving nothing over
+   * @returns {Object} History record data
+   */
+  buildHistoryRecord(item, outcome, { amountUsed = null } = {}) {
+    const user = authService.getCurrentUser();
+    const quantity = item.quantity ?? 1;
+
+    return {
+      itemId: item.id,
+      name: item.name,
+      category: item.category || "Other",
+      outcome: outcome,
+      // What was left when the outcome happened
+      quantity: amountUsed === null ? quantity : 0,
+      initialQuantity: item.initialQuantity ?? quantity,
+      amountUsed,
+      unit: item.unit || DEFAULT_UNIT,
+      price: item.price ?? null,
+      storageLocation: this.getLocation(item),
+      addedDate: item.addedDate || null,
+      expiryDate: item.expiryDate || null,
+      daysLeftAtOutcome: item.expiryDate
+        ? this.calculateDaysLeft(item.expiryDate)
+        : null,
+      outcomeDate: new Date(),
+      recordedBy: {
+        uid: user?.uid || null,
+        name: authService.getDisplayName(user),
+      },
+    };
+  }
+
+  /**
+   * Use up part of an item. When nothing is left the item is recorded as
+   * eaten and leaves the pantry.
+   * @param {Object} item - Pantry item (needs id, quantity)
+   * @param {number} amount - Amount used, in the item's unit
+   * @returns {Promise<number>} Remaining quantity
+   */
+  async consumeItem(item, amount) {
+    const used = Number(amount);
+    if (!(used > 0)) {
+      throw new Error("Amount used must be greater than zero.");
+    }
+
+    const current = item.quantity ?? 1;
+    // Round to avoid floating point leftovers like 0.30000000000000004
+    const remaining = Math.max(0, Math.round((current - used) * 100) / 100);
+
+    if (remaining <= 0) {
+      await this.recordOutcome(item, "eaten", { amountUsed: current });
+    } else {
+      await this.updateItem(item.id, { quantity: remaining });
+    }
+    console.log(`Used ${used} ${item.unit || DEFAULT_UNIT} of ${item.name}`);
+    return remaining;
+  }
+
+  /**
+   * Move an item to another storage location and recompute its expiry.
+   * Freezing pauses spoilage; thawing resumes it from where it left off.
+   * @param {Object} item - Pantry item
+   * @param {string} location - Location key from STORAGE_LOCATIONS
+   */
+  async moveItem(item, location) {
+    await this.moveItems([item], location);
+  }
+
+  /**
+   * Move several items to the same location in one batch. Items already
+   * there are left alone.
+   * @param {Array} items - Pantry items
+   * @param {string} location - Location key from STORAGE_LOCATIONS
+   */
+  async moveItems(items, location) {
+    if (!STORAGE_LOCATIONS.some((option) => option.key === location)) {
+      throw new Error(`Unknown storage location: ${location}`);
+    }
+    const moved = items.filter((item) => this.getLocation(item) !== location);
+
+    await this.updateItems(
+      moved.map((item) => ({
+        id: item.id,
+        updates: this.getRelocationUpdates(item, location),
+      }))
+    );
+    console.log(`Moved ${moved.length} item(s) to ${location}`);
+  }
+
+  /**
+   * Field updates for moving an item, including the recalculated expiry
+   * @param {Object} item - Pantry item
+   * @param {string} location - Destination location key
+   * @returns {Object} Updates for updateItem
+   */
+  getRelocationUpdates(item, location) {
+    const category = LOCATION_MULTIPLIERS[item.category]
+      ? item.category
+      : "Other";
+    const from = this.getLocation(item);
+    const now = Date.now();
+    const multiplier = (key) => LOCATION_MULTIPLIERS[category][key] ?? 1;
+
+    // Into the freezer: set the remaining days aside until it thaws
+    if (location === "freezer") {
+      return {
+        storageLocation: "freezer",
+        pausedDaysLeft: Math.max(0, this.calculateDaysLeft(item.expiryDate)),
+        pausedFromLocation: from,
+        frozenDate: new Date(now),
+        expiryDate: new Date(now + FREEZER_DAYS[category] * DAY_MS),
+      };
+    }
+
+    let daysLeft;
+    if (from === "freezer") {
+      // Out of the freezer: pick up the paused clock, scaled to the new spot
+      const pausedFrom = item.pausedFromLocation || location;
+      const pausedDays = item.pausedDaysLeft ?? 1;
+      daysLeft = (pausedDays * multiplier(location)) / multiplier(pausedFrom);
+    } else {
+      daysLeft =
+        (this.calculateDaysLeft(item.expiryDate) * multiplier(location)) /
+        multiplier(from);
+    }
+
+    return {
+      storageLocation: location,
+      pausedDaysLeft: null,
+      pausedFromLocation: null,
+      frozenDate: null,
+      expiryDate: new Date(now + Math.round(daysLeft) * DAY_MS),
+    };
+  }
+
+  /**
+   * Mark an item as opened and shorten its expiry to the opened shelf life.
+   * Opening never extends an item's life, and a frozen item keeps its
+   * freezer date but thaws with the shorter opened countdown.
+   * @param {Object} item - Pantry item
+   */
+  async openItem(item) {
+    if (item.openedDate) return;
+
+    const now = Date.now();
+    const category = LOCATION_MULTIPLIERS[item.category]
+      ? item.category
+      : "Other";
+    const openedDays = this.getOpenedShelfLife(item);
+    const updates = { openedDate: new Date(now) };
+
+    if (this.getLocation(item) === "freezer") {
+      updates.pausedDaysLeft = Math.min(
+        item.pausedDaysLeft ?? openedDays,
+        openedDays
+      );
+    } else {
+      // The table assumes the fridge; scale for wherever the item is kept
+      const multiplier =
+        LOCATION_MULTIPLIERS[category][this.getLocation(item)] ?? 1;
+      const days = Math.min(
+        this.calculateDaysLeft(item.expiryDate),
+        Math.max(1, Math.round(openedDays * multiplier))
+      );
+      updates.expiryDate = new Date(now + days * DAY_MS);
+    }
+
+    await this.updateItem(item.id, updates);
+    console.log(`Opened ${item.name}, keeps ${openedDays} days in the fridge`);
+  }
+
+  /**
+   * Days an item keeps in the fridge once opened
+   * @param {Object} item - Pantry item
+   * @returns {number} Days after opening
+   */
+  getOpenedShelfLife(item) {
+    const name = (item.name || "").toLowerCase();
+    let best = null;
+    OPENED_SHELF_LIFE.forEach((entry) => {
+      entry.keywords.forEach((keyword) => {
+        // Whole words only, so "ham" doesn't match "hamburger buns"; plurals
+        // like "jams" or "hot dogs" still count
+        const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        if (
+          new RegExp(`\\b${escaped}(?:e?s)?\\b`).test(name) &&
+          (!best || keyword.length > best.keyword.length)
+        ) {
+          best = { keyword, days: entry.days };
+        }
+      });
+    });
+    if (best) return best.days;
+    return OPENED_CATEGORY_DAYS[item.category] ?? OPENED_CATEGORY_DAYS.Other;
+  }
+
+  /**
+   * Short "opened N days ago" label
+   * @param {Object} item - Pantry item
+   * @returns {string|null} Label, or null if the item is still sealed
+   */
+  formatOpenedAgo(item) {
+    if (!item.openedDate) return null;
+    const days = Math.floor((Date.now() - new Date(item.openedDate)) / DAY_MS);
+    if (days <= 0) return "Opened today";
+    if (days === 1) return "Opened yesterday";
+    return `Opened ${days} days ago`;
+  }
+
+  /**
+   * Where an item is stored, falling back to its category's usual spot
+   * @param {Object} item - Pantry item
+   * @returns {string} Location key
+   */
+  getLocation(item) {
+    return item.storageLocation || this.getDefaultLocation(item.category);
+  }
+
+  /**
+   * Usual storage location for a category
+   * @param {string} category - Item category
+   * @returns {string} Location key
+   */
+  getDefaultLocation(category) {
+    return DEFAULT_LOCATIONS[category] || DEFAULT_LOCATIONS.Other;
+  }
+
+  /**
+   * Format an item's remaining quantity for display, e.g. "2 L" or "6 items"
+   * @param {Object} item - Pantry item
+   * @returns {string} Formatted quantity
+   */
+  formatQuantity(item) {
+    const quantity = item.quantity ?? 1;
+    const unit = item.unit || DEFAULT_UNIT;
+    if (unit === "item") {
+      return `${quantity} ${quantity === 1 ? "item" : "items"}`;
+    }
+    if (unit === "pack") {
+      return `${quantity} ${quantity === 1 ? "pack" : "packs"}`;
+    }
+    return `${quantity} ${unit}`;
+  }
+
+  /**
+   * Whether an item is running low (a quarter or less of what was added)
+   * @param {Object} item - Pantry item
+   * @returns {boolean}
+   */
+  isLowStock(item) {
+    const initial = item.initialQuantity ?? item.quantity ?? 1;
+    const quantity = item.quantity ?? initial;
+    return initial > 0 && quantity < initial && quantity / initial <= 0.25;
+  }
+
+  /**
+   * Whole days until an expiry date (negative once expired)
+   * @param {Date} expiryDate - Expiry date
+   * @returns {number} Days left
+   */
+  calculateDaysLeft(expiryDate) {
+    return Math.ceil((expiryDate - new Date()) / DAY_MS);
+  }
+
   /**
    * Calculate freshness level based on days left
    * @param {number} daysLeft - Days until expiry
    * @returns {string} Freshness level
    */
   getFreshnessLevel(daysLeft) {
-    console.log(`Firebase: ${daysLeft}`);
     if (daysLeft <= 0) return "spoiled";
     if (daysLeft <= 1) return "urgent";
     if (daysLeft <= 3) return "soon";
     return "fresh";
   }
 
+  /**
+   * Write the pantry and its history to a file and open the share sheet
+   * @param {Array} items - Pantry items
+   * @param {Array} history - Outcome history records
+   * @param {string} format - "json" (everything) or "csv" (flattened)
+   * @returns {Promise<string>} URI of the written file
+   */
+  async exportPantry(items, history, format = "json") {
+    const isCsv = format === "csv";
+    const date = new Date().toISOString().slice(0, 10);
+    const uri = `${FileSystem.cacheDirectory}freshb4-pantry-${date}.${
+      isCsv ? "csv" : "json"
+    }`;
+
+    await FileSystem.writeAsStringAsync(
+      uri,
+      isCsv
+        ? this.buildExportCsv(items, history)
+        : this.buildExportJson(items, history)
+    );
+
+    if (!(await Sharing.isAvailableAsync())) {
+      const error = new Error("Sharing is not available on this device");
+      error.code = "sharing-unavailable";
+      throw error;
+    }
+    await Sharing.shareAsync(uri, {
+      mimeType: isCsv ? "text/csv" : "application/json",
+      UTI: isCsv ? "public.comma-separated-values-text" : "public.json",
+      dialogTitle: "Export pantry",
+    });
+    console.log(`Exported ${items.length} item(s) as ${format}`);
+    return uri;
+  }
+
+  /**
+   * Full export with every stored field
+   * @returns {string} JSON text
+   */
+  buildExportJson(items, history) {
+    return JSON.stringify(
+      {
+        app: "FreshB4",
+        version: EXPORT_VERSION,
+        exportedAt: new Date(),
+        items: items.map(({ days_left, ...item }) => item),
+        history,
+      },
+      null,
+      2
+    );
+  }
+
+  /**
+   * Flattened export, one row per item or history record
+   * @returns {string} CSV text
+   */
+  buildExportCsv(items, history) {
+    const toRow = (type, record) => {
+      const analysis = record.aiAnalysis || {};
+      const values = {
+        ...record,
+        type,
+        aiFreshness: analysis.freshness,
+        aiConfidence: analysis.confidence,
+        aiSafeToConsume: analysis.safe_to_consume,
+        aiDaysLeft: analysis.days_left,
+        aiDetails: analysis.details,
+      };
+      return CSV_COLUMNS.map((column) => toCsvValue(values[column])).join(",");
+    };
+
+    // The byte order mark makes spreadsheet apps read the file as UTF-8
+    return `\uFEFF${[
+      CSV_COLUMNS.join(","),
+      ...items.map((item) => toRow("item", item)),
+      ...history.map((record) => toRow("history", record)),
+    ].join("\r\n")}\r\n`;
+  }
+
+  /**
+   * Read an exported or hand-made file and work out what importing it
+   * would add. Invalid rows and duplicates of what is already in the
+   * pantry (or earlier in the file) are left out.
+   * @param {string} fileUri - Local JSON or CSV file
+   * @param {Array} currentItems - Items already in the pantry
+   * @param {Array} currentHistory - History records already saved
+   * @returns {Promise<Object>} { items, history, duplicates, errors }, where
+   *   items and history are [{ id, data }] ready for applyImport
+   */
+  async prepareImport(fileUri, currentItems = [], currentHistory = []) {
+    const text = await FileSystem.readAsStringAsync(fileUri);
+    return this.planImport(text, currentItems, currentHistory);
+  }
+
+  /**
+   * Same as prepareImport, for file contents already in memory
+   */
+  planImport(text, currentItems = [], currentHistory = []) {
+    const records = this.parseImportText(text);
+    const user = authService.getCurrentUser();
+    const plan = { items: [], history: [], duplicates: 0, errors: [] };
+
+    const itemKey = (item) =>
+      [
+        looseKey(item.name),
+        new Date(item.expiryDate).toDateString(),
+        this.getLocation(item),
+      ].join("|");
+    const historyKey = (record) =>
+      [
+        looseKey(record.name),
+        record.outcome,
+        new Date(record.outcomeDate).toISOString(),
+      ].join("|");
+
+    const seen = {
+      items: new Set(currentItems.map(itemKey)),
+      history: new Set(
+        currentHistory.flatMap((record) => [record.id, historyKey(record)])
+      ),
+    };
+
+    records.forEach(({ kind, label, raw }) => {
+      let data;
+      try {
+        data =
+          kind === "history"
+            ? this.normalizeImportedHistory(raw, user)
+            : this.normalizeImportedItem(raw, user);
+      } catch (error) {
+        plan.errors.push(`${label}: ${error.message}`);
+        return;
+      }
+
+      // Keep history IDs from an earlier export so importing it twice is
+      // harmless. Items always get new IDs, since an old one may belong to
+      // an item in the trash that the import would overwrite.
+      const id =
+        kind === "history" &&
+        typeof raw.id === "string" &&
+        /^[\w-]{1,128}$/.test(raw.id)
+          ? raw.id
+          : null;
+      const key = kind === "history" ? historyKey(data) : itemKey(data);
+      if ((id && seen[kind].has(id)) || seen[kind].has(key)) {
+        plan.duplicates += 1;
+        return;
+      }
+      seen[kind].add(key);
+      if (id) seen[kind].add(id);
+      plan[kind].push({ id, data });
+    });
+
+    return plan;
+  }
+
+  /**
+   * Turn JSON or CSV text into raw records tagged with where they came from
+   * @returns {Array} [{ kind: "items"|"history", label, raw }]
+   */
+  parseImportText(text) {
+    const invalid = (message) => {
+      const error = new Error(message);
+      error.code = "invalid-import";
+      return error;
+    };
+    const content = text.replace(/^\uFEFF/, "").trim();
+    if (!content) throw invalid("The file is empty.");
+
+    if (content.startsWith("{") || content.startsWith("[")) {
+      let data;
+      try {
+        data = JSON.parse(content);
+      } catch (error) {
+        throw invalid("The file is not valid JSON.");
+      }
+      // A bare array is treated as a list of items
+      const items = Array.isArray(data) ? data : data.items;
+      const history = Array.isArray(data) ? [] : data.history || [];
+      if (!Array.isArray(items) || !Array.isArray(history)) {
+        throw invalid("The file has no list of pantry items.");
+      }
+      return [
+        ...items.map((raw, index) => ({
+          kind: "items",
+          label: `Item ${index + 1}`,
+          raw: raw || {},
+        })),
+        ...history.map((raw, index) => ({
+          kind: "history",
+          label: `History record ${index + 1}`,
+          raw: raw || {},
+        })),
+      ];
+    }
+
+    const [header, ...rows] = parseCsv(content);
+    const columns = header.map((name) =>
+      CSV_COLUMNS.find((column) => looseKey(column) === looseKey(name))
+    );
+    if (!columns.includes("name")) {
+      throw invalid("The file needs a name column.");
+    }
+
+    return rows.map((cells, index) => {
+      const row = {};
+      columns.forEach((column, cellIndex) => {
+        if (!column) return;
+        // Undo the apostrophe added to formula-like text on export
+        row[column] = (cells[cellIndex] || "").replace(/^'(?=[=+\-@])/, "");
+      });
+
+      const raw = { ...row };
+      if (row.aiFreshness) {
+        raw.aiAnalysis = {
+          food_type: row.name,
+          category: row.category,
+          freshness: row.aiFreshness,
+          confidence: Number(row.aiConfidence) || null,
+          safe_to_consume: looseKey(row.aiSafeToConsume) !== "false",
+          days_left: Number(row.aiDaysLeft) || 0,
+          details: row.aiDetails || "",
+        };
+      }
+      return {
+        kind: looseKey(row.type) === "history" ? "history" : "items",
+        label: `Row ${index + 2}`,
+        raw,
+      };
+    });
+  }
+
+  /**
+   * Validate an imported item and build its document data
+   * @param {Object} raw - Item from a JSON export or a CSV row
+   * @param {Object} user - Signed-in user importing it
+   * @returns {Object} Firestore document data
+   */
+  normalizeImportedItem(raw, user) {
+    const name = readImport.text(raw.name);
+    if (!name) throw new Error("missing name");
+
+    const data = this.buildItemData(
+      {
+        name,
+        category: readImport.option(raw.category, CATEGORIES, "category"),
+        storageLocation: readImport.option(
+          raw.storageLocation,
+          STORAGE_LOCATIONS.map((option) => option.key),
+          "storage location"
+        ),
+        quantity: readImport.number(raw.quantity, "quantity"),
+        unit: readImport.option(raw.unit, UNITS, "unit"),
+        price: readImport.number(raw.price, "price"),
+        openedDate: readImport.date(raw.openedDate, "openedDate"),
+        expiryDate: readImport.date(raw.expiryDate, "expiryDate"),
+        notes: readImport.text(raw.notes),
+        barcode: readImport.text(raw.barcode),
+        aiAnalysis: this.normalizeImportedAnalysis(raw.aiAnalysis),
+        // The copy links to the exported item's photos but never owns the
+        // files, so it gets no imagePath and deleting it leaves them alone
+        imageUrl: readImport.imageUrl(raw.imageUrl),
+        thumbnailUrl: readImport.imageUrl(raw.thumbnailUrl),
+      },
+      user
+    );
+
+    // Keep what the export knew about the item's past
+    const addedDate = readImport.date(raw.addedDate, "addedDate");
+    if (addedDate) {
+      data.addedDate = addedDate;
+      data.scanHistory = data.scanHistory.map((scan) => ({
+        ...scan,
+        scannedAt: addedDate,
+      }));
+    }
+    const initialQuantity = readImport.number(
+      raw.initialQuantity,
+      "initialQuantity"
+    );
+    if (initialQuantity > data.quantity) data.initialQuantity = initialQuantity;
+    const scans = (Array.isArray(raw.scanHistory) ? raw.scanHistory : [])
+      .filter((scan) => scan && typeof scan === "object")
+      .map((scan) =>
+        this.normalizeImportedScan(
+          { ...scan, ...raw.scanImages?.[scan.id] },
+          data.addedDate
+        )
+      );
+    if (scans.length > 0) data.scanHistory = scans;
+    if (data.storageLocation === "freezer") {
+      data.frozenDate = readImport.date(raw.frozenDate, "frozenDate");
+      data.pausedDaysLeft = readImport.number(
+        raw.pausedDaysLeft,
+        "pausedDaysLeft"
+      );
+      data.pausedFromLocation = readImport.text(raw.pausedFromLocation);
+    }
+    data.days_left = this.calculateDaysLeft(data.expiryDate);
+    return data;
+  }
+
+  /**
+   * Keep an imported AI analysis only if it has the shape analyzeFood
+   * returns. Other fields are dropped; advice text a CSV row has no column
+   * for is left empty.
+   * @param {*} raw - Analysis from the file
+   * @returns {Object|null} Analysis, or null if it doesn't match
+   */
+  normalizeImportedAnalysis(raw) {
+    if (!raw || typeof raw !== "object") return null;
+    const analysis = Object.fromEntries(
+      Object.keys(FOOD_ANALYSIS_SCHEMA.properties).map((key) => [
+        key,
+        raw[key] ?? null,
+      ])
+    );
+    ["recommendation", "storage_tip", "details"].forEach((key) => {
+      if (analysis[key] === null) analysis[key] = "";
+    });
+    const issues = validateSchema(analysis, FOOD_ANALYSIS_SCHEMA);
+    return issues.length === 0 ? analysis : null;
+  }
+
+  /**
+   * Validate one scan of an imported item, keeping only scan record fields
+   * @param {Object} scan - Scan from an exported item's history
+   * @param {Date} fallbackDate - Used when the scan has no date
+   * @returns {Object} Scan record
+   */
+  normalizeImportedScan(scan, fallbackDate) {
+    const scannedAt =
+      readImport.date(scan.scannedAt, "scannedAt") || fallbackDate;
+    const id = readImport.text(scan.id);
+
+    return {
+      id:
+        id && /^[\w-]{1,64}$/.test(id)
+          ? id
+          : scannedAt.getTime().toString(36),
+      scannedAt,
+      food_type: readImport.text(scan.food_type),
+      category: readImport.option(scan.category, CATEGORIES, "category"),
+      freshness: readImport.option(
+        scan.freshness,
+        FRESHNESS_VALUES,
+        "freshness"
+      ),
+      days_left: readImport.number(scan.days_left, "days_left") ?? 0,
+      confidence: readImport.number(scan.confidence, "confidence"),
+      safe_to_consume: looseKey(scan.safe_to_consume) !== "false",
+      details: readImport.text(scan.details) || "",
+      imageUrl: readImport.imageUrl(scan.imageUrl),
+      thumbnailUrl: readImport.imageUrl(scan.thumbnailUrl),
+      // Local photo copies only exist on the device that exported them
+      localImageUri: null,
+      localThumbnailUri: null,
+    };
+  }
+
+  /**
+   * Validate an imported history record and build its document data
+   * @param {Object} raw - Record from a JSON export or a CSV row
+   * @param {Object} user - Signed-in user importing it
+   * @returns {Object} Firestore document data
+   */
+  normalizeImportedHistory(raw, user) {
+    const name = readImport.text(raw.name);
+    if (!name) throw new Error("missing name");
+    const outcome = readImport.option(
+      raw.outcome,
+      OUTCOMES.map((option) => option.key),
+      "outcome"
+    );
+    if (!outcome) throw new Error("missing outcome");
+    const outcomeDate = readImport.date(raw.outcomeDate, "outcomeDate");
+    if (!outcomeDate) throw new Error("missing outcomeDate");
+
+    const quantity = readImport.number(raw.quantity, "quantity") ?? 1;
+    const expiryDate = readImport.date(raw.expiryDate, "expiryDate");
+    const storageLocation = readImport.option(
+      raw.storageLocation,
+      STORAGE_LOCATIONS.map((option) => option.key),
+      "storage location"
+    );
+
+    return {
+      itemId: readImport.text(raw.itemId),
+      name,
+      category:
+        readImport.option(raw.category, CATEGORIES, "category") || "Other",
+      outcome,
+      quantity,
+      initialQuantity:
+        readImport.number(raw.initialQuantity, "initialQuantity") ?? quantity,
+      unit: readImport.option(raw.unit, UNITS, "unit") || DEFAULT_UNIT,
+      price: readImport.number(raw.price, "price"),
+      storageLocation: storageLocation || "pantry",
+      addedDate: readImport.date(raw.addedDate, "addedDate"),
+      expiryDate,
+      daysLeftAtOutcome: expiryDate
+        ? Math.ceil((expiryDate - outcomeDate) / DAY_MS)
+        : null,
+      outcomeDate,
+      recordedBy: {
+        uid: user?.uid || null,
+        name: authService.getDisplayName(user),
+      },
+    };
+  }
+
+  /**
+   * Save what prepareImport found. Writes go out in as few batches as
+   * Firestore allows.
+   * @param {Object} plan - Result of prepareImport
+   * @returns {Promise<Object>} { items, history } counts
+   */
+  async applyImport(plan) {
+    try {
+      householdService.assertCan("add");
+      const householdId = householdService.requireActiveHouseholdId();
+
+      const toWrites = (collectionName, records) =>
+        records.map(({ id, data }) => ({
+          type: "set",
+          collection: collectionName,
+          docId:
+            id ||
+            doc(collection(db, "households", householdId, collectionName)).id,
+          data,
+        }));
+      const writes = [
+        ...toWrites(this.collectionName, plan.items),
+        ...toWrites(this.historyCollectionName, plan.history),
+      ];
+
+      await this.enqueueInBatches(householdId, writes);
+      console.log(
+        `Imported ${plan.items.length} item(s) and ` +
+          `${plan.history.length} history record(s)`
+      );
+      return { items: plan.items.length, history: plan.history.length };
+    } catch (error) {
+      console.error("Error importing pantry:", error);
+      throw error;
+    }
+  }
+
   /**
    * Seed initial data for demo (call once)
    */
@@ -165,44 +1784,76 @@ class PantryService {
           name: "Bananas",
           category: "Fruits",
           days_left: 1,
+          quantity: 6,
+          unit: "item",
           notes: "Getting brown spots - perfect for smoothies or baking",
           aiAnalysis: {
+            food_type: "Bananas",
+            category: "Fruits",
             freshness: "ripe",
+            safe_to_consume: true,
+            days_left: 1,
             confidence: 85,
             recommendation: "Use soon, great for baking",
+            storage_tip: "Keep at room temperature, away from other fruit",
+            details: "Yellow peel with brown spots",
           },
         },
         {
           name: "Spinach",
           category: "Vegetables",
           days_left: 2,
+          quantity: 300,
+          unit: "g",
           notes: "Still crisp but use soon",
           aiAnalysis: {
+            food_type: "Spinach",
+            category: "Vegetables",
             freshness: "fresh",
+            safe_to_consume: true,
+            days_left: 2,
             confidence: 90,
             recommendation: "Perfect for salads",
+            storage_tip: "Keep in the fridge in a bag with a paper towel",
+            details: "Dark green, crisp leaves",
           },
         },
         {
           name: "Chicken Breast",
           category: "Meat",
           days_left: 3,
+          quantity: 1.5,
+          unit: "lb",
           notes: "Stored in refrigerator",
           aiAnalysis: {
+            food_type: "Chicken Breast",
+            category: "Meat",
             freshness: "fresh",
+            safe_to_consume: true,
+            days_left: 3,
             confidence: 95,
             recommendation: "Cook within 3 days",
+            storage_tip: "Keep on the bottom shelf of the fridge",
+            details: "Pink, firm meat with no odor",
           },
         },
         {
           name: "Bread",
           category: "Bakery",
           days_left: 5,
+          quantity: 1,
+          unit: "pack",
           notes: "Whole grain bread",
           aiAnalysis: {
+            food_type: "Bread",
+            category: "Bakery",
             freshness: "fresh",
+            safe_to_consume: true,
+            days_left: 5,
             confidence: 88,
             recommendation: "Store in cool, dry place",
+            storage_tip: "Keep in a bread box or freeze slices",
+            details: "Soft crumb with no mold",
           },
         },
       ];
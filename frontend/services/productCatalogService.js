@@ -0,0 +1,158 @@
+/**
+ * ProductCatalogService - Barcode product lookup
+ * Keeps a local catalog of packaged products (name, category, typical shelf
+ * life and storage) keyed by EAN/UPC code. Products are learned the first
+ * time an unknown code is identified from a photo, and updated whenever
+ * the user corrects them.
+ */
+
+import { localStore } from "./localStore";
+import { shelfLifeService } from "./shelfLifeService";
+
+// Barcode types the scanner listens for
+export const PRODUCT_BARCODE_TYPES = ["ean13", "ean8", "upc_a", "upc_e"];
+
+// Scanner type of a UPC-E code ("upc_e", or "org.gs1.UPC-E" on iOS)
+const UPC_E_TYPE = /upc[-_]?e$/i;
+
+class ProductCatalogService {
+  constructor() {
+    this.catalog = null;
+  }
+
+  /**
+   * Load the catalog once and keep it in memory
+   * @returns {Promise<Object>} Products keyed by barcode
+   */
+  async getCatalog() {
+    if (!this.catalog) {
+      this.catalog = await localStore.loadProductCatalog();
+    }
+    return this.catalog;
+  }
+
+  /**
+   * Reduce a scanned code to digits and store UPC-E and UPC-A as EAN-13, so
+   * the same product matches whichever form the camera reports
+   * @param {string} barcode - Raw scanned value
+   * @param {string} type - Scanner barcode type, needed to tell UPC-E from
+   *   EAN-8 (both have eight digits)
+   * @returns {string} Normalized code
+   */
+  normalizeBarcode(barcode, type = null) {
+    let digits = String(barcode || "").replace(/\D/g, "");
+    if (UPC_E_TYPE.test(type || "")) digits = this.expandUpcE(digits) || digits;
+    return digits.length === 12 ? `0${digits}` : digits;
+  }
+
+  /**
+   * Expand a UPC-E code to the UPC-A code it is a compressed form of
+   * @param {string} digits - Number system, six digits and check digit
+   * @returns {string|null} 12-digit UPC-A code, or null if not UPC-E
+   */
+  expandUpcE(digits) {
+    if (!/^[01]\d{7}$/.test(digits)) return null;
+    const body = digits.slice(1, 7);
+    const last = body[5];
+
+    // The last digit says where the manufacturer code's zeros were dropped
+    let expanded;
+    if (last <= "2") {
+      expanded = `${body.slice(0, 2)}${last}0000${body.slice(2, 5)}`;
+    } else if (last === "3") {
+      expanded = `${body.slice(0, 3)}00000${body.slice(3, 5)}`;
+    } else if (last === "4") {
+      expanded = `${body.slice(0, 4)}00000${body[4]}`;
+    } else {
+      expanded = `${body.slice(0, 5)}0000${last}`;
+    }
+    return `${digits[0]}${expanded}${digits[7]}`;
+  }
+
+  /**
+   * Check the GTIN check digit of an EAN-8, UPC-A or EAN-13 code. UPC-E is
+   * checked on the UPC-A code it expands to.
+   * @param {string} barcode - Scanned value
+   * @param {string} type - Scanner barcode type
+   * @returns {boolean} True if the code is well formed
+   */
+  isValidBarcode(barcode, type = null) {
+    let digits = String(barcode || "").replace(/\D/g, "");
+    if (UPC_E_TYPE.test(type || "")) {
+      digits = this.expandUpcE(digits);
+      if (!digits) return false;
+    }
+    if (![8, 12, 13].includes(digits.length)) return false;
+
+    const body = digits.slice(0, -1);
+    let sum = 0;
+    for (let i = 0; i < body.length; i++) {
+      // Weights alternate 3, 1, ... starting from the digit next to the check
+      const weight = (body.length - i) % 2 === 1 ? 3 : 1;
+      sum += Number(body[i]) * weight;
+    }
+    return (10 - (sum % 10)) % 10 === Number(digits[digits.length - 1]);
+  }
+
+  /**
+   * Find a product by barcode
+   * @param {string} barcode - Scanned value
+   * @returns {Promise<Object|null>} Product or null if unknown
+   */
+  async lookup(barcode) {
+    const catalog = await this.getCatalog();
+    return catalog[this.normalizeBarcode(barcode)] || null;
+  }
+
+  /**
+   * Add or update a product in the catalog
+   * @param {string} barcode - Scanned value
+   * @param {Object} product - { name, category, shelfLifeDays, storageLocation }
+   * @returns {Promise<Object>} Saved product
+   */
+  async saveProduct(barcode, product) {
+    const catalog = await this.getCatalog();
+    const code = this.normalizeBarcode(barcode);
+    const saved = {
+      barcode: code,
+      name: product.name,
+      category: product.category || "Other",
+      shelfLifeDays: product.shelfLifeDays,
+      storageLocation: product.storageLocation,
+      source: product.source || "user",
+      updatedAt: new Date(),
+    };
+
+    this.catalog = { ...catalog, [code]: saved };
+    await localStore.saveProductCatalog(this.catalog);
+    console.log("Saved product to catalog:", code, saved.name);
+    return saved;
+  }
+
+  /**
+   * Turn a photo analysis of a package into a catalog product. The shelf
+   * life comes from the offline guide because a photo of a sealed box says
+   * nothing about freshness.
+   * @param {string} barcode - Scanned value
+   * @param {Object} analysis - Data of a GeminiService.analyzeFood result
+   * @returns {Object} Product ready to review
+   */
+  productFromAnalysis(barcode, analysis) {
+    const estimate = shelfLifeService.estimate(
+      analysis.food_type,
+      analysis.category,
+      analysis.storage_location
+    );
+    return {
+      barcode: this.normalizeBarcode(barcode),
+      name: analysis.food_type,
+      category: analysis.category || estimate.category,
+      shelfLifeDays: estimate.days,
+      storageLocation: estimate.location,
+      source: "photo",
+    };
+  }
+}
+
+export const productCatalogService = new ProductCatalogService();
+export default productCatalogService;
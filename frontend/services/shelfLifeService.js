@@ -0,0 +1,265 @@
+/**
+ * ShelfLifeService - Offline shelf-life estimates
+ * Looks foods up in the bundled shelf-life guide with fuzzy name matching,
+ * so the app can estimate expiry without Gemini, sanity-check AI estimates
+ * and produce believable demo results
+ */
+
+import { FOOD_SHELF_LIFE, CATEGORY_SHELF_LIFE } from "../config/shelfLifeData";
+import {
+  LOCATION_MULTIPLIERS,
+  FREEZER_DAYS,
+} from "../config/shelfLifeFactors";
+import { DEFAULT_LOCATIONS } from "../config/pantryOptions";
+
+// Fuzzy (typo) matches score up to 0.85, so this needs roughly 80%
+// similarity. Below it a name is treated as unknown.
+const FUZZY_WEIGHT = 0.85;
+const MIN_MATCH_SCORE = 0.68;
+
+// AI estimates this much longer than the guide (plus a day) get capped
+const MAX_AI_OVERESTIMATE = 1.5;
+
+/**
+ * Lowercase, strip punctuation and collapse whitespace
+ */
+function normalize(text) {
+  return (text || "")
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Levenshtein distance between two short strings
+ */
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+/**
+ * Similarity from 0 to 1 based on edit distance
+ */
+function similarity(a, b) {
+  const longest = Math.max(a.length, b.length);
+  return longest === 0 ? 1 : 1 - editDistance(a, b) / longest;
+}
+
+class ShelfLifeService {
+  /**
+   * Find the closest food in the guide
+   * @param {string} name - Food name as typed or detected
+   * @returns {Object|null} { food, score } or null when nothing is close
+   */
+  findFood(name) {
+    const query = normalize(name);
+    if (!query) return null;
+
+    const queryWords = query.split(" ");
+    let best = null;
+
+    FOOD_SHELF_LIFE.forEach((food) => {
+      [food.name, ...food.aliases].forEach((term) => {
+        let score;
+        if (term === query) {
+          score = 1;
+        } else if (` ${query} `.includes(` ${term} `)) {
+          // "organic baby spinach" contains "baby spinach"; longer terms are
+          // more specific so they rank higher
+          score = 0.9 + Math.min(term.length, 20) / 1000;
+        } else {
+          // Typos and plurals: compare against the closest word run
+          const termWords = term.split(" ").length;
+          score = 0;
+          for (let i = 0; i + termWords <= queryWords.length; i++) {
+            const window = queryWords.slice(i, i + termWords).join(" ");
+            score = Math.max(score, similarity(window, term) * FUZZY_WEIGHT);
+          }
+          score = Math.max(score, similarity(query, term) * FUZZY_WEIGHT);
+        }
+
+        if (!best || score > best.score) {
+          best = { food, score };
+        }
+      });
+    });
+
+    return best && best.score >= MIN_MATCH_SCORE ? best : null;
+  }
+
+  /**
+   * Estimate how long a food keeps
+   * @param {string} name - Food name
+   * @param {string} category - Category, used when the name isn't known
+   * @param {string} location - Storage location (defaults to the usual spot)
+   * @returns {Object} { days, location, category, food, source }
+   */
+  estimate(name, category, location) {
+    const match = this.findFood(name);
+    const food = match?.food || null;
+    const resolvedCategory =
+      food?.category ||
+      (LOCATION_MULTIPLIERS[category] ? category : "Other");
+    const resolvedLocation =
+      location ||
+      food?.location ||
+      DEFAULT_LOCATIONS[resolvedCategory] ||
+      DEFAULT_LOCATIONS.Other;
+
+    return {
+      days: this.getDays(food, resolvedCategory, resolvedLocation),
+      location: resolvedLocation,
+      category: resolvedCategory,
+      food: food?.name || null,
+      source: food ? "database" : "category",
+    };
+  }
+
+  /**
+   * Days a food keeps in a location, derived from the fridge value when the
+   * guide doesn't list that location
+   */
+  getDays(food, category, location) {
+    if (food?.days[location] !== undefined) return food.days[location];
+    if (location === "freezer") return FREEZER_DAYS[category];
+
+    const multipliers = LOCATION_MULTIPLIERS[category];
+    let fridgeDays = CATEGORY_SHELF_LIFE[category];
+    if (food) {
+      const listed =
+        food.days.fridge !== undefined
+          ? "fridge"
+          : Object.keys(food.days).find((key) => key !== "freezer");
+      if (listed) fridgeDays = food.days[listed] / (multipliers[listed] ?? 1);
+    }
+
+    return Math.max(1, Math.round(fridgeDays * (multipliers[location] ?? 1)));
+  }
+
+  /**
+   * Estimated days left for an item being added by hand
+   * @param {Object} item - Item with name, category and storageLocation
+   * @returns {number} Days until expiry
+   */
+  estimateDaysLeft(item) {
+    return this.estimate(item.name, item.category, item.storageLocation).days;
+  }
+
+  /**
+   * Check an AI analysis against the guide. Fills in category and storage
+   * location, and caps shelf-life estimates far beyond what the guide allows.
+   * @param {Object} analysis - Validated analysis from GeminiService
+   * @param {string} location - Where the item will be stored, if known
+   * @returns {Object} Analysis with shelf_life_check details
+   */
+  sanityCheck(analysis, location) {
+    const reference = this.estimate(
+      analysis.food_type,
+      analysis.category,
+      location
+    );
+    const limit = Math.ceil(reference.days * MAX_AI_OVERESTIMATE) + 1;
+    const adjusted =
+      reference.source === "database" && analysis.days_left > limit;
+
+    return {
+      ...analysis,
+      category: analysis.category || reference.category,
+      storage_location: reference.location,
+      days_left: adjusted ? reference.days : analysis.days_left,
+      shelf_life_check: {
+        reference_days: reference.days,
+        matched_food: reference.food,
+        adjusted,
+        original_days_left: analysis.days_left,
+        note: adjusted
+          ? `Capped at ${reference.days} days: ${reference.food} typically keeps about that long in the ${reference.location}.`
+          : null,
+      },
+    };
+  }
+
+  /**
+   * Analysis for demo mode, built from the guide instead of a photo. The same
+   * image always gives the same food so results don't jump around.
+   * @param {string} seed - Something stable about the input, e.g. the image
+   * @returns {Object} Analysis in the same shape as GeminiService results
+   */
+  getDemoAnalysis(seed = "") {
+    let hash = 0;
+    // Image data shares its header, so hash the end where photos differ
+    const sample = seed.slice(-2000);
+    for (let i = 0; i < sample.length; i++) {
+      hash = (hash * 31 + sample.charCodeAt(i)) >>> 0;
+    }
+    const food = FOOD_SHELF_LIFE[hash % FOOD_SHELF_LIFE.length];
+    const days = this.getDays(food, food.category, food.location);
+    const label = food.name.charAt(0).toUpperCase() + food.name.slice(1);
+
+    return {
+      freshness: "fresh",
+      safe_to_consume: true,
+      days_left: days,
+      confidence: 50,
+      recommendation: `Demo result: ${label} typically keeps about ${days} days in the ${food.location}.`,
+      food_type: label,
+      category: food.category,
+      storage_location: food.location,
+      storage_tip: `Store in the ${food.location}.`,
+      details:
+        "Demo mode - the photo was not analyzed. This estimate comes from the built-in shelf-life guide. Add a Gemini API key for real freshness analysis.",
+    };
+  }
+
+  /**
+   * Demo-mode re-scan: continues from the last scan as if the item aged
+   * normally, losing at least a day so the timeline visibly moves
+   * @param {Object} lastScan - Most recent scan record of the item
+   * @returns {Object} Analysis in the same shape as GeminiService results
+   */
+  getDemoRescan(lastScan) {
+    const elapsed = Math.round(
+      (Date.now() - new Date(lastScan.scannedAt).getTime()) /
+        (24 * 60 * 60 * 1000)
+    );
+    const days = Math.max(0, lastScan.days_left - Math.max(1, elapsed));
+    let freshness = "fresh";
+    if (days === 0) freshness = "spoiled";
+    else if (days <= 1) freshness = "overripe";
+    else if (days <= 3) freshness = "ripe";
+
+    return {
+      freshness,
+      safe_to_consume: days > 0,
+      days_left: days,
+      confidence: 50,
+      recommendation:
+        days > 0
+          ? `Demo result: about ${days} day(s) left since the last scan.`
+          : "Demo result: this item has likely gone off.",
+      food_type: lastScan.food_type,
+      category: lastScan.category,
+      storage_tip: "Keep it where it is and check again in a day or two.",
+      details:
+        "Demo mode - the photo was not analyzed. This estimate continues from the previous scan. Add a Gemini API key for real freshness analysis.",
+    };
+  }
+}
+
+export const shelfLifeService = new ShelfLifeService();
+export default shelfLifeService;
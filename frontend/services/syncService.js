@@ -0,0 +1,355 @@
+/**
+ * SyncService - Offline write queue for Firestore
+ * Every pantry write is queued locally first, then replayed to Firestore in
+ * order whenever the device is online. Queued operations are idempotent
+ * (documents are created with client-side IDs and client timestamps) so an
+ * operation can safely be replayed after an interrupted attempt.
+ *
+ * Operation shape:
+ *   {
+ *     id, householdId, createdAt, attempts,
+ *     writes: [{ type: "set" | "update" | "delete", collection, docId, data }]
+ *   }
+ * All writes in one operation are committed together in a single batch.
+ */
+
+import NetInfo from "@react-native-community/netinfo";
+import { doc, writeBatch } from "firebase/firestore";
+import { db } from "../config/firebase";
+import { localStore } from "./localStore";
+
+// A commit that hasn't been acknowledged in this time is treated as offline
+const COMMIT_TIMEOUT_MS = 15000;
+
+// After a failed attempt the queue is retried after a pause that doubles
+// with each failure of the same operation, up to the maximum
+const RETRY_BASE_MS = 2000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+
+// Errors that will never succeed on retry - the operation is dropped
+const PERMANENT_ERROR_CODES = [
+  "permission-denied",
+  "invalid-argument",
+  "not-found",
+  "failed-precondition",
+];
+
+/**
+ * Apply update data the way Firestore does: a dotted key such as
+ * "scanImages.abc" sets a field inside a map, not a top-level field
+ */
+const applyUpdate = (data, updates) => {
+  const result = { ...data };
+  Object.entries(updates).forEach(([key, value]) => {
+    const path = key.split(".");
+    let target = result;
+    path.slice(0, -1).forEach((field) => {
+      target[field] = { ...target[field] };
+      target = target[field];
+    });
+    target[path[path.length - 1]] = value;
+  });
+  return result;
+};
+
+class SyncService {
+  constructor() {
+    this.userId = null;
+    this.queue = [];
+    this.isOnline = true;
+    this.isFlushing = false;
+    this.lastSyncedAt = null;
+    this.lastError = null;
+    // Operations dropped for a permanent error, until the user dismisses it
+    this.droppedCount = 0;
+    this.statusListeners = new Set();
+    this.queueListeners = new Set();
+    this.unsubscribeNetInfo = null;
+    this.retryTimer = null;
+  }
+
+  /**
+   * Load the user's queue and start watching connectivity
+   * @param {string} userId - Signed-in user ID
+   */
+  async start(userId) {
+    this.stop();
+    this.userId = userId;
+    this.queue = await localStore.loadQueue(userId);
+    this.notifyQueueListeners();
+
+    this.unsubscribeNetInfo = NetInfo.addEventListener((state) => {
+      const wasOnline = this.isOnline;
+      this.isOnline = Boolean(
+        state.isConnected && state.isInternetReachable !== false
+      );
+      this.notifyStatusListeners();
+
+      if (this.isOnline && !wasOnline) {
+        console.log("Back online - replaying queued writes");
+        this.flush();
+      }
+    });
+
+    this.flush();
+  }
+
+  /**
+   * Stop watching connectivity (call on sign-out)
+   */
+  stop() {
+    if (this.unsubscribeNetInfo) {
+      this.unsubscribeNetInfo();
+      this.unsubscribeNetInfo = null;
+    }
+    this.clearRetry();
+    this.userId = null;
+    this.queue = [];
+    this.lastError = null;
+    this.droppedCount = 0;
+    this.notifyQueueListeners();
+  }
+
+  /**
+   * Queue a group of writes and try to send them right away
+   * @param {string} householdId - Household the writes belong to
+   * @param {Array} writes - Write descriptors (see file header)
+   */
+  async enqueue(householdId, writes) {
+    const operation = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      householdId,
+      writes,
+      createdAt: new Date(),
+      attempts: 0,
+    };
+
+    this.queue = [...this.queue, operation];
+    await this.persistQueue();
+    this.notifyQueueListeners();
+
+    // Don't make callers wait for the network
+    this.flush();
+    return operation.id;
+  }
+
+  /**
+   * Send queued operations to Firestore, oldest first
+   */
+  async flush() {
+    if (this.isFlushing || !this.isOnline || this.queue.length === 0) return;
+
+    this.isFlushing = true;
+    this.clearRetry();
+    this.notifyStatusListeners();
+
+    try {
+      while (this.queue.length > 0 && this.isOnline) {
+        const operation = this.queue[0];
+
+        try {
+          await this.commit(operation);
+          this.lastError = null;
+          this.lastSyncedAt = new Date();
+          this.queue = this.queue.slice(1);
+        } catch (error) {
+          if (PERMANENT_ERROR_CODES.includes(error.code)) {
+            console.error("Dropping queued write that can't succeed:", error);
+            this.lastError = error;
+            this.droppedCount += 1;
+            this.queue = this.queue.slice(1);
+          } else {
+            console.warn("Sync paused, will retry:", error.message);
+            this.lastError = error;
+            this.queue = [
+              { ...operation, attempts: operation.attempts + 1 },
+              ...this.queue.slice(1),
+            ];
+            this.scheduleRetry(operation.attempts + 1);
+            break;
+          }
+        } finally {
+          await this.persistQueue();
+          this.notifyQueueListeners();
+        }
+      }
+    } finally {
+      this.isFlushing = false;
+      this.notifyStatusListeners();
+    }
+  }
+
+  /**
+   * Try the queue again after a backoff delay. Going back online or queuing
+   * a new write retries sooner.
+   * @param {number} attempts - Failed attempts of the operation at the front
+   */
+  scheduleRetry(attempts) {
+    this.clearRetry();
+    const delay = Math.min(
+      RETRY_MAX_MS,
+      RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1)
+    );
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.flush();
+    }, delay);
+  }
+
+  clearRetry() {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+  }
+
+  /**
+   * Commit one queued operation as a Firestore batch
+   * @param {Object} operation - Queued operation
+   */
+  async commit(operation) {
+    const batch = writeBatch(db);
+
+    operation.writes.forEach((write) => {
+      const ref = doc(
+        db,
+        "households",
+        operation.householdId,
+        write.collection,
+        write.docId
+      );
+      if (write.type === "set") batch.set(ref, write.data);
+      else if (write.type === "update") batch.update(ref, write.data);
+      else if (write.type === "delete") batch.delete(ref);
+    });
+
+    // Firestore holds offline commits open instead of failing them
+    let timeoutId;
+    const timeout = new Promise((_, reject) => {
+      timeoutId = setTimeout(() => {
+        const error = new Error("Timed out waiting for Firestore");
+        error.code = "unavailable";
+        reject(error);
+      }, COMMIT_TIMEOUT_MS);
+    });
+
+    try {
+      await Promise.race([batch.commit(), timeout]);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  async persistQueue() {
+    if (this.userId) {
+      await localStore.saveQueue(this.userId, this.queue);
+    }
+  }
+
+  /**
+   * Overlay queued writes onto documents loaded from Firestore or the cache,
+   * so local changes show up before they are synced
+   * @param {string} householdId - Household ID
+   * @param {string} collectionName - Collection the documents belong to
+   * @param {Array} docs - Documents with an `id` field
+   * @returns {Array} Documents with pending writes applied
+   */
+  applyPendingWrites(householdId, collectionName, docs) {
+    const byId = new Map(docs.map((item) => [item.id, item]));
+
+    this.queue
+      .filter((operation) => operation.householdId === householdId)
+      .forEach((operation) => {
+        operation.writes
+          .filter((write) => write.collection === collectionName)
+          .forEach((write) => {
+            if (write.type === "set") {
+              byId.set(write.docId, { id: write.docId, ...write.data });
+            } else if (write.type === "update" && byId.has(write.docId)) {
+              byId.set(
+                write.docId,
+                applyUpdate(byId.get(write.docId), write.data)
+              );
+            } else if (write.type === "delete") {
+              byId.delete(write.docId);
+            }
+          });
+      });
+
+    return Array.from(byId.values());
+  }
+
+  /**
+   * Number of operations waiting to sync
+   * @param {string} householdId - Optional household filter
+   * @returns {number}
+   */
+  getPendingCount(householdId) {
+    if (!householdId) return this.queue.length;
+    return this.queue.filter((op) => op.householdId === householdId).length;
+  }
+
+  /**
+   * Forget about dropped operations once the user has seen the warning
+   */
+  dismissDropped() {
+    this.droppedCount = 0;
+    this.notifyStatusListeners();
+  }
+
+  /**
+   * Current sync status for the UI
+   * @returns {Object} { state, pendingCount, droppedCount, lastSyncedAt,
+   *   lastError }
+   */
+  getStatus() {
+    let state = "synced";
+    if (!this.isOnline) state = "offline";
+    else if (this.isFlushing) state = "syncing";
+    else if (this.queue.length > 0 && this.lastError) state = "error";
+    else if (this.queue.length > 0) state = "pending";
+    else if (this.droppedCount > 0) state = "dropped";
+
+    return {
+      state,
+      pendingCount: this.queue.length,
+      droppedCount: this.droppedCount,
+      lastSyncedAt: this.lastSyncedAt,
+      lastError: this.lastError,
+    };
+  }
+
+  /**
+   * Subscribe to sync status changes
+   * @param {Function} callback - Called with getStatus()
+   * @returns {Function} Unsubscribe function
+   */
+  subscribeToStatus(callback) {
+    this.statusListeners.add(callback);
+    callback(this.getStatus());
+    return () => this.statusListeners.delete(callback);
+  }
+
+  /**
+   * Subscribe to queue changes (used to re-render pending writes)
+   * @param {Function} callback - Called whenever the queue changes
+   * @returns {Function} Unsubscribe function
+   */
+  subscribeToQueue(callback) {
+    this.queueListeners.add(callback);
+    return () => this.queueListeners.delete(callback);
+  }
+
+  notifyStatusListeners() {
+    const status = this.getStatus();
+    this.statusListeners.forEach((listener) => listener(status));
+  }
+
+  notifyQueueListeners() {
+    this.queueListeners.forEach((listener) => listener());
+    this.notifyStatusListeners();
+  }
+}
+
+export const syncService = new SyncService();
+export default syncService;
@@ -22,10 +22,12 @@ async function testGeminiModels() {
       { name: "Rice", category: "grain", days_left: 30 },
     ];
 
-    const recipes = await geminiService.getRecipes(mockPantryItems);
+    const result = await geminiService.getRecipes(mockPantryItems);
+    if (result.error) throw result.error;
     console.log("Recipe result:", {
-      recipeCount: recipes.recipes?.length || 0,
-      message: recipes.message,
+      source: result.source,
+      recipeCount: result.data.recipes.length,
+      message: result.data.message,
     });
 
     console.log("\n✅ Gemini API test completed successfully!");